@@ -0,0 +1,61 @@
+import adaptiveQuizService from '../services/adaptiveQuizService.js';
+import learningPathService from '../services/learningPathService.js';
+
+/**
+ * Start an adaptive quiz
+ * Body: { lecture_id, lang?, question_types? }
+ */
+export const startAdaptiveQuiz = async (req, res) => {
+  try {
+    const { lecture_id, lang = 'en', question_types } = req.body;
+    if (!lecture_id) {
+      return res.status(400).json({ error: 'lecture_id is required' });
+    }
+
+    await learningPathService.assertLectureOpen(
+      { userId: req.user.userId || req.user.id, role: req.user.role },
+      parseInt(lecture_id)
+    );
+
+    const session = await adaptiveQuizService.startSession(req.user.userId || req.user.id, {
+      lectureId: parseInt(lecture_id),
+      lang,
+      questionTypes: question_types
+    });
+    res.status(201).json({ session });
+  } catch (error) {
+    console.error('Failed to start adaptive quiz:', error);
+    res.status(error.status || 500).json({ error: error.message || 'Failed to start adaptive quiz' });
+  }
+};
+
+/**
+ * Get an adaptive quiz with its current question
+ */
+export const getAdaptiveQuiz = async (req, res) => {
+  try {
+    const session = await adaptiveQuizService.getSession(req.user.userId || req.user.id, parseInt(req.params.sessionId));
+    res.json({ session });
+  } catch (error) {
+    console.error('Failed to get adaptive quiz:', error);
+    res.status(error.status || 500).json({ error: error.message || 'Failed to get adaptive quiz' });
+  }
+};
+
+/**
+ * Answer the current question of an adaptive quiz
+ * Body: { answer }
+ */
+export const answerAdaptiveQuiz = async (req, res) => {
+  try {
+    const result = await adaptiveQuizService.answerQuestion(
+      req.user.userId || req.user.id,
+      parseInt(req.params.sessionId),
+      req.body.answer
+    );
+    res.json(result);
+  } catch (error) {
+    console.error('Failed to answer adaptive quiz:', error);
+    res.status(error.status || 500).json({ error: error.message || 'Failed to answer adaptive quiz' });
+  }
+};
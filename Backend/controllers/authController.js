@@ -1,7 +1,24 @@
 import pool from '../utils/db.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import roleRequestService from '../services/roleRequestService.js';
+import { ROLES, ELEVATED_ROLES, permissionsFor } from '../utils/permissions.js';
 
+/**
+ * Sign a token carrying the user's role, which authorize() checks
+ * @param {Object} user - users row
+ * @returns {string} - JWT
+ */
+const signToken = (user) => jwt.sign(
+  { userId: user.id, email: user.email, role: user.role },
+  process.env.JWT_SECRET,
+  { expiresIn: '24h' }
+);
+
+/**
+ * Signing up as a teacher or admin creates a student account with a pending
+ * request for the role, which an admin approves
+ */
 export const signup = async (req, res) => {
   try {
     const { name, email, password, role } = req.body;
@@ -14,6 +31,13 @@ export const signup = async (req, res) => {
       });
     }
 
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: `Role must be one of ${ROLES.join(', ')}`
+      });
+    }
+
     // Check if user already exists
     const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
     if (existingUser.rows.length > 0) {
@@ -27,20 +51,21 @@ export const signup = async (req, res) => {
 
     const result = await pool.query(
       'INSERT INTO users(name,email,password_hash,role) VALUES($1,$2,$3,$4) RETURNING id, name, email, role, created_at',
-      [name, email, hashedPassword, role || 'student']
+      [name, email, hashedPassword, 'student']
     );
     
     const user = result.rows[0];
+
+    const roleRequest = ELEVATED_ROLES.includes(role)
+      ? await roleRequestService.requestRole(user.id, role, req.body.reason)
+      : null;
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const token = signToken(user);
 
     res.status(201).json({ 
-      message: 'Account created successfully',
+      message: roleRequest
+        ? `Account created successfully; the ${role} role is waiting for an admin's approval`
+        : 'Account created successfully',
       user: {
         id: user.id,
         name: user.name,
@@ -48,6 +73,8 @@ export const signup = async (req, res) => {
         role: user.role,
         created_at: user.created_at
       },
+      permissions: permissionsFor(user.role),
+      roleRequest,
       token 
     });
   } catch (error) {
@@ -96,15 +123,12 @@ export const login = async (req, res) => {
       });
     }
 
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role }, 
-      process.env.JWT_SECRET, 
-      { expiresIn: '24h' }
-    );
+    const token = signToken(user);
     
     res.json({ 
       message: 'Login successful',
       token, 
+      permissions: permissionsFor(user.role),
       user: {
         id: user.id,
         name: user.name,
@@ -121,3 +145,29 @@ export const login = async (req, res) => {
     });
   }
 };
+
+/**
+ * The signed-in user as stored now, with their permissions, role requests and a
+ * fresh token; clients call it to pick up a role an admin approved
+ */
+export const getCurrentUser = async (req, res) => {
+  try {
+    const user = (await pool.query(
+      'SELECT id, name, email, role, created_at FROM users WHERE id = $1',
+      [req.user.userId || req.user.id]
+    )).rows[0];
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      user,
+      permissions: permissionsFor(user.role),
+      roleRequests: await roleRequestService.listUserRequests(user.id),
+      token: signToken(user)
+    });
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(500).json({ error: 'Failed to get current user' });
+  }
+};
@@ -0,0 +1,163 @@
+import courseService from '../services/courseService.js';
+
+/**
+ * The requesting user
+ * @returns {Object} - { userId, role }
+ */
+const currentUser = (req) => ({ userId: req.user.userId || req.user.id, role: req.user.role });
+
+/**
+ * Send a service error with its status
+ */
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({ error: error.message || message });
+};
+
+/**
+ * List the user's courses (admins: every course)
+ */
+export const listCourses = async (req, res) => {
+  try {
+    const courses = await courseService.listCourses(currentUser(req));
+    res.json({ courses });
+  } catch (error) {
+    sendError(res, error, 'Failed to list courses');
+  }
+};
+
+/**
+ * Create a course (teachers and admins); the creator becomes its teacher
+ * Body: { title, code?, description? }
+ */
+export const createCourse = async (req, res) => {
+  try {
+    const course = await courseService.createCourse(currentUser(req), req.body);
+    res.status(201).json({ course });
+  } catch (error) {
+    sendError(res, error, 'Failed to create course');
+  }
+};
+
+/**
+ * Get a course with its sections
+ */
+export const getCourse = async (req, res) => {
+  try {
+    const course = await courseService.getCourse(currentUser(req), parseInt(req.params.courseId));
+    res.json({ course });
+  } catch (error) {
+    sendError(res, error, 'Failed to get course');
+  }
+};
+
+/**
+ * Change a course's details (course teachers)
+ * Body: { title?, code?, description? }
+ */
+export const updateCourse = async (req, res) => {
+  try {
+    const course = await courseService.updateCourse(currentUser(req), parseInt(req.params.courseId), req.body);
+    res.json({ course });
+  } catch (error) {
+    sendError(res, error, 'Failed to update course');
+  }
+};
+
+/**
+ * Replace the invite code of a course or a section (course teachers)
+ * Body: { sectionId? }
+ */
+export const resetInviteCode = async (req, res) => {
+  try {
+    const sectionId = req.body.sectionId ? parseInt(req.body.sectionId) : null;
+    const inviteCode = await courseService.resetInviteCode(currentUser(req), parseInt(req.params.courseId), sectionId);
+    res.json({ inviteCode, sectionId });
+  } catch (error) {
+    sendError(res, error, 'Failed to reset invite code');
+  }
+};
+
+/**
+ * Join a course with an invite code
+ * Body: { code }
+ */
+export const joinCourse = async (req, res) => {
+  try {
+    const course = await courseService.joinCourse(currentUser(req), req.body.code);
+    res.json({ course });
+  } catch (error) {
+    sendError(res, error, 'Failed to join course');
+  }
+};
+
+/**
+ * List a course's members (course teachers and TAs)
+ * Query: role?, sectionId?
+ */
+export const listMembers = async (req, res) => {
+  try {
+    const { role, sectionId } = req.query;
+    const members = await courseService.listMembers(currentUser(req), parseInt(req.params.courseId), {
+      role: role || null,
+      sectionId: sectionId ? parseInt(sectionId) : null
+    });
+    res.json({ members });
+  } catch (error) {
+    sendError(res, error, 'Failed to list course members');
+  }
+};
+
+/**
+ * Change a member's role or section (course teachers)
+ * Body: { role?, sectionId? }
+ */
+export const updateMember = async (req, res) => {
+  try {
+    const { role, sectionId } = req.body;
+    await courseService.updateMember(currentUser(req), parseInt(req.params.courseId), parseInt(req.params.userId), {
+      role,
+      sectionId: sectionId === undefined || sectionId === null ? sectionId : parseInt(sectionId)
+    });
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to update course member');
+  }
+};
+
+/**
+ * Remove a member (course teachers), or leave the course
+ */
+export const removeMember = async (req, res) => {
+  try {
+    await courseService.removeMember(currentUser(req), parseInt(req.params.courseId), parseInt(req.params.userId));
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove course member');
+  }
+};
+
+/**
+ * Add a section (course teachers)
+ * Body: { name }
+ */
+export const createSection = async (req, res) => {
+  try {
+    const section = await courseService.createSection(currentUser(req), parseInt(req.params.courseId), req.body.name);
+    res.status(201).json({ section });
+  } catch (error) {
+    sendError(res, error, 'Failed to create section');
+  }
+};
+
+/**
+ * Delete a section (course teachers)
+ */
+export const deleteSection = async (req, res) => {
+  try {
+    await courseService.deleteSection(currentUser(req), parseInt(req.params.courseId), parseInt(req.params.sectionId));
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete section');
+  }
+};
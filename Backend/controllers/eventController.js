@@ -1,10 +1,43 @@
 import pool from '../utils/db.js';
+import reportsService from '../services/reportsService.js';
+import learningPathService from '../services/learningPathService.js';
 
+/**
+ * Store an event reported by the client, such as 'lecture.progress' from the
+ * video player ({ progress: share of the lecture watched, 0-100 })
+ * Body: { lecture_id, event_type, details }
+ */
 export const logEvent = async (req, res) => {
-  const { lecture_id, event_type, details } = req.body;
-  await pool.query(
-    'INSERT INTO events(user_id, lecture_id, event_type, details) VALUES($1,$2,$3,$4)',
-    [req.user.id, lecture_id, event_type, JSON.stringify(details)]
-  );
-  res.json({ message: 'Event logged' });
+  try {
+    const { lecture_id, event_type, details } = req.body;
+    if (!event_type || typeof event_type !== 'string') {
+      return res.status(400).json({ error: 'event_type is required' });
+    }
+    // Quiz results unlock learning paths, so only the server records them
+    if (event_type.startsWith('quiz.')) {
+      return res.status(403).json({ error: 'Quiz events are recorded when a quiz is submitted' });
+    }
+
+    const user = { userId: req.user.userId || req.user.id, role: req.user.role };
+    const lectureId = lecture_id ? parseInt(lecture_id) : null;
+    if (lectureId) {
+      await learningPathService.assertLectureOpen(user, lectureId);
+    }
+
+    await pool.query(
+      'INSERT INTO events(user_id, lecture_id, event_type, details) VALUES($1,$2,$3,$4)',
+      [user.userId, lectureId, event_type, JSON.stringify(details)]
+    );
+
+    // Watching far enough can unlock the next lecture of a learning path
+    if (event_type === 'lecture.progress' && lectureId) {
+      await reportsService.refreshLearningProgress(user.userId, lectureId);
+    }
+    res.json({ message: 'Event logged' });
+  } catch (error) {
+    if (!error.status) {
+      console.error('Log event error:', error);
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to log event' });
+  }
 };
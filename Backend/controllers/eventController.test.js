@@ -0,0 +1,81 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import cron from 'node-cron';
+import pool from '../utils/db.js';
+import reportsService from '../services/reportsService.js';
+import learningPathService from '../services/learningPathService.js';
+import { createError } from '../utils/httpError.js';
+import { logEvent } from './eventController.js';
+
+const original = {
+  query: pool.query,
+  assertLectureOpen: learningPathService.assertLectureOpen,
+  refreshLearningProgress: reportsService.refreshLearningProgress
+};
+
+after(() => cron.getTasks().forEach(task => task.stop()));
+
+afterEach(() => {
+  pool.query = original.query;
+  learningPathService.assertLectureOpen = original.assertLectureOpen;
+  reportsService.refreshLearningProgress = original.refreshLearningProgress;
+});
+
+/**
+ * Run logEvent and collect the status, body and stored events
+ */
+const post = async (body) => {
+  const stored = [];
+  pool.query = async (sql, params) => {
+    stored.push(params);
+    return { rows: [] };
+  };
+  const response = { status: 200, body: null, stored };
+  await logEvent({ body, user: { userId: 3, role: 'student' } }, {
+    status(code) {
+      response.status = code;
+      return this;
+    },
+    json(data) {
+      response.body = data;
+      return this;
+    }
+  });
+  return response;
+};
+
+test('clients cannot post quiz results', async () => {
+  learningPathService.assertLectureOpen = async () => assert.fail('no lecture lookup');
+
+  const response = await post({ lecture_id: 10, event_type: 'quiz.completed', details: { score: 100 } });
+
+  assert.equal(response.status, 403);
+  assert.deepEqual(response.stored, []);
+});
+
+test('progress on a lecture the user cannot open is refused', async () => {
+  learningPathService.assertLectureOpen = async () => {
+    throw createError(403, 'This lecture is locked.');
+  };
+  reportsService.refreshLearningProgress = async () => assert.fail('nothing to refresh');
+
+  const response = await post({ lecture_id: 11, event_type: 'lecture.progress', details: { progress: 100 } });
+
+  assert.equal(response.status, 403);
+  assert.equal(response.body.error, 'This lecture is locked.');
+  assert.deepEqual(response.stored, []);
+});
+
+test('progress is stored and refreshes the learner\'s row', async () => {
+  const opened = [];
+  const refreshed = [];
+  learningPathService.assertLectureOpen = async (user, lectureId) => opened.push([user.userId, lectureId]);
+  reportsService.refreshLearningProgress = async (userId, lectureId) => refreshed.push([userId, lectureId]);
+
+  const response = await post({ lecture_id: '10', event_type: 'lecture.progress', details: { progress: 85 } });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(opened, [[3, 10]]);
+  assert.deepEqual(response.stored, [[3, 10, 'lecture.progress', '{"progress":85}']]);
+  assert.deepEqual(refreshed, [[3, 10]]);
+});
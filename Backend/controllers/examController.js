@@ -0,0 +1,113 @@
+import examService from '../services/examService.js';
+
+/**
+ * The requesting user
+ * @returns {Object} - { userId, role }
+ */
+const currentUser = (req) => ({ userId: req.user.userId || req.user.id, role: req.user.role });
+
+/**
+ * Send a service error with its status
+ */
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({ error: error.message || message });
+};
+
+/**
+ * List a lecture's exams with the user's attempts
+ * Query: lectureId
+ */
+export const listExams = async (req, res) => {
+  try {
+    const lectureId = parseInt(req.query.lectureId);
+    if (!lectureId) {
+      return res.status(400).json({ error: 'lectureId is required' });
+    }
+
+    const exams = await examService.listLectureExams(currentUser(req), lectureId);
+    res.json({ exams });
+  } catch (error) {
+    sendError(res, error, 'Failed to list exams');
+  }
+};
+
+/**
+ * Get a quiz's exam settings with the user's attempts and counted score
+ */
+export const getExam = async (req, res) => {
+  try {
+    const exam = await examService.getExam(currentUser(req), parseInt(req.params.quizId));
+    res.json({ exam });
+  } catch (error) {
+    sendError(res, error, 'Failed to get exam');
+  }
+};
+
+/**
+ * Turn a quiz into an exam or change its settings (lecture uploader or admin)
+ * Body: { timeLimitMinutes, opensAt, closesAt, maxAttempts, shuffleQuestions, shuffleOptions, scorePolicy }
+ */
+export const saveExamSettings = async (req, res) => {
+  try {
+    const settings = await examService.saveSettings(currentUser(req), parseInt(req.params.quizId), req.body);
+    res.json({ settings });
+  } catch (error) {
+    sendError(res, error, 'Failed to save exam settings');
+  }
+};
+
+/**
+ * Turn exam mode off (lecture uploader or admin)
+ */
+export const removeExamSettings = async (req, res) => {
+  try {
+    await examService.removeSettings(currentUser(req), parseInt(req.params.quizId));
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove exam settings');
+  }
+};
+
+/**
+ * Start an exam attempt, or resume the unfinished one
+ */
+export const startExam = async (req, res) => {
+  try {
+    const session = await examService.startSession(currentUser(req), parseInt(req.params.quizId));
+    res.status(201).json({ session });
+  } catch (error) {
+    sendError(res, error, 'Failed to start exam');
+  }
+};
+
+/**
+ * Get an exam session; submitted ones include results in the order shown
+ */
+export const getExamSession = async (req, res) => {
+  try {
+    const result = await examService.getSession(currentUser(req), parseInt(req.params.sessionId));
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to get exam session');
+  }
+};
+
+/**
+ * Submit an exam attempt
+ * Body: { token, answers, question_times?, time_taken? } with answers keyed by shown position
+ */
+export const submitExam = async (req, res) => {
+  try {
+    const { token, answers = {}, question_times = {}, time_taken = null } = req.body;
+    const result = await examService.submitSession(currentUser(req), parseInt(req.params.sessionId), {
+      token,
+      answers,
+      questionTimes: question_times,
+      timeTaken: time_taken
+    });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to submit exam');
+  }
+};
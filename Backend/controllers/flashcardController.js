@@ -0,0 +1,134 @@
+import db from '../utils/db.js';
+import flashcardService from '../services/flashcardService.js';
+import reportsService from '../services/reportsService.js';
+
+/**
+ * Check the lecture exists or send 404
+ * @returns {Promise<boolean>} - Whether the lecture exists
+ */
+const lectureExists = async (id, res) => {
+  const result = await db.query('SELECT id FROM lectures WHERE id = $1', [id]);
+
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Lecture not found' });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * List flashcard decks with the user's due and new card counts
+ */
+export const listDecks = async (req, res) => {
+  try {
+    const user = { userId: req.user.userId || req.user.id, role: req.user.role };
+    const [decks, summary] = await Promise.all([
+      flashcardService.listDecks(user),
+      reportsService.getFlashcardSummary(user)
+    ]);
+
+    res.json({
+      decks,
+      summary
+    });
+  } catch (error) {
+    console.error('List flashcard decks error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to list flashcard decks'
+    });
+  }
+};
+
+/**
+ * Get the cards to review now
+ * Query: lectureId?, limit?
+ */
+export const getReviewQueue = async (req, res) => {
+  try {
+    const { lectureId, limit = 50 } = req.query;
+
+    const user = { userId: req.user.userId || req.user.id, role: req.user.role };
+    const cards = await flashcardService.getReviewQueue(user, {
+      lectureId: lectureId ? parseInt(lectureId, 10) || null : null,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100)
+    });
+
+    res.json({
+      cards,
+      totalCards: cards.length
+    });
+  } catch (error) {
+    console.error('Get flashcard review queue error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to get cards to review'
+    });
+  }
+};
+
+/**
+ * Get a lecture's deck with the user's review state
+ * Query: lang?
+ */
+export const getLectureDeck = async (req, res) => {
+  try {
+    const lectureId = parseInt(req.params.lectureId, 10);
+    if (!await lectureExists(lectureId, res)) return;
+
+    const deck = await flashcardService.getDeck(lectureId, req.user.userId || req.user.id, req.query.lang || 'en');
+
+    if (!deck) {
+      return res.status(404).json({ error: 'No flashcards generated for this lecture yet' });
+    }
+
+    res.json({ deck });
+  } catch (error) {
+    console.error('Get flashcard deck error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to get flashcard deck'
+    });
+  }
+};
+
+/**
+ * Generate or regenerate a lecture's deck
+ * Body: { lang? }
+ */
+export const generateLectureDeck = async (req, res) => {
+  try {
+    const lectureId = parseInt(req.params.lectureId, 10);
+    if (!await lectureExists(lectureId, res)) return;
+
+    const lang = req.body.lang || 'en';
+    await flashcardService.generateDeck(lectureId, lang);
+    const deck = await flashcardService.getDeck(lectureId, req.user.userId || req.user.id, lang);
+
+    res.status(201).json({ deck });
+  } catch (error) {
+    console.error('Generate flashcard deck error:', error);
+    res.status(error.status || (error.message === 'Circuit breaker is OPEN' ? 503 : 500)).json({
+      error: error.message || 'Failed to generate flashcards'
+    });
+  }
+};
+
+/**
+ * Grade a card and schedule its next review
+ * Body: { grade } - 0 (forgot) to 5 (perfect recall)
+ */
+export const reviewCard = async (req, res) => {
+  try {
+    const card = await flashcardService.reviewCard(
+      parseInt(req.params.cardId, 10),
+      { userId: req.user.userId || req.user.id, role: req.user.role },
+      req.body.grade
+    );
+
+    res.json({ card });
+  } catch (error) {
+    console.error('Review flashcard error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to record review'
+    });
+  }
+};
@@ -0,0 +1,55 @@
+import gradingService from '../services/gradingService.js';
+import courseService from '../services/courseService.js';
+
+/**
+ * Graded short answers waiting for a teacher (teachers, course TAs and admins)
+ * Query: lectureId, limit (max 200)
+ */
+export const getReviewQueue = async (req, res) => {
+  try {
+    if (!(await courseService.isStaff({ userId: req.user.userId || req.user.id, role: req.user.role }))) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const items = await gradingService.listForReview(
+      { userId: req.user.userId || req.user.id, role: req.user.role },
+      {
+        lectureId: req.query.lectureId ? parseInt(req.query.lectureId) : null,
+        limit: Math.min(parseInt(req.query.limit) || 50, 200)
+      }
+    );
+
+    res.json({ items });
+  } catch (error) {
+    console.error('Get grading review queue error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to get grading review queue'
+    });
+  }
+};
+
+/**
+ * Override the grade of one answer and rescore the attempt (teachers, course TAs and admins)
+ * Body: { credit (0 to 1), feedback? }
+ */
+export const overrideGrade = async (req, res) => {
+  try {
+    if (!(await courseService.isStaff({ userId: req.user.userId || req.user.id, role: req.user.role }))) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const result = await gradingService.overrideGrade(
+      parseInt(req.params.attemptId),
+      parseInt(req.params.questionIndex),
+      { credit: req.body.credit, feedback: req.body.feedback },
+      { userId: req.user.userId || req.user.id, role: req.user.role }
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('Override grade error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to override grade'
+    });
+  }
+};
@@ -2,6 +2,7 @@ import db from '../utils/db.js';
 import enhancedIngestionService from '../services/enhancedIngestionService.js';
 import whisperService from '../services/whisperService.js';
 import cacheService from '../services/cacheService.js';
+import jobQueueService from '../services/jobQueueService.js';
 import reportsService from '../services/reportsService.js';
 import { geminiCircuitBreaker, whisperCircuitBreaker, lrsCircuitBreaker } from '../middleware/rateLimitMiddleware.js';
 
@@ -148,10 +149,7 @@ export const getDetailedHealth = async (req, res) => {
         connections: await getDatabaseConnectionInfo(),
         tableStats: await getDatabaseTableStats()
       },
-      processing: {
-        activeJobs: enhancedIngestionService.processingQueue.size,
-        queueStatus: Array.from(enhancedIngestionService.processingQueue.entries())
-      },
+      processing: await jobQueueService.getQueueStats(),
       rateLimiting: await getRateLimitStats(),
       recentErrors: await getRecentErrors()
     };
@@ -0,0 +1,98 @@
+import learningPathService from '../services/learningPathService.js';
+
+/**
+ * The requesting user
+ * @returns {Object} - { userId, role }
+ */
+const currentUser = (req) => ({ userId: req.user.userId || req.user.id, role: req.user.role });
+
+/**
+ * Send a service error with its status
+ */
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({ error: error.message || message });
+};
+
+/**
+ * List a course's modules with their lectures and rules
+ */
+export const listModules = async (req, res) => {
+  try {
+    const modules = await learningPathService.listModules(currentUser(req), parseInt(req.params.courseId));
+    res.json({ modules });
+  } catch (error) {
+    sendError(res, error, 'Failed to list modules');
+  }
+};
+
+/**
+ * Add a module at the end of the course (course teachers)
+ * Body: { title, description?, lectureIds?, unlockRule?, lectureRule?, completionRule?, prerequisites? }
+ */
+export const createModule = async (req, res) => {
+  try {
+    const module = await learningPathService.createModule(currentUser(req), parseInt(req.params.courseId), req.body);
+    res.status(201).json({ module });
+  } catch (error) {
+    sendError(res, error, 'Failed to create module');
+  }
+};
+
+/**
+ * Change a module (course teachers); lectureIds replaces its lectures in order
+ */
+export const updateModule = async (req, res) => {
+  try {
+    const module = await learningPathService.updateModule(
+      currentUser(req),
+      parseInt(req.params.courseId),
+      parseInt(req.params.moduleId),
+      req.body
+    );
+    res.json({ module });
+  } catch (error) {
+    sendError(res, error, 'Failed to update module');
+  }
+};
+
+/**
+ * Delete a module; its lectures stay in the course (course teachers)
+ */
+export const deleteModule = async (req, res) => {
+  try {
+    await learningPathService.deleteModule(currentUser(req), parseInt(req.params.courseId), parseInt(req.params.moduleId));
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete module');
+  }
+};
+
+/**
+ * Put the course's modules in a new order (course teachers)
+ * Body: { moduleIds } listing every module once
+ */
+export const reorderModules = async (req, res) => {
+  try {
+    const modules = await learningPathService.reorderModules(currentUser(req), parseInt(req.params.courseId), req.body.moduleIds);
+    res.json({ modules });
+  } catch (error) {
+    sendError(res, error, 'Failed to reorder modules');
+  }
+};
+
+/**
+ * The user's path through the course; course staff may pass ?userId= for a member's
+ */
+export const getLearnerPath = async (req, res) => {
+  try {
+    const path = await learningPathService.getLearnerPath(
+      currentUser(req),
+      parseInt(req.params.courseId),
+      parseInt(req.query.userId) || null
+    );
+    res.json({ path });
+  } catch (error) {
+    sendError(res, error, 'Failed to get learning path');
+  }
+};
@@ -1,13 +1,18 @@
 import db from '../utils/db.js';
 import enhancedIngestionService from '../services/enhancedIngestionService.js';
-import geminiFilesService from '../services/geminiFilesService.js';
+import llmService from '../services/llmService.js';
+import retrievalService from '../services/retrievalService.js';
+import { generateSummary } from '../services/summarizationService.js';
+import { parseQuestionTypes } from '../services/quizTypes.js';
 import cacheService from '../services/cacheService.js';
+import progressEventService from '../services/progressEventService.js';
 import xapiMiddleware from '../middleware/xapiMiddleware.js';
+import courseService from '../services/courseService.js';
 
 export const uploadLecture = async (req, res) => {
   try {
-    const { title, description, language = 'en' } = req.body;
-    const uploader_id = req.user.id;
+    const { title, description, language = 'en', course_id } = req.body;
+    const uploader_id = req.user.userId || req.user.id;
     
     // Validate required files
     if (!req.files || !req.files.video) {
@@ -16,6 +21,11 @@ export const uploadLecture = async (req, res) => {
       });
     }
 
+    // Lectures can only be published to courses the uploader teaches
+    if (course_id) {
+      await courseService.assertCanPublish({ userId: uploader_id, role: req.user.role }, parseInt(course_id));
+    }
+
     const files = {
       video: {
         path: req.files.video[0].path,
@@ -37,10 +47,11 @@ export const uploadLecture = async (req, res) => {
       title,
       description,
       uploader_id,
+      course_id: course_id ? parseInt(course_id) : null,
       language
     };
 
-    // Start processing asynchronously
+    // Queue processing in the background job worker
     const processingResult = await enhancedIngestionService.processLecture(lectureData, files);
     
     // Log lecture upload event
@@ -54,14 +65,14 @@ export const uploadLecture = async (req, res) => {
 
     res.json({ 
       success: true, 
-      message: 'Lecture uploaded and processing started',
+      message: 'Lecture uploaded and queued for processing',
       lectureId: processingResult.lectureId,
       processing: processingResult
     });
 
   } catch (error) {
     console.error('Lecture upload error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: error.message || 'Lecture upload failed' 
     });
   }
@@ -74,9 +85,13 @@ export const getLectures = async (req, res) => {
       limit = 10, 
       status, 
       uploader_id,
+      course_id,
       search 
     } = req.query;
 
+    // Only lectures of the user's courses, their own and those without a course
+    const viewerId = courseService.scopeUserId({ userId: req.user.userId || req.user.id, role: req.user.role });
+
     const offset = (page - 1) * limit;
     let query = `
       SELECT 
@@ -85,17 +100,19 @@ export const getLectures = async (req, res) => {
         u.email as uploader_email,
         COUNT(tc.id) as transcript_chunks,
         COUNT(DISTINCT s.id) as summaries_count,
-        COUNT(DISTINCT q.id) as quizzes_count
+        COUNT(DISTINCT q.id) as quizzes_count,
+        c.title as course_title
       FROM lectures l
       LEFT JOIN users u ON l.uploader_id = u.id
+      LEFT JOIN courses c ON l.course_id = c.id
       LEFT JOIN transcript_chunks tc ON l.id = tc.lecture_id
-      LEFT JOIN summaries s ON l.id = s.lecture_id
+      LEFT JOIN summaries s ON l.id = s.lecture_id AND s.summary_type = 'session'
       LEFT JOIN quizzes q ON l.id = q.lecture_id
-      WHERE 1=1
+      WHERE ${courseService.visibleLectureCondition('l', '$1')}
     `;
 
-    const params = [];
-    let paramIndex = 1;
+    const params = [viewerId];
+    let paramIndex = 2;
 
     if (status) {
       query += ` AND l.processing_status = $${paramIndex++}`;
@@ -107,13 +124,18 @@ export const getLectures = async (req, res) => {
       params.push(uploader_id);
     }
 
+    if (course_id) {
+      query += ` AND l.course_id = $${paramIndex++}`;
+      params.push(course_id);
+    }
+
     if (search) {
       query += ` AND (l.title ILIKE $${paramIndex++} OR l.description ILIKE $${paramIndex++})`;
       params.push(`%${search}%`, `%${search}%`);
     }
 
     query += ` 
-      GROUP BY l.id, u.name, u.email
+      GROUP BY l.id, u.name, u.email, c.title
       ORDER BY l.created_at DESC 
       LIMIT $${paramIndex++} OFFSET $${paramIndex++}
     `;
@@ -123,9 +145,9 @@ export const getLectures = async (req, res) => {
     const result = await db.query(query, params);
 
     // Get total count
-    let countQuery = 'SELECT COUNT(*) FROM lectures l WHERE 1=1';
-    const countParams = [];
-    let countParamIndex = 1;
+    let countQuery = `SELECT COUNT(*) FROM lectures l WHERE ${courseService.visibleLectureCondition('l', '$1')}`;
+    const countParams = [viewerId];
+    let countParamIndex = 2;
 
     if (status) {
       countQuery += ` AND l.processing_status = $${countParamIndex++}`;
@@ -137,6 +159,11 @@ export const getLectures = async (req, res) => {
       countParams.push(uploader_id);
     }
 
+    if (course_id) {
+      countQuery += ` AND l.course_id = $${countParamIndex++}`;
+      countParams.push(course_id);
+    }
+
     if (search) {
       countQuery += ` AND (l.title ILIKE $${countParamIndex++} OR l.description ILIKE $${countParamIndex++})`;
       countParams.push(`%${search}%`, `%${search}%`);
@@ -198,7 +225,7 @@ export const getLectureById = async (req, res) => {
     const summariesQuery = `
       SELECT id, lang, style, summary_type, generated_at 
       FROM summaries 
-      WHERE lecture_id = $1
+      WHERE lecture_id = $1 AND summary_type = 'session'
     `;
     const summariesResult = await db.query(summariesQuery, [id]);
 
@@ -257,7 +284,7 @@ export const getLectureSummary = async (req, res) => {
     if (!regenerate) {
       const existingQuery = `
         SELECT * FROM summaries 
-        WHERE lecture_id = $1 AND lang = $2 AND style = $3
+        WHERE lecture_id = $1 AND lang = $2 AND style = $3 AND summary_type = 'session'
         ORDER BY generated_at DESC
         LIMIT 1
       `;
@@ -284,50 +311,9 @@ export const getLectureSummary = async (req, res) => {
       }
     }
 
-    // Generate new summary using cache
-    const summaryResult = await cacheService.cacheSummary(
-      parseInt(id),
-      { lang, style },
-      async () => {
-        // Get transcript content
-        const transcriptQuery = `
-          SELECT text FROM transcript_chunks 
-          WHERE lecture_id = $1 
-          ORDER BY start_ts
-        `;
-        const transcriptResult = await db.query(transcriptQuery, [id]);
-        const fullTranscript = transcriptResult.rows.map(row => row.text).join(' ');
-
-        // Generate summary
-        return await geminiFilesService.generateSummary(fullTranscript, {
-          style: style,
-          language: lang
-        });
-      }
-    );
-
-    if (!summaryResult.success) {
-      return res.status(500).json({ 
-        error: 'Failed to generate summary' 
-      });
-    }
-
-    // Store in database
-    const insertQuery = `
-      INSERT INTO summaries (lecture_id, lang, style, content_md, gemini_model)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING *
-    `;
-
-    const insertResult = await db.query(insertQuery, [
-      id,
-      lang,
-      style,
-      summaryResult.summary,
-      'gemini-2.5-flash'
-    ]);
-
-    const summary = insertResult.rows[0];
+    // Summarize transcript windows, then combine them into the session summary
+    const summaryResult = await generateSummary(parseInt(id), lang, style);
+    const summary = summaryResult.summary;
 
     // Log summary view event
     if (req.logXAPIEvent && req.user) {
@@ -348,7 +334,7 @@ export const getLectureSummary = async (req, res) => {
 
   } catch (error) {
     console.error('Get lecture summary error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: error.message || 'Failed to get lecture summary' 
     });
   }
@@ -361,8 +347,10 @@ export const getLectureQuiz = async (req, res) => {
       lang = 'en', 
       difficulty = 'medium',
       question_count = 5,
+      question_types,
       regenerate = false 
     } = req.query;
+    const questionTypes = parseQuestionTypes(question_types);
 
     // Check if lecture exists
     const lectureQuery = 'SELECT * FROM lectures WHERE id = $1';
@@ -379,11 +367,13 @@ export const getLectureQuiz = async (req, res) => {
       const existingQuery = `
         SELECT * FROM quizzes 
         WHERE lecture_id = $1 AND lang = $2 AND difficulty = $3
+          AND COALESCE(items_json->'questionTypes', '["mcq"]'::jsonb) = $4::jsonb
+          AND NOT EXISTS (SELECT 1 FROM quiz_exams e WHERE e.quiz_id = quizzes.id)
         ORDER BY generated_at DESC
         LIMIT 1
       `;
       
-      const existingResult = await db.query(existingQuery, [id, lang, difficulty]);
+      const existingResult = await db.query(existingQuery, [id, lang, difficulty, JSON.stringify(questionTypes)]);
       
       if (existingResult.rows.length > 0) {
         const quiz = existingResult.rows[0];
@@ -407,7 +397,7 @@ export const getLectureQuiz = async (req, res) => {
     // Generate new quiz using cache
     const quizResult = await cacheService.cacheQuiz(
       parseInt(id),
-      { lang, difficulty },
+      { lang, difficulty, questionTypes: questionTypes.join(',') },
       async () => {
         // Get transcript content
         const transcriptQuery = `
@@ -418,11 +408,13 @@ export const getLectureQuiz = async (req, res) => {
         const transcriptResult = await db.query(transcriptQuery, [id]);
         const fullTranscript = transcriptResult.rows.map(row => row.text).join(' ');
 
-        // Generate quiz
-        return await geminiFilesService.generateQuiz(fullTranscript, {
+        // Generate quiz from the most relevant passages if the transcript is too long
+        const content = await retrievalService.fitContent(parseInt(id), fullTranscript);
+        return await llmService.generateQuiz(content, {
           difficulty: difficulty,
           language: lang,
-          numQuestions: parseInt(question_count) || 5
+          numQuestions: parseInt(question_count) || 5,
+          questionTypes
         });
       }
     );
@@ -435,8 +427,8 @@ export const getLectureQuiz = async (req, res) => {
 
     // Store in database
     const insertQuery = `
-      INSERT INTO quizzes (lecture_id, lang, difficulty, items_json, gemini_model)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO quizzes (lecture_id, lang, difficulty, items_json, gemini_model, validation)
+      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING *
     `;
 
@@ -444,8 +436,9 @@ export const getLectureQuiz = async (req, res) => {
       id,
       lang,
       difficulty,
-      JSON.stringify(quizResult.quiz),
-      'gemini-2.5-flash'
+      JSON.stringify({ ...quizResult.quiz, questionTypes }),
+      llmService.getModelName(),
+      JSON.stringify(quizResult.metadata?.validation || null)
     ]);
 
     const quiz = insertResult.rows[0];
@@ -488,7 +481,7 @@ export const getProcessingStatus = async (req, res) => {
     const dbStatus = result.rows[0].processing_status;
 
     // Get detailed status from ingestion service
-    const detailedStatus = enhancedIngestionService.getProcessingStatus(parseInt(id));
+    const detailedStatus = await enhancedIngestionService.getProcessingStatus(parseInt(id));
 
     res.json({
       lectureId: parseInt(id),
@@ -504,6 +497,70 @@ export const getProcessingStatus = async (req, res) => {
   }
 };
 
+export const streamLectureEvents = async (req, res) => {
+  let unsubscribe = null;
+  let keepAlive = null;
+  const stop = () => {
+    clearInterval(keepAlive);
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+  };
+
+  try {
+    const { id } = req.params;
+    const lectureId = parseInt(id);
+
+    const query = 'SELECT processing_status FROM lectures WHERE id = $1';
+    const result = await db.query(query, [lectureId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Lecture not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    let eventId = 0;
+    const sendEvent = (type, data) => {
+      eventId += 1;
+      res.write(`id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Subscribe before reading the snapshot so no event falls in between
+    unsubscribe = progressEventService.subscribe(lectureId, (event) => {
+      sendEvent(event.type, { ...event.data, timestamp: event.timestamp });
+    });
+    req.on('close', stop);
+
+    // Send the current state first so reconnecting clients can resync
+    res.write('retry: 5000\n\n');
+    sendEvent('status', {
+      lectureId,
+      status: result.rows[0].processing_status,
+      details: await enhancedIngestionService.getProcessingStatus(lectureId)
+    });
+
+    // Keep proxies from closing an idle connection, unless the client left while the snapshot was read
+    if (unsubscribe) {
+      keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    }
+
+  } catch (error) {
+    console.error('Stream lecture events error:', error);
+    stop();
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ 
+      error: error.message || 'Failed to stream lecture events' 
+    });
+  }
+};
+
 export const reprocessLecture = async (req, res) => {
   try {
     const { id } = req.params;
@@ -536,7 +593,7 @@ export const deleteLecture = async (req, res) => {
     const lecture = lectureResult.rows[0];
 
     // Check permission (only uploader or admin can delete)
-    if (lecture.uploader_id !== req.user.id && req.user.role !== 'admin') {
+    if (lecture.uploader_id !== (req.user.userId || req.user.id) && req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Permission denied' });
     }
 
@@ -559,3 +616,26 @@ export const deleteLecture = async (req, res) => {
     });
   }
 };
+
+/**
+ * Move a lecture into a course, or out of one
+ * Body: { courseId } (null for no course)
+ */
+export const setLectureCourse = async (req, res) => {
+  try {
+    const { courseId = null } = req.body;
+    const result = await courseService.setLectureCourse(
+      { userId: req.user.userId || req.user.id, role: req.user.role },
+      parseInt(req.params.id),
+      courseId ? parseInt(courseId) : null
+    );
+
+    await cacheService.invalidateLectureCache(parseInt(req.params.id));
+    res.json(result);
+  } catch (error) {
+    console.error('Set lecture course error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to change the lecture course'
+    });
+  }
+};
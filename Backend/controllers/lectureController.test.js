@@ -0,0 +1,86 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import db from '../utils/db.js';
+import enhancedIngestionService from '../services/enhancedIngestionService.js';
+import progressEventService from '../services/progressEventService.js';
+import { streamLectureEvents } from './lectureController.js';
+
+const original = {
+  query: db.query,
+  getProcessingStatus: enhancedIngestionService.getProcessingStatus
+};
+
+afterEach(() => {
+  db.query = original.query;
+  enhancedIngestionService.getProcessingStatus = original.getProcessingStatus;
+});
+
+const listeners = (lectureId) => progressEventService.emitter.listenerCount(`lecture:${lectureId}`);
+
+/**
+ * A response that records what the stream writes
+ */
+const response = () => ({
+  headersSent: false,
+  chunks: [],
+  ended: false,
+  writeHead() {
+    this.headersSent = true;
+  },
+  write(chunk) {
+    this.chunks.push(chunk);
+  },
+  end() {
+    this.ended = true;
+  }
+});
+
+test('a failed snapshot ends the stream and drops its subscription', async () => {
+  db.query = async () => ({ rows: [{ processing_status: 'processing' }] });
+  enhancedIngestionService.getProcessingStatus = async () => {
+    throw new Error('connection lost');
+  };
+  const consoleError = console.error;
+  console.error = () => {};
+
+  const res = response();
+  try {
+    await streamLectureEvents(Object.assign(new EventEmitter(), { params: { id: '41' } }), res);
+  } finally {
+    console.error = consoleError;
+  }
+
+  assert.equal(res.ended, true);
+  assert.equal(listeners(41), 0);
+});
+
+test('a client leaving during the snapshot is unsubscribed and gets no keep-alives', async () => {
+  const req = Object.assign(new EventEmitter(), { params: { id: '42' } });
+  db.query = async () => ({ rows: [{ processing_status: 'processing' }] });
+  enhancedIngestionService.getProcessingStatus = async () => {
+    assert.equal(listeners(42), 1);
+    req.emit('close');
+    return null;
+  };
+
+  const res = response();
+  await streamLectureEvents(req, res);
+
+  assert.equal(listeners(42), 0);
+  assert.equal(res.ended, false);
+});
+
+test('events reach the stream until the client closes it', async () => {
+  const req = Object.assign(new EventEmitter(), { params: { id: '43' } });
+  db.query = async () => ({ rows: [{ processing_status: 'processing' }] });
+  enhancedIngestionService.getProcessingStatus = async () => null;
+
+  const res = response();
+  await streamLectureEvents(req, res);
+  progressEventService.emitter.emit('lecture:43', { type: 'progress', data: { progress: 50 }, timestamp: 't' });
+  req.emit('close');
+
+  assert.match(res.chunks.at(-1), /event: progress\ndata: {"progress":50,"timestamp":"t"}/);
+  assert.equal(listeners(43), 0);
+});
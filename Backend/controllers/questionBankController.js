@@ -0,0 +1,100 @@
+import questionBankService from '../services/questionBankService.js';
+
+/**
+ * The requesting user; the routes only let teachers and admins through
+ * @returns {Object} - { userId, role }
+ */
+const currentUser = (req) => ({ userId: req.user.userId || req.user.id, role: req.user.role });
+
+/**
+ * Send a service error with its status
+ */
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({ error: error.message || message });
+};
+
+/**
+ * Search the question bank
+ * Query: tags (comma-separated, all must match), difficulty, type, lectureId, courseId, q, page, limit (max 100)
+ */
+export const listQuestions = async (req, res) => {
+  try {
+    const user = currentUser(req);
+
+    const { tags, difficulty, type, lectureId, courseId, q, page = 1, limit = 20 } = req.query;
+    const result = await questionBankService.listQuestions(user, {
+      tags: tags ? questionBankService.normalizeTags(tags) : [],
+      difficulty: difficulty || null,
+      type: type || null,
+      lectureId: lectureId ? parseInt(lectureId) : null,
+      courseId: courseId ? parseInt(courseId) : null,
+      q: q || null,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+    });
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to list question bank');
+  }
+};
+
+/**
+ * Save a new question
+ * Body: { question, tags?, difficulty?, lectureId?, courseId? }
+ */
+export const createQuestion = async (req, res) => {
+  try {
+    const user = currentUser(req);
+
+    const question = await questionBankService.createQuestion(user, req.body);
+    res.status(201).json({ question });
+  } catch (error) {
+    sendError(res, error, 'Failed to save question');
+  }
+};
+
+/**
+ * Save questions of a quiz
+ * Body: { indices?, tags?, difficulty? }
+ */
+export const saveFromQuiz = async (req, res) => {
+  try {
+    const user = currentUser(req);
+
+    const questions = await questionBankService.saveFromQuiz(user, parseInt(req.params.quizId), req.body);
+    res.status(201).json({ questions });
+  } catch (error) {
+    sendError(res, error, 'Failed to save quiz questions');
+  }
+};
+
+/**
+ * Update a question's content, tags or difficulty
+ * Body: { question?, tags?, difficulty? }
+ */
+export const updateQuestion = async (req, res) => {
+  try {
+    const user = currentUser(req);
+
+    const question = await questionBankService.updateQuestion(user, parseInt(req.params.id), req.body);
+    res.json({ question });
+  } catch (error) {
+    sendError(res, error, 'Failed to update question');
+  }
+};
+
+/**
+ * Delete a question
+ */
+export const deleteQuestion = async (req, res) => {
+  try {
+    const user = currentUser(req);
+
+    await questionBankService.deleteQuestion(user, parseInt(req.params.id));
+    res.json({ message: 'Question deleted' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete question');
+  }
+};
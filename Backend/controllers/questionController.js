@@ -0,0 +1,85 @@
+import db from '../utils/db.js';
+import questionAnswerService from '../services/questionAnswerService.js';
+
+/**
+ * Check the lecture exists or send 404
+ * @returns {Promise<boolean>} - Whether the lecture exists
+ */
+const lectureExists = async (id, res) => {
+  const result = await db.query('SELECT id FROM lectures WHERE id = $1', [id]);
+
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Lecture not found' });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Ask a question about a lecture
+ * Body: { question }
+ */
+export const askLecture = async (req, res) => {
+  try {
+    const lectureId = parseInt(req.params.id, 10);
+    if (!await lectureExists(lectureId, res)) return;
+
+    const turn = await questionAnswerService.ask(lectureId, req.user.userId || req.user.id, req.body.question);
+
+    res.json({
+      lectureId,
+      turn
+    });
+  } catch (error) {
+    console.error('Ask lecture error:', error);
+    res.status(error.status || (error.message === 'Circuit breaker is OPEN' ? 503 : 500)).json({
+      error: error.message || 'Failed to answer question'
+    });
+  }
+};
+
+/**
+ * Get the user's conversation about a lecture
+ */
+export const getAskHistory = async (req, res) => {
+  try {
+    const lectureId = parseInt(req.params.id, 10);
+    if (!await lectureExists(lectureId, res)) return;
+
+    const turns = await questionAnswerService.getHistory(lectureId, req.user.userId || req.user.id);
+
+    res.json({
+      lectureId,
+      turns,
+      totalTurns: turns.length
+    });
+  } catch (error) {
+    console.error('Get ask history error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to get conversation'
+    });
+  }
+};
+
+/**
+ * Clear the user's conversation about a lecture
+ */
+export const clearAskHistory = async (req, res) => {
+  try {
+    const lectureId = parseInt(req.params.id, 10);
+    if (!await lectureExists(lectureId, res)) return;
+
+    const deleted = await questionAnswerService.clearHistory(lectureId, req.user.userId || req.user.id);
+
+    res.json({
+      success: true,
+      deleted
+    });
+  } catch (error) {
+    console.error('Clear ask history error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to clear conversation'
+    });
+  }
+};
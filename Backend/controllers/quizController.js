@@ -1,5 +1,12 @@
 import pool from '../utils/db.js';
 import { generateQuiz as generateQuizService, calculateQuizScore } from '../services/quizService.js';
+import { listQuestionTypes, parseQuestionTypes } from '../services/quizTypes.js';
+import gradingService from '../services/gradingService.js';
+import quizEditorService from '../services/quizEditorService.js';
+import examService from '../services/examService.js';
+import learningPathService from '../services/learningPathService.js';
+import reportsService from '../services/reportsService.js';
+import { normalizeQuestionTimes } from '../services/itemAnalysis.js';
 import {
   generateCustomMessage,
   analyzeQuestionsByTopic,
@@ -141,7 +148,7 @@ function generateComprehensiveRecommendations(topicMastery, improvementMetrics,
 export const generateQuiz = async (req, res) => {
   try {
     const lectureId = req.params.id;
-    const { lang = 'en', difficulty = 'medium' } = req.body;
+    const { lang = 'en', difficulty = 'medium', question_types } = req.body;
 
     console.log(`[Quiz Generation] Starting quiz generation for lecture ${lectureId}`);
 
@@ -178,7 +185,7 @@ export const generateQuiz = async (req, res) => {
 
     // Call service to generate quiz via Gemini
     console.log('[Quiz Generation] Calling quiz generation service...');
-    const quizResult = await generateQuizService(lectureId, lang, difficulty);
+    const quizResult = await generateQuizService(lectureId, lang, difficulty, 10, parseQuestionTypes(question_types));
     console.log('[Quiz Generation] Service response:', quizResult);
 
     if (!quizResult.success) {
@@ -191,9 +198,10 @@ export const generateQuiz = async (req, res) => {
 
     // Fetch the newly generated quiz
     const quiz = (await pool.query(
-      `SELECT id, lecture_id, lang, difficulty, items_json, generated_at 
+      `SELECT id, lecture_id, lang, difficulty, items_json, version, validation, generated_at 
        FROM quizzes 
        WHERE lecture_id=$1 AND lang=$2 AND difficulty=$3 
+         AND NOT EXISTS (SELECT 1 FROM quiz_exams e WHERE e.quiz_id = quizzes.id)
        ORDER BY generated_at DESC 
        LIMIT 1`,
       [lectureId, lang, difficulty]
@@ -222,9 +230,12 @@ export const generateQuiz = async (req, res) => {
         lecture_id: quiz.lecture_id,
         lang: quiz.lang,
         difficulty: quiz.difficulty,
+        version: quiz.version,
         generated_at: quiz.generated_at,
         questions: questions.questions,
-        question_count: questions.questions.length
+        question_types: questions.questionTypes || ['mcq'],
+        question_count: questions.questions.length,
+        validation: quiz.validation
       });
     } catch (e) {
       console.error('[Quiz Generation] Error parsing quiz items_json:', e);
@@ -242,13 +253,22 @@ export const generateQuiz = async (req, res) => {
   }
 };
 
+/**
+ * List the quiz question types
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const getQuestionTypes = async (req, res) => {
+  res.json({ types: listQuestionTypes() });
+};
+
 export const submitQuizAttempt = async (req, res) => {
   try {
     console.log('[Quiz Submission] Starting quiz submission...');
     console.log('[Quiz Submission] Request body:', req.body);
     console.log('[Quiz Submission] User object:', req.user);
 
-    const { quiz_id, answers = {}, time_taken = 0, lecture_id } = req.body;
+    const { quiz_id, quiz_version, answers = {}, time_taken = 0, question_times = {} } = req.body;
     
     // Check if user is authenticated
     if (!req.user) {
@@ -270,33 +290,36 @@ export const submitQuizAttempt = async (req, res) => {
       return res.status(400).json({ error: 'User authentication required' });
     }
 
-    // Get the quiz questions to calculate accurate score
-    const quiz = await pool.query(
-      'SELECT * FROM quizzes WHERE id = $1',
-      [quiz_id]
+    // Quizzes of a course are only taken by its members, once their lecture is unlocked.
+    // Attempts count toward the quiz's own lecture, whatever the client sends
+    const lecture = await learningPathService.assertQuizOpen({ userId: user_id, role: req.user.role }, quiz_id);
+    const lecture_id = lecture.id;
+
+    // Exams are only submitted through their exam sessions
+    if (await examService.isExam(quiz_id)) {
+      return res.status(403).json({ error: 'This quiz is an exam; start an exam attempt to take it' });
+    }
+
+    // Score against the version the student took; edits save new versions
+    const quizVersion = await quizEditorService.getVersionQuestions(
+      quiz_id,
+      quiz_version !== undefined && quiz_version !== null ? parseInt(quiz_version) : null
     );
 
-    if (quiz.rows.length === 0) {
+    if (!quizVersion) {
       return res.status(404).json({ error: 'Quiz not found' });
     }
 
-    let quizQuestions = [];
-    try {
-      const quizData = typeof quiz.rows[0].items_json === 'string' 
-        ? JSON.parse(quiz.rows[0].items_json) 
-        : quiz.rows[0].items_json;
-      quizQuestions = quizData.questions || [];
-    } catch (e) {
-      console.error('Error parsing quiz questions:', e);
-      return res.status(500).json({ error: 'Invalid quiz data' });
-    }
+    const quizQuestions = quizVersion.questions;
 
     // Calculate comprehensive score and performance metrics
     console.log('[Quiz Submission] Calculating quiz score...');
     console.log('[Quiz Submission] Quiz questions count:', quizQuestions.length);
     console.log('[Quiz Submission] User answers:', answers);
     
-    const performance = calculateQuizScore(quizQuestions, answers);
+    // Short answers are graded against their rubric before scoring
+    const grading = await gradingService.gradeAttempt(quizQuestions, answers);
+    const performance = calculateQuizScore(quizQuestions, answers, grading);
     console.log('[Quiz Submission] Performance calculated:', performance);
 
     // Get previous attempts for comparison
@@ -357,6 +380,8 @@ export const submitQuizAttempt = async (req, res) => {
     const attemptData = {
       answers, 
       time_taken, 
+      question_times: normalizeQuestionTimes(question_times, quizQuestions.length),
+      grading,
       performance: {
         ...performance,
         topics: topicAnalysis
@@ -368,13 +393,14 @@ export const submitQuizAttempt = async (req, res) => {
     console.log('[Quiz Submission] Attempt data to store:', JSON.stringify(attemptData, null, 2));
     
     const result = await pool.query(
-      'INSERT INTO quiz_attempts(quiz_id, user_id, score, attempt_data, attempted_at) VALUES($1,$2,$3,$4,$5) RETURNING *',
+      'INSERT INTO quiz_attempts(quiz_id, user_id, score, attempt_data, attempted_at, quiz_version) VALUES($1,$2,$3,$4,$5,$6) RETURNING *',
       [
         quiz_id, 
         user_id, 
         performance.percentage, 
         JSON.stringify(attemptData),
-        new Date()
+        new Date(),
+        quizVersion.version
       ]
     );
     
@@ -398,6 +424,9 @@ export const submitQuizAttempt = async (req, res) => {
           })
         ]
       );
+
+      // A passing score can unlock the next lecture of a learning path
+      await reportsService.refreshLearningProgress(user_id, lecture_id);
     }
 
     // Generate response data
@@ -459,8 +488,8 @@ export const submitQuizAttempt = async (req, res) => {
   } catch (err) {
     console.error('[Quiz Submission] Quiz submission error:', err);
     console.error('[Quiz Submission] Error stack:', err.stack);
-    res.status(500).json({ 
-      error: 'Failed to submit quiz attempt',
+    res.status(err.status || 500).json({ 
+      error: err.status ? err.message : 'Failed to submit quiz attempt',
       details: err.message
     });
   }
@@ -0,0 +1,133 @@
+import quizEditorService from '../services/quizEditorService.js';
+
+/**
+ * The requesting user; the routes only let teachers and admins through
+ * @returns {Object} - { userId, role }
+ */
+const currentUser = (req) => ({ userId: req.user.userId || req.user.id, role: req.user.role });
+
+/**
+ * Send a service error with its status
+ */
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({ error: error.message || message });
+};
+
+/**
+ * Create a hand-written quiz
+ * Body: { lectureId, title?, lang?, difficulty?, questions?, bankQuestionIds? }
+ */
+export const createQuiz = async (req, res) => {
+  try {
+    const user = currentUser(req);
+
+    const quiz = await quizEditorService.createQuiz(user, req.body);
+    res.status(201).json({ quiz });
+  } catch (error) {
+    sendError(res, error, 'Failed to create quiz');
+  }
+};
+
+/**
+ * Get a quiz with answer keys for editing
+ */
+export const getQuizForEditing = async (req, res) => {
+  try {
+    const user = currentUser(req);
+
+    const quiz = await quizEditorService.getQuiz(parseInt(req.params.quizId), user);
+    res.json({ quiz });
+  } catch (error) {
+    sendError(res, error, 'Failed to get quiz');
+  }
+};
+
+/**
+ * Replace all questions
+ * Body: { questions, version? }
+ */
+export const replaceQuestions = async (req, res) => {
+  try {
+    const user = currentUser(req);
+
+    const quiz = await quizEditorService.replaceQuestions(parseInt(req.params.quizId), user, req.body);
+    res.json({ quiz });
+  } catch (error) {
+    sendError(res, error, 'Failed to update quiz');
+  }
+};
+
+/**
+ * Add a hand-written or question bank question
+ * Body: { question | bankQuestionId, position?, version? }
+ */
+export const addQuestion = async (req, res) => {
+  try {
+    const user = currentUser(req);
+
+    const quiz = await quizEditorService.addQuestion(parseInt(req.params.quizId), user, req.body);
+    res.status(201).json({ quiz });
+  } catch (error) {
+    sendError(res, error, 'Failed to add question');
+  }
+};
+
+/**
+ * Edit one question
+ * Body: { question, version? }
+ */
+export const updateQuestion = async (req, res) => {
+  try {
+    const user = currentUser(req);
+
+    const quiz = await quizEditorService.updateQuestion(parseInt(req.params.quizId), user, req.params.index, req.body);
+    res.json({ quiz });
+  } catch (error) {
+    sendError(res, error, 'Failed to update question');
+  }
+};
+
+/**
+ * Delete one question
+ * Query: version?
+ */
+export const deleteQuestion = async (req, res) => {
+  try {
+    const user = currentUser(req);
+
+    const quiz = await quizEditorService.deleteQuestion(parseInt(req.params.quizId), user, req.params.index, req.query.version);
+    res.json({ quiz });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete question');
+  }
+};
+
+/**
+ * Reorder the questions
+ * Body: { order, version? }
+ */
+export const reorderQuestions = async (req, res) => {
+  try {
+    const user = currentUser(req);
+
+    const quiz = await quizEditorService.reorderQuestions(parseInt(req.params.quizId), user, req.body);
+    res.json({ quiz });
+  } catch (error) {
+    sendError(res, error, 'Failed to reorder questions');
+  }
+};
+
+/**
+ * List a quiz's versions
+ */
+export const getQuizVersions = async (req, res) => {
+  try {
+    const user = currentUser(req);
+
+    const versions = await quizEditorService.listVersions(parseInt(req.params.quizId), user);
+    res.json({ versions });
+  } catch (error) {
+    sendError(res, error, 'Failed to list quiz versions');
+  }
+};
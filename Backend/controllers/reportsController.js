@@ -1,4 +1,33 @@
 import reportsService from '../services/reportsService.js';
+import courseService from '../services/courseService.js';
+import { hasPermission } from '../utils/permissions.js';
+
+/**
+ * Limit a report to what the requester may see: admins see everything,
+ * teachers and course staff the lectures they uploaded, teach or assist,
+ * and students only their own activity
+ * @param {Object} req - Request
+ * @param {Object} filters - Report filters
+ * @returns {Promise<Object>} - Filters with staffId or userId set
+ */
+const scopeFilters = async (req, filters) => {
+  const user = { userId: req.user.userId || req.user.id, role: req.user.role };
+  if (user.role === 'admin') {
+    return filters;
+  }
+  if (await courseService.isStaff(user)) {
+    return { ...filters, staffId: user.userId };
+  }
+  return { ...filters, userId: user.userId };
+};
+
+/**
+ * Course and section filters from the query string
+ */
+const courseFilters = (query) => ({
+  courseId: query.courseId ? parseInt(query.courseId) : undefined,
+  sectionId: query.sectionId ? parseInt(query.sectionId) : undefined
+});
 
 export const getEngagementReport = async (req, res) => {
   try {
@@ -10,13 +39,14 @@ export const getEngagementReport = async (req, res) => {
       groupBy = 'day'
     } = req.query;
 
-    const filters = {
+    const filters = await scopeFilters(req, {
       userId: userId ? parseInt(userId) : undefined,
       lectureId: lectureId ? parseInt(lectureId) : undefined,
+      ...courseFilters(req.query),
       startDate: startDate ? new Date(startDate) : undefined,
       endDate: endDate ? new Date(endDate) : undefined,
       groupBy
-    };
+    });
 
     const data = await reportsService.getEngagementAnalytics(filters);
 
@@ -44,12 +74,13 @@ export const getQuizReport = async (req, res) => {
       endDate
     } = req.query;
 
-    const filters = {
+    const filters = await scopeFilters(req, {
       userId: userId ? parseInt(userId) : undefined,
       lectureId: lectureId ? parseInt(lectureId) : undefined,
+      ...courseFilters(req.query),
       startDate: startDate ? new Date(startDate) : undefined,
       endDate: endDate ? new Date(endDate) : undefined
-    };
+    });
 
     const data = await reportsService.getQuizAnalytics(filters);
 
@@ -75,10 +106,11 @@ export const getLearningProgressReport = async (req, res) => {
       lectureId
     } = req.query;
 
-    const filters = {
+    const filters = await scopeFilters(req, {
       userId: userId ? parseInt(userId) : undefined,
-      lectureId: lectureId ? parseInt(lectureId) : undefined
-    };
+      lectureId: lectureId ? parseInt(lectureId) : undefined,
+      ...courseFilters(req.query)
+    });
 
     const data = await reportsService.getLearningProgress(filters);
 
@@ -108,10 +140,19 @@ export const getTopContentReport = async (req, res) => {
     const filters = {
       limit: parseInt(limit),
       metric,
-      period: parseInt(period)
+      period: parseInt(period),
+      courseId: req.query.courseId ? parseInt(req.query.courseId) : undefined
     };
 
-    const data = await reportsService.getTopContent(filters);
+    // Top content ranks lectures, so it is left to teachers, course staff and admins
+    const scoped = await scopeFilters(req, filters);
+    if (scoped.userId) {
+      return res.status(403).json({
+        error: 'Permission denied'
+      });
+    }
+
+    const data = await reportsService.getTopContent(scoped);
 
     res.json({
       success: true,
@@ -128,13 +169,57 @@ export const getTopContentReport = async (req, res) => {
   }
 };
 
+export const getQuizItemReport = async (req, res) => {
+  try {
+    const {
+      lectureId,
+      quizId,
+      version,
+      bankQuestionId,
+      flag,
+      flagged
+    } = req.query;
+
+    // Only teachers, course staff and admins can view item analysis, of the lectures they report on
+    const filters = await scopeFilters(req, {
+      lectureId: lectureId ? parseInt(lectureId) : undefined,
+      courseId: req.query.courseId ? parseInt(req.query.courseId) : undefined,
+      quizId: quizId ? parseInt(quizId) : undefined,
+      version: version ? parseInt(version) : undefined,
+      bankQuestionId: bankQuestionId ? parseInt(bankQuestionId) : undefined,
+      flag,
+      flaggedOnly: flagged === 'true'
+    });
+    if (filters.userId) {
+      return res.status(403).json({
+        error: 'Permission denied'
+      });
+    }
+
+    const data = await reportsService.getQuizItemAnalysis(filters);
+
+    res.json({
+      success: true,
+      data: data,
+      filters: filters,
+      total: data.length
+    });
+
+  } catch (error) {
+    console.error('Get quiz item report error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to generate quiz item report'
+    });
+  }
+};
+
 export const getUserPerformanceReport = async (req, res) => {
   try {
     const { id } = req.params;
     const { period = 30 } = req.query;
 
-    // Check if user exists and has permission to view
-    if (parseInt(id) !== req.user.id && req.user.role !== 'admin' && req.user.role !== 'teacher') {
+    // Users see their own report; teachers and admins anyone's
+    if (parseInt(id) !== (req.user.userId || req.user.id) && !hasPermission(req.user.role, 'reports:users')) {
       return res.status(403).json({
         error: 'Permission denied'
       });
@@ -161,20 +246,18 @@ export const getDashboardSummary = async (req, res) => {
   try {
     const { period = 7 } = req.query;
     const isAdmin = req.user.role === 'admin';
-    const isTeacher = req.user.role === 'teacher';
 
-    // Get different data based on user role
-    let filters = {};
-    if (!isAdmin && !isTeacher) {
-      // Students can only see their own data
-      filters.userId = req.user.id;
-    }
+    // Get different data based on user role: students only see their own data,
+    // teachers and course staff the lectures they report on
+    const filters = await scopeFilters(req, courseFilters(req.query));
+    const isTeacher = !isAdmin && !filters.userId;
 
     const [
       engagementData,
       quizData,
       topContent,
-      userPerformance
+      userPerformance,
+      flashcards
     ] = await Promise.all([
       reportsService.getEngagementAnalytics({
         ...filters,
@@ -189,9 +272,12 @@ export const getDashboardSummary = async (req, res) => {
       isAdmin || isTeacher ? reportsService.getTopContent({
         limit: 5,
         metric: 'views',
-        period: parseInt(period)
+        period: parseInt(period),
+        courseId: filters.courseId,
+        staffId: filters.staffId
       }) : Promise.resolve([]),
-      !isAdmin && !isTeacher ? reportsService.getUserPerformance(req.user.id, parseInt(period)) : Promise.resolve(null)
+      !isAdmin && !isTeacher ? reportsService.getUserPerformance(filters.userId, parseInt(period)) : Promise.resolve(null),
+      reportsService.getFlashcardSummary({ userId: req.user.userId || req.user.id, role: req.user.role })
     ]);
 
     // Calculate summary statistics
@@ -235,7 +321,8 @@ export const getDashboardSummary = async (req, res) => {
           timeline: quizData
         },
         topContent: topContent,
-        userPerformance: userPerformance
+        userPerformance: userPerformance,
+        flashcards: flashcards
       },
       period: parseInt(period),
       userRole: req.user.role
@@ -251,13 +338,6 @@ export const getDashboardSummary = async (req, res) => {
 
 export const getETLStatus = async (req, res) => {
   try {
-    // Only admins can view ETL status
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permission denied'
-      });
-    }
-
     const status = reportsService.getETLStatus();
 
     res.json({
@@ -275,13 +355,6 @@ export const getETLStatus = async (req, res) => {
 
 export const triggerETL = async (req, res) => {
   try {
-    // Only admins can trigger ETL
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Permission denied'
-      });
-    }
-
     await reportsService.triggerETL();
 
     res.json({
@@ -308,19 +381,20 @@ export const getAnalyticsExport = async (req, res) => {
       lectureId
     } = req.query;
 
-    // Check permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'teacher') {
-      return res.status(403).json({
-        error: 'Permission denied'
-      });
-    }
-
-    const filters = {
+    const filters = await scopeFilters(req, {
       userId: userId ? parseInt(userId) : undefined,
       lectureId: lectureId ? parseInt(lectureId) : undefined,
+      ...courseFilters(req.query),
       startDate: startDate ? new Date(startDate) : undefined,
       endDate: endDate ? new Date(endDate) : undefined
-    };
+    });
+
+    // Check permissions: exports are for teachers, course staff and admins
+    if (!filters.staffId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Permission denied'
+      });
+    }
 
     let data;
     switch (type) {
@@ -0,0 +1,83 @@
+import roleRequestService from '../services/roleRequestService.js';
+
+/**
+ * Send a service error with its status
+ */
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({ error: error.message || message });
+};
+
+/**
+ * Ask for the teacher or admin role
+ * Body: { role, reason? }
+ */
+export const requestRole = async (req, res) => {
+  try {
+    const request = await roleRequestService.requestRole(req.user.userId || req.user.id, req.body.role, req.body.reason);
+    res.status(201).json({ request });
+  } catch (error) {
+    sendError(res, error, 'Failed to request role');
+  }
+};
+
+/**
+ * The user's own role requests
+ */
+export const listMyRequests = async (req, res) => {
+  try {
+    const requests = await roleRequestService.listUserRequests(req.user.userId || req.user.id);
+    res.json({ requests });
+  } catch (error) {
+    sendError(res, error, 'Failed to list role requests');
+  }
+};
+
+/**
+ * Role requests to review (admins)
+ * Query: status? (pending by default)
+ */
+export const listRequests = async (req, res) => {
+  try {
+    const requests = await roleRequestService.listRequests({ status: req.query.status || 'pending' });
+    res.json({ requests });
+  } catch (error) {
+    sendError(res, error, 'Failed to list role requests');
+  }
+};
+
+/**
+ * Approve a request, giving the user the role (admins)
+ * Body: { note? }
+ */
+export const approveRequest = async (req, res) => {
+  try {
+    const request = await roleRequestService.reviewRequest(
+      { userId: req.user.userId || req.user.id },
+      parseInt(req.params.requestId),
+      true,
+      req.body.note
+    );
+    res.json({ request });
+  } catch (error) {
+    sendError(res, error, 'Failed to approve role request');
+  }
+};
+
+/**
+ * Reject a request (admins)
+ * Body: { note? }
+ */
+export const rejectRequest = async (req, res) => {
+  try {
+    const request = await roleRequestService.reviewRequest(
+      { userId: req.user.userId || req.user.id },
+      parseInt(req.params.requestId),
+      false,
+      req.body.note
+    );
+    res.json({ request });
+  } catch (error) {
+    sendError(res, error, 'Failed to reject role request');
+  }
+};
@@ -0,0 +1,60 @@
+import searchService from '../services/searchService.js';
+import courseService from '../services/courseService.js';
+
+/**
+ * Full-text search across transcripts, slides and summaries
+ * Query: q, lectureId?, sources? (comma-separated: transcript,slides,summary), lang?, page?, limit?
+ */
+export const searchContent = async (req, res) => {
+  try {
+    const { q, lectureId, lang, page = 1, limit = 20 } = req.query;
+    const queryText = typeof q === 'string' ? q.trim() : '';
+
+    if (!queryText) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
+    }
+
+    if (queryText.length > 200) {
+      return res.status(400).json({ error: 'Search query must be at most 200 characters' });
+    }
+
+    const sources = req.query.sources
+      ? String(req.query.sources).split(',').map(source => source.trim())
+      : searchService.getSources();
+
+    const unknownSources = sources.filter(source => !searchService.getSources().includes(source));
+    if (unknownSources.length > 0) {
+      return res.status(400).json({
+        error: `Unknown sources: ${unknownSources.join(', ')}. Use ${searchService.getSources().join(', ')}`
+      });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 50);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+    const { hits, total } = await searchService.search(queryText, {
+      lectureId: lectureId ? parseInt(lectureId, 10) || null : null,
+      viewerId: courseService.scopeUserId({ userId: req.user.userId || req.user.id, role: req.user.role }),
+      sources,
+      lang: lang || null,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    res.json({
+      query: queryText,
+      hits,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      error: error.message || 'Search failed'
+    });
+  }
+};
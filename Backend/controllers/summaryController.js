@@ -1,11 +1,19 @@
 import pool from '../utils/db.js';
 import { generateSummary as generateSummaryService } from '../services/summarizationService.js';
+import { listSummaryStyles } from '../services/summaryStyles.js';
+
+/**
+ * List the summary styles clients can request
+ */
+export const getSummaryStyles = (req, res) => {
+  res.json({ styles: listSummaryStyles() });
+};
 
 /**
  * Get summaries for a lecture
  * Query params:
  *   lang = language code ('en', 'hi', etc.)
- *   style = 'concise', 'detailed', 'exam-prep'
+ *   style = a style from GET /api/summaries/styles ('concise', 'cornell', 'glossary', ...)
  */
 export const getSummary = async (req, res) => {
   try {
@@ -21,18 +29,13 @@ export const getSummary = async (req, res) => {
 
     if (existingSummary) return res.json(existingSummary);
 
-    // If not, generate via Gemini
-    await generateSummaryService(lectureId, lang, style);
-
-    const newSummary = (await pool.query(
-      'SELECT * FROM summaries WHERE lecture_id=$1 AND lang=$2 AND style=$3 AND summary_type=$4',
-      [lectureId, lang, style, 'session']
-    )).rows[0];
+    // If not, summarize the transcript windows and combine them
+    const result = await generateSummaryService(lectureId, lang, style);
 
-    res.json(newSummary);
+    res.json(result.summary);
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: 'Failed to fetch or generate summary' });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to fetch or generate summary' });
   }
 };
 
@@ -44,16 +47,11 @@ export const regenerateSummary = async (req, res) => {
     const lectureId = req.params.id;
     const { lang, style } = req.body;
 
-    await generateSummaryService(lectureId, lang, style);
-
-    const updatedSummary = (await pool.query(
-      'SELECT * FROM summaries WHERE lecture_id=$1 AND lang=$2 AND style=$3 AND summary_type=$4',
-      [lectureId, lang, style, 'session']
-    )).rows[0];
+    const result = await generateSummaryService(lectureId, lang, style);
 
-    res.json(updatedSummary);
+    res.json(result.summary);
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: 'Failed to regenerate summary' });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to regenerate summary' });
   }
 };
@@ -0,0 +1,197 @@
+import db from '../utils/db.js';
+import transcriptService from '../services/transcriptService.js';
+import captionService from '../services/captionService.js';
+import retrievalService from '../services/retrievalService.js';
+
+/**
+ * Load a lecture or send 404
+ * @returns {Promise<Object|null>} - Lecture row
+ */
+const findLecture = async (id, res) => {
+  const result = await db.query('SELECT id, title, language, uploader_id FROM lectures WHERE id = $1', [id]);
+
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Lecture not found' });
+    return null;
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Get timestamped transcript segments for a lecture
+ */
+export const getTranscript = async (req, res) => {
+  try {
+    const lecture = await findLecture(req.params.id, res);
+    if (!lecture) return;
+
+    const segments = await transcriptService.getSegments(lecture.id);
+
+    res.json({
+      lectureId: lecture.id,
+      language: lecture.language,
+      segments,
+      totalSegments: segments.length,
+      duration: segments.length > 0 ? segments[segments.length - 1].end_ts : 0
+    });
+  } catch (error) {
+    console.error('Get transcript error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to get transcript'
+    });
+  }
+};
+
+/**
+ * Correct segment text or speaker labels (uploader or admin only)
+ * Body: { segments: [{ id, text?, speaker?, version? }] }
+ */
+export const updateTranscript = async (req, res) => {
+  try {
+    const lecture = await findLecture(req.params.id, res);
+    if (!lecture) return;
+
+    const userId = req.user.userId || req.user.id;
+    if (lecture.uploader_id !== userId && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only the uploader can edit this transcript' });
+    }
+
+    const updated = await transcriptService.updateSegments(lecture.id, userId, req.body.segments);
+
+    // Refresh retrieval passages for the edited segments without delaying the response
+    if (updated.length > 0 && retrievalService.isAvailable()) {
+      retrievalService.indexLecture(lecture.id, { chunkIds: updated.map(segment => segment.id) })
+        .catch(error => console.warn('Failed to re-embed edited transcript segments:', error.message));
+    }
+
+    res.json({
+      success: true,
+      updated,
+      updatedCount: updated.length
+    });
+  } catch (error) {
+    console.error('Update transcript error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to update transcript'
+    });
+  }
+};
+
+/**
+ * Get the edit history of a transcript
+ * Query: segmentId (optional)
+ */
+export const getTranscriptHistory = async (req, res) => {
+  try {
+    const lecture = await findLecture(req.params.id, res);
+    if (!lecture) return;
+
+    const segmentId = req.query.segmentId ? parseInt(req.query.segmentId, 10) : null;
+    if (req.query.segmentId && !Number.isInteger(segmentId)) {
+      return res.status(400).json({ error: 'segmentId must be a number' });
+    }
+
+    const revisions = await transcriptService.getHistory(lecture.id, segmentId);
+
+    res.json({
+      lectureId: lecture.id,
+      revisions,
+      totalRevisions: revisions.length
+    });
+  } catch (error) {
+    console.error('Get transcript history error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to get transcript history'
+    });
+  }
+};
+
+/**
+ * Download the transcript
+ * Query: format = vtt | srt | txt | json (default vtt)
+ */
+export const exportTranscript = async (req, res) => {
+  try {
+    const { format = 'vtt' } = req.query;
+    const exportFormat = transcriptService.getExportFormat(format);
+
+    if (!exportFormat) {
+      return res.status(400).json({ error: 'format must be one of vtt, srt, txt, json' });
+    }
+
+    const lecture = await findLecture(req.params.id, res);
+    if (!lecture) return;
+
+    const segments = await transcriptService.getSegments(lecture.id);
+    if (segments.length === 0) {
+      return res.status(404).json({ error: 'Transcript not available for this lecture' });
+    }
+
+    res.setHeader('Content-Type', exportFormat.contentType);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="lecture-${lecture.id}-transcript.${exportFormat.extension}"`
+    );
+    res.send(transcriptService.exportSegments(segments, format, lecture));
+  } catch (error) {
+    console.error('Export transcript error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to export transcript'
+    });
+  }
+};
+
+/**
+ * List caption tracks for the lecture player
+ */
+export const getCaptionTracks = async (req, res) => {
+  try {
+    const lecture = await findLecture(req.params.id, res);
+    if (!lecture) return;
+
+    const segments = await transcriptService.getSegments(lecture.id);
+
+    res.json({
+      lectureId: lecture.id,
+      available: segments.length > 0,
+      tracks: captionService.getTracks(lecture)
+    });
+  } catch (error) {
+    console.error('Get caption tracks error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to get caption tracks'
+    });
+  }
+};
+
+/**
+ * Get a WebVTT caption track, translated into the requested language
+ */
+export const getCaptionTrack = async (req, res) => {
+  try {
+    const { lang } = req.params;
+
+    if (!captionService.getLanguages()[lang]) {
+      return res.status(400).json({
+        error: `Captions are available in: ${Object.keys(captionService.getLanguages()).join(', ')}`
+      });
+    }
+
+    const lecture = await findLecture(req.params.id, res);
+    if (!lecture) return;
+
+    const vtt = await captionService.getTrack(lecture, lang);
+    if (!vtt) {
+      return res.status(404).json({ error: 'Transcript not available for this lecture' });
+    }
+
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.send(vtt);
+  } catch (error) {
+    console.error('Get caption track error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to get caption track'
+    });
+  }
+};
@@ -0,0 +1,92 @@
+import chunkedUploadService from '../services/chunkedUploadService.js';
+
+/**
+ * Start a chunked upload
+ * Body: { fieldName: 'video'|'ppt', fileName, mimeType, totalSize, chunkSize? }
+ */
+export const initUpload = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const session = await chunkedUploadService.createSession(userId, req.body);
+
+    res.status(201).json({ success: true, upload: session });
+  } catch (error) {
+    console.error('Init upload error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to start upload'
+    });
+  }
+};
+
+/**
+ * Get received chunks so an interrupted upload can resume
+ */
+export const getUploadStatus = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const session = await chunkedUploadService.getSession(req.params.uploadId, userId);
+
+    res.json({ success: true, upload: chunkedUploadService.formatSession(session) });
+  } catch (error) {
+    console.error('Get upload status error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to get upload status'
+    });
+  }
+};
+
+/**
+ * Store one chunk
+ * Body: raw bytes (application/octet-stream)
+ * Headers: X-Chunk-Checksum = hex SHA-256 of the chunk
+ */
+export const uploadChunk = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const index = parseInt(req.params.index, 10);
+
+    const session = await chunkedUploadService.appendChunk(
+      req.params.uploadId,
+      userId,
+      index,
+      req.body,
+      req.get('X-Chunk-Checksum')
+    );
+
+    res.json({
+      success: true,
+      chunkIndex: index,
+      receivedCount: session.receivedChunks.length,
+      totalChunks: session.totalChunks
+    });
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to store chunk'
+    });
+  }
+};
+
+/**
+ * Assemble finished uploads into req.files so the regular upload
+ * validation and lecture ingestion can run unchanged
+ * Body: { videoUploadId, pptUploadId?, title, description, language, course_id? }
+ */
+export const assembleChunkedUpload = async (req, res, next) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { videoUploadId, pptUploadId } = req.body;
+
+    if (!videoUploadId) {
+      return res.status(400).json({ error: 'videoUploadId is required' });
+    }
+
+    req.files = await chunkedUploadService.assembleAll({ video: videoUploadId, ppt: pptUploadId }, userId);
+    next();
+  } catch (error) {
+    console.error('Assemble upload error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to assemble upload'
+    });
+  }
+};
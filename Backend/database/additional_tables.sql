@@ -58,7 +58,7 @@ CREATE TABLE IF NOT EXISTS learning_progress (
     first_viewed_at TIMESTAMP,
     last_viewed_at TIMESTAMP,
     total_sessions INT DEFAULT 0,
-    completion_percentage DECIMAL(5,2) DEFAULT 0,
+    completion_percentage DECIMAL(5,2) DEFAULT 0, -- furthest share watched, from 'lecture.progress' events
     has_completed_quiz BOOLEAN DEFAULT FALSE,
     best_quiz_score DECIMAL(5,2) DEFAULT 0,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
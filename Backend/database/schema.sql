@@ -14,7 +14,7 @@ CREATE TABLE IF NOT EXISTS lectures (
     id SERIAL PRIMARY KEY,
     title VARCHAR(200) NOT NULL,
     description TEXT,
-    course_id INT,  -- optional if linked to course table
+    course_id INT,  -- courses.id; lectures without a course are visible to everyone
     uploader_id INT REFERENCES users(id) ON DELETE SET NULL,
     video_path TEXT NOT NULL,   -- path to local video file
     ppt_path TEXT,              -- path to local PPT file
@@ -33,17 +33,22 @@ CREATE TABLE IF NOT EXISTS transcript_chunks (
     speaker VARCHAR(50),     -- optional speaker diarization
     text TEXT NOT NULL,
     confidence DECIMAL(3,2), -- transcription confidence score
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    version INT DEFAULT 1,   -- incremented on every manual edit
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE TABLE IF NOT EXISTS summaries (
     id SERIAL PRIMARY KEY,
     lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
     lang VARCHAR(10) NOT NULL,   -- e.g. 'en', 'hi', 'mr'
-    style VARCHAR(50) CHECK (style IN ('concise','detailed','exam-prep')) DEFAULT 'concise',
+    style VARCHAR(50) CHECK (style IN ('concise','detailed','exam-prep','cornell','glossary','mind-map','outline')) DEFAULT 'concise',  -- see services/summaryStyles.js
     content_md TEXT NOT NULL,   -- store as Markdown
+    content_json JSONB,         -- same content with timestamps and slide references
     summary_type VARCHAR(20) CHECK (summary_type IN ('chunk','session')) DEFAULT 'session',
     source_chunks JSONB,        -- IDs of transcript_chunks used
+    start_ts INT,               -- time range covered, in seconds
+    end_ts INT,
     gemini_model VARCHAR(50),
     generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -53,17 +58,33 @@ CREATE TABLE IF NOT EXISTS quizzes (
     lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
     lang VARCHAR(10) NOT NULL,
     difficulty VARCHAR(20) CHECK (difficulty IN ('easy','medium','hard')) DEFAULT 'medium',
-    items_json JSONB NOT NULL,  -- full quiz structure {questions:[{q,options[],correct,...}]}
+    items_json JSONB NOT NULL,  -- full quiz structure {questions:[{type,question,correct,...}], questionTypes}, see services/quizTypes.js
     gemini_model VARCHAR(50),
+    version INT NOT NULL DEFAULT 1,        -- bumped by every teacher edit
+    title VARCHAR(255),
+    source VARCHAR(20) NOT NULL DEFAULT 'ai',  -- 'ai' or 'teacher'
+    created_by INT REFERENCES users(id) ON DELETE SET NULL,
+    validation JSONB,                      -- checks of generated questions {requested, accepted, complete, rounds, issues}
     generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Question lists of earlier quiz versions, so attempts are scored against what was taken
+CREATE TABLE IF NOT EXISTS quiz_versions (
+    quiz_id INT REFERENCES quizzes(id) ON DELETE CASCADE,
+    version INT NOT NULL,
+    items_json JSONB NOT NULL,
+    edited_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (quiz_id, version)
+);
+
 CREATE TABLE IF NOT EXISTS quiz_attempts (
     id SERIAL PRIMARY KEY,
     quiz_id INT REFERENCES quizzes(id) ON DELETE CASCADE,
     user_id INT REFERENCES users(id) ON DELETE CASCADE,
     score DECIMAL(5,2),
     attempt_data JSONB,   -- store answers, time_taken, etc.
+    quiz_version INT NOT NULL DEFAULT 1,
     attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -85,6 +106,267 @@ CREATE TABLE IF NOT EXISTS api_cache (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Background processing jobs (ingestion pipeline)
+CREATE TABLE IF NOT EXISTS processing_jobs (
+    id SERIAL PRIMARY KEY,
+    lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
+    job_type VARCHAR(30) NOT NULL DEFAULT 'ingest',
+    status VARCHAR(20) CHECK (status IN ('queued','running','completed','failed')) DEFAULT 'queued',
+    current_stage VARCHAR(30),
+    completed_stages JSONB DEFAULT '[]',  -- e.g. ["extract_audio","transcribe"]
+    stage_data JSONB DEFAULT '{}',        -- per-stage output used when resuming
+    payload JSONB,
+    progress INT DEFAULT 0,
+    attempts INT DEFAULT 0,
+    max_attempts INT DEFAULT 3,
+    error TEXT,
+    worker_id VARCHAR(100),
+    heartbeat_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- Resumable chunked uploads
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    field_name VARCHAR(20) NOT NULL,     -- 'video' or 'ppt'
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    total_size BIGINT NOT NULL,
+    chunk_size INT NOT NULL,
+    total_chunks INT NOT NULL,
+    received_chunks JSONB DEFAULT '{}',  -- {"0":"<sha256>","1":"<sha256>"}
+    status VARCHAR(20) CHECK (status IN ('uploading','assembled')) DEFAULT 'uploading',
+    file_path TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+-- Manual transcript corrections, one row per new segment version
+CREATE TABLE IF NOT EXISTS transcript_revisions (
+    id SERIAL PRIMARY KEY,
+    chunk_id INT REFERENCES transcript_chunks(id) ON DELETE CASCADE,
+    lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
+    version INT NOT NULL,
+    text TEXT NOT NULL,
+    speaker VARCHAR(50),
+    previous_text TEXT NOT NULL,
+    previous_speaker VARCHAR(50),
+    edited_by INT REFERENCES users(id) ON DELETE SET NULL,
+    edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Embedded transcript and slide passages for retrieval. Vectors are REAL[]
+-- so pgvector is optional; with it installed they are ranked in SQL.
+CREATE TABLE IF NOT EXISTS lecture_embeddings (
+    id SERIAL PRIMARY KEY,
+    lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('transcript', 'slide')),
+    chunk_id INT REFERENCES transcript_chunks(id) ON DELETE CASCADE,
+    slide_number INT,
+    start_ts INT,
+    end_ts INT,
+    content TEXT NOT NULL,
+    embedding REAL[] NOT NULL,
+    model VARCHAR(100) NOT NULL,        -- vectors from different models are not comparable
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- "Ask the lecture" conversations, one row per question and answer
+CREATE TABLE IF NOT EXISTS lecture_questions (
+    id SERIAL PRIMARY KEY,
+    lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    question TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    citations JSONB DEFAULT '[]',        -- [{"index":1,"source":"transcript","timestamp":750,...}]
+    model VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Flashcard decks generated per lecture, and each user's SM-2 review state
+CREATE TABLE IF NOT EXISTS flashcard_decks (
+    id SERIAL PRIMARY KEY,
+    lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
+    lang VARCHAR(10) NOT NULL DEFAULT 'en',
+    model VARCHAR(50),
+    generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (lecture_id, lang)
+);
+
+CREATE TABLE IF NOT EXISTS flashcards (
+    id SERIAL PRIMARY KEY,
+    deck_id INT REFERENCES flashcard_decks(id) ON DELETE CASCADE,
+    position INT NOT NULL,
+    front TEXT NOT NULL,
+    back TEXT NOT NULL,
+    start_ts INT,                        -- where in the lecture the fact comes from
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS flashcard_reviews (
+    card_id INT REFERENCES flashcards(id) ON DELETE CASCADE,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    ease_factor REAL NOT NULL DEFAULT 2.5,
+    interval_days INT NOT NULL DEFAULT 0,
+    repetitions INT NOT NULL DEFAULT 0,  -- successful reviews in a row
+    lapses INT NOT NULL DEFAULT 0,
+    last_grade INT,                      -- 0 (forgot) to 5 (perfect)
+    review_count INT NOT NULL DEFAULT 0,
+    due_at TIMESTAMP NOT NULL,
+    last_reviewed_at TIMESTAMP,
+    PRIMARY KEY (card_id, user_id)
+);
+
+-- Teachers' reusable quiz questions, copied into quizzes when picked
+CREATE TABLE IF NOT EXISTS question_bank (
+    id SERIAL PRIMARY KEY,
+    owner_id INT REFERENCES users(id) ON DELETE CASCADE,
+    course_id INT,                       -- shared with the course staff; NULL keeps it with its owner
+    lecture_id INT REFERENCES lectures(id) ON DELETE SET NULL,
+    question_type VARCHAR(20) NOT NULL,
+    question JSONB NOT NULL,             -- stored question, see services/quizTypes.js
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    difficulty VARCHAR(20) CHECK (difficulty IN ('easy','medium','hard')) DEFAULT 'medium',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Adaptive quiz sessions (state holds the answers and current question)
+CREATE TABLE IF NOT EXISTS adaptive_quiz_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
+    lang VARCHAR(10) NOT NULL DEFAULT 'en',
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active','completed')),
+    ability REAL NOT NULL DEFAULT 0,
+    standard_error REAL NOT NULL DEFAULT 1,
+    mastery REAL,
+    state JSONB NOT NULL,
+    result JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- Item analysis per question of each quiz version (refreshed by the reports ETL)
+CREATE TABLE IF NOT EXISTS quiz_item_stats (
+    id SERIAL PRIMARY KEY,
+    quiz_id INT REFERENCES quizzes(id) ON DELETE CASCADE,
+    quiz_version INT NOT NULL,
+    question_index INT NOT NULL,
+    question_type VARCHAR(20),
+    bank_question_id INT,
+    responses INT DEFAULT 0,
+    p_value DECIMAL(5,2),
+    discrimination DECIMAL(5,2),
+    flags TEXT[] NOT NULL DEFAULT '{}',
+    stats JSONB NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(quiz_id, quiz_version, question_index)
+);
+
+-- Exam settings of quizzes taken as timed exams
+CREATE TABLE IF NOT EXISTS quiz_exams (
+    quiz_id INT PRIMARY KEY REFERENCES quizzes(id) ON DELETE CASCADE,
+    time_limit_minutes INT CHECK (time_limit_minutes > 0),
+    opens_at TIMESTAMP,
+    closes_at TIMESTAMP,
+    max_attempts INT CHECK (max_attempts > 0),
+    shuffle_questions BOOLEAN NOT NULL DEFAULT TRUE,
+    shuffle_options BOOLEAN NOT NULL DEFAULT TRUE,
+    score_policy VARCHAR(10) NOT NULL DEFAULT 'best' CHECK (score_policy IN ('best','last','average')),
+    updated_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Exam attempts with their deadline and the order each student was shown
+CREATE TABLE IF NOT EXISTS exam_sessions (
+    id SERIAL PRIMARY KEY,
+    quiz_id INT REFERENCES quizzes(id) ON DELETE CASCADE,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    quiz_version INT NOT NULL,
+    attempt_number INT NOT NULL,
+    seed VARCHAR(16) NOT NULL,
+    shuffle JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active','submitted','expired')),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deadline_at TIMESTAMP,
+    submitted_at TIMESTAMP,
+    attempt_id INT REFERENCES quiz_attempts(id) ON DELETE SET NULL,
+    UNIQUE(quiz_id, user_id, attempt_number)
+);
+
+-- Courses; members join with the course's or a section's invite code
+CREATE TABLE IF NOT EXISTS courses (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(200) NOT NULL,
+    code VARCHAR(50),
+    description TEXT,
+    invite_code VARCHAR(16) UNIQUE NOT NULL,
+    created_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS course_sections (
+    id SERIAL PRIMARY KEY,
+    course_id INT REFERENCES courses(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    invite_code VARCHAR(16) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(course_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS course_members (
+    course_id INT REFERENCES courses(id) ON DELETE CASCADE,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'student' CHECK (role IN ('student','ta','teacher')),
+    section_id INT REFERENCES course_sections(id) ON DELETE SET NULL,
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (course_id, user_id)
+);
+
+-- Ordered modules of a course; rules are described in services/learningPath.js
+CREATE TABLE IF NOT EXISTS course_modules (
+    id SERIAL PRIMARY KEY,
+    course_id INT REFERENCES courses(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    position INT NOT NULL DEFAULT 0,
+    unlock_rule JSONB NOT NULL DEFAULT '{"type":"none"}',  -- gates the module on the previous one
+    lecture_rule JSONB NOT NULL DEFAULT '{"type":"none"}', -- gates each lecture on the previous one
+    completion_rule JSONB NOT NULL DEFAULT '{}',           -- { minProgress, minQuizScore }
+    prerequisites JSONB NOT NULL DEFAULT '[]',             -- IDs of modules to complete first
+    created_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS module_lectures (
+    module_id INT REFERENCES course_modules(id) ON DELETE CASCADE,
+    lecture_id INT UNIQUE REFERENCES lectures(id) ON DELETE CASCADE,
+    position INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (module_id, lecture_id)
+);
+
+-- Requests for the teacher or admin role; an admin's approval changes users.role
+CREATE TABLE IF NOT EXISTS role_requests (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    requested_role VARCHAR(20) NOT NULL CHECK (requested_role IN ('teacher','admin')),
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','approved','rejected')),
+    reviewed_by INT REFERENCES users(id) ON DELETE SET NULL,
+    review_note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at TIMESTAMP
+);
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_lectures_uploader ON lectures(uploader_id);
 CREATE INDEX IF NOT EXISTS idx_transcript_chunks_lecture ON transcript_chunks(lecture_id);
@@ -94,3 +376,26 @@ CREATE INDEX IF NOT EXISTS idx_events_user_lecture ON events(user_id, lecture_id
 CREATE INDEX IF NOT EXISTS idx_events_type_created ON events(event_type, created_at);
 CREATE INDEX IF NOT EXISTS idx_api_cache_key ON api_cache(cache_key);
 CREATE INDEX IF NOT EXISTS idx_api_cache_expires ON api_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_status_created ON processing_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_lecture ON processing_jobs(lecture_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires ON upload_sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_transcript_revisions_chunk ON transcript_revisions(chunk_id, version);
+CREATE INDEX IF NOT EXISTS idx_lecture_embeddings_lecture ON lecture_embeddings(lecture_id, model);
+CREATE INDEX IF NOT EXISTS idx_lecture_questions_user ON lecture_questions(lecture_id, user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_flashcards_deck ON flashcards(deck_id, position);
+CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_due ON flashcard_reviews(user_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_question_bank_owner ON question_bank(owner_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_question_bank_course ON question_bank(course_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_question_bank_tags ON question_bank USING GIN(tags);
+CREATE INDEX IF NOT EXISTS idx_adaptive_sessions_user ON adaptive_quiz_sessions(user_id, lecture_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_quiz_item_stats_bank ON quiz_item_stats(bank_question_id);
+CREATE INDEX IF NOT EXISTS idx_exam_sessions_user ON exam_sessions(user_id, quiz_id);
+CREATE INDEX IF NOT EXISTS idx_course_members_user ON course_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_lectures_course ON lectures(course_id);
+CREATE INDEX IF NOT EXISTS idx_course_modules_course ON course_modules(course_id, position);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_role_requests_pending ON role_requests(user_id) WHERE status = 'pending';
+
+-- Full-text search (the configuration must match services/searchService.js)
+CREATE INDEX IF NOT EXISTS idx_transcript_chunks_fts ON transcript_chunks USING GIN (to_tsvector('english', text));
+CREATE INDEX IF NOT EXISTS idx_lectures_ppt_fts ON lectures USING GIN (jsonb_to_tsvector('english', COALESCE(ppt_content -> 'slides', '[]'::jsonb), '["string"]'));
+CREATE INDEX IF NOT EXISTS idx_summaries_fts ON summaries USING GIN (to_tsvector('english', content_md));
@@ -1,16 +1,69 @@
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import pool from '../utils/db.js';
+import { hasPermission } from '../utils/permissions.js';
 dotenv.config();
 
-export const authenticate = (req, res, next) => {
-  const token = req.headers['authorization']?.split(' ')[1];
+/**
+ * Decode a token; tokens issued without a role count as a student's
+ * @param {string} token - JWT
+ * @returns {Object} - { userId, email, role }
+ */
+const verifyToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  return { ...decoded, role: decoded.role || 'student' };
+};
+
+/**
+ * Decode a token and take the role from the user row, so approved or revoked
+ * roles apply to tokens that are still valid
+ * @param {string} token - JWT
+ * @returns {Promise<Object|null>} - { userId, email, role }, or null if the user no longer exists
+ */
+const loadUser = async (token) => {
+  const user = verifyToken(token);
+  const result = await pool.query('SELECT role FROM users WHERE id = $1', [user.userId || user.id]);
+  if (result.rows.length === 0) return null;
+  return { ...user, role: result.rows[0].role || 'student' };
+};
+
+/**
+ * Answer with 401 for bad tokens and unknown users, 500 if the user could not be loaded
+ */
+const authenticateToken = async (token, req, res, next) => {
   if (!token) return res.status(401).json({ message: 'No token provided' });
 
+  let user;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    user = await loadUser(token);
   } catch (err) {
-    res.status(401).json({ message: 'Invalid token' });
+    if (err instanceof jwt.JsonWebTokenError) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+    console.error('Authentication error:', err);
+    return res.status(500).json({ message: 'Failed to authenticate' });
+  }
+  if (!user) return res.status(401).json({ message: 'User not found' });
+
+  req.user = user;
+  next();
+};
+
+export const authenticate = (req, res, next) =>
+  authenticateToken(req.headers['authorization']?.split(' ')[1], req, res, next);
+
+// EventSource cannot send headers, so event streams may pass the token as a query parameter
+export const authenticateEventStream = (req, res, next) =>
+  authenticateToken(req.headers['authorization']?.split(' ')[1] || req.query.token, req, res, next);
+
+/**
+ * Only let users whose role grants the permission through (see utils/permissions.js).
+ * Runs after authentication
+ * @param {string} permission - Permission the route needs
+ */
+export const authorize = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ error: 'Permission denied', permission });
   }
+  next();
 };
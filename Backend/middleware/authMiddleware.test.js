@@ -0,0 +1,128 @@
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import pool from '../utils/db.js';
+import { authenticate, authenticateEventStream, authorize } from './authMiddleware.js';
+
+const originalQuery = pool.query;
+
+before(() => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+});
+
+afterEach(() => {
+  pool.query = originalQuery;
+});
+
+const sign = (payload, options = {}) => jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h', ...options });
+
+/**
+ * Run a middleware and report whether it called next and what it answered
+ */
+const run = async (middleware, req) => {
+  const response = { status: 200, body: null, next: false };
+  const res = {
+    status(code) {
+      response.status = code;
+      return this;
+    },
+    json(body) {
+      response.body = body;
+      return this;
+    }
+  };
+  req.headers = req.headers || {};
+  req.query = req.query || {};
+  await middleware(req, res, () => {
+    response.next = true;
+  });
+  return response;
+};
+
+const withRoles = (roles) => {
+  pool.query = async (sql, [userId]) => ({ rows: userId in roles ? [{ role: roles[userId] }] : [] });
+};
+
+test('the role comes from the user row, not the token', async () => {
+  withRoles({ 7: 'teacher' });
+  const req = { headers: { authorization: `Bearer ${sign({ userId: 7, email: 'a@b.c', role: 'student' })}` } };
+
+  const response = await run(authenticate, req);
+
+  assert.equal(response.next, true);
+  assert.equal(req.user.userId, 7);
+  assert.equal(req.user.role, 'teacher');
+});
+
+test('a revoked role stops working before the token expires', async () => {
+  withRoles({ 7: 'student' });
+  const req = { headers: { authorization: `Bearer ${sign({ userId: 7, role: 'admin' })}` } };
+
+  await run(authenticate, req);
+  const response = await run(authorize('etl:manage'), req);
+
+  assert.equal(response.next, false);
+  assert.equal(response.status, 403);
+  assert.equal(response.body.permission, 'etl:manage');
+});
+
+test('users without a role count as students', async () => {
+  withRoles({ 7: null });
+  const req = { headers: { authorization: `Bearer ${sign({ userId: 7 })}` } };
+
+  await run(authenticate, req);
+  assert.equal(req.user.role, 'student');
+});
+
+test('tokens of deleted users are refused', async () => {
+  withRoles({});
+  const response = await run(authenticate, { headers: { authorization: `Bearer ${sign({ userId: 7, role: 'admin' })}` } });
+
+  assert.equal(response.next, false);
+  assert.equal(response.status, 401);
+});
+
+test('missing, forged and expired tokens are refused without a lookup', async () => {
+  let lookups = 0;
+  pool.query = async () => {
+    lookups++;
+    return { rows: [{ role: 'admin' }] };
+  };
+
+  const tokens = [
+    undefined,
+    jwt.sign({ userId: 7 }, 'another-secret'),
+    jwt.sign({ userId: 7, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET)
+  ];
+  for (const token of tokens) {
+    const response = await run(authenticate, { headers: token ? { authorization: `Bearer ${token}` } : {} });
+    assert.equal(response.next, false);
+    assert.equal(response.status, 401);
+  }
+  assert.equal(lookups, 0);
+});
+
+test('a failed lookup answers 500', async () => {
+  pool.query = async () => {
+    throw new Error('connection lost');
+  };
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    const response = await run(authenticate, { headers: { authorization: `Bearer ${sign({ userId: 7 })}` } });
+    assert.equal(response.next, false);
+    assert.equal(response.status, 500);
+  } finally {
+    console.error = consoleError;
+  }
+});
+
+test('event streams accept the token as a query parameter', async () => {
+  withRoles({ 7: 'teacher' });
+  const req = { query: { token: sign({ userId: 7, role: 'student' }) } };
+
+  const response = await run(authenticateEventStream, req);
+
+  assert.equal(response.next, true);
+  assert.equal(req.user.role, 'teacher');
+});
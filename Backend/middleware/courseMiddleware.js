@@ -0,0 +1,20 @@
+import learningPathService from '../services/learningPathService.js';
+
+/**
+ * Only let members of a lecture's course (and its uploader and admins) through,
+ * and hold students back from lectures their learning path has not unlocked.
+ * Lectures without a course are open to everyone. Runs after authentication.
+ * @param {string} param - Route parameter holding the lecture ID
+ */
+export const requireLectureAccess = (param = 'id') => async (req, res, next) => {
+  try {
+    const user = { userId: req.user.userId || req.user.id, role: req.user.role };
+    await learningPathService.assertLectureOpen(user, parseInt(req.params[param]));
+    next();
+  } catch (error) {
+    if (!error.status) {
+      console.error('Lecture access check error:', error);
+    }
+    res.status(error.status || 500).json({ error: error.message || 'Failed to check lecture access' });
+  }
+};
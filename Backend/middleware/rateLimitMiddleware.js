@@ -36,6 +36,18 @@ export const uploadRateLimit = rateLimit({
   legacyHeaders: false,
 });
 
+// Chunked uploads send one request per chunk, so they get a much higher ceiling
+export const uploadChunkRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3000, // limit each IP to 3000 chunk requests per windowMs
+  message: {
+    error: 'Too many upload chunk requests, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 export const aiServiceRateLimit = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 50, // limit each IP to 50 AI service requests per hour
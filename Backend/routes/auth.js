@@ -1,5 +1,6 @@
 import express from 'express';
-import { signup, login } from '../controllers/authController.js';
+import { signup, login, getCurrentUser } from '../controllers/authController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
 import { authRateLimit } from '../middleware/rateLimitMiddleware.js';
 
 const router = express.Router();
@@ -8,4 +9,7 @@ const router = express.Router();
 router.post('/signup', authRateLimit, signup);
 router.post('/login', authRateLimit, login);
 
+// The signed-in user with a fresh token, picking up role changes
+router.get('/me', authenticate, getCurrentUser);
+
 export default router;
@@ -0,0 +1,64 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import { generalRateLimit } from '../middleware/rateLimitMiddleware.js';
+import {
+  listCourses,
+  createCourse,
+  getCourse,
+  updateCourse,
+  resetInviteCode,
+  joinCourse,
+  listMembers,
+  updateMember,
+  removeMember,
+  createSection,
+  deleteSection
+} from '../controllers/courseController.js';
+import {
+  listModules,
+  createModule,
+  updateModule,
+  deleteModule,
+  reorderModules,
+  getLearnerPath
+} from '../controllers/learningPathController.js';
+
+const router = express.Router();
+
+// Apply general rate limiting to all routes
+router.use(generalRateLimit);
+
+// List the user's courses, or create one
+router.get('/', authenticate, listCourses);
+router.post('/', authenticate, authorize('courses:create'), createCourse);
+
+// Join a course with an invite code
+router.post('/join', authenticate, joinCourse);
+
+// Get or change a course
+router.get('/:courseId', authenticate, getCourse);
+router.patch('/:courseId', authenticate, updateCourse);
+
+// Replace the course's or a section's invite code
+router.post('/:courseId/invite-code', authenticate, resetInviteCode);
+
+// Course members: list, change role or section, remove (or leave)
+router.get('/:courseId/members', authenticate, listMembers);
+router.patch('/:courseId/members/:userId', authenticate, updateMember);
+router.delete('/:courseId/members/:userId', authenticate, removeMember);
+
+// Sections
+router.post('/:courseId/sections', authenticate, createSection);
+router.delete('/:courseId/sections/:sectionId', authenticate, deleteSection);
+
+// Ordered modules with unlock and completion rules
+router.get('/:courseId/modules', authenticate, listModules);
+router.post('/:courseId/modules', authenticate, createModule);
+router.put('/:courseId/modules/order', authenticate, reorderModules);
+router.patch('/:courseId/modules/:moduleId', authenticate, updateModule);
+router.delete('/:courseId/modules/:moduleId', authenticate, deleteModule);
+
+// The learner's path through the modules
+router.get('/:courseId/path', authenticate, getLearnerPath);
+
+export default router;
@@ -1,7 +1,7 @@
 import express from 'express';
-import { authenticate } from '../middleware/authMiddleware.js';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
 import { logEvent } from '../controllers/eventController.js';
 const router = express.Router();
 
-router.post('/', authenticate, logEvent);
+router.post('/', authenticate, authorize('lectures:read'), logEvent);
 export default router;
@@ -0,0 +1,44 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import { requireLectureAccess } from '../middleware/courseMiddleware.js';
+import {
+  generalRateLimit,
+  aiServiceRateLimit,
+  userAIServiceRateLimit
+} from '../middleware/rateLimitMiddleware.js';
+import {
+  listDecks,
+  getReviewQueue,
+  getLectureDeck,
+  generateLectureDeck,
+  reviewCard
+} from '../controllers/flashcardController.js';
+
+const router = express.Router();
+
+// Apply general rate limiting to all routes
+router.use(generalRateLimit);
+
+// Decks with due and new counts, and today's workload
+router.get('/', authenticate, authorize('lectures:read'), listDecks);
+
+// Cards due for review, then unseen cards
+router.get('/review', authenticate, authorize('lectures:read'), getReviewQueue);
+
+// A lecture's deck
+router.get('/lectures/:lectureId', authenticate, authorize('lectures:read'), requireLectureAccess('lectureId'), getLectureDeck);
+
+// Generate a lecture's deck from its transcript and quiz explanations
+router.post('/lectures/:lectureId/generate',
+  authenticate,
+  authorize('lectures:read'),
+  requireLectureAccess('lectureId'),
+  aiServiceRateLimit,
+  userAIServiceRateLimit,
+  generateLectureDeck
+);
+
+// Grade a card and schedule its next review
+router.post('/cards/:cardId/review', authenticate, authorize('lectures:read'), reviewCard);
+
+export default router;
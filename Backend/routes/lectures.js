@@ -1,7 +1,8 @@
 import express from 'express';
 import upload, { validateFileSize, validateFileContent, cleanupOnError } from '../utils/multer.js';
-import { authenticate } from '../middleware/authMiddleware.js';
+import { authenticate, authenticateEventStream, authorize } from '../middleware/authMiddleware.js';
 import xapiMiddleware from '../middleware/xapiMiddleware.js';
+import { requireLectureAccess } from '../middleware/courseMiddleware.js';
 import {
   generalRateLimit,
   uploadRateLimit,
@@ -16,9 +17,24 @@ import {
   getLectureSummary,
   getLectureQuiz,
   getProcessingStatus,
+  streamLectureEvents,
   reprocessLecture,
-  deleteLecture
+  deleteLecture,
+  setLectureCourse
 } from '../controllers/lectureController.js';
+import {
+  getTranscript,
+  updateTranscript,
+  getTranscriptHistory,
+  exportTranscript,
+  getCaptionTracks,
+  getCaptionTrack
+} from '../controllers/transcriptController.js';
+import {
+  askLecture,
+  getAskHistory,
+  clearAskHistory
+} from '../controllers/questionController.js';
 
 const router = express.Router();
 
@@ -32,6 +48,7 @@ router.use(xapiMiddleware.middleware());
 router.post('/upload', 
   uploadRateLimit, // IP-based upload rate limiting
   authenticate, 
+  authorize('lectures:upload'),
   userUploadRateLimit, // User-based upload rate limiting
   upload.fields([
     { name: 'video', maxCount: 1 },
@@ -44,14 +61,16 @@ router.post('/upload',
 );
 
 // Get all lectures with pagination and filtering
-router.get('/', authenticate, getLectures);
+router.get('/', authenticate, authorize('lectures:read'), getLectures);
 
 // Get specific lecture by ID
-router.get('/:id', authenticate, getLectureById);
+router.get('/:id', authenticate, authorize('lectures:read'), requireLectureAccess(), getLectureById);
 
 // Get lecture summary with language and style options
 router.get('/:id/summary', 
   authenticate, 
+  authorize('lectures:read'),
+  requireLectureAccess(),
   aiServiceRateLimit, // IP-based AI service rate limiting
   userAIServiceRateLimit, // User-based AI service rate limiting
   getLectureSummary
@@ -60,23 +79,71 @@ router.get('/:id/summary',
 // Get lecture quiz with language and difficulty options
 router.get('/:id/quiz', 
   authenticate, 
+  authorize('lectures:read'),
+  requireLectureAccess(),
   aiServiceRateLimit, // IP-based AI service rate limiting
   userAIServiceRateLimit, // User-based AI service rate limiting
   getLectureQuiz
 );
 
+// Get timestamped transcript segments
+router.get('/:id/transcript', authenticate, authorize('lectures:read'), requireLectureAccess(), getTranscript);
+
+// Correct transcript text or speaker labels (uploader or admin)
+router.patch('/:id/transcript', authenticate, authorize('lectures:manage'), updateTranscript);
+
+// Get transcript edit history
+router.get('/:id/transcript/history', authenticate, authorize('lectures:read'), requireLectureAccess(), getTranscriptHistory);
+
+// Export transcript as WebVTT, SRT, plain text or JSON
+router.get('/:id/transcript/export', authenticate, authorize('lectures:read'), requireLectureAccess(), exportTranscript);
+
+// List caption tracks (en/hi/mr)
+router.get('/:id/captions', authenticate, authorize('lectures:read'), requireLectureAccess(), getCaptionTracks);
+
+// Get a WebVTT caption track; other languages are translated from the transcript
+router.get('/:id/captions/:lang',
+  authenticate,
+  authorize('lectures:read'),
+  requireLectureAccess(),
+  aiServiceRateLimit, // IP-based AI service rate limiting
+  userAIServiceRateLimit, // User-based AI service rate limiting
+  getCaptionTrack
+);
+
+// Ask a question answered from the lecture's transcript and slides, with citations
+router.post('/:id/ask',
+  authenticate,
+  authorize('lectures:read'),
+  requireLectureAccess(),
+  aiServiceRateLimit, // IP-based AI service rate limiting
+  userAIServiceRateLimit, // User-based AI service rate limiting
+  askLecture
+);
+
+// Get or clear the user's conversation about the lecture
+router.get('/:id/ask/history', authenticate, authorize('lectures:read'), requireLectureAccess(), getAskHistory);
+router.delete('/:id/ask/history', authenticate, authorize('lectures:read'), requireLectureAccess(), clearAskHistory);
+
 // Get processing status for a lecture
-router.get('/:id/status', authenticate, getProcessingStatus);
+router.get('/:id/status', authenticate, authorize('lectures:read'), requireLectureAccess(), getProcessingStatus);
+
+// Stream processing progress as Server-Sent Events
+router.get('/:id/events', authenticateEventStream, authorize('lectures:read'), requireLectureAccess(), streamLectureEvents);
 
 // Reprocess lecture with new options
 router.post('/:id/reprocess', 
   authenticate, 
+  authorize('lectures:manage'),
   aiServiceRateLimit, // IP-based AI service rate limiting
   userAIServiceRateLimit, // User-based AI service rate limiting
   reprocessLecture
 );
 
+// Move the lecture into a course or out of one (uploader or admin; must teach the course)
+router.put('/:id/course', authenticate, authorize('lectures:manage'), setLectureCourse);
+
 // Delete lecture (only uploader or admin)
-router.delete('/:id', authenticate, deleteLecture);
+router.delete('/:id', authenticate, authorize('lectures:manage'), deleteLecture);
 
 export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import { generalRateLimit } from '../middleware/rateLimitMiddleware.js';
+import {
+  listQuestions,
+  createQuestion,
+  saveFromQuiz,
+  updateQuestion,
+  deleteQuestion
+} from '../controllers/questionBankController.js';
+
+const router = express.Router();
+
+// Apply general rate limiting to all routes
+router.use(generalRateLimit);
+
+// Search the user's own and their courses' questions by tag, difficulty, type, lecture or text
+router.get('/', authenticate, authorize('questionBank:use'), listQuestions);
+
+// Save a hand-written question
+router.post('/', authenticate, authorize('questionBank:use'), createQuestion);
+
+// Save questions of an existing quiz
+router.post('/from-quiz/:quizId', authenticate, authorize('questionBank:use'), saveFromQuiz);
+
+router.patch('/:id', authenticate, authorize('questionBank:use'), updateQuestion);
+router.delete('/:id', authenticate, authorize('questionBank:use'), deleteQuestion);
+
+export default router;
@@ -1,16 +1,69 @@
 import express from 'express';
-import { authenticate } from '../middleware/authMiddleware.js';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import { requireLectureAccess } from '../middleware/courseMiddleware.js';
 import { 
   generateQuiz, 
+  getQuestionTypes,
   submitQuizAttempt, 
   getQuizAttempts, 
   getQuizPerformanceReport 
 } from '../controllers/quizController.js';
+import { getReviewQueue, overrideGrade } from '../controllers/gradingController.js';
+import { startAdaptiveQuiz, getAdaptiveQuiz, answerAdaptiveQuiz } from '../controllers/adaptiveQuizController.js';
+import {
+  listExams,
+  getExam,
+  saveExamSettings,
+  removeExamSettings,
+  startExam,
+  getExamSession,
+  submitExam
+} from '../controllers/examController.js';
+import {
+  createQuiz,
+  getQuizForEditing,
+  replaceQuestions,
+  addQuestion,
+  updateQuestion,
+  deleteQuestion,
+  reorderQuestions,
+  getQuizVersions
+} from '../controllers/quizEditorController.js';
 
 const router = express.Router();
-router.post('/:id/generate', authenticate, generateQuiz);
-router.post('/submit', authenticate, submitQuizAttempt);
-router.get('/:quizId/attempts', authenticate, getQuizAttempts);
-router.get('/performance/:lectureId', authenticate, getQuizPerformanceReport);
+router.get('/types', authenticate, authorize('quizzes:take'), getQuestionTypes);
+router.post('/:id/generate', authenticate, authorize('quizzes:take'), requireLectureAccess(), generateQuiz);
+router.post('/submit', authenticate, authorize('quizzes:take'), submitQuizAttempt);
+router.get('/:quizId/attempts', authenticate, authorize('quizzes:take'), getQuizAttempts);
+router.get('/performance/:lectureId', authenticate, authorize('quizzes:take'), requireLectureAccess('lectureId'), getQuizPerformanceReport);
+
+// Teacher review of AI-graded short answers; course TAs grade too, so the
+// service checks course roles rather than a permission
+router.get('/grading/review', authenticate, getReviewQueue);
+router.patch('/attempts/:attemptId/grades/:questionIndex', authenticate, overrideGrade);
+
+// Adaptive quizzes: one question at a time, difficulty following the student
+router.post('/adaptive', authenticate, authorize('quizzes:take'), startAdaptiveQuiz);
+router.get('/adaptive/:sessionId', authenticate, authorize('quizzes:take'), getAdaptiveQuiz);
+router.post('/adaptive/:sessionId/answers', authenticate, authorize('quizzes:take'), answerAdaptiveQuiz);
+
+// Exams: timed, shuffled per student, with limited attempts
+router.get('/exams', authenticate, authorize('quizzes:take'), listExams);
+router.get('/exams/sessions/:sessionId', authenticate, authorize('quizzes:take'), getExamSession);
+router.post('/exams/sessions/:sessionId/submit', authenticate, authorize('quizzes:take'), submitExam);
+router.get('/:quizId/exam', authenticate, authorize('quizzes:take'), getExam);
+router.put('/:quizId/exam', authenticate, authorize('exams:manage'), saveExamSettings);
+router.delete('/:quizId/exam', authenticate, authorize('exams:manage'), removeExamSettings);
+router.post('/:quizId/exam/start', authenticate, authorize('quizzes:take'), startExam);
+
+// Teacher quiz editor; every edit saves a new version
+router.post('/', authenticate, authorize('quizzes:edit'), createQuiz);
+router.get('/:quizId', authenticate, authorize('quizzes:edit'), getQuizForEditing);
+router.get('/:quizId/versions', authenticate, authorize('quizzes:edit'), getQuizVersions);
+router.put('/:quizId/questions', authenticate, authorize('quizzes:edit'), replaceQuestions);
+router.post('/:quizId/questions', authenticate, authorize('quizzes:edit'), addQuestion);
+router.put('/:quizId/order', authenticate, authorize('quizzes:edit'), reorderQuestions);
+router.patch('/:quizId/questions/:index', authenticate, authorize('quizzes:edit'), updateQuestion);
+router.delete('/:quizId/questions/:index', authenticate, authorize('quizzes:edit'), deleteQuestion);
 
 export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticate } from '../middleware/authMiddleware.js';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
 import { reportsRateLimit } from '../middleware/rateLimitMiddleware.js';
 import {
   getEngagementReport,
@@ -7,19 +7,23 @@ import {
   getLearningProgressReport,
   getTopContentReport,
   getUserPerformanceReport,
+  getQuizItemReport,
   getDashboardSummary,
   getETLStatus,
   triggerETL,
   getAnalyticsExport
 } from '../controllers/reportsController.js';
+import * as performanceAnalysisService from '../services/performanceAnalysisService.js';
 
 const router = express.Router();
 
 // Apply reports-specific rate limiting
 router.use(reportsRateLimit);
 
-// All routes require authentication
+// All routes require authentication and the reports permission; reports are
+// scoped to what the user may see
 router.use(authenticate);
+router.use(authorize('reports:view'));
 
 // Dashboard summary - role-based data
 router.get('/dashboard', getDashboardSummary);
@@ -27,7 +31,7 @@ router.get('/dashboard', getDashboardSummary);
 // Get detailed performance analysis
 router.get('/performance-analysis', async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.userId || req.user.id;
     const analysis = await performanceAnalysisService.getUserPerformanceAnalysis(userId);
     res.json(analysis);
   } catch (error) {
@@ -42,6 +46,9 @@ router.get('/engagement', getEngagementReport);
 // Quiz performance analytics
 router.get('/quiz-performance', getQuizReport);
 
+// Item analysis of quiz questions (teachers and admins)
+router.get('/quiz-items', getQuizItemReport);
+
 // Learning progress analytics
 router.get('/learning-progress', getLearningProgressReport);
 
@@ -55,7 +62,7 @@ router.get('/users/:id/performance', getUserPerformanceReport);
 router.get('/export', getAnalyticsExport);
 
 // ETL management (admin only)
-router.get('/etl/status', getETLStatus);
-router.post('/etl/trigger', triggerETL);
+router.get('/etl/status', authorize('etl:manage'), getETLStatus);
+router.post('/etl/trigger', authorize('etl:manage'), triggerETL);
 
 export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import { generalRateLimit } from '../middleware/rateLimitMiddleware.js';
+import {
+  requestRole,
+  listMyRequests,
+  listRequests,
+  approveRequest,
+  rejectRequest
+} from '../controllers/roleRequestController.js';
+
+const router = express.Router();
+
+// Apply general rate limiting to all routes
+router.use(generalRateLimit);
+
+// Ask for an elevated role, or see the user's own requests
+router.post('/', authenticate, requestRole);
+router.get('/mine', authenticate, listMyRequests);
+
+// Admin review of pending requests
+router.get('/', authenticate, authorize('roles:approve'), listRequests);
+router.post('/:requestId/approve', authenticate, authorize('roles:approve'), approveRequest);
+router.post('/:requestId/reject', authenticate, authorize('roles:approve'), rejectRequest);
+
+export default router;
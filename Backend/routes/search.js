@@ -0,0 +1,14 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import { generalRateLimit } from '../middleware/rateLimitMiddleware.js';
+import { searchContent } from '../controllers/searchController.js';
+
+const router = express.Router();
+
+// Apply general rate limiting to all routes
+router.use(generalRateLimit);
+
+// Search transcripts, slides and summaries
+router.get('/', authenticate, authorize('lectures:read'), searchContent);
+
+export default router;
@@ -1,9 +1,11 @@
 import express from 'express';
-import { authenticate } from '../middleware/authMiddleware.js';
-import { getSummary, regenerateSummary } from '../controllers/summaryController.js';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import { requireLectureAccess } from '../middleware/courseMiddleware.js';
+import { getSummary, getSummaryStyles, regenerateSummary } from '../controllers/summaryController.js';
 
 const router = express.Router();
-router.get('/:id', authenticate, getSummary);
-router.post('/:id/regenerate', authenticate, regenerateSummary);
+router.get('/styles', authenticate, authorize('lectures:read'), getSummaryStyles);
+router.get('/:id', authenticate, authorize('lectures:read'), requireLectureAccess(), getSummary);
+router.post('/:id/regenerate', authenticate, authorize('lectures:manage'), requireLectureAccess(), regenerateSummary);
 
 export default router;
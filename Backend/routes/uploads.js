@@ -0,0 +1,52 @@
+import express from 'express';
+import { validateFileSize, validateFileContent, cleanupOnError } from '../utils/multer.js';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import xapiMiddleware from '../middleware/xapiMiddleware.js';
+import {
+  generalRateLimit,
+  uploadRateLimit,
+  uploadChunkRateLimit,
+  userUploadRateLimit
+} from '../middleware/rateLimitMiddleware.js';
+import {
+  initUpload,
+  getUploadStatus,
+  uploadChunk,
+  assembleChunkedUpload
+} from '../controllers/uploadController.js';
+import { uploadLecture } from '../controllers/lectureController.js';
+
+const router = express.Router();
+
+// Apply xAPI middleware to all routes
+router.use(xapiMiddleware.middleware());
+
+// Start a chunked upload for a video or presentation
+router.post('/', generalRateLimit, authenticate, authorize('lectures:upload'), initUpload);
+
+// Assemble uploaded files and create the lecture
+router.post('/complete',
+  uploadRateLimit, // IP-based upload rate limiting
+  authenticate,
+  authorize('lectures:upload'),
+  userUploadRateLimit, // User-based upload rate limiting
+  assembleChunkedUpload,
+  validateFileSize, // Validate file sizes per field
+  validateFileContent, // Validate file content/signatures
+  uploadLecture,
+  cleanupOnError // Cleanup files on error
+);
+
+// Get received chunks to resume an interrupted upload
+router.get('/:uploadId', generalRateLimit, authenticate, authorize('lectures:upload'), getUploadStatus);
+
+// Upload a single chunk (raw bytes with X-Chunk-Checksum header)
+router.put('/:uploadId/chunks/:index',
+  uploadChunkRateLimit,
+  authenticate,
+  authorize('lectures:upload'),
+  express.raw({ type: 'application/octet-stream', limit: '51mb' }),
+  uploadChunk
+);
+
+export default router;
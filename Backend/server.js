@@ -5,12 +5,35 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import authRoutes from './routes/auth.js';
 import lectureRoutes from './routes/lectures.js';
+import uploadRoutes from './routes/uploads.js';
 import summaryRoutes from './routes/summaries.js';
 import quizRoutes from './routes/quizzes.js';
 import eventRoutes from './routes/events.js';
 import reportsRoutes from './routes/reports.js';
+import searchRoutes from './routes/search.js';
+import flashcardRoutes from './routes/flashcards.js';
+import questionBankRoutes from './routes/questionBank.js';
+import courseRoutes from './routes/courses.js';
+import roleRequestRoutes from './routes/roleRequests.js';
 import cacheService from './services/cacheService.js';
 import reportsService from './services/reportsService.js';
+import jobQueueService from './services/jobQueueService.js';
+import progressEventService from './services/progressEventService.js';
+import chunkedUploadService from './services/chunkedUploadService.js';
+import transcriptService from './services/transcriptService.js';
+import searchService from './services/searchService.js';
+import retrievalService from './services/retrievalService.js';
+import questionAnswerService from './services/questionAnswerService.js';
+import flashcardService from './services/flashcardService.js';
+import quizEditorService from './services/quizEditorService.js';
+import questionBankService from './services/questionBankService.js';
+import adaptiveQuizService from './services/adaptiveQuizService.js';
+import examService from './services/examService.js';
+import courseService from './services/courseService.js';
+import learningPathService from './services/learningPathService.js';
+import roleRequestService from './services/roleRequestService.js';
+import { createSummaryColumns } from './services/summarizationService.js';
+import { createQuizColumns } from './services/quizService.js';
 import { createRateLimitTable, cleanupRateLimitEntries } from './middleware/rateLimitMiddleware.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -29,11 +52,18 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // API Routes
 app.use('/api/auth', authRoutes);
+// Chunked uploads are mounted before lectures so they skip its general rate limit
+app.use('/api/lectures/uploads', uploadRoutes);
 app.use('/api/lectures', lectureRoutes);
 app.use('/api/summaries', summaryRoutes);
 app.use('/api/quizzes', quizRoutes);
 app.use('/api/xapi', eventRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/flashcards', flashcardRoutes);
+app.use('/api/question-bank', questionBankRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/role-requests', roleRequestRoutes);
 
 // Health check endpoints
 import { getHealthStatus, getDetailedHealth } from './controllers/healthController.js';
@@ -66,8 +96,32 @@ const startServer = async () => {
   try {
     // Initialize database tables
     await createRateLimitTable();
+    await jobQueueService.createJobTable();
+    await chunkedUploadService.createUploadTable();
+    await transcriptService.createTranscriptTables();
+    await createSummaryColumns();
+    await createQuizColumns();
+    await searchService.createSearchIndexes();
+    await retrievalService.createEmbeddingTable();
+    await questionAnswerService.createQuestionTable();
+    await flashcardService.createFlashcardTables();
+    await quizEditorService.createQuizEditorTables();
+    await questionBankService.createQuestionBankTable();
+    await adaptiveQuizService.createAdaptiveTables();
+    await examService.createExamTables();
+    await courseService.createCourseTables();
+    await learningPathService.createModuleTables();
+    await roleRequestService.createRoleRequestTable();
+    await reportsService.createItemStatsTable();
     console.log('Database tables initialized');
     
+    // Progress events are shared between instances through LISTEN/NOTIFY
+    await progressEventService.startListener();
+
+    // Requeue jobs whose worker stopped sending heartbeats, then start the ingestion worker
+    await jobQueueService.recoverOrphanedJobs();
+    jobQueueService.start();
+    
     // Start cache cleanup scheduler
     cacheService.startCleanupScheduler();
     
@@ -76,6 +130,11 @@ const startServer = async () => {
       await cleanupRateLimitEntries();
     }, 6 * 60 * 60 * 1000);
     
+    // Remove abandoned chunked uploads (runs every hour)
+    setInterval(async () => {
+      await chunkedUploadService.cleanupExpiredSessions();
+    }, 60 * 60 * 1000);
+    
     // Reports service ETL scheduler is started automatically in constructor
     console.log('Background services initialized');
     
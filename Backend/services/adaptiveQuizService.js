@@ -0,0 +1,453 @@
+import db from '../utils/db.js';
+import gradingService from './gradingService.js';
+import { generateQuiz, normalizeLanguage } from './quizService.js';
+import { parseQuestionTypes, isAnswered, scoreAnswer, describeAnswer, foldText } from './quizTypes.js';
+import { getLectureQuizHistory } from './performanceAnalysisService.js';
+import { extractTopicFromQuestion } from '../utils/quizUtils.js';
+import {
+  DIFFICULTY_LEVELS,
+  abilityFromScore,
+  estimateAbility,
+  masteryRange,
+  nextDifficulty
+} from '../utils/abilityEstimate.js';
+import { createError } from '../utils/httpError.js';
+
+/**
+ * Adaptive quizzes serve a lecture's quiz questions one at a time. After each
+ * answer the student's ability is re-estimated (utils/abilityEstimate.js) and
+ * the next question is the difficulty closest to it, on the topic the student
+ * is weakest at. The starting estimate comes from their earlier attempts in
+ * quiz_attempts. A session ends once mastery is known closely enough, or
+ * after a maximum number of questions.
+ *
+ * Sessions are stored in adaptive_quiz_sessions with state:
+ *   { prior: { ability, standardError, attempts }, historyTopics, questionTypes,
+ *     responses: [{ quizId, version, index, difficulty, topic, question, answer, credit, grading, answeredAt }],
+ *     current: { quizId, version, index, difficulty, topic, question, askedAt } | null }
+ */
+class AdaptiveQuizService {
+  constructor() {
+    this.minQuestions = 5;
+    this.maxQuestions = parseInt(process.env.ADAPTIVE_MAX_QUESTIONS, 10) || 15;
+    this.masteryThreshold = parseFloat(process.env.ADAPTIVE_MASTERY_THRESHOLD) || 0.8;
+    this.targetStandardError = 0.6; // ability units; about ±0.15 mastery around 0.5
+    this.questionsPerLevel = 5; // generated for a difficulty the lecture has no quiz at
+  }
+
+  /**
+   * Create the adaptive session table
+   */
+  async createAdaptiveTables() {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS adaptive_quiz_sessions (
+          id SERIAL PRIMARY KEY,
+          user_id INT REFERENCES users(id) ON DELETE CASCADE,
+          lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
+          lang VARCHAR(10) NOT NULL DEFAULT 'en',
+          status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active','completed')),
+          ability REAL NOT NULL DEFAULT 0,
+          standard_error REAL NOT NULL DEFAULT 1,
+          mastery REAL,
+          state JSONB NOT NULL,
+          result JSONB,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          completed_at TIMESTAMP
+        )
+      `);
+
+      await db.query('CREATE INDEX IF NOT EXISTS idx_adaptive_sessions_user ON adaptive_quiz_sessions(user_id, lecture_id, created_at DESC)');
+
+      console.log('Adaptive quiz tables created successfully');
+    } catch (error) {
+      console.error('Failed to create adaptive quiz tables:', error);
+    }
+  }
+
+  /**
+   * Start an adaptive quiz on a lecture. Difficulties the lecture has no quiz
+   * at are generated first.
+   * @param {number} userId - Student
+   * @param {Object} options - { lectureId, lang, questionTypes }
+   * @returns {Promise<Object>} - Session with its first question
+   */
+  async startSession(userId, { lectureId, lang = 'en', questionTypes } = {}) {
+    const lecture = (await db.query('SELECT id FROM lectures WHERE id = $1', [lectureId])).rows[0];
+    if (!lecture) {
+      throw createError(404, 'Lecture not found');
+    }
+
+    const language = normalizeLanguage(lang);
+    const types = parseQuestionTypes(questionTypes);
+    const pool = await this.loadPool(lecture.id, language, types, { generateMissing: true });
+    if (pool.length === 0) {
+      throw createError(404, 'No quiz questions are available for this lecture');
+    }
+
+    const history = await getLectureQuizHistory(userId, lecture.id);
+    const prior = this.priorFromHistory(history.attempts);
+
+    const state = {
+      prior,
+      historyTopics: history.topics,
+      questionTypes: types,
+      responses: [],
+      current: null
+    };
+    state.current = this.pickQuestion(pool, state, prior.ability);
+
+    const result = await db.query(`
+      INSERT INTO adaptive_quiz_sessions (user_id, lecture_id, lang, ability, standard_error, mastery, state)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [userId, lecture.id, language, prior.ability, prior.standardError, masteryRange(prior).mastery, JSON.stringify(state)]);
+
+    return this.formatSession(result.rows[0]);
+  }
+
+  /**
+   * Get a session with its current question
+   * @param {number} userId - Student
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<Object>} - Session
+   */
+  async getSession(userId, sessionId) {
+    const row = (await db.query(
+      'SELECT * FROM adaptive_quiz_sessions WHERE id = $1 AND user_id = $2',
+      [sessionId, userId]
+    )).rows[0];
+
+    if (!row) {
+      throw createError(404, 'Adaptive quiz not found');
+    }
+    return this.formatSession(row);
+  }
+
+  /**
+   * Answer the current question, re-estimate ability, and serve the next
+   * question or finish the session
+   * @param {number} userId - Student
+   * @param {number} sessionId - Session ID
+   * @param {*} answer - Answer in the question type's shape
+   * @returns {Promise<Object>} - { feedback, session }
+   */
+  async answerQuestion(userId, sessionId, answer) {
+    const session = this.assertAnswerable((await db.query(
+      'SELECT * FROM adaptive_quiz_sessions WHERE id = $1 AND user_id = $2',
+      [sessionId, userId]
+    )).rows[0]);
+    const current = session.state.current;
+
+    // Short answers are graded against their rubric like in regular quizzes.
+    // Grading waits on the model, so it runs before the session is locked
+    const grading = current.question.type === 'short_answer' && isAnswered(answer)
+      ? await gradingService.gradeAnswer(current.question, answer)
+      : null;
+    const credit = grading ? grading.credit : scoreAnswer(current.question, answer);
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const row = this.assertAnswerable((await client.query(
+        'SELECT * FROM adaptive_quiz_sessions WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [sessionId, userId]
+      )).rows[0]);
+
+      // Another answer may have moved the session on while this one was graded
+      const state = row.state;
+      const unchanged = state.responses.length === session.state.responses.length &&
+        state.current.quizId === current.quizId &&
+        state.current.version === current.version &&
+        state.current.index === current.index;
+      if (!unchanged) {
+        throw createError(409, 'This question was already answered');
+      }
+
+      state.responses.push({
+        quizId: current.quizId,
+        version: current.version,
+        index: current.index,
+        difficulty: current.difficulty,
+        topic: current.topic,
+        question: current.question,
+        answer: answer ?? null,
+        credit,
+        grading,
+        answeredAt: new Date().toISOString()
+      });
+
+      const estimate = estimateAbility(state.responses, state.prior);
+      const pool = await this.loadPool(row.lecture_id, row.lang, state.questionTypes);
+      const next = this.pickQuestion(pool, state, estimate.ability);
+      const stopReason = this.stopReason(estimate, state.responses.length, next);
+      const range = masteryRange(estimate);
+
+      state.current = stopReason ? null : next;
+      const result = stopReason ? this.buildResult(state, estimate, stopReason) : null;
+
+      const updated = (await client.query(`
+        UPDATE adaptive_quiz_sessions
+        SET state = $1, ability = $2, standard_error = $3, mastery = $4, status = $5, result = $6,
+          updated_at = CURRENT_TIMESTAMP, completed_at = $7
+        WHERE id = $8
+        RETURNING *
+      `, [
+        JSON.stringify(state),
+        estimate.ability,
+        estimate.standardError,
+        range.mastery,
+        stopReason ? 'completed' : 'active',
+        result ? JSON.stringify(result) : null,
+        stopReason ? new Date() : null,
+        row.id
+      ])).rows[0];
+
+      // Emit xAPI event for analytics
+      if (result) {
+        await client.query(
+          'INSERT INTO events(user_id, lecture_id, event_type, details) VALUES($1,$2,$3,$4)',
+          [userId, row.lecture_id, 'quiz.adaptive_completed', JSON.stringify({
+            session_id: row.id,
+            mastery: result.mastery,
+            status: result.status,
+            questions: result.questionsAnswered,
+            topics: Object.keys(result.topics)
+          })]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      const { correctAnswer } = describeAnswer(current.question, answer);
+      return {
+        feedback: {
+          credit,
+          isCorrect: credit === 1,
+          correctAnswer,
+          explanation: current.question.explanation || '',
+          ...(grading ? { gradingFeedback: grading.feedback, criteria: grading.criteria } : {})
+        },
+        session: this.formatSession(updated)
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check a session row exists and still has a question to answer
+   * @param {Object|undefined} row - adaptive_quiz_sessions row
+   * @returns {Object} - The row
+   */
+  assertAnswerable(row) {
+    if (!row) {
+      throw createError(404, 'Adaptive quiz not found');
+    }
+    if (row.status !== 'active' || !row.state.current) {
+      throw createError(409, 'Adaptive quiz is already complete');
+    }
+    return row;
+  }
+
+  /**
+   * Load the questions of a lecture's quizzes in one language
+   * @param {number} lectureId - Lecture ID
+   * @param {string} lang - Language code
+   * @param {Array} questionTypes - Allowed question types
+   * @param {Object} options - { generateMissing } to generate a quiz for each difficulty without one
+   * @returns {Promise<Array>} - { quizId, version, index, difficulty, topic, question }
+   */
+  async loadPool(lectureId, lang, questionTypes, { generateMissing = false } = {}) {
+    const loadQuizzes = async () => (await db.query(`
+      SELECT id, difficulty, version, items_json
+      FROM quizzes
+      WHERE lecture_id = $1 AND lang = $2
+        AND NOT EXISTS (SELECT 1 FROM quiz_exams e WHERE e.quiz_id = quizzes.id)
+      ORDER BY generated_at DESC
+    `, [lectureId, lang])).rows;
+
+    let quizzes = await loadQuizzes();
+
+    if (generateMissing) {
+      const missing = Object.keys(DIFFICULTY_LEVELS)
+        .filter(difficulty => !quizzes.some(quiz => quiz.difficulty === difficulty));
+      for (const difficulty of missing) {
+        try {
+          await generateQuiz(lectureId, lang, difficulty, this.questionsPerLevel, questionTypes);
+        } catch (error) {
+          console.warn(`Adaptive quiz could not generate ${difficulty} questions:`, error.message);
+        }
+      }
+      if (missing.length > 0) {
+        quizzes = await loadQuizzes();
+      }
+    }
+
+    const seen = new Set();
+    return quizzes.flatMap(quiz => (quiz.items_json?.questions || [])
+      .map((question, index) => ({
+        quizId: quiz.id,
+        version: quiz.version,
+        index,
+        difficulty: quiz.difficulty,
+        topic: extractTopicFromQuestion(question.question || ''),
+        question
+      }))
+      .filter(item => questionTypes.includes(item.question.type || 'mcq'))
+      .filter(item => {
+        const stem = foldText(item.question.question);
+        if (!stem || seen.has(stem)) return false;
+        seen.add(stem);
+        return true;
+      }));
+  }
+
+  /**
+   * Starting ability from earlier attempts at the lecture's quizzes
+   * @param {Array} attempts - { score (percentage), difficulty }
+   * @returns {Object} - { ability, standardError, attempts }
+   */
+  priorFromHistory(attempts) {
+    if (attempts.length === 0) {
+      return { ability: 0, standardError: 1.2, attempts: 0 };
+    }
+
+    const ability = attempts
+      .reduce((sum, attempt) => sum + abilityFromScore(attempt.score / 100, attempt.difficulty), 0) / attempts.length;
+    return { ability, standardError: 0.9, attempts: attempts.length };
+  }
+
+  /**
+   * Pick the next question: the difficulty closest to the ability, then the
+   * topic with the lowest mastery so far, counting earlier attempts
+   * @param {Array} pool - Questions from loadPool()
+   * @param {Object} state - Session state
+   * @param {number} ability - Current ability
+   * @returns {Object|null} - Question to serve, null if none are left
+   */
+  pickQuestion(pool, state, ability) {
+    const asked = new Set(state.responses.map(response => foldText(response.question.question)));
+    const remaining = pool.filter(item => !asked.has(foldText(item.question.question)));
+
+    const difficulty = nextDifficulty(ability, [...new Set(remaining.map(item => item.difficulty))]);
+    if (!difficulty) return null;
+
+    const topicStats = (topic) => {
+      const history = state.historyTopics[topic] || { total: 0, correct: 0 };
+      const session = state.responses.filter(response => response.topic === topic);
+      const credit = session.reduce((sum, response) => sum + response.credit, 0);
+      return {
+        mastery: (history.correct + credit + 1) / (history.total + session.length + 2),
+        asked: session.length
+      };
+    };
+
+    const [next] = remaining
+      .filter(item => item.difficulty === difficulty)
+      .map((item, order) => ({ item, order, ...topicStats(item.topic) }))
+      .sort((a, b) => a.mastery - b.mastery || a.asked - b.asked || a.order - b.order);
+
+    return {
+      quizId: next.item.quizId,
+      version: next.item.version,
+      index: next.item.index,
+      difficulty: next.item.difficulty,
+      topic: next.item.topic,
+      question: next.item.question,
+      askedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Why the session should end now, if it should
+   * @param {Object} estimate - { ability, standardError }
+   * @param {number} answered - Questions answered
+   * @param {Object|null} next - Next question, null if none are left
+   * @returns {string|null} - Reason, null to continue
+   */
+  stopReason(estimate, answered, next) {
+    if (answered >= this.maxQuestions) return 'max_questions';
+    if (!next) return 'no_questions';
+    if (answered < this.minQuestions) return null;
+
+    const range = masteryRange(estimate);
+    if (range.low >= this.masteryThreshold) return 'mastered';
+    if (range.high < this.masteryThreshold) return 'not_mastered';
+    if (estimate.standardError <= this.targetStandardError) return 'estimated';
+    return null;
+  }
+
+  /**
+   * Summarize a finished session
+   * @param {Object} state - Session state
+   * @param {Object} estimate - { ability, standardError }
+   * @param {string} reason - Why it ended
+   * @returns {Object} - Result
+   */
+  buildResult(state, estimate, reason) {
+    const range = masteryRange(estimate);
+    const summarize = (key) => state.responses.reduce((groups, response) => {
+      const group = groups[response[key]] || { asked: 0, credit: 0 };
+      group.asked++;
+      group.credit += response.credit;
+      group.mastery = Math.round((group.credit / group.asked) * 100) / 100;
+      groups[response[key]] = group;
+      return groups;
+    }, {});
+
+    return {
+      status: range.mastery >= this.masteryThreshold ? 'mastered' : 'not_mastered',
+      reason,
+      mastery: Math.round(range.mastery * 100) / 100,
+      masteryRange: [Math.round(range.low * 100) / 100, Math.round(range.high * 100) / 100],
+      ability: Math.round(estimate.ability * 100) / 100,
+      standardError: Math.round(estimate.standardError * 100) / 100,
+      questionsAnswered: state.responses.length,
+      topics: summarize('topic'),
+      difficulties: summarize('difficulty')
+    };
+  }
+
+  /**
+   * Format a session for clients, without answer keys for the current question
+   * @param {Object} row - adaptive_quiz_sessions row
+   * @returns {Object} - Session
+   */
+  formatSession(row) {
+    const { current, responses } = row.state;
+    const range = masteryRange({ ability: row.ability, standardError: row.standard_error });
+
+    let question = null;
+    if (current) {
+      const { id, correct, correct_answer, keywords, rubric, explanation, bankQuestionId, ...shown } = current.question;
+      question = { ...shown, number: responses.length + 1, difficulty: current.difficulty, topic: current.topic };
+    }
+
+    return {
+      id: row.id,
+      lectureId: row.lecture_id,
+      lang: row.lang,
+      status: row.status,
+      questionsAnswered: responses.length,
+      maxQuestions: this.maxQuestions,
+      estimate: {
+        ability: Math.round(row.ability * 100) / 100,
+        standardError: Math.round(row.standard_error * 100) / 100,
+        mastery: Math.round(range.mastery * 100) / 100,
+        masteryRange: [Math.round(range.low * 100) / 100, Math.round(range.high * 100) / 100]
+      },
+      question,
+      result: row.result,
+      createdAt: row.created_at,
+      completedAt: row.completed_at
+    };
+  }
+}
+
+export default new AdaptiveQuizService();
@@ -0,0 +1,73 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../utils/db.js';
+import gradingService from './gradingService.js';
+import adaptiveQuizService from './adaptiveQuizService.js';
+
+const original = {
+  query: db.query,
+  connect: db.connect,
+  gradeAnswer: gradingService.gradeAnswer
+};
+
+afterEach(() => {
+  db.query = original.query;
+  db.connect = original.connect;
+  gradingService.gradeAnswer = original.gradeAnswer;
+});
+
+const shortAnswer = {
+  type: 'short_answer',
+  question: 'Why do prices rise?',
+  correct: 'Demand outgrows supply',
+  rubric: [{ criterion: 'Names demand and supply', points: 1 }]
+};
+
+/**
+ * A session row waiting on its current question after the given answers
+ */
+const sessionRow = (responses = [], current = { quizId: 1, version: 1, index: 0, difficulty: 'medium', question: shortAnswer }) => ({
+  id: 9,
+  user_id: 3,
+  lecture_id: 10,
+  lang: 'en',
+  status: 'active',
+  state: { prior: { ability: 0, standardError: 1 }, questionTypes: ['short_answer'], responses, current }
+});
+
+test('short answers are graded before the session is locked', async () => {
+  const steps = [];
+  db.query = async () => ({ rows: [sessionRow()] });
+  gradingService.gradeAnswer = async () => {
+    steps.push('grade');
+    return { credit: 1, feedback: 'Right', criteria: [] };
+  };
+  db.connect = async () => {
+    steps.push('connect');
+    return {
+      query: async (sql) => {
+        steps.push(sql.trim().split(/\s+/)[0]);
+        // Another request answered while this one was graded
+        return { rows: sql.includes('FOR UPDATE') ? [sessionRow([{ credit: 0 }], { quizId: 1, version: 1, index: 1, question: shortAnswer })] : [] };
+      },
+      release: () => steps.push('release')
+    };
+  };
+
+  await assert.rejects(
+    adaptiveQuizService.answerQuestion(3, 9, 'Demand grows faster than supply'),
+    { status: 409, message: 'This question was already answered' }
+  );
+  assert.deepEqual(steps, ['grade', 'connect', 'BEGIN', 'SELECT', 'ROLLBACK', 'release']);
+});
+
+test('finished or missing sessions are refused before grading', async () => {
+  gradingService.gradeAnswer = async () => assert.fail('nothing to grade');
+  db.connect = async () => assert.fail('no transaction');
+
+  db.query = async () => ({ rows: [] });
+  await assert.rejects(adaptiveQuizService.answerQuestion(3, 9, 'x'), { status: 404 });
+
+  db.query = async () => ({ rows: [{ ...sessionRow(), status: 'completed' }] });
+  await assert.rejects(adaptiveQuizService.answerQuestion(3, 9, 'x'), { status: 409, message: 'Adaptive quiz is already complete' });
+});
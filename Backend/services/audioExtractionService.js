@@ -42,7 +42,8 @@ class AudioExtractionService {
       format = 'mp3',
       quality = '192k',
       channels = 1, // mono for better transcription
-      sampleRate = 16000 // 16kHz for speech recognition
+      sampleRate = 16000, // 16kHz for speech recognition
+      onProgress = null // called with percent complete
     } = options;
 
     try {
@@ -65,7 +66,11 @@ class AudioExtractionService {
             console.log('FFmpeg process started:', commandLine);
           })
           .on('progress', (progress) => {
-            console.log(`Audio extraction progress: ${Math.round(progress.percent || 0)}%`);
+            const percent = Math.round(progress.percent || 0);
+            console.log(`Audio extraction progress: ${percent}%`);
+            if (onProgress) {
+              onProgress(percent);
+            }
           })
           .on('end', () => {
             console.log('Audio extraction completed successfully');
@@ -140,6 +145,43 @@ class AudioExtractionService {
     });
   }
 
+  /**
+   * Find silent stretches in an audio or video file
+   * @param {string} mediaPath - Path to the media file
+   * @param {Object} options - { noiseDb, minDuration } thresholds for silence
+   * @returns {Promise<Array>} - Array of {start, end} silences in seconds
+   */
+  async detectSilences(mediaPath, options = {}) {
+    const { noiseDb = -35, minDuration = 0.5 } = options;
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(mediaPath)
+        .audioFilters(`silencedetect=noise=${noiseDb}dB:d=${minDuration}`)
+        .format('null')
+        .output('-')
+        .on('end', (stdout, stderr) => {
+          const silences = [];
+          let currentStart = null;
+
+          for (const line of (stderr || '').split('\n')) {
+            const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+            const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+
+            if (startMatch) {
+              currentStart = Math.max(parseFloat(startMatch[1]), 0);
+            } else if (endMatch && currentStart !== null) {
+              silences.push({ start: currentStart, end: parseFloat(endMatch[1]) });
+              currentStart = null;
+            }
+          }
+
+          resolve(silences);
+        })
+        .on('error', reject)
+        .run();
+    });
+  }
+
   /**
    * Extract audio with timestamps for chunking
    * @param {string} videoPath - Path to the video file
@@ -171,6 +213,7 @@ class AudioExtractionService {
         });
 
         chunks.push({
+          index: i,
           path: chunkPath,
           relativePath: path.relative(path.join(__dirname, '../..'), chunkPath),
           start,
@@ -186,6 +229,27 @@ class AudioExtractionService {
     return chunks;
   }
 
+  /**
+   * Convert audio to 16kHz mono 16-bit WAV (required by whisper.cpp)
+   * @param {string} audioPath - Path to the source audio
+   * @param {string} outputPath - Path for the WAV file
+   * @returns {Promise<string>} - Path to the WAV file
+   */
+  async convertToWav(audioPath, outputPath) {
+    await new Promise((resolve, reject) => {
+      ffmpeg(audioPath)
+        .audioCodec('pcm_s16le')
+        .audioChannels(1)
+        .audioFrequency(16000)
+        .format('wav')
+        .on('end', resolve)
+        .on('error', reject)
+        .save(outputPath);
+    });
+
+    return outputPath;
+  }
+
   /**
    * Clean up audio files
    * @param {string|Array} audioPaths - Path(s) to audio files to delete
@@ -0,0 +1,195 @@
+import audioExtractionService from './audioExtractionService.js';
+
+class AudioSegmentationService {
+  constructor() {
+    this.segmentDuration = parseInt(process.env.TRANSCRIPTION_SEGMENT_SECONDS, 10) || 600;
+    this.maxSegmentBytes = 24 * 1024 * 1024; // stay under Whisper's 25MB limit
+    this.overlap = 2; // seconds of audio shared by neighbouring segments
+    this.silenceSearchWindow = 120; // seconds either side of the target cut
+  }
+
+  /**
+   * Decide whether audio is too long or too large to transcribe in one request
+   * @param {string} audioPath - Path to audio file
+   * @returns {Promise<Object>} - { segment, duration, size }
+   */
+  async needsSegmentation(audioPath) {
+    const info = await audioExtractionService.getAudioInfo(audioPath);
+
+    return {
+      segment: info.size > this.maxSegmentBytes || info.duration > this.segmentDuration * 1.5,
+      duration: info.duration,
+      size: info.size
+    };
+  }
+
+  /**
+   * Split audio into segments cut at silences
+   * @param {string} audioPath - Path to audio file
+   * @param {number} duration - Audio duration in seconds
+   * @returns {Promise<Array>} - Segment files with {index, path, start, end, ownStart, ownEnd}
+   */
+  async splitAudio(audioPath, duration) {
+    let silences = [];
+    try {
+      silences = await audioExtractionService.detectSilences(audioPath);
+    } catch (error) {
+      console.warn('Silence detection failed, cutting at fixed intervals:', error.message);
+    }
+
+    const ranges = this.planSegments(duration, silences);
+    const files = await audioExtractionService.extractAudioChunks(audioPath, ranges);
+
+    if (files.length !== ranges.length) {
+      await audioExtractionService.cleanupAudioFiles(files.map(file => file.path));
+      throw new Error(`Audio splitting failed: extracted ${files.length} of ${ranges.length} segments`);
+    }
+
+    return files.map(file => ({
+      ...file,
+      ownStart: ranges[file.index].ownStart,
+      ownEnd: ranges[file.index].ownEnd
+    }));
+  }
+
+  /**
+   * Choose cut points near every segmentDuration seconds, preferring the
+   * middle of the nearest silence. Each range is padded by the overlap so
+   * words at a cut are heard by both segments; ownStart/ownEnd mark the
+   * part of the timeline the segment is responsible for.
+   * @param {number} duration - Audio duration in seconds
+   * @param {Array} silences - Array of {start, end} silences
+   * @returns {Array} - Array of {start, end, ownStart, ownEnd}
+   */
+  planSegments(duration, silences = []) {
+    const cuts = [];
+    let position = 0;
+
+    while (duration - position > this.segmentDuration * 1.5) {
+      const target = position + this.segmentDuration;
+      const candidates = silences
+        .map(silence => (silence.start + silence.end) / 2)
+        .filter(mid => mid > position + this.segmentDuration / 2
+          && Math.abs(mid - target) <= this.silenceSearchWindow);
+
+      const cut = candidates.length > 0
+        ? candidates.reduce((best, mid) => (Math.abs(mid - target) < Math.abs(best - target) ? mid : best))
+        : target;
+
+      cuts.push(cut);
+      position = cut;
+    }
+
+    const boundaries = [0, ...cuts, duration];
+    const ranges = [];
+
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      ranges.push({
+        start: Math.max(boundaries[i] - this.overlap, 0),
+        end: Math.min(boundaries[i + 1] + this.overlap, duration),
+        ownStart: boundaries[i],
+        ownEnd: boundaries[i + 1]
+      });
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Join per-segment transcripts into one timeline
+   * @param {Array} segmentResults - Array of {segment, result} in segment order
+   * @param {number} chunkSize - Target chunk length in seconds
+   * @returns {Array} - Transcript chunks with global timestamps
+   */
+  stitchTranscripts(segmentResults, chunkSize = 300) {
+    const pieces = [];
+
+    for (const { segment, result } of segmentResults) {
+      for (const chunk of result.chunks || []) {
+        const start = chunk.start_ts + segment.start;
+        const end = Math.max(chunk.end_ts + segment.start, start);
+        const midpoint = (start + end) / 2;
+
+        // Keep a piece only in the segment that owns its midpoint
+        if (midpoint < segment.ownStart || midpoint >= segment.ownEnd) {
+          continue;
+        }
+
+        let text = chunk.text.trim();
+        const previous = pieces[pieces.length - 1];
+        if (previous) {
+          text = this.removeOverlappingWords(previous.text, text);
+        }
+
+        if (text) {
+          pieces.push({
+            start_ts: Math.floor(start),
+            end_ts: Math.ceil(end),
+            speaker: chunk.speaker || null,
+            text
+          });
+        }
+      }
+    }
+
+    return this.mergeChunks(pieces, chunkSize);
+  }
+
+  /**
+   * Drop words at the start of `next` that repeat the end of `previous`
+   * @param {string} previous - Earlier text
+   * @param {string} next - Following text
+   * @param {number} maxWords - Longest overlap to look for
+   * @returns {string} - `next` without the repeated words
+   */
+  removeOverlappingWords(previous, next, maxWords = 30) {
+    const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    const previousWords = previous.split(/\s+/).map(normalize);
+    const nextWords = next.split(/\s+/);
+    const nextNormalized = nextWords.map(normalize);
+    const limit = Math.min(maxWords, previousWords.length, nextWords.length);
+
+    for (let size = limit; size >= 2; size--) {
+      const tail = previousWords.slice(-size);
+      const head = nextNormalized.slice(0, size);
+      if (tail.every((word, i) => word === head[i])) {
+        return nextWords.slice(size).join(' ');
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Combine consecutive pieces into chunks of about chunkSize seconds
+   * @param {Array} pieces - Ordered transcript pieces
+   * @param {number} chunkSize - Target chunk length in seconds
+   * @returns {Array} - Merged chunks
+   */
+  mergeChunks(pieces, chunkSize) {
+    const chunks = [];
+
+    for (const piece of pieces) {
+      const current = chunks[chunks.length - 1];
+
+      if (current && piece.end_ts - current.start_ts <= chunkSize && piece.speaker === current.speaker) {
+        current.text += ' ' + piece.text;
+        current.end_ts = Math.max(current.end_ts, piece.end_ts);
+      } else {
+        chunks.push({ ...piece });
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Delete segment files
+   * @param {Array} segments - Segment files from splitAudio
+   */
+  async cleanupSegments(segments) {
+    await audioExtractionService.cleanupAudioFiles(segments.map(segment => segment.path));
+  }
+}
+
+export default new AudioSegmentationService();
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import db from '../utils/db.js';
 
 class CacheService {
@@ -20,6 +21,18 @@ class CacheService {
     return `${prefix}:${Buffer.from(sortedParams).toString('base64')}`;
   }
 
+  /**
+   * Generate cache key for data belonging to one lecture. The lecture ID
+   * stays readable so invalidateLectureCache can match it.
+   * @param {string} prefix - Cache key prefix
+   * @param {number} lectureId - Lecture ID
+   * @param {Object} params - Parameters to include in key
+   * @returns {string} - Generated cache key
+   */
+  generateLectureKey(prefix, lectureId, params) {
+    return this.generateKey(`${prefix}:lecture-${lectureId}`, params);
+  }
+
   /**
    * Set cache value
    * @param {string} key - Cache key
@@ -164,10 +177,7 @@ class CacheService {
    * @returns {Promise<any>} - Summary result
    */
   async cacheSummary(lectureId, options, generator) {
-    const key = this.generateKey('summary', {
-      lectureId,
-      ...options
-    });
+    const key = this.generateLectureKey('summary', lectureId, options);
     
     return await this.getOrSet(key, generator, 7200); // 2 hours TTL for summaries
   }
@@ -180,14 +190,24 @@ class CacheService {
    * @returns {Promise<any>} - Quiz result
    */
   async cacheQuiz(lectureId, options, generator) {
-    const key = this.generateKey('quiz', {
-      lectureId,
-      ...options
-    });
+    const key = this.generateLectureKey('quiz', lectureId, options);
     
     return await this.getOrSet(key, generator, 7200); // 2 hours TTL for quizzes
   }
 
+  /**
+   * Cache a caption track
+   * @param {number} lectureId - Lecture ID
+   * @param {string} language - Caption language
+   * @param {Function} generator - Caption generator function
+   * @returns {Promise<any>} - Caption track
+   */
+  async cacheCaptions(lectureId, language, generator) {
+    const key = this.generateLectureKey('captions', lectureId, { language });
+
+    return await this.getOrSet(key, generator, 7 * 86400); // 7 days TTL; transcript edits invalidate it
+  }
+
   /**
    * Cache translation
    * @param {string} content - Content to translate
@@ -197,7 +217,7 @@ class CacheService {
    * @returns {Promise<any>} - Translation result
    */
   async cacheTranslation(content, targetLanguage, sourceLanguage, generator) {
-    const contentHash = Buffer.from(content).toString('base64').substring(0, 50);
+    const contentHash = crypto.createHash('sha256').update(content).digest('hex');
     const key = this.generateKey('translation', {
       contentHash,
       targetLanguage,
@@ -260,11 +280,8 @@ class CacheService {
    */
   async invalidateLectureCache(lectureId) {
     try {
-      const patterns = [
-        `summary:%${lectureId}%`,
-        `quiz:%${lectureId}%`,
-        `transcript:%${lectureId}%`
-      ];
+      const patterns = ['summary', 'quiz', 'transcript', 'captions']
+        .map(prefix => `${prefix}:lecture-${lectureId}:%`);
 
       let totalDeleted = 0;
       for (const pattern of patterns) {
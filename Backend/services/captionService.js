@@ -0,0 +1,192 @@
+import transcriptService from './transcriptService.js';
+import cacheService from './cacheService.js';
+import llmService from './llmService.js';
+import { geminiCircuitBreaker } from '../middleware/rateLimitMiddleware.js';
+
+const CAPTION_LANGUAGES = {
+  en: 'English',
+  hi: 'Hindi',
+  mr: 'Marathi'
+};
+
+class CaptionService {
+  constructor() {
+    this.maxCueChars = 84; // two lines of ~42 characters
+    this.translationBatchSize = 40; // cues per translation request
+  }
+
+  /**
+   * Get supported caption languages
+   * @returns {Object} - Language labels keyed by code
+   */
+  getLanguages() {
+    return CAPTION_LANGUAGES;
+  }
+
+  /**
+   * List the caption tracks available for a lecture
+   * @param {Object} lecture - Lecture row
+   * @returns {Array} - Tracks with { language, label, source }
+   */
+  getTracks(lecture) {
+    const sourceLanguage = this.getSourceLanguage(lecture);
+
+    return Object.entries(CAPTION_LANGUAGES).map(([language, label]) => ({
+      language,
+      label,
+      source: language === sourceLanguage
+    }));
+  }
+
+  /**
+   * Build a WebVTT caption track, translating when the language differs
+   * from the lecture's spoken language
+   * @param {Object} lecture - Lecture row
+   * @param {string} language - Caption language
+   * @returns {Promise<string|null>} - WebVTT document, or null without a transcript
+   */
+  async getTrack(lecture, language) {
+    const track = await cacheService.cacheCaptions(lecture.id, language, async () => {
+      const segments = await transcriptService.getSegments(lecture.id);
+      if (segments.length === 0) {
+        return null;
+      }
+
+      let cues = this.buildCues(segments);
+      const sourceLanguage = this.getSourceLanguage(lecture);
+
+      if (language !== sourceLanguage) {
+        cues = await this.translateCues(cues, language, sourceLanguage);
+      }
+
+      return { vtt: transcriptService.toWebVTT(cues) };
+    });
+
+    return track ? track.vtt : null;
+  }
+
+  /**
+   * Spoken language of a lecture, falling back to English
+   * @param {Object} lecture - Lecture row
+   * @returns {string} - Language code
+   */
+  getSourceLanguage(lecture) {
+    return CAPTION_LANGUAGES[lecture.language] ? lecture.language : 'en';
+  }
+
+  /**
+   * Split transcript segments into short caption cues. Segments can span
+   * minutes, so their text is cut into caption-sized pieces and each piece
+   * gets a share of the segment's time in proportion to its length.
+   * @param {Array} segments - Transcript segments
+   * @returns {Array} - Cues with { start_ts, end_ts, speaker, text }
+   */
+  buildCues(segments) {
+    const cues = [];
+
+    for (const segment of segments) {
+      const text = this.stripTranscriptMarkup(segment.text);
+      if (!text) {
+        continue;
+      }
+
+      const duration = Math.max(segment.end_ts - segment.start_ts, 0);
+      const pieces = this.splitText(text, this.maxCueChars);
+      let offset = 0;
+
+      for (const piece of pieces) {
+        const start = segment.start_ts + duration * offset / text.length;
+        offset += piece.length + 1;
+        const end = segment.start_ts + duration * Math.min(offset, text.length) / text.length;
+
+        cues.push({
+          start_ts: Math.round(start * 1000) / 1000,
+          end_ts: Math.round(end * 1000) / 1000,
+          speaker: segment.speaker,
+          text: piece
+        });
+      }
+    }
+
+    return cues;
+  }
+
+  /**
+   * Remove inline timestamps and speaker prefixes left by LLM transcription
+   * @param {string} text - Segment text
+   * @returns {string} - Plain spoken text
+   */
+  stripTranscriptMarkup(text) {
+    return text
+      .replace(/\[\d{1,2}:\d{2}(?::\d{2})?\]\s*/g, '')
+      .replace(/(^|\n)\s*Speaker \d+:\s*/g, '$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Split text into pieces of at most maxChars, preferring sentence ends
+   * @param {string} text - Text to split
+   * @param {number} maxChars - Longest piece
+   * @returns {Array} - Pieces
+   */
+  splitText(text, maxChars) {
+    const pieces = [];
+    let current = '';
+
+    for (const word of text.split(' ')) {
+      if (current && (current.length + word.length + 1 > maxChars || /[.!?]$/.test(current))) {
+        pieces.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    }
+
+    if (current) {
+      pieces.push(current);
+    }
+
+    return pieces;
+  }
+
+  /**
+   * Translate cue text in batches through the LLM translation path. Each
+   * cue is sent as a numbered line so translations map back to their
+   * timings; a cue missing from the reply keeps its original text.
+   * @param {Array} cues - Source cues
+   * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code
+   * @returns {Promise<Array>} - Translated cues
+   */
+  async translateCues(cues, targetLanguage, sourceLanguage) {
+    const translated = [];
+
+    for (let i = 0; i < cues.length; i += this.translationBatchSize) {
+      const batch = cues.slice(i, i + this.translationBatchSize);
+      const content = batch.map((cue, index) => `${index + 1}| ${cue.text}`).join('\n');
+
+      const result = await cacheService.cacheTranslation(content, targetLanguage, sourceLanguage, () =>
+        geminiCircuitBreaker.execute(() =>
+          llmService.translateContent(content, CAPTION_LANGUAGES[targetLanguage], CAPTION_LANGUAGES[sourceLanguage])
+        )
+      );
+
+      const lines = new Map();
+      for (const line of result.translation.split('\n')) {
+        const match = line.match(/^\D{0,10}?(\d+)\s*\|\s*(.*)$/);
+        if (match && match[2].trim()) {
+          lines.set(parseInt(match[1], 10), match[2].trim());
+        }
+      }
+
+      batch.forEach((cue, index) => {
+        translated.push({ ...cue, text: lines.get(index + 1) || cue.text });
+      });
+    }
+
+    return translated;
+  }
+}
+
+export default new CaptionService();
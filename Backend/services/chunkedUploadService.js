@@ -0,0 +1,452 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import db from '../utils/db.js';
+import { generateStoredFilename, getMaxFileSize, validateUploadMetadata } from '../utils/multer.js';
+import { createError } from '../utils/httpError.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+class ChunkedUploadService {
+  constructor() {
+    this.uploadsDir = path.join(__dirname, '../uploads');
+    this.chunksDir = path.join(this.uploadsDir, 'temp/chunks');
+    this.defaultChunkSize = parseInt(process.env.UPLOAD_CHUNK_SIZE_BYTES, 10) || 1024 * 1024;
+    this.maxChunkSize = 50 * 1024 * 1024;
+    this.sessionTTLHours = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24;
+  }
+
+  /**
+   * Create upload sessions table
+   */
+  async createUploadTable() {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS upload_sessions (
+          id VARCHAR(36) PRIMARY KEY,
+          user_id INT REFERENCES users(id) ON DELETE CASCADE,
+          field_name VARCHAR(20) NOT NULL,
+          original_name VARCHAR(255) NOT NULL,
+          mime_type VARCHAR(100) NOT NULL,
+          total_size BIGINT NOT NULL,
+          chunk_size INT NOT NULL,
+          total_chunks INT NOT NULL,
+          received_chunks JSONB DEFAULT '{}',
+          status VARCHAR(20) CHECK (status IN ('uploading','assembled')) DEFAULT 'uploading',
+          file_path TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL
+        )
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires
+        ON upload_sessions(expires_at)
+      `);
+
+      console.log('Upload sessions table created successfully');
+    } catch (error) {
+      console.error('Failed to create upload sessions table:', error);
+    }
+  }
+
+  /**
+   * Start a new chunked upload
+   * @param {number} userId - Uploading user
+   * @param {Object} fileInfo - { fieldName, fileName, mimeType, totalSize, chunkSize }
+   * @returns {Promise<Object>} - Upload session
+   */
+  async createSession(userId, fileInfo) {
+    const { fieldName, fileName, mimeType, totalSize } = fileInfo;
+    const size = parseInt(totalSize, 10);
+
+    const validationError = validateUploadMetadata(fieldName, fileName || '', mimeType);
+    if (validationError) {
+      throw createError(400, validationError);
+    }
+
+    if (!size || size <= 0) {
+      throw createError(400, 'totalSize must be a positive number of bytes');
+    }
+
+    const maxSize = getMaxFileSize(fieldName);
+    if (size > maxSize) {
+      throw createError(
+        400,
+        `File ${fileName} is too large. Maximum size for ${fieldName}: ${Math.round(maxSize / 1024 / 1024)}MB`
+      );
+    }
+
+    const chunkSize = Math.min(parseInt(fileInfo.chunkSize, 10) || this.defaultChunkSize, this.maxChunkSize);
+    const totalChunks = Math.ceil(size / chunkSize);
+    const uploadId = crypto.randomUUID();
+
+    const query = `
+      INSERT INTO upload_sessions
+        (id, user_id, field_name, original_name, mime_type, total_size, chunk_size, total_chunks, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP + make_interval(hours => $9))
+      RETURNING *
+    `;
+
+    const result = await db.query(query, [
+      uploadId,
+      userId,
+      fieldName,
+      fileName,
+      mimeType,
+      size,
+      chunkSize,
+      totalChunks,
+      this.sessionTTLHours
+    ]);
+
+    await fs.mkdir(this.getSessionDir(uploadId), { recursive: true });
+
+    return this.formatSession(result.rows[0]);
+  }
+
+  /**
+   * Get an upload session owned by a user
+   * @param {string} uploadId - Upload ID
+   * @param {number} userId - Requesting user
+   * @returns {Promise<Object>} - Raw session row
+   */
+  async getSession(uploadId, userId) {
+    const result = await db.query(
+      'SELECT * FROM upload_sessions WHERE id = $1 AND expires_at > CURRENT_TIMESTAMP',
+      [uploadId]
+    );
+
+    const session = result.rows[0];
+    if (!session || session.user_id !== userId) {
+      throw createError(404, 'Upload session not found');
+    }
+
+    return session;
+  }
+
+  /**
+   * Store one chunk after verifying its size and checksum
+   * @param {string} uploadId - Upload ID
+   * @param {number} userId - Uploading user
+   * @param {number} index - Zero-based chunk index
+   * @param {Buffer} data - Chunk bytes
+   * @param {string} checksum - Hex SHA-256 of the chunk sent by the client
+   * @returns {Promise<Object>} - Updated session
+   */
+  async appendChunk(uploadId, userId, index, data, checksum) {
+    const session = await this.getSession(uploadId, userId);
+
+    if (session.status !== 'uploading') {
+      throw createError(409, 'Upload is already complete');
+    }
+
+    if (!Number.isInteger(index) || index < 0 || index >= session.total_chunks) {
+      throw createError(400, `Chunk index must be between 0 and ${session.total_chunks - 1}`);
+    }
+
+    if (!Buffer.isBuffer(data) || data.length !== this.getExpectedChunkSize(session, index)) {
+      throw createError(400, `Chunk ${index} has an unexpected size`);
+    }
+
+    if (!checksum) {
+      throw createError(400, 'X-Chunk-Checksum header is required');
+    }
+
+    const actualChecksum = crypto.createHash('sha256').update(data).digest('hex');
+    if (actualChecksum !== checksum.toLowerCase()) {
+      throw createError(422, `Checksum mismatch for chunk ${index}`);
+    }
+
+    // Write to a temp name first so a dropped connection never leaves a partial chunk
+    const chunkPath = this.getChunkPath(uploadId, index);
+    await fs.writeFile(`${chunkPath}.tmp`, data);
+    await fs.rename(`${chunkPath}.tmp`, chunkPath);
+
+    const query = `
+      UPDATE upload_sessions
+      SET received_chunks = received_chunks || $1::jsonb,
+          expires_at = CURRENT_TIMESTAMP + make_interval(hours => $2),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `;
+
+    const result = await db.query(query, [
+      JSON.stringify({ [index]: actualChecksum }),
+      this.sessionTTLHours,
+      uploadId
+    ]);
+
+    return this.formatSession(result.rows[0]);
+  }
+
+  /**
+   * Ensure every chunk has arrived and the upload has not been used yet
+   * @param {string} uploadId - Upload ID
+   * @param {number} userId - Uploading user
+   * @param {string} fieldName - Expected field ('video' or 'ppt'), if any
+   * @returns {Promise<Object>} - Raw session row
+   */
+  async assertComplete(uploadId, userId, fieldName = null) {
+    const session = await this.getSession(uploadId, userId);
+
+    if (fieldName && session.field_name !== fieldName) {
+      throw createError(400, `Upload ${uploadId} is not a ${fieldName} upload`);
+    }
+
+    if (session.status === 'assembled') {
+      throw createError(409, 'Upload has already been used');
+    }
+
+    const missing = this.getMissingChunks(session);
+    if (missing.length > 0) {
+      throw createError(409, `Upload is incomplete. Missing chunks: ${missing.slice(0, 20).join(', ')}`);
+    }
+
+    return session;
+  }
+
+  /**
+   * Join the chunks of several uploads into their final files. Every file is
+   * built under a temporary name first; the sessions are only marked assembled
+   * and their chunks dropped once all of them succeed, so a failure leaves
+   * every upload ready to retry
+   * @param {Object} uploads - Upload IDs by field name ('video', 'ppt'); empty IDs are skipped
+   * @param {number} userId - Uploading user
+   * @returns {Promise<Object>} - Files by field name, in the same shape multer produces
+   */
+  async assembleAll(uploads, userId) {
+    const sessions = [];
+    for (const [fieldName, uploadId] of Object.entries(uploads)) {
+      if (uploadId) {
+        sessions.push(await this.assertComplete(uploadId, userId, fieldName));
+      }
+    }
+
+    const built = [];
+    try {
+      for (const session of sessions) {
+        built.push(await this.buildFile(session));
+      }
+      await this.claimSessions(built);
+    } catch (error) {
+      for (const { tempPath } of built) {
+        await fs.unlink(tempPath).catch(() => {});
+      }
+      throw error;
+    }
+
+    for (const session of sessions) {
+      await fs.rm(this.getSessionDir(session.id), { recursive: true, force: true });
+    }
+
+    return Object.fromEntries(built.map(({ session, file }) => [session.field_name, [file]]));
+  }
+
+  /**
+   * Join a session's chunks into a temporary file next to its final path
+   * @param {Object} session - Session row
+   * @returns {Promise<Object>} - { session, tempPath, file }
+   */
+  async buildFile(session) {
+    const targetDir = path.join(this.uploadsDir, session.field_name === 'video' ? 'videos' : 'presentations');
+    const filePath = path.join(targetDir, generateStoredFilename(session.original_name));
+    const tempPath = `${filePath}.tmp`;
+
+    try {
+      await fs.mkdir(targetDir, { recursive: true });
+      await this.concatenateChunks(session.id, session.total_chunks, tempPath);
+
+      const stats = await fs.stat(tempPath);
+      if (stats.size !== parseInt(session.total_size, 10)) {
+        throw createError(422, 'Assembled file size does not match the declared size');
+      }
+
+      return {
+        session,
+        tempPath,
+        file: {
+          fieldname: session.field_name,
+          originalname: session.original_name,
+          mimetype: session.mime_type,
+          path: filePath,
+          size: stats.size
+        }
+      };
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Mark built uploads assembled and move their files into place, all or none,
+   * so a repeated complete request cannot assemble them twice
+   * @param {Array} built - Results of buildFile
+   */
+  async claimSessions(built) {
+    const client = await db.connect();
+    const moved = [];
+
+    try {
+      await client.query('BEGIN');
+
+      for (const { session, tempPath, file } of built) {
+        const claim = await client.query(
+          `UPDATE upload_sessions
+           SET status = 'assembled', file_path = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2 AND status = 'uploading'`,
+          [file.path, session.id]
+        );
+
+        if (claim.rowCount === 0) {
+          throw createError(409, 'Upload has already been used');
+        }
+
+        await fs.rename(tempPath, file.path);
+        moved.push(file.path);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      for (const filePath of moved) {
+        await fs.unlink(filePath).catch(() => {});
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Write chunks in order into a single file. Chunks are copied through one
+   * write stream so no listeners pile up on it, however many chunks there are
+   * @param {string} uploadId - Upload ID
+   * @param {number} totalChunks - Number of chunks
+   * @param {string} filePath - Output file
+   */
+  async concatenateChunks(uploadId, totalChunks, filePath) {
+    const output = createWriteStream(filePath);
+    const done = finished(output);
+    // Awaited below; this only keeps an early write error from going unhandled
+    done.catch(() => {});
+
+    try {
+      for (let index = 0; index < totalChunks; index++) {
+        for await (const data of createReadStream(this.getChunkPath(uploadId, index))) {
+          if (!output.write(data)) {
+            await Promise.race([once(output, 'drain'), done]);
+          }
+        }
+      }
+      output.end();
+      await done;
+    } catch (error) {
+      output.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Remove expired sessions and their chunk directories
+   * @returns {Promise<number>} - Number of removed sessions
+   */
+  async cleanupExpiredSessions() {
+    try {
+      const result = await db.query(
+        'DELETE FROM upload_sessions WHERE expires_at < CURRENT_TIMESTAMP RETURNING id'
+      );
+
+      for (const row of result.rows) {
+        await fs.rm(this.getSessionDir(row.id), { recursive: true, force: true });
+      }
+
+      if (result.rowCount > 0) {
+        console.log(`Cleaned up ${result.rowCount} expired upload sessions`);
+      }
+
+      return result.rowCount;
+    } catch (error) {
+      console.error('Upload session cleanup failed:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Format a session row for API responses
+   * @param {Object} session - Session row
+   * @returns {Object} - Public session data
+   */
+  formatSession(session) {
+    return {
+      uploadId: session.id,
+      fieldName: session.field_name,
+      fileName: session.original_name,
+      totalSize: parseInt(session.total_size, 10),
+      chunkSize: session.chunk_size,
+      totalChunks: session.total_chunks,
+      receivedChunks: Object.keys(session.received_chunks || {}).map(Number).sort((a, b) => a - b),
+      status: session.status,
+      expiresAt: session.expires_at
+    };
+  }
+
+  /**
+   * List chunk indexes not yet received
+   * @param {Object} session - Session row
+   * @returns {Array<number>} - Missing indexes
+   */
+  getMissingChunks(session) {
+    const received = session.received_chunks || {};
+    const missing = [];
+    for (let index = 0; index < session.total_chunks; index++) {
+      if (!received[index]) {
+        missing.push(index);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Size every chunk must have; only the last one may be shorter
+   * @param {Object} session - Session row
+   * @param {number} index - Chunk index
+   * @returns {number} - Size in bytes
+   */
+  getExpectedChunkSize(session, index) {
+    const totalSize = parseInt(session.total_size, 10);
+    if (index < session.total_chunks - 1) {
+      return session.chunk_size;
+    }
+    return totalSize - session.chunk_size * (session.total_chunks - 1);
+  }
+
+  /**
+   * Directory holding the chunks of an upload
+   * @param {string} uploadId - Upload ID
+   * @returns {string} - Directory path
+   */
+  getSessionDir(uploadId) {
+    return path.join(this.chunksDir, uploadId);
+  }
+
+  /**
+   * Path of a stored chunk
+   * @param {string} uploadId - Upload ID
+   * @param {number} index - Chunk index
+   * @returns {string} - File path
+   */
+  getChunkPath(uploadId, index) {
+    return path.join(this.getSessionDir(uploadId), `${index}.part`);
+  }
+}
+
+export default new ChunkedUploadService();
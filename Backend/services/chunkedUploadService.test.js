@@ -0,0 +1,135 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import chunkedUploadService from './chunkedUploadService.js';
+import { createError } from '../utils/httpError.js';
+
+const original = {
+  uploadsDir: chunkedUploadService.uploadsDir,
+  chunksDir: chunkedUploadService.chunksDir,
+  assertComplete: chunkedUploadService.assertComplete,
+  claimSessions: chunkedUploadService.claimSessions
+};
+
+let tempDir;
+
+beforeEach(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'chunked-upload-'));
+  chunkedUploadService.uploadsDir = tempDir;
+  chunkedUploadService.chunksDir = path.join(tempDir, 'temp/chunks');
+});
+
+afterEach(async () => {
+  Object.assign(chunkedUploadService, original);
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Write chunks for an upload and return a session row describing them
+ */
+const writeChunks = async (id, fieldName, chunks, extra = {}) => {
+  await fs.mkdir(chunkedUploadService.getSessionDir(id), { recursive: true });
+  for (const [index, chunk] of chunks.entries()) {
+    await fs.writeFile(chunkedUploadService.getChunkPath(id, index), chunk);
+  }
+  return {
+    id,
+    field_name: fieldName,
+    original_name: fieldName === 'video' ? 'lecture.mp4' : 'slides.pptx',
+    mime_type: 'application/octet-stream',
+    total_size: String(chunks.reduce((sum, chunk) => sum + chunk.length, 0)),
+    total_chunks: chunks.length,
+    ...extra
+  };
+};
+
+const listFiles = async (dir) => fs.readdir(dir).catch(() => []);
+
+test('concatenateChunks joins many chunks in order without piling up listeners', async () => {
+  const chunks = Array.from({ length: 40 }, (_, index) => Buffer.alloc(64 * 1024, index));
+  await writeChunks('many', 'video', chunks);
+
+  const warnings = [];
+  const onWarning = (warning) => warnings.push(warning);
+  process.on('warning', onWarning);
+
+  const output = path.join(tempDir, 'joined.bin');
+  try {
+    await chunkedUploadService.concatenateChunks('many', chunks.length, output);
+  } finally {
+    process.off('warning', onWarning);
+  }
+
+  assert.deepEqual(await fs.readFile(output), Buffer.concat(chunks));
+  assert.deepEqual(warnings.filter(warning => warning.name === 'MaxListenersExceededWarning'), []);
+});
+
+test('concatenateChunks fails on a missing chunk', async () => {
+  await writeChunks('gap', 'video', [Buffer.from('a')]);
+
+  await assert.rejects(
+    chunkedUploadService.concatenateChunks('gap', 2, path.join(tempDir, 'gap.bin')),
+    { code: 'ENOENT' }
+  );
+});
+
+test('assembleAll claims nothing and keeps every chunk when one file fails', async () => {
+  const video = await writeChunks('video-1', 'video', [Buffer.from('frame-1'), Buffer.from('frame-2')]);
+  // Declares more bytes than its chunks hold
+  const ppt = await writeChunks('ppt-1', 'ppt', [Buffer.from('slide')], { total_size: '999' });
+  const sessions = { 'video-1': video, 'ppt-1': ppt };
+
+  chunkedUploadService.assertComplete = async (uploadId) => sessions[uploadId];
+  let claimed = false;
+  chunkedUploadService.claimSessions = async () => {
+    claimed = true;
+  };
+
+  await assert.rejects(
+    chunkedUploadService.assembleAll({ video: 'video-1', ppt: 'ppt-1' }, 1),
+    { status: 422 }
+  );
+
+  assert.equal(claimed, false);
+  assert.deepEqual(await listFiles(path.join(tempDir, 'videos')), []);
+  assert.deepEqual(await listFiles(path.join(tempDir, 'presentations')), []);
+  assert.deepEqual((await listFiles(chunkedUploadService.getSessionDir('video-1'))).sort(), ['0.part', '1.part']);
+  assert.deepEqual(await listFiles(chunkedUploadService.getSessionDir('ppt-1')), ['0.part']);
+});
+
+test('assembleAll moves every file into place and drops the chunks once all succeed', async () => {
+  const video = await writeChunks('video-2', 'video', [Buffer.from('frame-1'), Buffer.from('frame-2')]);
+  const sessions = { 'video-2': video };
+
+  chunkedUploadService.assertComplete = async (uploadId) => sessions[uploadId];
+  chunkedUploadService.claimSessions = async (built) => {
+    for (const { tempPath, file } of built) {
+      await fs.rename(tempPath, file.path);
+    }
+  };
+
+  const files = await chunkedUploadService.assembleAll({ video: 'video-2', ppt: undefined }, 1);
+
+  assert.deepEqual(Object.keys(files), ['video']);
+  const [file] = files.video;
+  assert.equal(file.fieldname, 'video');
+  assert.equal(file.originalname, 'lecture.mp4');
+  assert.equal(file.size, 14);
+  assert.equal(await fs.readFile(file.path, 'utf8'), 'frame-1frame-2');
+  assert.deepEqual(await listFiles(chunkedUploadService.getSessionDir('video-2')), []);
+});
+
+test('assembleAll removes the built files when the claim fails', async () => {
+  const video = await writeChunks('video-3', 'video', [Buffer.from('frame')]);
+  chunkedUploadService.assertComplete = async () => video;
+  chunkedUploadService.claimSessions = async () => {
+    throw createError(409, 'Upload has already been used');
+  };
+
+  await assert.rejects(chunkedUploadService.assembleAll({ video: 'video-3' }, 1), { status: 409 });
+
+  assert.deepEqual(await listFiles(path.join(tempDir, 'videos')), []);
+  assert.deepEqual(await listFiles(chunkedUploadService.getSessionDir('video-3')), ['0.part']);
+});
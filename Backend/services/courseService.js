@@ -0,0 +1,624 @@
+import crypto from 'crypto';
+import db from '../utils/db.js';
+import { createError } from '../utils/httpError.js';
+
+const COURSE_ROLES = ['student', 'ta', 'teacher'];
+
+// Course roles that see reports and grade the course's lectures
+const STAFF_ROLES = ['teacher', 'ta'];
+
+// Invite codes leave out letters and digits that are easy to confuse
+const INVITE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+/**
+ * Courses group lectures and the people who may see them. Members join with
+ * a course's invite code, or a section's code to land in that section, as
+ * students; course teachers change roles to TA or teacher. A lecture with a
+ * course is visible to the course's members, its uploader and admins; a
+ * lecture without one stays open to everyone.
+ *
+ * Teachers manage the course and edit its lectures' quizzes; teachers and
+ * TAs see its reports and grade its students' answers.
+ */
+class CourseService {
+  /**
+   * Create the course, section and membership tables
+   */
+  async createCourseTables() {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS courses (
+          id SERIAL PRIMARY KEY,
+          title VARCHAR(200) NOT NULL,
+          code VARCHAR(50),
+          description TEXT,
+          invite_code VARCHAR(16) UNIQUE NOT NULL,
+          created_by INT REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS course_sections (
+          id SERIAL PRIMARY KEY,
+          course_id INT REFERENCES courses(id) ON DELETE CASCADE,
+          name VARCHAR(100) NOT NULL,
+          invite_code VARCHAR(16) UNIQUE NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(course_id, name)
+        )
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS course_members (
+          course_id INT REFERENCES courses(id) ON DELETE CASCADE,
+          user_id INT REFERENCES users(id) ON DELETE CASCADE,
+          role VARCHAR(20) NOT NULL DEFAULT 'student' CHECK (role IN ('student','ta','teacher')),
+          section_id INT REFERENCES course_sections(id) ON DELETE SET NULL,
+          joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (course_id, user_id)
+        )
+      `);
+
+      await db.query('CREATE INDEX IF NOT EXISTS idx_course_members_user ON course_members(user_id)');
+      await db.query('CREATE INDEX IF NOT EXISTS idx_lectures_course ON lectures(course_id)');
+
+      console.log('Course tables created successfully');
+    } catch (error) {
+      console.error('Failed to create course tables:', error);
+    }
+  }
+
+  /**
+   * SQL condition: the lecture is visible to the user
+   * @param {string} alias - Alias of the lectures table
+   * @param {string} param - Placeholder of the user ID; NULL (admins) sees everything
+   * @returns {string} - SQL condition
+   */
+  visibleLectureCondition(alias, param) {
+    return `(${param}::int IS NULL OR ${alias}.course_id IS NULL OR ${alias}.uploader_id = ${param}
+      OR EXISTS (SELECT 1 FROM course_members cm WHERE cm.course_id = ${alias}.course_id AND cm.user_id = ${param}))`;
+  }
+
+  /**
+   * SQL condition: the user uploaded the lecture or teaches or assists its course
+   * @param {string} alias - Alias of the lectures table
+   * @param {string} param - Placeholder of the user ID; NULL (admins) matches every lecture
+   * @returns {string} - SQL condition
+   */
+  staffLectureCondition(alias, param) {
+    return `(${param}::int IS NULL OR ${alias}.uploader_id = ${param}
+      OR EXISTS (SELECT 1 FROM course_members cm WHERE cm.course_id = ${alias}.course_id AND cm.user_id = ${param}
+        AND cm.role IN ('teacher','ta')))`;
+  }
+
+  /**
+   * SQL condition: the user teaches or assists the course
+   * @param {string} column - Column holding the course ID
+   * @param {string} param - Placeholder of the user ID; NULL (admins) matches every course
+   * @returns {string} - SQL condition
+   */
+  staffCourseCondition(column, param) {
+    return `(${param}::int IS NULL OR EXISTS (SELECT 1 FROM course_members cm WHERE cm.course_id = ${column}
+      AND cm.user_id = ${param} AND cm.role IN ('teacher','ta')))`;
+  }
+
+  /**
+   * SQL expression: the user's role in the lecture's course, or NULL
+   * @param {string} alias - Alias of the lectures table
+   * @param {string} param - Placeholder of the user ID
+   * @returns {string} - SQL expression
+   */
+  courseRoleExpression(alias, param) {
+    return `(SELECT cm.role FROM course_members cm WHERE cm.course_id = ${alias}.course_id AND cm.user_id = ${param})`;
+  }
+
+  /**
+   * User ID to pass to the access conditions: NULL for admins
+   * @param {Object} user - { userId, role }
+   * @returns {number|null}
+   */
+  scopeUserId(user) {
+    return user.role === 'admin' ? null : user.userId;
+  }
+
+  /**
+   * Check the user may see a lecture
+   * @param {Object} user - { userId, role }
+   * @param {number} lectureId - Lecture ID
+   * @returns {Promise<Object>} - Lecture row with course_role (the user's role in its course)
+   */
+  async assertLectureAccess(user, lectureId) {
+    const lecture = (await db.query(`
+      SELECT l.*, ${this.courseRoleExpression('l', '$2')} AS course_role
+      FROM lectures l
+      WHERE l.id = $1
+    `, [lectureId, user.userId])).rows[0];
+
+    if (!lecture) {
+      throw createError(404, 'Lecture not found');
+    }
+    if (user.role !== 'admin' && lecture.course_id && lecture.uploader_id !== user.userId && !lecture.course_role) {
+      throw createError(403, 'This lecture belongs to a course you are not a member of');
+    }
+    return lecture;
+  }
+
+  /**
+   * Check the user may see a quiz's lecture
+   * @param {Object} user - { userId, role }
+   * @param {number} quizId - Quiz ID
+   * @returns {Promise<Object>} - Lecture row
+   */
+  async assertQuizAccess(user, quizId) {
+    const quiz = (await db.query('SELECT lecture_id FROM quizzes WHERE id = $1', [quizId])).rows[0];
+    if (!quiz) {
+      throw createError(404, 'Quiz not found');
+    }
+    return this.assertLectureAccess(user, quiz.lecture_id);
+  }
+
+  /**
+   * Whether the user uploaded the lecture or holds one of the roles in its course
+   * @param {Object} lecture - Row with uploader_id and course_role
+   * @param {Object} user - { userId, role }
+   * @param {Array} roles - Course roles allowed
+   * @returns {boolean}
+   */
+  canManageLecture(lecture, user, roles = ['teacher']) {
+    return user.role === 'admin' || lecture.uploader_id === user.userId || roles.includes(lecture.course_role);
+  }
+
+  /**
+   * Whether the user is a teacher or admin, or teaches or assists any course
+   * @param {Object} user - { userId, role }
+   * @returns {Promise<boolean>}
+   */
+  async isStaff(user) {
+    if (user.role === 'admin' || user.role === 'teacher') {
+      return true;
+    }
+    const result = await db.query(
+      `SELECT 1 FROM course_members WHERE user_id = $1 AND role IN ('teacher','ta') LIMIT 1`,
+      [user.userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Create a course; its creator becomes its first teacher
+   * @param {Object} user - { userId, role }
+   * @param {Object} data - { title, code, description }
+   * @returns {Promise<Object>} - Course
+   */
+  async createCourse(user, { title, code = null, description = null } = {}) {
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      throw createError(400, 'title is required');
+    }
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const course = (await client.query(`
+        INSERT INTO courses (title, code, description, invite_code, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [title.trim().slice(0, 200), code ? String(code).slice(0, 50) : null, description, this.generateInviteCode(), user.userId])).rows[0];
+
+      await client.query(
+        `INSERT INTO course_members (course_id, user_id, role) VALUES ($1, $2, 'teacher')`,
+        [course.id, user.userId]
+      );
+
+      await client.query('COMMIT');
+      return this.formatCourse({ ...course, my_role: 'teacher', member_count: 1 }, [], true);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List the courses the user belongs to; admins see every course
+   * @param {Object} user - { userId, role }
+   * @returns {Promise<Array>} - Courses with the user's role
+   */
+  async listCourses(user) {
+    const result = await db.query(`
+      SELECT c.*, cm.role AS my_role, cm.section_id AS my_section_id,
+        (SELECT COUNT(*) FROM course_members m WHERE m.course_id = c.id) AS member_count,
+        (SELECT COUNT(*) FROM lectures l WHERE l.course_id = c.id) AS lecture_count
+      FROM courses c
+      LEFT JOIN course_members cm ON cm.course_id = c.id AND cm.user_id = $1
+      WHERE cm.user_id IS NOT NULL OR $2
+      ORDER BY c.title
+    `, [user.userId, user.role === 'admin']);
+
+    return result.rows.map(row => this.formatCourse(row));
+  }
+
+  /**
+   * Get a course with its sections; invite codes only go to its teachers
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @returns {Promise<Object>} - Course
+   */
+  async getCourse(user, courseId) {
+    const course = await this.findCourse(user, courseId);
+    const sections = (await db.query(`
+      SELECT s.*, (SELECT COUNT(*) FROM course_members m WHERE m.section_id = s.id) AS member_count
+      FROM course_sections s
+      WHERE s.course_id = $1
+      ORDER BY s.name
+    `, [courseId])).rows;
+
+    return this.formatCourse(course, sections, user.role === 'admin' || course.my_role === 'teacher');
+  }
+
+  /**
+   * Change a course's title, code or description (course teachers)
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @param {Object} data - { title, code, description }
+   * @returns {Promise<Object>} - Course
+   */
+  async updateCourse(user, courseId, { title, code, description } = {}) {
+    await this.findCourse(user, courseId, ['teacher']);
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+      throw createError(400, 'title cannot be empty');
+    }
+
+    await db.query(`
+      UPDATE courses
+      SET title = COALESCE($2, title),
+          code = CASE WHEN $3::boolean THEN $4 ELSE code END,
+          description = CASE WHEN $5::boolean THEN $6 ELSE description END,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [
+      courseId,
+      title !== undefined ? title.trim().slice(0, 200) : null,
+      code !== undefined, code ? String(code).slice(0, 50) : null,
+      description !== undefined, description || null
+    ]);
+
+    return this.getCourse(user, courseId);
+  }
+
+  /**
+   * Replace the invite code of a course or one of its sections (course teachers)
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @param {number|null} sectionId - Section ID, or null for the course's own code
+   * @returns {Promise<string>} - New invite code
+   */
+  async resetInviteCode(user, courseId, sectionId = null) {
+    await this.findCourse(user, courseId, ['teacher']);
+    const inviteCode = this.generateInviteCode();
+
+    const result = sectionId
+      ? await db.query('UPDATE course_sections SET invite_code = $3 WHERE id = $1 AND course_id = $2', [sectionId, courseId, inviteCode])
+      : await db.query('UPDATE courses SET invite_code = $2, updated_at = NOW() WHERE id = $1', [courseId, inviteCode]);
+
+    if (result.rowCount === 0) {
+      throw createError(404, 'Section not found');
+    }
+    return inviteCode;
+  }
+
+  /**
+   * Join a course with its invite code, or a section's code to join that section
+   * @param {Object} user - { userId, role }
+   * @param {string} inviteCode - Invite code
+   * @returns {Promise<Object>} - Course
+   */
+  async joinCourse(user, inviteCode) {
+    const code = String(inviteCode || '').trim().toUpperCase();
+    if (!code) {
+      throw createError(400, 'Invite code is required');
+    }
+
+    const target = (await db.query(`
+      SELECT c.id AS course_id, NULL::int AS section_id FROM courses c WHERE c.invite_code = $1
+      UNION ALL
+      SELECT s.course_id, s.id AS section_id FROM course_sections s WHERE s.invite_code = $1
+    `, [code])).rows[0];
+
+    if (!target) {
+      throw createError(404, 'Invalid invite code');
+    }
+
+    // Members joining again with a section code move to that section; their role stays
+    await db.query(`
+      INSERT INTO course_members (course_id, user_id, role, section_id)
+      VALUES ($1, $2, 'student', $3)
+      ON CONFLICT (course_id, user_id)
+      DO UPDATE SET section_id = COALESCE(EXCLUDED.section_id, course_members.section_id)
+    `, [target.course_id, user.userId, target.section_id]);
+
+    return this.getCourse(user, target.course_id);
+  }
+
+  /**
+   * List a course's members (course teachers and TAs)
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @param {Object} filters - { role, sectionId }
+   * @returns {Promise<Array>} - Members
+   */
+  async listMembers(user, courseId, { role = null, sectionId = null } = {}) {
+    await this.findCourse(user, courseId, STAFF_ROLES);
+    const result = await db.query(`
+      SELECT cm.*, u.name, u.email, s.name AS section_name
+      FROM course_members cm
+      JOIN users u ON u.id = cm.user_id
+      LEFT JOIN course_sections s ON s.id = cm.section_id
+      WHERE cm.course_id = $1
+        AND ($2::text IS NULL OR cm.role = $2)
+        AND ($3::int IS NULL OR cm.section_id = $3)
+      ORDER BY CASE cm.role WHEN 'teacher' THEN 0 WHEN 'ta' THEN 1 ELSE 2 END, u.name
+    `, [courseId, role, sectionId]);
+
+    return result.rows.map(row => ({
+      userId: row.user_id,
+      name: row.name,
+      email: row.email,
+      role: row.role,
+      sectionId: row.section_id,
+      sectionName: row.section_name,
+      joinedAt: row.joined_at
+    }));
+  }
+
+  /**
+   * Change a member's role or section (course teachers)
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @param {number} memberId - User ID of the member
+   * @param {Object} changes - { role, sectionId (null to leave sections) }
+   */
+  async updateMember(user, courseId, memberId, { role, sectionId } = {}) {
+    await this.findCourse(user, courseId, ['teacher']);
+    if (role !== undefined && !COURSE_ROLES.includes(role)) {
+      throw createError(400, `role must be one of ${COURSE_ROLES.join(', ')}`);
+    }
+    if (sectionId) {
+      const section = await db.query('SELECT 1 FROM course_sections WHERE id = $1 AND course_id = $2', [sectionId, courseId]);
+      if (section.rows.length === 0) {
+        throw createError(404, 'Section not found');
+      }
+    }
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const member = (await client.query(
+        'SELECT * FROM course_members WHERE course_id = $1 AND user_id = $2 FOR UPDATE',
+        [courseId, memberId]
+      )).rows[0];
+      if (!member) {
+        throw createError(404, 'Member not found');
+      }
+      if (member.role === 'teacher' && role !== undefined && role !== 'teacher') {
+        await this.assertAnotherTeacher(client, courseId, memberId);
+      }
+
+      await client.query(`
+        UPDATE course_members
+        SET role = COALESCE($3, role),
+            section_id = CASE WHEN $4::boolean THEN $5 ELSE section_id END
+        WHERE course_id = $1 AND user_id = $2
+      `, [courseId, memberId, role ?? null, sectionId !== undefined, sectionId || null]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Remove a member (course teachers), or leave a course (any member)
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @param {number} memberId - User ID of the member
+   */
+  async removeMember(user, courseId, memberId) {
+    await this.findCourse(user, courseId, memberId === user.userId ? COURSE_ROLES : ['teacher']);
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const member = (await client.query(
+        'SELECT role FROM course_members WHERE course_id = $1 AND user_id = $2 FOR UPDATE',
+        [courseId, memberId]
+      )).rows[0];
+      if (!member) {
+        throw createError(404, 'Member not found');
+      }
+      if (member.role === 'teacher') {
+        await this.assertAnotherTeacher(client, courseId, memberId);
+      }
+
+      await client.query('DELETE FROM course_members WHERE course_id = $1 AND user_id = $2', [courseId, memberId]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Add a section with its own invite code (course teachers)
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @param {string} name - Section name
+   * @returns {Promise<Object>} - Section
+   */
+  async createSection(user, courseId, name) {
+    await this.findCourse(user, courseId, ['teacher']);
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw createError(400, 'Section name is required');
+    }
+
+    try {
+      const section = (await db.query(`
+        INSERT INTO course_sections (course_id, name, invite_code)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [courseId, name.trim().slice(0, 100), this.generateInviteCode()])).rows[0];
+      return this.formatSection({ ...section, member_count: 0 }, true);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw createError(409, 'A section with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a section; its members stay in the course without a section
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @param {number} sectionId - Section ID
+   */
+  async deleteSection(user, courseId, sectionId) {
+    await this.findCourse(user, courseId, ['teacher']);
+    const result = await db.query('DELETE FROM course_sections WHERE id = $1 AND course_id = $2', [sectionId, courseId]);
+    if (result.rowCount === 0) {
+      throw createError(404, 'Section not found');
+    }
+  }
+
+  /**
+   * Move a lecture into a course, or out of one with courseId null. The
+   * lecture's uploader (or an admin) may do this, and must teach the target course
+   * @param {Object} user - { userId, role }
+   * @param {number} lectureId - Lecture ID
+   * @param {number|null} courseId - Course ID
+   * @returns {Promise<Object>} - { lectureId, courseId }
+   */
+  async setLectureCourse(user, lectureId, courseId) {
+    const lecture = await this.assertLectureAccess(user, lectureId);
+    if (user.role !== 'admin' && lecture.uploader_id !== user.userId) {
+      throw createError(403, 'Only the lecture uploader can move it between courses');
+    }
+    if (courseId) {
+      await this.assertCanPublish(user, courseId);
+    }
+
+    await db.query('UPDATE lectures SET course_id = $2 WHERE id = $1', [lectureId, courseId || null]);
+    return { lectureId, courseId: courseId || null };
+  }
+
+  /**
+   * Check the user may add lectures to a course: its teachers and admins
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   */
+  async assertCanPublish(user, courseId) {
+    await this.findCourse(user, courseId, ['teacher']);
+  }
+
+  /**
+   * Find a course the user belongs to
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @param {Array} roles - Course roles allowed (admins always are)
+   * @returns {Promise<Object>} - Course row with my_role
+   */
+  async findCourse(user, courseId, roles = COURSE_ROLES) {
+    const course = (await db.query(`
+      SELECT c.*, cm.role AS my_role, cm.section_id AS my_section_id,
+        (SELECT COUNT(*) FROM course_members m WHERE m.course_id = c.id) AS member_count,
+        (SELECT COUNT(*) FROM lectures l WHERE l.course_id = c.id) AS lecture_count
+      FROM courses c
+      LEFT JOIN course_members cm ON cm.course_id = c.id AND cm.user_id = $2
+      WHERE c.id = $1
+    `, [courseId, user.userId])).rows[0];
+
+    if (!course || (user.role !== 'admin' && !course.my_role)) {
+      throw createError(404, 'Course not found');
+    }
+    if (user.role !== 'admin' && !roles.includes(course.my_role)) {
+      throw createError(403, 'Permission denied');
+    }
+    return course;
+  }
+
+  /**
+   * A course keeps at least one teacher
+   * @param {Object} client - Database client in a transaction
+   * @param {number} courseId - Course ID
+   * @param {number} memberId - Teacher being removed or demoted
+   */
+  async assertAnotherTeacher(client, courseId, memberId) {
+    const others = await client.query(
+      `SELECT 1 FROM course_members WHERE course_id = $1 AND user_id <> $2 AND role = 'teacher' LIMIT 1`,
+      [courseId, memberId]
+    );
+    if (others.rows.length === 0) {
+      throw createError(409, 'A course needs at least one teacher');
+    }
+  }
+
+  /**
+   * Random invite code
+   * @returns {string}
+   */
+  generateInviteCode() {
+    return Array.from({ length: INVITE_CODE_LENGTH }, () => INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)]).join('');
+  }
+
+  /**
+   * Format a course for clients
+   * @param {Object} row - courses row with my_role, member_count and lecture_count
+   * @param {Array|null} sections - course_sections rows, or null to leave them out
+   * @param {boolean} withInviteCodes - Include the invite codes (course teachers and admins)
+   * @returns {Object} - Course
+   */
+  formatCourse(row, sections = null, withInviteCodes = false) {
+    return {
+      id: row.id,
+      title: row.title,
+      code: row.code,
+      description: row.description,
+      myRole: row.my_role || null,
+      mySectionId: row.my_section_id || null,
+      memberCount: parseInt(row.member_count || 0, 10),
+      lectureCount: parseInt(row.lecture_count || 0, 10),
+      inviteCode: withInviteCodes ? row.invite_code : undefined,
+      sections: sections ? sections.map(section => this.formatSection(section, withInviteCodes)) : undefined,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Format a section for clients
+   * @param {Object} row - course_sections row with member_count
+   * @param {boolean} withInviteCode - Include the invite code
+   * @returns {Object} - Section
+   */
+  formatSection(row, withInviteCode) {
+    return {
+      id: row.id,
+      name: row.name,
+      memberCount: parseInt(row.member_count || 0, 10),
+      inviteCode: withInviteCode ? row.invite_code : undefined
+    };
+  }
+}
+
+export default new CourseService();
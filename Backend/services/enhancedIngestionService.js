@@ -2,199 +2,401 @@ import fs from 'fs/promises';
 import path from 'path';
 import db from '../utils/db.js';
 import audioExtractionService from './audioExtractionService.js';
-import geminiFilesService from './geminiFilesService.js';
-import whisperService from './whisperService.js';
+import llmService from './llmService.js';
 import pptExtractionService from './pptExtractionService.js';
 import cacheService from './cacheService.js';
+import jobQueueService from './jobQueueService.js';
+import audioSegmentationService from './audioSegmentationService.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import transcriptionProviders from './transcriptionProviders.js';
+import retrievalService from './retrievalService.js';
+import { generateSummary } from './summarizationService.js';
 import { 
   withRetry, 
-  geminiCircuitBreaker, 
-  whisperCircuitBreaker 
+  geminiCircuitBreaker
 } from '../middleware/rateLimitMiddleware.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const INGESTION_STAGES = ['extract_audio', 'transcribe', 'ppt', 'embed', 'summary', 'quiz'];
 
 class EnhancedIngestionService {
   constructor() {
-    this.processingQueue = new Map();
-    this.transcriptionPreference = process.env.TRANSCRIPTION_SERVICE || 'auto'; // auto, gemini, whisper
+    this.transcriptionPreference = process.env.TRANSCRIPTION_SERVICE || 'auto'; // auto, llm, whisper, local or a comma-separated order
+    this.segmentConcurrency = parseInt(process.env.TRANSCRIPTION_CONCURRENCY, 10) || 3;
+    jobQueueService.registerHandler('ingest', (job, context) => this.runIngestionJob(job, context));
   }
 
   /**
-   * Process a complete lecture with video and optional PPT
+   * Create the lecture record and queue it for processing
    * @param {Object} lectureData - Lecture information
    * @param {Object} files - Uploaded files (video, ppt)
-   * @returns {Promise<Object>} - Processing result
+   * @returns {Promise<Object>} - Queued job information
    */
   async processLecture(lectureData, files) {
-    const lectureId = `temp_${Date.now()}`;
-    
-    try {
-      // Mark as processing
-      this.processingQueue.set(lectureId, { status: 'processing', progress: 0 });
-
-      // Step 1: Insert lecture metadata into database
-      const lecture = await this.createLectureRecord(lectureData, files);
-      const actualLectureId = lecture.id;
-      
-      // Update processing queue with actual ID
-      this.processingQueue.delete(lectureId);
-      this.processingQueue.set(actualLectureId, { status: 'processing', progress: 10 });
-
-      // Step 2: Extract audio from video
-      console.log('Extracting audio from video...');
-      const audioResult = await withRetry(
-        () => audioExtractionService.extractAudio(files.video.path),
-        3,
-        1000
-      );
-      
-      if (!audioResult.success) {
-        throw new Error(`Audio extraction failed: ${audioResult.error}`);
-      }
+    const lecture = await this.createLectureRecord(lectureData, files);
+
+    const job = await jobQueueService.enqueue(lecture.id, 'ingest', {
+      lectureData: {
+        title: lectureData.title,
+        description: lectureData.description,
+        uploader_id: lectureData.uploader_id,
+        language: lectureData.language
+      },
+      files,
+      stages: INGESTION_STAGES
+    });
 
-      // Update lecture with audio path
-      await this.updateLectureAudioPath(actualLectureId, audioResult.relativePath);
-      this.updateProgress(actualLectureId, 30);
+    return {
+      success: true,
+      lectureId: lecture.id,
+      lecture: lecture,
+      jobId: job.id,
+      status: job.status,
+      stages: INGESTION_STAGES
+    };
+  }
 
-      // Step 3: Transcribe audio using best available service
-      console.log('Transcribing audio...');
-      const transcriptionResult = await this.transcribeAudioWithFallback(audioResult.audioPath, {
+  /**
+   * Run an ingestion job, skipping stages completed by an earlier attempt
+   * @param {Object} job - Job record
+   * @param {Object} context - Job context from the queue
+   */
+  async runIngestionJob(job, context) {
+    const lectureId = job.lecture_id;
+    const { lectureData = {}, files = {}, stages = INGESTION_STAGES, options = {} } = job.payload || {};
+    const language = lectureData.language || options.language || 'en';
+
+    await this.updateLectureStatus(lectureId, 'processing');
+
+    const stageHandlers = {
+      extract_audio: () => this.runExtractAudioStage(lectureId, files, context),
+      transcribe: () => this.runTranscribeStage(lectureId, context, {
         includeTimestamps: true,
         includeSpeakerLabels: true,
-        language: lectureData.language || 'auto'
-      });
+        language: lectureData.language || 'auto',
+        ...options.transcriptionOptions
+      }),
+      ppt: () => this.runPPTStage(lectureId, files),
+      embed: () => this.runEmbedStage(lectureId, context),
+      summary: () => this.runSummaryStage(lectureId, {
+        style: 'concise',
+        language,
+        ...options.summaryOptions
+      }),
+      quiz: () => this.runQuizStage(lectureId, {
+        difficulty: 'medium',
+        language,
+        numQuestions: 10,
+        ...options.quizOptions
+      })
+    };
 
-      if (!transcriptionResult.success) {
-        throw new Error(`Transcription failed: ${transcriptionResult.error}`);
+    for (const [index, stage] of stages.entries()) {
+      if (context.isStageCompleted(stage)) {
+        console.log(`Job ${job.id}: skipping completed stage ${stage}`);
+        continue;
       }
 
-      // Step 4: Store transcript chunks in database
-      await this.storeTranscriptChunks(actualLectureId, transcriptionResult.chunks);
-      this.updateProgress(actualLectureId, 60);
-
-      // Step 5: Extract text from PPT if provided
-      let pptText = '';
-      if (files.ppt) {
-        console.log('Extracting text from PPT...');
-        const pptResult = await withRetry(
-          () => pptExtractionService.extractTextFromPPT(files.ppt.path),
-          2,
-          1000
-        );
-        
-        if (pptResult.success) {
-          pptText = pptResult.slides.map(slide => 
-            `Slide ${slide.slideNumber}: ${slide.title}\n${slide.content}`
-          ).join('\n\n');
-          
-          // Store PPT content in database
-          await this.storePPTContent(actualLectureId, pptResult);
-        }
-      }
-      this.updateProgress(actualLectureId, 80);
+      console.log(`Job ${job.id}: running stage ${stage} for lecture ${lectureId}`);
+      await context.startStage(stage);
+      const stageResult = await stageHandlers[stage]();
+      await context.completeStage(stage, stageResult, Math.round(((index + 1) / stages.length) * 100));
+    }
 
-      // Step 6: Generate initial summary and quiz with fallback
-      const fullContent = transcriptionResult.transcript + (pptText ? '\n\nSlide Content:\n' + pptText : '');
-      
-      // Generate default summary with circuit breaker
-      let summaryResult;
-      try {
-        summaryResult = await geminiCircuitBreaker.execute(() =>
-          geminiFilesService.generateSummary(fullContent, {
-            style: 'concise',
-            language: lectureData.language || 'en'
-          })
-        );
-      } catch (error) {
-        console.warn('Gemini summary generation failed, skipping:', error.message);
-        summaryResult = { success: false };
-      }
+    await cacheService.invalidateLectureCache(lectureId);
+    await this.updateLectureStatus(lectureId, 'completed');
+  }
 
-      if (summaryResult.success) {
-        await this.storeSummary(actualLectureId, summaryResult, lectureData.language || 'en');
+  /**
+   * Extract audio from the uploaded video
+   * @param {number} lectureId - Lecture ID
+   * @param {Object} files - Uploaded files
+   * @param {Object} context - Job context
+   * @returns {Promise<Object>} - Stage output
+   */
+  async runExtractAudioStage(lectureId, files, context) {
+    console.log('Extracting audio from video...');
+    let lastPercent = -1;
+    const onProgress = (percent) => {
+      // FFmpeg reports progress many times per second; only forward changes
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        context.reportProgress('extract_audio', percent);
       }
+    };
 
-      // Generate default quiz with circuit breaker
-      let quizResult;
-      try {
-        quizResult = await geminiCircuitBreaker.execute(() =>
-          geminiFilesService.generateQuiz(fullContent, {
-            difficulty: 'medium',
-            language: lectureData.language || 'en',
-            numQuestions: 10
-          })
-        );
-      } catch (error) {
-        console.warn('Gemini quiz generation failed, skipping:', error.message);
-        quizResult = { success: false };
-      }
+    const audioResult = await withRetry(
+      () => audioExtractionService.extractAudio(files.video.path, { onProgress }),
+      3,
+      1000
+    );
 
-      if (quizResult.success) {
-        await this.storeQuiz(actualLectureId, quizResult, lectureData.language || 'en');
-      }
+    if (!audioResult.success) {
+      throw new Error(`Audio extraction failed: ${audioResult.error}`);
+    }
 
-      // Step 7: Update lecture status to completed
-      await this.updateLectureStatus(actualLectureId, 'completed');
-      this.updateProgress(actualLectureId, 100);
+    await this.updateLectureAudioPath(lectureId, audioResult.relativePath);
 
-      // Clean up processing queue
-      this.processingQueue.delete(actualLectureId);
+    return {
+      audioPath: audioResult.audioPath,
+      relativePath: audioResult.relativePath,
+      duration: audioResult.metadata.duration
+    };
+  }
+
+  /**
+   * Transcribe extracted audio and replace the lecture's transcript chunks
+   * @param {number} lectureId - Lecture ID
+   * @param {Object} context - Job context
+   * @param {Object} options - Transcription options
+   * @returns {Promise<Object>} - Stage output
+   */
+  async runTranscribeStage(lectureId, context, options) {
+    const audioPath = context.stageData.extract_audio?.audioPath
+      || await this.getLectureAudioPath(lectureId);
+
+    const { segment, duration } = await audioSegmentationService.needsSegmentation(audioPath);
+    let transcriptionResult;
+
+    if (segment) {
+      console.log(`Transcribing long audio (${Math.round(duration)}s) in segments...`);
+      transcriptionResult = await this.transcribeInSegments(audioPath, duration, options, context);
+    } else {
+      console.log('Transcribing audio...');
+      transcriptionResult = await this.transcribeAudioWithFallback(audioPath, {
+        ...options,
+        onServiceAttempt: (service) => context.reportProgress('transcribe', 0, { service })
+      });
+    }
+
+    if (!transcriptionResult.success) {
+      throw new Error(`Transcription failed: ${transcriptionResult.error}`);
+    }
+
+    // Clear chunks from an interrupted attempt before storing
+    await db.query('DELETE FROM transcript_chunks WHERE lecture_id = $1', [lectureId]);
+    await this.storeTranscriptChunks(lectureId, transcriptionResult.chunks, segment ? null : (stored, total) =>
+      context.reportProgress('transcribe', (stored / total) * 100, {
+        service: transcriptionResult.metadata.service,
+        chunksCompleted: stored,
+        totalChunks: total
+      })
+    );
+
+    return {
+      totalChunks: transcriptionResult.chunks.length,
+      language: transcriptionResult.metadata.language,
+      service: transcriptionResult.metadata.service
+    };
+  }
+
+  /**
+   * Split long audio at silences and transcribe the segments in parallel
+   * @param {string} audioPath - Path to audio file
+   * @param {number} duration - Audio duration in seconds
+   * @param {Object} options - Transcription options
+   * @param {Object} context - Job context
+   * @returns {Promise<Object>} - Transcription result with global timestamps
+   */
+  async transcribeInSegments(audioPath, duration, options, context) {
+    const segments = await audioSegmentationService.splitAudio(audioPath, duration);
+    let completed = 0;
+
+    try {
+      const segmentResults = await mapWithConcurrency(segments, this.segmentConcurrency, async (segment) => {
+        // Small chunks let the stitcher drop the overlap precisely
+        const result = await this.transcribeAudioWithFallback(segment.path, { ...options, chunkSize: 30 });
+
+        if (!result.success) {
+          throw new Error(`Segment ${segment.index} failed: ${result.error}`);
+        }
+
+        completed++;
+        context.reportProgress('transcribe', (completed / segments.length) * 100, {
+          service: result.metadata.service,
+          chunksCompleted: completed,
+          totalChunks: segments.length
+        });
+
+        return { segment, result };
+      });
+
+      const chunks = audioSegmentationService.stitchTranscripts(segmentResults, options.chunkSize || 300);
+      const services = [...new Set(segmentResults.map(({ result }) => result.metadata.service))];
 
       return {
         success: true,
-        lectureId: actualLectureId,
-        lecture: lecture,
-        transcription: {
-          totalChunks: transcriptionResult.chunks.length,
-          language: transcriptionResult.metadata.language,
-          service: transcriptionResult.metadata.service
-        },
-        ppt: files.ppt ? {
-          totalSlides: pptText ? pptText.split('Slide ').length - 1 : 0
-        } : null,
-        summary: summaryResult?.success || false,
-        quiz: quizResult?.success || false
+        transcript: chunks.map(chunk => chunk.text).join(' '),
+        chunks,
+        metadata: {
+          language: segmentResults[0].result.metadata.language,
+          service: services.join(','),
+          totalChunks: chunks.length,
+          totalSegments: segments.length,
+          duration
+        }
       };
+    } finally {
+      await audioSegmentationService.cleanupSegments(segments);
+    }
+  }
+
+  /**
+   * Extract slide text from the uploaded presentation, if any
+   * @param {number} lectureId - Lecture ID
+   * @param {Object} files - Uploaded files
+   * @returns {Promise<Object>} - Stage output
+   */
+  async runPPTStage(lectureId, files) {
+    if (!files.ppt) {
+      return { skipped: true };
+    }
 
+    console.log('Extracting text from PPT...');
+    const pptResult = await withRetry(
+      () => pptExtractionService.extractTextFromPPT(files.ppt.path),
+      2,
+      1000
+    );
+
+    if (!pptResult.success) {
+      return { success: false, totalSlides: 0 };
+    }
+
+    await this.storePPTContent(lectureId, pptResult);
+    return { success: true, totalSlides: pptResult.slides.length };
+  }
+
+  /**
+   * Embed transcript and slide passages for retrieval; failures are logged
+   * and skipped since retrieval falls back to the full content
+   * @param {number} lectureId - Lecture ID
+   * @param {Object} context - Job context
+   * @returns {Promise<Object>} - Stage output
+   */
+  async runEmbedStage(lectureId, context) {
+    if (!retrievalService.isAvailable()) {
+      return { skipped: true };
+    }
+
+    try {
+      const result = await retrievalService.indexLecture(lectureId, {
+        onProgress: (embedded, total) => context.reportProgress('embed', (embedded / total) * 100)
+      });
+      return { success: true, ...result };
     } catch (error) {
-      console.error('Lecture processing failed:', error);
-      
-      // Update status to failed
-      if (this.processingQueue.has(lectureId)) {
-        this.processingQueue.set(lectureId, { status: 'failed', error: error.message });
-      }
-      
-      // If we have a lecture ID, update database status
-      if (lectureData.id) {
-        await this.updateLectureStatus(lectureData.id, 'failed');
-      }
+      console.warn('Embedding failed, skipping:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Generate the default summary by map-reduce over the transcript;
+   * failures are logged and skipped
+   * @param {number} lectureId - Lecture ID
+   * @param {Object} options - Summary options
+   * @returns {Promise<Object>} - Stage output
+   */
+  async runSummaryStage(lectureId, options) {
+    try {
+      const result = await generateSummary(lectureId, options.language, options.style, options);
+      return { success: true, sections: result.sections.length };
+    } catch (error) {
+      console.warn('Summary generation failed, skipping:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Generate the default quiz; failures are logged and skipped
+   * @param {number} lectureId - Lecture ID
+   * @param {Object} options - Quiz options
+   * @returns {Promise<Object>} - Stage output
+   */
+  async runQuizStage(lectureId, options) {
+    const fullContent = await this.getLectureContent(lectureId);
+
+    const content = await retrievalService.fitContent(lectureId, fullContent);
+
+    let quizResult;
+    try {
+      quizResult = await geminiCircuitBreaker.execute(() =>
+        llmService.generateQuiz(content, options)
+      );
+    } catch (error) {
+      console.warn('Quiz generation failed, skipping:', error.message);
+      return { success: false, error: error.message };
+    }
 
-      throw error;
+    if (quizResult.success) {
+      await db.query('DELETE FROM quizzes WHERE lecture_id = $1 AND lang = $2',
+        [lectureId, options.language]);
+      await this.storeQuiz(lectureId, quizResult, options.language);
     }
+
+    return { success: !!quizResult.success };
+  }
+
+  /**
+   * Build transcript plus slide text for a lecture from stored data
+   * @param {number} lectureId - Lecture ID
+   * @returns {Promise<string>} - Combined content
+   */
+  async getLectureContent(lectureId) {
+    const transcriptQuery = 'SELECT text FROM transcript_chunks WHERE lecture_id = $1 ORDER BY start_ts';
+    const transcriptResult = await db.query(transcriptQuery, [lectureId]);
+    const transcript = transcriptResult.rows.map(row => row.text).join(' ');
+
+    const lectureResult = await db.query('SELECT ppt_content FROM lectures WHERE id = $1', [lectureId]);
+    const pptContent = lectureResult.rows[0]?.ppt_content;
+
+    const pptText = pptContent?.slides
+      ? pptContent.slides.map(slide =>
+        `Slide ${slide.slideNumber}: ${slide.title}\n${slide.content}`
+      ).join('\n\n')
+      : '';
+
+    return transcript + (pptText ? '\n\nSlide Content:\n' + pptText : '');
+  }
+
+  /**
+   * Resolve the stored audio path for a lecture
+   * @param {number} lectureId - Lecture ID
+   * @returns {Promise<string>} - Audio path
+   */
+  async getLectureAudioPath(lectureId) {
+    const lectureQuery = 'SELECT audio_path FROM lectures WHERE id = $1';
+    const lectureResult = await db.query(lectureQuery, [lectureId]);
+
+    if (lectureResult.rows.length === 0 || !lectureResult.rows[0].audio_path) {
+      throw new Error('Audio file not found for lecture');
+    }
+
+    return path.resolve(path.join(__dirname, '../..'), lectureResult.rows[0].audio_path);
   }
 
   /**
    * Transcribe audio with fallback between services
    * @param {string} audioPath - Path to audio file
-   * @param {Object} options - Transcription options
+   * @param {Object} transcriptionOptions - Transcription options, plus optional onServiceAttempt callback
    * @returns {Promise<Object>} - Transcription result
    */
-  async transcribeAudioWithFallback(audioPath, options = {}) {
+  async transcribeAudioWithFallback(audioPath, transcriptionOptions = {}) {
+    const { onServiceAttempt, ...options } = transcriptionOptions;
     const services = this.getTranscriptionServices();
     let lastError;
 
     for (const service of services) {
       try {
         console.log(`Attempting transcription with ${service.name}...`);
-        
-        if (service.name === 'gemini') {
-          return await geminiCircuitBreaker.execute(() =>
-            geminiFilesService.transcribeAudio(audioPath, options)
-          );
-        } else if (service.name === 'whisper') {
-          return await whisperCircuitBreaker.execute(() =>
-            whisperService.transcribeAudio(audioPath, options)
-          );
+        if (onServiceAttempt) {
+          onServiceAttempt(service.name);
         }
+
+        return await service.transcribe(audioPath, options);
       } catch (error) {
         console.warn(`${service.name} transcription failed:`, error.message);
         lastError = error;
@@ -202,35 +404,15 @@ class EnhancedIngestionService {
       }
     }
 
-    throw new Error(`All transcription services failed. Last error: ${lastError?.message}`);
+    throw new Error(`All transcription services failed. Last error: ${lastError?.message || 'no transcription service available'}`);
   }
 
   /**
    * Get available transcription services in order of preference
-   * @returns {Array} - Array of service objects
+   * @returns {Array} - Available transcription providers
    */
   getTranscriptionServices() {
-    const services = [];
-
-    if (this.transcriptionPreference === 'gemini') {
-      services.push({ name: 'gemini', available: true });
-      if (whisperService.isAvailable()) {
-        services.push({ name: 'whisper', available: true });
-      }
-    } else if (this.transcriptionPreference === 'whisper') {
-      if (whisperService.isAvailable()) {
-        services.push({ name: 'whisper', available: true });
-      }
-      services.push({ name: 'gemini', available: true });
-    } else {
-      // Auto mode - prefer Whisper if available, fallback to Gemini
-      if (whisperService.isAvailable()) {
-        services.push({ name: 'whisper', available: true });
-      }
-      services.push({ name: 'gemini', available: true });
-    }
-
-    return services.filter(service => service.available);
+    return transcriptionProviders.getOrderedProviders(this.transcriptionPreference);
   }
 
   /**
@@ -241,8 +423,8 @@ class EnhancedIngestionService {
    */
   async createLectureRecord(lectureData, files) {
     const query = `
-      INSERT INTO lectures (title, description, uploader_id, video_path, ppt_path, processing_status)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO lectures (title, description, uploader_id, course_id, video_path, ppt_path, processing_status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *
     `;
     
@@ -250,6 +432,7 @@ class EnhancedIngestionService {
       lectureData.title,
       lectureData.description,
       lectureData.uploader_id,
+      lectureData.course_id || null,
       files.video.path,
       files.ppt ? files.ppt.path : null,
       'processing'
@@ -273,14 +456,15 @@ class EnhancedIngestionService {
    * Store transcript chunks in database
    * @param {number} lectureId - Lecture ID
    * @param {Array} chunks - Transcript chunks
+   * @param {Function} onProgress - Optional callback (stored, total)
    */
-  async storeTranscriptChunks(lectureId, chunks) {
+  async storeTranscriptChunks(lectureId, chunks, onProgress = null) {
     const query = `
       INSERT INTO transcript_chunks (lecture_id, start_ts, end_ts, speaker, text)
       VALUES ($1, $2, $3, $4, $5)
     `;
 
-    for (const chunk of chunks) {
+    for (const [index, chunk] of chunks.entries()) {
       await db.query(query, [
         lectureId,
         chunk.start_ts,
@@ -288,6 +472,10 @@ class EnhancedIngestionService {
         chunk.speaker,
         chunk.text
       ]);
+
+      if (onProgress) {
+        onProgress(index + 1, chunks.length);
+      }
     }
   }
 
@@ -306,29 +494,6 @@ class EnhancedIngestionService {
     await db.query(query, [JSON.stringify(pptResult), lectureId]);
   }
 
-  /**
-   * Store summary in database
-   * @param {number} lectureId - Lecture ID
-   * @param {Object} summaryResult - Summary generation result
-   * @param {string} language - Language code
-   */
-  async storeSummary(lectureId, summaryResult, language) {
-    const query = `
-      INSERT INTO summaries (lecture_id, lang, content_md, gemini_model)
-      VALUES ($1, $2, $3, $4)
-      RETURNING id
-    `;
-
-    const values = [
-      lectureId,
-      language,
-      summaryResult.summary,
-      'gemini-2.5-flash'
-    ];
-
-    await db.query(query, values);
-  }
-
   /**
    * Store quiz in database
    * @param {number} lectureId - Lecture ID
@@ -346,7 +511,7 @@ class EnhancedIngestionService {
       lectureId,
       language,
       JSON.stringify(quizResult.quiz),
-      'gemini-2.5-flash'
+      llmService.getModelName()
     ];
 
     await db.query(query, values);
@@ -363,24 +528,28 @@ class EnhancedIngestionService {
   }
 
   /**
-   * Update processing progress
+   * Get processing status from the latest job for a lecture
    * @param {number} lectureId - Lecture ID
-   * @param {number} progress - Progress percentage
+   * @returns {Promise<Object>} - Processing status
    */
-  updateProgress(lectureId, progress) {
-    if (this.processingQueue.has(lectureId)) {
-      const current = this.processingQueue.get(lectureId);
-      this.processingQueue.set(lectureId, { ...current, progress });
+  async getProcessingStatus(lectureId) {
+    const job = await jobQueueService.getLatestJobForLecture(lectureId);
+
+    if (!job) {
+      return { status: 'not_found' };
     }
-  }
 
-  /**
-   * Get processing status
-   * @param {number} lectureId - Lecture ID
-   * @returns {Object} - Processing status
-   */
-  getProcessingStatus(lectureId) {
-    return this.processingQueue.get(lectureId) || { status: 'not_found' };
+    return {
+      jobId: job.id,
+      status: job.status,
+      stage: job.current_stage,
+      progress: job.progress,
+      completedStages: job.completed_stages,
+      stages: job.payload?.stages || INGESTION_STAGES,
+      attempts: job.attempts,
+      error: job.error,
+      updatedAt: job.updated_at
+    };
   }
 
   /**
@@ -394,17 +563,9 @@ class EnhancedIngestionService {
         service: 'ffmpeg'
       },
       transcription: {
-        services: this.getTranscriptionServices(),
+        services: this.getTranscriptionServices().map(service => ({ name: service.name, available: true })),
         preference: this.transcriptionPreference,
-        gemini: {
-          available: true,
-          circuitBreaker: geminiCircuitBreaker.getState()
-        },
-        whisper: {
-          available: whisperService.isAvailable(),
-          circuitBreaker: whisperCircuitBreaker.getState(),
-          info: whisperService.getServiceInfo()
-        }
+        ...transcriptionProviders.getHealth()
       },
       pptExtraction: {
         available: true,
@@ -414,130 +575,41 @@ class EnhancedIngestionService {
   }
 
   /**
-   * Reprocess lecture with different options
+   * Queue selected stages of an existing lecture for reprocessing
    * @param {number} lectureId - Lecture ID
    * @param {Object} options - Reprocessing options
    */
   async reprocessLecture(lectureId, options = {}) {
-    try {
-      // Get existing lecture
-      const lectureQuery = 'SELECT * FROM lectures WHERE id = $1';
-      const lectureResult = await db.query(lectureQuery, [lectureId]);
-      
-      if (lectureResult.rows.length === 0) {
-        throw new Error('Lecture not found');
-      }
-
-      const lecture = lectureResult.rows[0];
-      
-      // Mark as processing
-      this.processingQueue.set(lectureId, { status: 'reprocessing', progress: 0 });
-      await this.updateLectureStatus(lectureId, 'processing');
-
-      // Reprocess based on options
-      if (options.regenerateSummary) {
-        await this.regenerateSummary(lectureId, options.summaryOptions);
-      }
-
-      if (options.regenerateQuiz) {
-        await this.regenerateQuiz(lectureId, options.quizOptions);
-      }
-
-      if (options.retranscribe) {
-        await this.retranscribeAudio(lectureId, options.transcriptionOptions);
-      }
-
-      await this.updateLectureStatus(lectureId, 'completed');
-      this.processingQueue.delete(lectureId);
-
-      return { success: true, message: 'Lecture reprocessed successfully' };
+    const lectureQuery = 'SELECT id FROM lectures WHERE id = $1';
+    const lectureResult = await db.query(lectureQuery, [lectureId]);
 
-    } catch (error) {
-      console.error('Lecture reprocessing failed:', error);
-      await this.updateLectureStatus(lectureId, 'failed');
-      this.processingQueue.delete(lectureId);
-      throw error;
+    if (lectureResult.rows.length === 0) {
+      throw new Error('Lecture not found');
     }
-  }
 
-  /**
-   * Regenerate summary for existing lecture
-   * @param {number} lectureId - Lecture ID
-   * @param {Object} options - Summary options
-   */
-  async regenerateSummary(lectureId, options = {}) {
-    // Get transcript content
-    const transcriptQuery = 'SELECT text FROM transcript_chunks WHERE lecture_id = $1 ORDER BY start_ts';
-    const transcriptResult = await db.query(transcriptQuery, [lectureId]);
-    
-    const fullTranscript = transcriptResult.rows.map(row => row.text).join(' ');
-    
-    // Generate new summary with circuit breaker
-    const summaryResult = await geminiCircuitBreaker.execute(() =>
-      geminiFilesService.generateSummary(fullTranscript, options)
-    );
-    
-    if (summaryResult.success) {
-      // Delete old summary and insert new one
-      await db.query('DELETE FROM summaries WHERE lecture_id = $1 AND lang = $2', 
-        [lectureId, options.language || 'en']);
-      
-      await this.storeSummary(lectureId, summaryResult, options.language || 'en');
-    }
-  }
+    const stages = [];
+    if (options.retranscribe) stages.push('transcribe');
+    if (options.retranscribe || options.reindex) stages.push('embed');
+    if (options.regenerateSummary) stages.push('summary');
+    if (options.regenerateQuiz) stages.push('quiz');
 
-  /**
-   * Regenerate quiz for existing lecture
-   * @param {number} lectureId - Lecture ID
-   * @param {Object} options - Quiz options
-   */
-  async regenerateQuiz(lectureId, options = {}) {
-    // Get transcript content
-    const transcriptQuery = 'SELECT text FROM transcript_chunks WHERE lecture_id = $1 ORDER BY start_ts';
-    const transcriptResult = await db.query(transcriptQuery, [lectureId]);
-    
-    const fullTranscript = transcriptResult.rows.map(row => row.text).join(' ');
-    
-    // Generate new quiz with circuit breaker
-    const quizResult = await geminiCircuitBreaker.execute(() =>
-      geminiFilesService.generateQuiz(fullTranscript, options)
-    );
-    
-    if (quizResult.success) {
-      // Delete old quiz and insert new one
-      await db.query('DELETE FROM quizzes WHERE lecture_id = $1 AND lang = $2', 
-        [lectureId, options.language || 'en']);
-      
-      await this.storeQuiz(lectureId, quizResult, options.language || 'en');
+    if (stages.length === 0) {
+      throw new Error('Nothing to reprocess');
     }
-  }
 
-  /**
-   * Retranscribe audio for existing lecture
-   * @param {number} lectureId - Lecture ID
-   * @param {Object} options - Transcription options
-   */
-  async retranscribeAudio(lectureId, options = {}) {
-    // Get lecture audio path
-    const lectureQuery = 'SELECT audio_path FROM lectures WHERE id = $1';
-    const lectureResult = await db.query(lectureQuery, [lectureId]);
-    
-    if (lectureResult.rows.length === 0 || !lectureResult.rows[0].audio_path) {
-      throw new Error('Audio file not found for lecture');
-    }
+    const job = await jobQueueService.enqueue(lectureId, 'ingest', {
+      options: {
+        language: options.language,
+        transcriptionOptions: options.transcriptionOptions,
+        summaryOptions: options.summaryOptions,
+        quizOptions: options.quizOptions
+      },
+      stages
+    });
 
-    const audioPath = lectureResult.rows[0].audio_path;
-    
-    // Retranscribe with fallback
-    const transcriptionResult = await this.transcribeAudioWithFallback(audioPath, options);
-    
-    if (transcriptionResult.success) {
-      // Delete old transcript chunks
-      await db.query('DELETE FROM transcript_chunks WHERE lecture_id = $1', [lectureId]);
-      
-      // Store new transcript chunks
-      await this.storeTranscriptChunks(lectureId, transcriptionResult.chunks);
-    }
+    await this.updateLectureStatus(lectureId, 'processing');
+
+    return { success: true, message: 'Lecture reprocessing queued', jobId: job.id, stages };
   }
 }
 
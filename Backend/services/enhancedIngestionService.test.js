@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// The fixture provider runs the pipeline offline; it has to be chosen before
+// the services read their configuration
+process.env.LLM_PROVIDER = 'fixture';
+process.env.TRANSCRIPTION_SERVICE = 'llm';
+
+const LINES = [
+  'Welcome to linear algebra, where we study vectors and the spaces they live in.',
+  'A vector has both a direction and a magnitude.',
+  'Matrices describe linear maps between vector spaces.',
+  'Multiplying two matrices composes the maps they describe.',
+  'The determinant tells us how a matrix scales areas and volumes.',
+  'A matrix with determinant zero cannot be inverted.',
+  'Eigenvalues are the factors by which eigenvectors get stretched.',
+  'We find eigenvalues as roots of the characteristic polynomial.',
+  'Every eigenvector keeps its direction under the linear map.',
+  'Symmetric matrices always have real eigenvalues.',
+  'Diagonalization writes a matrix in a basis of its eigenvectors.',
+  'Next week we apply diagonalization to systems of differential equations.'
+];
+
+// One line every two and a half minutes, 30 minutes in all
+const TRANSCRIPT = LINES.map((line, index) => {
+  const seconds = index * 150;
+  const clock = `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+  return `[${clock}] Speaker 1: ${line}`;
+}).join('\n');
+
+let tempDir;
+let enhancedIngestionService;
+let llmService;
+let summarization;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ingestion-'));
+  process.env.LLM_FIXTURE_TRANSCRIPT = path.join(tempDir, 'transcript.txt');
+  await fs.writeFile(process.env.LLM_FIXTURE_TRANSCRIPT, TRANSCRIPT);
+
+  ({ default: enhancedIngestionService } = await import('./enhancedIngestionService.js'));
+  ({ default: llmService } = await import('./llmService.js'));
+  summarization = await import('./summarizationService.js');
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Transcribe the fixture lecture the way the transcribe stage does, with
+ * chunk IDs as they would come back from transcript_chunks
+ */
+const transcribe = async () => {
+  const result = await enhancedIngestionService.transcribeAudioWithFallback(path.join(tempDir, 'lecture.wav'), {
+    includeTimestamps: true,
+    language: 'en'
+  });
+  return { ...result, chunks: result.chunks.map((chunk, index) => ({ id: index + 1, ...chunk })) };
+};
+
+test('transcribes through the provider registry into timed chunks', async () => {
+  const result = await transcribe();
+
+  assert.equal(result.success, true);
+  assert.equal(result.metadata.service, 'fixture');
+  assert.equal(result.chunks.length, 6);
+  assert.deepEqual(result.chunks.map(chunk => chunk.start_ts), [0, 300, 600, 900, 1200, 1500]);
+  assert.ok(result.chunks.every(chunk => chunk.speaker === 'Speaker 1'));
+  assert.match(result.chunks[2].text, /determinant/);
+});
+
+test('summarizes the transcript by map-reduce with timestamped sections', async () => {
+  const { chunks } = await transcribe();
+  const windows = summarization.buildWindows(chunks);
+  assert.equal(windows.length, 3);
+
+  const sections = [];
+  for (const window of windows) {
+    const result = await llmService.summarizeSection(window.text, { startTs: window.startTs, endTs: window.endTs });
+    sections.push({ ...result, startTs: window.startTs, endTs: window.endTs, chunkIds: window.chunks.map(chunk => chunk.id), slides: [] });
+  }
+
+  const session = await llmService.combineSections(sections, { language: 'en' });
+  const content = summarization.parseSessionSummary(session.summary, sections);
+  const markdown = summarization.linkSectionCitations(session.summary, sections);
+
+  assert.equal(content.keyPoints.length, 3);
+  assert.deepEqual(content.keyPoints.map(point => point.sources[0].startTs), [0, 600, 1200]);
+  assert.match(markdown, /\(#t=600,1200\)/);
+});
+
+test('generates a valid quiz from the transcript', async () => {
+  const { transcript } = await transcribe();
+  const result = await llmService.generateQuiz(transcript, {
+    numQuestions: 6,
+    questionTypes: ['mcq', 'true_false', 'fill_blank']
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.metadata.validation.complete, true);
+  assert.deepEqual(result.metadata.validation.issues, []);
+  assert.deepEqual(result.quiz.questions.map(question => question.type),
+    ['mcq', 'true_false', 'fill_blank', 'mcq', 'true_false', 'fill_blank']);
+});
+
+test('embeds passages so related text ranks first', async () => {
+  const { chunks } = await transcribe();
+  const [query, ...passages] = await llmService.generateEmbeddings([
+    'How do eigenvalues behave?',
+    ...chunks.map(chunk => chunk.text)
+  ]);
+
+  const similarity = passages.map(vector => vector.reduce((sum, value, index) => sum + value * query[index], 0));
+  const best = similarity.indexOf(Math.max(...similarity));
+  assert.match(chunks[best].text, /eigenvalues/);
+});
+
+test('gives the same output for the same lecture', async () => {
+  const first = await transcribe();
+  const second = await transcribe();
+  assert.deepEqual(second.chunks, first.chunks);
+
+  const [quizA, quizB] = await Promise.all([
+    llmService.generateQuiz(first.transcript, { numQuestions: 4 }),
+    llmService.generateQuiz(second.transcript, { numQuestions: 4 })
+  ]);
+  assert.deepEqual(quizB.quiz, quizA.quiz);
+});
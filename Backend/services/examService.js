@@ -0,0 +1,803 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import db from '../utils/db.js';
+import gradingService from './gradingService.js';
+import quizEditorService from './quizEditorService.js';
+import courseService from './courseService.js';
+import reportsService from './reportsService.js';
+import learningPathService from './learningPathService.js';
+import { calculateQuizScore } from './quizService.js';
+import { normalizeQuestionTimes } from './itemAnalysis.js';
+import { createError } from '../utils/httpError.js';
+
+const SCORE_POLICIES = ['best', 'last', 'average'];
+
+// Types whose answers are option indices, and whose options are shuffled
+const SHUFFLED_OPTION_TYPES = ['mcq', 'multi_select', 'ordering', 'matching'];
+
+/**
+ * Exam mode for quizzes. A teacher sets a time limit, an open/close window,
+ * a maximum number of attempts, shuffling and which attempt's score counts.
+ * Students start an exam session, which fixes their deadline and their
+ * shuffle of the quiz version, and receive a signed token that must come back
+ * with the answers. Answers arrive in the order the student saw and are mapped
+ * back to the quiz's own question and option indices, so attempts are scored,
+ * graded and analyzed like any other attempt.
+ *
+ * The shuffle is stored with the session as
+ *   { questions: [quiz index shown at each position],
+ *     options: { [quiz index]: [quiz option index shown at each position] } }
+ * and is seeded per student and attempt, so it can be reproduced.
+ */
+class ExamService {
+  constructor() {
+    this.graceSeconds = parseInt(process.env.EXAM_SUBMIT_GRACE_SECONDS || '30', 10);
+  }
+
+  /**
+   * Create the exam settings and session tables
+   */
+  async createExamTables() {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS quiz_exams (
+          quiz_id INT PRIMARY KEY REFERENCES quizzes(id) ON DELETE CASCADE,
+          time_limit_minutes INT CHECK (time_limit_minutes > 0),
+          opens_at TIMESTAMP,
+          closes_at TIMESTAMP,
+          max_attempts INT CHECK (max_attempts > 0),
+          shuffle_questions BOOLEAN NOT NULL DEFAULT TRUE,
+          shuffle_options BOOLEAN NOT NULL DEFAULT TRUE,
+          score_policy VARCHAR(10) NOT NULL DEFAULT 'best' CHECK (score_policy IN ('best','last','average')),
+          updated_by INT REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS exam_sessions (
+          id SERIAL PRIMARY KEY,
+          quiz_id INT REFERENCES quizzes(id) ON DELETE CASCADE,
+          user_id INT REFERENCES users(id) ON DELETE CASCADE,
+          quiz_version INT NOT NULL,
+          attempt_number INT NOT NULL,
+          seed VARCHAR(16) NOT NULL,
+          shuffle JSONB NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active','submitted','expired')),
+          started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          deadline_at TIMESTAMP,
+          submitted_at TIMESTAMP,
+          attempt_id INT REFERENCES quiz_attempts(id) ON DELETE SET NULL,
+          UNIQUE(quiz_id, user_id, attempt_number)
+        )
+      `);
+
+      await db.query('CREATE INDEX IF NOT EXISTS idx_exam_sessions_user ON exam_sessions(user_id, quiz_id)');
+
+      console.log('Exam tables created successfully');
+    } catch (error) {
+      console.error('Failed to create exam tables:', error);
+    }
+  }
+
+  /**
+   * Turn a quiz into an exam, or change its settings
+   * @param {Object} user - { userId, role }; the lecture uploader or an admin
+   * @param {number} quizId - Quiz ID
+   * @param {Object} settings - { timeLimitMinutes, opensAt, closesAt, maxAttempts, shuffleQuestions, shuffleOptions, scorePolicy }
+   * @returns {Promise<Object>} - Exam settings
+   */
+  async saveSettings(user, quizId, settings = {}) {
+    await quizEditorService.findQuiz(db, quizId, user);
+    const exam = this.validateSettings(settings);
+
+    const result = await db.query(`
+      INSERT INTO quiz_exams (quiz_id, time_limit_minutes, opens_at, closes_at, max_attempts,
+        shuffle_questions, shuffle_options, score_policy, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (quiz_id)
+      DO UPDATE SET
+        time_limit_minutes = EXCLUDED.time_limit_minutes,
+        opens_at = EXCLUDED.opens_at,
+        closes_at = EXCLUDED.closes_at,
+        max_attempts = EXCLUDED.max_attempts,
+        shuffle_questions = EXCLUDED.shuffle_questions,
+        shuffle_options = EXCLUDED.shuffle_options,
+        score_policy = EXCLUDED.score_policy,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      quizId, exam.timeLimitMinutes, exam.opensAt, exam.closesAt, exam.maxAttempts,
+      exam.shuffleQuestions, exam.shuffleOptions, exam.scorePolicy, user.userId
+    ]);
+
+    return this.formatSettings(result.rows[0]);
+  }
+
+  /**
+   * Turn exam mode off; sessions and attempts are kept
+   * @param {Object} user - { userId, role }
+   * @param {number} quizId - Quiz ID
+   */
+  async removeSettings(user, quizId) {
+    await quizEditorService.findQuiz(db, quizId, user);
+    const result = await db.query('DELETE FROM quiz_exams WHERE quiz_id = $1', [quizId]);
+    if (result.rowCount === 0) {
+      throw createError(404, 'Quiz is not an exam');
+    }
+  }
+
+  /**
+   * Exam settings with the user's attempts and the score that counts
+   * @param {Object} user - { userId, role }
+   * @param {number} quizId - Quiz ID
+   * @returns {Promise<Object>} - Exam
+   */
+  async getExam(user, quizId) {
+    await courseService.assertQuizAccess(user, quizId);
+    const exam = await this.findExam(quizId);
+    await this.expireSessions(user.userId, quizId);
+    const sessions = await this.listSessions(user.userId, quizId);
+    return this.formatExam(exam, sessions);
+  }
+
+  /**
+   * List the exams of a lecture with the user's attempts
+   * @param {Object} user - { userId, role }
+   * @param {number} lectureId - Lecture ID
+   * @returns {Promise<Array>} - Exams
+   */
+  async listLectureExams(user, lectureId) {
+    await courseService.assertLectureAccess(user, lectureId);
+    const exams = (await db.query(`
+      SELECT e.*, q.title, q.lecture_id, NOW() as now
+      FROM quiz_exams e
+      JOIN quizzes q ON q.id = e.quiz_id
+      WHERE q.lecture_id = $1
+      ORDER BY e.opens_at NULLS FIRST, e.quiz_id
+    `, [lectureId])).rows;
+
+    const result = [];
+    for (const exam of exams) {
+      await this.expireSessions(user.userId, exam.quiz_id);
+      result.push(this.formatExam(exam, await this.listSessions(user.userId, exam.quiz_id)));
+    }
+    return result;
+  }
+
+  /**
+   * Start an exam attempt, or resume the user's unfinished one
+   * @param {Object} user - { userId, role }
+   * @param {number} quizId - Quiz ID
+   * @returns {Promise<Object>} - Session with its token and shuffled questions
+   */
+  async startSession(user, quizId) {
+    await learningPathService.assertQuizOpen(user, quizId);
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Locking the exam row serializes starts, so attempts cannot exceed the maximum
+      const exam = (await client.query(`
+        SELECT e.*, q.title, q.lecture_id, q.version, NOW() as now
+        FROM quiz_exams e
+        JOIN quizzes q ON q.id = e.quiz_id
+        WHERE e.quiz_id = $1
+        FOR UPDATE OF e
+      `, [quizId])).rows[0];
+
+      if (!exam) {
+        throw createError(404, 'Exam not found');
+      }
+
+      await this.expireSessions(user.userId, quizId, client);
+
+      const active = (await client.query(
+        "SELECT * FROM exam_sessions WHERE quiz_id = $1 AND user_id = $2 AND status = 'active'",
+        [quizId, user.userId]
+      )).rows[0];
+
+      if (active) {
+        await client.query('COMMIT');
+        return this.formatSession(active, await this.sessionQuestions(active), { withToken: true });
+      }
+
+      if (exam.opens_at && exam.now < exam.opens_at) {
+        throw createError(403, 'Exam is not open yet');
+      }
+      if (exam.closes_at && exam.now >= exam.closes_at) {
+        throw createError(403, 'Exam is closed');
+      }
+
+      const used = parseInt((await client.query(
+        'SELECT COUNT(*) AS count FROM exam_sessions WHERE quiz_id = $1 AND user_id = $2',
+        [quizId, user.userId]
+      )).rows[0].count, 10);
+
+      if (exam.max_attempts && used >= exam.max_attempts) {
+        throw createError(403, 'No attempts left');
+      }
+
+      const questions = (await quizEditorService.getVersionQuestions(quizId, exam.version))?.questions || [];
+      if (questions.length === 0) {
+        throw createError(409, 'Exam has no questions');
+      }
+
+      const attemptNumber = used + 1;
+      const seed = this.createSeed(quizId, user.userId, attemptNumber);
+      const shuffle = this.buildShuffle(questions, seed, exam);
+
+      // The deadline is the time limit, cut short by the exam closing
+      const session = (await client.query(`
+        INSERT INTO exam_sessions (quiz_id, user_id, quiz_version, attempt_number, seed, shuffle, deadline_at)
+        SELECT $1, $2, $3, $4, $5, $6,
+          CASE
+            WHEN e.time_limit_minutes IS NULL THEN e.closes_at
+            ELSE LEAST(NOW() + make_interval(mins => e.time_limit_minutes), COALESCE(e.closes_at, 'infinity'))
+          END
+        FROM quiz_exams e
+        WHERE e.quiz_id = $1
+        RETURNING *
+      `, [quizId, user.userId, exam.version, attemptNumber, seed, JSON.stringify(shuffle)])).rows[0];
+
+      await client.query(
+        'INSERT INTO events(user_id, lecture_id, event_type, details) VALUES($1,$2,$3,$4)',
+        [user.userId, exam.lecture_id, 'quiz.attempted', JSON.stringify({ quiz_id: quizId, exam_session_id: session.id, attempt_number: attemptNumber })]
+      );
+
+      await client.query('COMMIT');
+      return this.formatSession(session, questions, { withToken: true });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Submit an exam attempt. Answers and question times are keyed by the
+   * position the student saw, with option indices as shown.
+   * @param {Object} user - { userId, role }
+   * @param {number} sessionId - Exam session ID
+   * @param {Object} submission - { token, answers, questionTimes, timeTaken }
+   * @returns {Promise<Object>} - { session, attempt, performance, exam (null if it could not be read) }
+   */
+  async submitSession(user, sessionId, { token, answers = {}, questionTimes = {}, timeTaken = null } = {}) {
+    this.verifyToken(token, user.userId, sessionId);
+
+    // The deadline is checked on arrival, before grading takes its time
+    const session = (await db.query(`
+      SELECT s.*, NOW() > s.deadline_at + make_interval(secs => $3) AS late
+      FROM exam_sessions s
+      WHERE s.id = $1 AND s.user_id = $2
+    `, [sessionId, user.userId, this.graceSeconds])).rows[0];
+
+    if (!session) {
+      throw createError(404, 'Exam session not found');
+    }
+    if (session.status !== 'active') {
+      throw createError(409, 'Exam attempt is already finished');
+    }
+    if (session.late) {
+      await db.query("UPDATE exam_sessions SET status = 'expired' WHERE id = $1 AND status = 'active'", [sessionId]);
+      throw createError(409, 'Exam time is over');
+    }
+
+    const questions = await this.sessionQuestions(session);
+    const quizAnswers = this.unshuffleAnswers(session.shuffle, answers);
+    const quizTimes = normalizeQuestionTimes(this.unshuffleKeys(session.shuffle, questionTimes), questions.length);
+
+    const grading = await gradingService.gradeAttempt(questions, quizAnswers);
+    const performance = calculateQuizScore(questions, quizAnswers, grading);
+
+    const client = await db.connect();
+    let submitted;
+    let lectureId;
+    try {
+      await client.query('BEGIN');
+
+      const locked = (await client.query(
+        'SELECT status, started_at FROM exam_sessions WHERE id = $1 FOR UPDATE',
+        [sessionId]
+      )).rows[0];
+      if (locked.status !== 'active') {
+        throw createError(409, 'Exam attempt is already finished');
+      }
+
+      const lecture = (await client.query('SELECT lecture_id FROM quizzes WHERE id = $1', [session.quiz_id])).rows[0];
+      lectureId = lecture.lecture_id;
+      const elapsed = Math.round((Date.now() - new Date(locked.started_at).getTime()) / 1000);
+
+      const attemptData = {
+        answers: quizAnswers,
+        time_taken: timeTaken ?? elapsed,
+        question_times: quizTimes,
+        grading,
+        performance,
+        exam: {
+          sessionId: session.id,
+          attemptNumber: session.attempt_number,
+          shuffle: session.shuffle
+        },
+        partial_submission: performance.unattemptedQuestions > 0
+      };
+
+      const attempt = (await client.query(
+        'INSERT INTO quiz_attempts(quiz_id, user_id, score, attempt_data, attempted_at, quiz_version) VALUES($1,$2,$3,$4,$5,$6) RETURNING id, score, attempted_at',
+        [session.quiz_id, user.userId, performance.percentage, JSON.stringify(attemptData), new Date(), session.quiz_version]
+      )).rows[0];
+
+      const updated = (await client.query(`
+        UPDATE exam_sessions
+        SET status = 'submitted', submitted_at = CURRENT_TIMESTAMP, attempt_id = $1
+        WHERE id = $2
+        RETURNING *
+      `, [attempt.id, sessionId])).rows[0];
+
+      await client.query(
+        'INSERT INTO events(user_id, lecture_id, event_type, details) VALUES($1,$2,$3,$4)',
+        [
+          user.userId,
+          lecture.lecture_id,
+          performance.unattemptedQuestions > 0 ? 'quiz.partially_completed' : 'quiz.completed',
+          JSON.stringify({
+            quiz_id: session.quiz_id,
+            exam_session_id: session.id,
+            score: performance.percentage,
+            time_taken: attemptData.time_taken,
+            attempted_questions: performance.attemptedQuestions,
+            total_questions: performance.totalQuestions
+          })
+        ]
+      );
+
+      await client.query('COMMIT');
+
+      submitted = {
+        session: this.formatSession(updated, questions),
+        attempt: { id: attempt.id, score: parseFloat(attempt.score), submittedAt: attempt.attempted_at },
+        performance: this.reviewPerformance(performance, session.shuffle)
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // A passing score can unlock the next lecture of a learning path
+    await reportsService.refreshLearningProgress(user.userId, lectureId);
+
+    // The attempt is saved by now; failing to read the exam back must not report it as lost
+    let exam = null;
+    try {
+      exam = await this.getExam(user, session.quiz_id);
+    } catch (error) {
+      console.error(`Failed to load exam ${session.quiz_id} after submitting session ${sessionId}:`, error);
+    }
+
+    return { ...submitted, exam };
+  }
+
+  /**
+   * Get an exam session for review, in the order the student saw it. The
+   * student sees their own sessions; the lecture uploader, the course's
+   * teachers and TAs, and admins see all.
+   * @param {Object} user - { userId, role }
+   * @param {number} sessionId - Exam session ID
+   * @returns {Promise<Object>} - { session, performance }
+   */
+  async getSession(user, sessionId) {
+    const session = (await db.query(`
+      SELECT s.*, l.uploader_id, ${courseService.courseRoleExpression('l', '$2')} AS course_role, qa.attempt_data
+      FROM exam_sessions s
+      JOIN quizzes q ON q.id = s.quiz_id
+      JOIN lectures l ON l.id = q.lecture_id
+      LEFT JOIN quiz_attempts qa ON qa.id = s.attempt_id
+      WHERE s.id = $1
+    `, [sessionId, user.userId])).rows[0];
+
+    const isOwner = session && session.user_id === user.userId;
+    const isTeacher = session && (user.role === 'admin'
+      || (user.role === 'teacher' && session.uploader_id === user.userId)
+      || ['teacher', 'ta'].includes(session.course_role));
+    if (!isOwner && !isTeacher) {
+      throw createError(404, 'Exam session not found');
+    }
+
+    await this.expireSessions(session.user_id, session.quiz_id);
+    const current = (await db.query('SELECT * FROM exam_sessions WHERE id = $1', [sessionId])).rows[0];
+
+    return {
+      session: this.formatSession(current, await this.sessionQuestions(current), { withToken: isOwner }),
+      shuffle: current.shuffle,
+      performance: session.attempt_data?.performance
+        ? this.reviewPerformance(session.attempt_data.performance, current.shuffle)
+        : null
+    };
+  }
+
+  /**
+   * Load a quiz's exam settings
+   * @param {number} quizId - Quiz ID
+   * @returns {Promise<Object>} - quiz_exams row with title, lecture_id and now
+   */
+  async findExam(quizId) {
+    const exam = (await db.query(`
+      SELECT e.*, q.title, q.lecture_id, NOW() as now
+      FROM quiz_exams e
+      JOIN quizzes q ON q.id = e.quiz_id
+      WHERE e.quiz_id = $1
+    `, [quizId])).rows[0];
+
+    if (!exam) {
+      throw createError(404, 'Exam not found');
+    }
+    return exam;
+  }
+
+  /**
+   * Whether a quiz is an exam; exams are only taken through exam sessions
+   * @param {number} quizId - Quiz ID
+   * @returns {Promise<boolean>}
+   */
+  async isExam(quizId) {
+    return (await db.query('SELECT 1 FROM quiz_exams WHERE quiz_id = $1', [quizId])).rows.length > 0;
+  }
+
+  /**
+   * Mark a user's sessions past their deadline as expired
+   * @param {number} userId - Student
+   * @param {number} quizId - Quiz ID
+   * @param {Object} client - Database client, default the pool
+   */
+  async expireSessions(userId, quizId, client = db) {
+    await client.query(`
+      UPDATE exam_sessions
+      SET status = 'expired'
+      WHERE user_id = $1 AND quiz_id = $2 AND status = 'active'
+        AND NOW() > deadline_at + make_interval(secs => $3)
+    `, [userId, quizId, this.graceSeconds]);
+  }
+
+  /**
+   * A user's sessions of an exam with their scores, oldest first
+   * @param {number} userId - Student
+   * @param {number} quizId - Quiz ID
+   * @returns {Promise<Array>} - Rows
+   */
+  async listSessions(userId, quizId) {
+    return (await db.query(`
+      SELECT s.id, s.attempt_number, s.status, s.started_at, s.deadline_at, s.submitted_at, qa.score
+      FROM exam_sessions s
+      LEFT JOIN quiz_attempts qa ON qa.id = s.attempt_id
+      WHERE s.user_id = $1 AND s.quiz_id = $2
+      ORDER BY s.attempt_number
+    `, [userId, quizId])).rows;
+  }
+
+  /**
+   * The score that counts under a policy. Attempts that ran out of time
+   * without a submission count as 0.
+   * @param {Array} sessions - Sessions with score, oldest first
+   * @param {string} policy - best, last or average
+   * @returns {number|null} - Score, null before any finished attempt
+   */
+  finalScore(sessions, policy) {
+    const scores = sessions
+      .filter(session => session.status !== 'active')
+      .map(session => (session.status === 'submitted' ? parseFloat(session.score) || 0 : 0));
+    if (scores.length === 0) return null;
+
+    if (policy === 'last') return scores[scores.length - 1];
+    if (policy === 'average') return Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100;
+    return Math.max(...scores);
+  }
+
+  /**
+   * Seed of a student's attempt: an HMAC, so students cannot predict it but
+   * the server can reproduce it
+   * @param {number} quizId - Quiz ID
+   * @param {number} userId - Student
+   * @param {number} attemptNumber - Attempt, from 1
+   * @returns {string} - 16 hex characters
+   */
+  createSeed(quizId, userId, attemptNumber) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET || 'exam-seed')
+      .update(`${quizId}:${userId}:${attemptNumber}`)
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Shuffle a quiz's questions and options from a seed
+   * @param {Array} questions - Stored questions
+   * @param {string} seed - Seed
+   * @param {Object} exam - { shuffle_questions, shuffle_options }
+   * @returns {Object} - { questions, options }
+   */
+  buildShuffle(questions, seed, exam) {
+    const random = seededRandom(seed);
+    const identity = (length) => Array.from({ length }, (_, index) => index);
+
+    const order = exam.shuffle_questions ? shuffle(identity(questions.length), random) : identity(questions.length);
+    const options = {};
+    if (exam.shuffle_options) {
+      questions.forEach((question, index) => {
+        if (SHUFFLED_OPTION_TYPES.includes(question.type || 'mcq') && Array.isArray(question.options)) {
+          options[index] = shuffle(identity(question.options.length), random);
+        }
+      });
+    }
+    return { questions: order, options };
+  }
+
+  /**
+   * Map answers keyed by shown position, with shown option indices, back to
+   * quiz indices
+   * @param {Object} shuffleMap - Session shuffle
+   * @param {Object} answers - Answers as shown
+   * @returns {Object} - Answers keyed by quiz question index
+   */
+  unshuffleAnswers(shuffleMap, answers = {}) {
+    const mapped = {};
+    shuffleMap.questions.forEach((quizIndex, position) => {
+      const answer = answers?.[position];
+      if (answer === undefined) return;
+
+      const optionOrder = shuffleMap.options[quizIndex];
+      const toQuizOption = (value) => {
+        if (value === null || value === undefined || value === '' || isNaN(Number(value))) return value;
+        return optionOrder[Number(value)] ?? null;
+      };
+      mapped[quizIndex] = !optionOrder
+        ? answer
+        : (Array.isArray(answer) ? answer.map(toQuizOption) : toQuizOption(answer));
+    });
+    return mapped;
+  }
+
+  /**
+   * Re-key values keyed by shown position to quiz question indices
+   * @param {Object} shuffleMap - Session shuffle
+   * @param {Object} values - Values keyed by shown position
+   * @returns {Object} - Values keyed by quiz question index
+   */
+  unshuffleKeys(shuffleMap, values = {}) {
+    const mapped = {};
+    shuffleMap.questions.forEach((quizIndex, position) => {
+      if (values?.[position] !== undefined) mapped[quizIndex] = values[position];
+    });
+    return mapped;
+  }
+
+  /**
+   * The questions of a session's quiz version
+   * @param {Object} session - exam_sessions row
+   * @returns {Promise<Array>} - Stored questions
+   */
+  async sessionQuestions(session) {
+    const version = await quizEditorService.getVersionQuestions(session.quiz_id, session.quiz_version);
+    return version?.questions || [];
+  }
+
+  /**
+   * Questions as the student sees them: shuffled, without answer keys
+   * @param {Array} questions - Stored questions
+   * @param {Object} shuffleMap - Session shuffle
+   * @returns {Array} - Questions
+   */
+  shownQuestions(questions, shuffleMap) {
+    return shuffleMap.questions.map((quizIndex, position) => {
+      const { id, correct, correct_answer, keywords, rubric, explanation, bankQuestionId, ...shown } = questions[quizIndex];
+      const optionOrder = shuffleMap.options[quizIndex];
+      return {
+        ...shown,
+        id: position + 1,
+        ...(optionOrder ? { options: optionOrder.map(index => shown.options[index]) } : {})
+      };
+    });
+  }
+
+  /**
+   * Put a scored attempt's results in the order the student saw
+   * @param {Object} performance - calculateQuizScore result
+   * @param {Object} shuffleMap - Session shuffle
+   * @returns {Object} - Performance with detailedResults in shown order
+   */
+  reviewPerformance(performance, shuffleMap) {
+    const results = performance.detailedResults || [];
+    return {
+      ...performance,
+      detailedResults: shuffleMap.questions
+        .map((quizIndex, position) => results[quizIndex] && { ...results[quizIndex], index: position, quizIndex })
+        .filter(Boolean)
+    };
+  }
+
+  /**
+   * Sign a session token; it must come back with the answers
+   * @param {Object} session - exam_sessions row
+   * @returns {string} - Token
+   */
+  signToken(session) {
+    return jwt.sign(
+      { examSessionId: session.id, quizId: session.quiz_id, userId: session.user_id },
+      process.env.JWT_SECRET
+    );
+  }
+
+  /**
+   * Check a session token belongs to this user and session
+   * @param {string} token - Token
+   * @param {number} userId - Student
+   * @param {number} sessionId - Exam session ID
+   */
+  verifyToken(token, userId, sessionId) {
+    let payload;
+    try {
+      payload = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    } catch (error) {
+      throw createError(403, 'Invalid exam session token');
+    }
+    if (payload.examSessionId !== sessionId || payload.userId !== userId) {
+      throw createError(403, 'Invalid exam session token');
+    }
+  }
+
+  /**
+   * Check exam settings from a request
+   * @param {Object} settings - Settings from the request
+   * @returns {Object} - Settings for the database
+   */
+  validateSettings({ timeLimitMinutes = null, opensAt = null, closesAt = null, maxAttempts = null,
+    shuffleQuestions = true, shuffleOptions = true, scorePolicy = 'best' } = {}) {
+    const positive = (value, field) => {
+      if (value === null || value === undefined || value === '') return null;
+      const number = parseInt(value, 10);
+      if (!(number > 0)) {
+        throw createError(400, `${field} must be a positive whole number`);
+      }
+      return number;
+    };
+    const date = (value, field) => {
+      if (value === null || value === undefined || value === '') return null;
+      const parsed = new Date(value);
+      if (isNaN(parsed.getTime())) {
+        throw createError(400, `${field} must be a date`);
+      }
+      return parsed;
+    };
+
+    const exam = {
+      timeLimitMinutes: positive(timeLimitMinutes, 'timeLimitMinutes'),
+      opensAt: date(opensAt, 'opensAt'),
+      closesAt: date(closesAt, 'closesAt'),
+      maxAttempts: positive(maxAttempts, 'maxAttempts'),
+      shuffleQuestions: Boolean(shuffleQuestions),
+      shuffleOptions: Boolean(shuffleOptions),
+      scorePolicy
+    };
+
+    if (exam.opensAt && exam.closesAt && exam.closesAt <= exam.opensAt) {
+      throw createError(400, 'closesAt must be after opensAt');
+    }
+    if (!SCORE_POLICIES.includes(scorePolicy)) {
+      throw createError(400, `scorePolicy must be one of ${SCORE_POLICIES.join(', ')}`);
+    }
+    return exam;
+  }
+
+  /**
+   * Format exam settings for clients
+   * @param {Object} row - quiz_exams row
+   * @returns {Object} - Settings
+   */
+  formatSettings(row) {
+    return {
+      quizId: row.quiz_id,
+      timeLimitMinutes: row.time_limit_minutes,
+      opensAt: row.opens_at,
+      closesAt: row.closes_at,
+      maxAttempts: row.max_attempts,
+      shuffleQuestions: row.shuffle_questions,
+      shuffleOptions: row.shuffle_options,
+      scorePolicy: row.score_policy,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Format an exam with a user's attempts
+   * @param {Object} exam - quiz_exams row with title, lecture_id and now
+   * @param {Array} sessions - The user's sessions
+   * @returns {Object} - Exam
+   */
+  formatExam(exam, sessions) {
+    const isOpen = (!exam.opens_at || exam.now >= exam.opens_at) && (!exam.closes_at || exam.now < exam.closes_at);
+    return {
+      ...this.formatSettings(exam),
+      title: exam.title,
+      lectureId: exam.lecture_id,
+      isOpen,
+      attemptsUsed: sessions.length,
+      attemptsRemaining: exam.max_attempts ? Math.max(0, exam.max_attempts - sessions.length) : null,
+      activeSessionId: sessions.find(session => session.status === 'active')?.id || null,
+      finalScore: this.finalScore(sessions, exam.score_policy),
+      attempts: sessions.map(session => ({
+        sessionId: session.id,
+        attemptNumber: session.attempt_number,
+        status: session.status,
+        score: session.score !== null && session.score !== undefined ? parseFloat(session.score) : null,
+        startedAt: session.started_at,
+        deadlineAt: session.deadline_at,
+        submittedAt: session.submitted_at
+      }))
+    };
+  }
+
+  /**
+   * Format a session for clients
+   * @param {Object} session - exam_sessions row
+   * @param {Array} questions - Stored questions of its quiz version
+   * @param {Object} options - { withToken: include the token and questions of an active session }
+   * @returns {Object} - Session
+   */
+  formatSession(session, questions, { withToken = false } = {}) {
+    const active = session.status === 'active';
+    return {
+      id: session.id,
+      quizId: session.quiz_id,
+      quizVersion: session.quiz_version,
+      attemptNumber: session.attempt_number,
+      status: session.status,
+      startedAt: session.started_at,
+      deadlineAt: session.deadline_at,
+      submittedAt: session.submitted_at,
+      attemptId: session.attempt_id,
+      ...(active && withToken ? {
+        token: this.signToken(session),
+        secondsRemaining: session.deadline_at
+          ? Math.max(0, Math.round((new Date(session.deadline_at).getTime() - Date.now()) / 1000))
+          : null,
+        questions: this.shownQuestions(questions, session.shuffle)
+      } : {})
+    };
+  }
+}
+
+/**
+ * Random numbers from a hex seed (mulberry32)
+ * @param {string} seed - Hex seed
+ * @returns {Function} - () => number from 0 to 1
+ */
+const seededRandom = (seed) => {
+  let state = parseInt(seed.slice(0, 8), 16) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Fisher-Yates shuffle
+ * @param {Array} list - List, shuffled in place
+ * @param {Function} random - () => number from 0 to 1
+ * @returns {Array} - The list
+ */
+const shuffle = (list, random) => {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+};
+
+export default new ExamService();
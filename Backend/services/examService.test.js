@@ -0,0 +1,108 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import cron from 'node-cron';
+import examService from './examService.js';
+import { calculateQuizScore } from './quizService.js';
+
+// Loading the reports service schedules the hourly ETL, which would keep the test process alive
+after(() => cron.getTasks().forEach(task => task.stop()));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'exam-test-secret';
+
+const QUESTIONS = [
+  { id: 1, type: 'mcq', question: 'Q1', options: ['a', 'b', 'c', 'd'], correct: 2, explanation: 'because' },
+  { id: 2, type: 'true_false', question: 'Q2', options: ['True', 'False'], correct: 1 },
+  { id: 3, type: 'multi_select', question: 'Q3', options: ['w', 'x', 'y', 'z'], correct: [0, 3] },
+  { id: 4, type: 'short_answer', question: 'Q4', correct: 'Gravity', keywords: ['gravity'], rubric: [] },
+  { id: 5, type: 'ordering', question: 'Q5', options: ['second', 'first', 'third'], correct: [1, 0, 2] }
+];
+
+const SHUFFLE_ALL = { shuffle_questions: true, shuffle_options: true };
+
+const isPermutation = (order, length) =>
+  order.length === length && [...order].sort((a, b) => a - b).every((value, index) => value === index);
+
+test('the same seed gives the same shuffle and another seed a different one', () => {
+  const first = examService.buildShuffle(QUESTIONS, 'student-7:attempt-1', SHUFFLE_ALL);
+  const again = examService.buildShuffle(QUESTIONS, 'student-7:attempt-1', SHUFFLE_ALL);
+  assert.deepEqual(again, first);
+
+  const shuffles = ['a', 'b', 'c', 'd', 'e'].map(seed => JSON.stringify(examService.buildShuffle(QUESTIONS, seed, SHUFFLE_ALL)));
+  assert.ok(new Set(shuffles).size > 1);
+});
+
+test('shuffles are permutations and only cover option questions', () => {
+  const { questions, options } = examService.buildShuffle(QUESTIONS, 'seed', SHUFFLE_ALL);
+
+  assert.ok(isPermutation(questions, QUESTIONS.length));
+  // true_false keeps True before False; short answers have no options
+  assert.deepEqual(Object.keys(options).map(Number).sort(), [0, 2, 4]);
+  Object.entries(options).forEach(([index, order]) => assert.ok(isPermutation(order, QUESTIONS[index].options.length)));
+});
+
+test('shuffling can be turned off', () => {
+  const shuffle = examService.buildShuffle(QUESTIONS, 'seed', { shuffle_questions: false, shuffle_options: false });
+  assert.deepEqual(shuffle, { questions: [0, 1, 2, 3, 4], options: {} });
+});
+
+test('shown questions follow the shuffle and carry no answer keys', () => {
+  const shuffle = examService.buildShuffle(QUESTIONS, 'seed', SHUFFLE_ALL);
+  const shown = examService.shownQuestions(QUESTIONS, shuffle);
+
+  shown.forEach((question, position) => {
+    const quizIndex = shuffle.questions[position];
+    assert.equal(question.id, position + 1);
+    assert.equal(question.question, QUESTIONS[quizIndex].question);
+    for (const key of ['correct', 'correct_answer', 'keywords', 'rubric', 'explanation']) {
+      assert.ok(!(key in question), `${key} is hidden`);
+    }
+  });
+});
+
+test('answers given on the shuffled quiz score as on the original', () => {
+  const shuffle = examService.buildShuffle(QUESTIONS, 'round-trip', SHUFFLE_ALL);
+  const shown = examService.shownQuestions(QUESTIONS, shuffle);
+  const shownOption = (quizIndex, quizOption) => shuffle.options[quizIndex]
+    ? shuffle.options[quizIndex].indexOf(quizOption)
+    : quizOption;
+
+  // Answer every question right, in the order and with the options as shown
+  const answers = {};
+  shown.forEach((_, position) => {
+    const quizIndex = shuffle.questions[position];
+    const { correct } = QUESTIONS[quizIndex];
+    answers[position] = QUESTIONS[quizIndex].type === 'short_answer'
+      ? 'It is gravity'
+      : (Array.isArray(correct) ? correct.map(option => shownOption(quizIndex, option)) : shownOption(quizIndex, correct));
+  });
+
+  const quizAnswers = examService.unshuffleAnswers(shuffle, answers);
+  assert.equal(calculateQuizScore(QUESTIONS, quizAnswers).percentage, 100);
+});
+
+test('unanswered and non-index answers pass through unshuffling', () => {
+  const shuffle = { questions: [1, 0], options: { 0: [2, 0, 1] } };
+  assert.deepEqual(examService.unshuffleAnswers(shuffle, { 1: '', 0: 'False' }), { 0: '', 1: 'False' });
+  assert.deepEqual(examService.unshuffleAnswers(shuffle, { 1: 0 }), { 0: 2 });
+  assert.deepEqual(examService.unshuffleAnswers(shuffle, { 1: 7 }), { 0: null });
+});
+
+test('question times and results are re-keyed between shown and quiz order', () => {
+  const shuffle = { questions: [2, 0, 1], options: {} };
+  assert.deepEqual(examService.unshuffleKeys(shuffle, { 0: 30, 2: 10 }), { 2: 30, 1: 10 });
+
+  const performance = { percentage: 50, detailedResults: [{ index: 0, question: 'A' }, { index: 1, question: 'B' }, { index: 2, question: 'C' }] };
+  const review = examService.reviewPerformance(performance, shuffle);
+  assert.deepEqual(review.detailedResults.map(result => [result.index, result.quizIndex, result.question]),
+    [[0, 2, 'C'], [1, 0, 'A'], [2, 1, 'B']]);
+  assert.equal(review.percentage, 50);
+});
+
+test('session tokens only work for their own session and student', () => {
+  const token = examService.signToken({ id: 11, quiz_id: 3, user_id: 42 });
+
+  assert.doesNotThrow(() => examService.verifyToken(token, 42, 11));
+  assert.throws(() => examService.verifyToken(token, 43, 11), { status: 403 });
+  assert.throws(() => examService.verifyToken(token, 42, 12), { status: 403 });
+  assert.throws(() => examService.verifyToken('forged', 42, 11), { status: 403 });
+});
@@ -0,0 +1,386 @@
+import db from '../utils/db.js';
+import llmService from './llmService.js';
+import retrievalService from './retrievalService.js';
+import courseService from './courseService.js';
+import learningPathService from './learningPathService.js';
+import { formatClock } from './llmPrompts.js';
+import { describeAnswer } from './quizTypes.js';
+import { scheduleReview, initialReviewState } from '../utils/spacedRepetition.js';
+import { withRetry, geminiCircuitBreaker } from '../middleware/rateLimitMiddleware.js';
+import { createError } from '../utils/httpError.js';
+
+class FlashcardService {
+  constructor() {
+    this.cardsPerDeck = parseInt(process.env.FLASHCARDS_PER_DECK, 10) || 20;
+    this.newCardsPerSession = 10; // unseen cards mixed into each review session
+  }
+
+  /**
+   * Create the deck, card and per-user review state tables
+   */
+  async createFlashcardTables() {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS flashcard_decks (
+          id SERIAL PRIMARY KEY,
+          lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
+          lang VARCHAR(10) NOT NULL DEFAULT 'en',
+          model VARCHAR(50),
+          generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (lecture_id, lang)
+        )
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS flashcards (
+          id SERIAL PRIMARY KEY,
+          deck_id INT REFERENCES flashcard_decks(id) ON DELETE CASCADE,
+          position INT NOT NULL,
+          front TEXT NOT NULL,
+          back TEXT NOT NULL,
+          start_ts INT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS flashcard_reviews (
+          card_id INT REFERENCES flashcards(id) ON DELETE CASCADE,
+          user_id INT REFERENCES users(id) ON DELETE CASCADE,
+          ease_factor REAL NOT NULL DEFAULT 2.5,
+          interval_days INT NOT NULL DEFAULT 0,
+          repetitions INT NOT NULL DEFAULT 0,
+          lapses INT NOT NULL DEFAULT 0,
+          last_grade INT,
+          review_count INT NOT NULL DEFAULT 0,
+          due_at TIMESTAMP NOT NULL,
+          last_reviewed_at TIMESTAMP,
+          PRIMARY KEY (card_id, user_id)
+        )
+      `);
+
+      await db.query('CREATE INDEX IF NOT EXISTS idx_flashcards_deck ON flashcards(deck_id, position)');
+      await db.query('CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_due ON flashcard_reviews(user_id, due_at)');
+
+      console.log('Flashcard tables created successfully');
+    } catch (error) {
+      console.error('Failed to create flashcard tables:', error);
+    }
+  }
+
+  /**
+   * Generate (or regenerate) a lecture's deck from its transcript and quiz
+   * explanations. Cards whose front is unchanged keep their id, so users'
+   * review history survives regeneration.
+   * @param {number} lectureId - Lecture ID
+   * @param {string} lang - Language code
+   * @returns {Promise<Object>} - { deckId, totalCards }
+   */
+  async generateDeck(lectureId, lang = 'en') {
+    const content = await this.buildContent(lectureId);
+    if (!content) {
+      throw createError(409, 'This lecture has no transcript to make flashcards from yet');
+    }
+
+    const promptContent = await retrievalService.fitContent(lectureId, content);
+    const result = await withRetry(() => geminiCircuitBreaker.execute(() =>
+      llmService.generateFlashcards(promptContent, { language: lang, numCards: this.cardsPerDeck })
+    ), 2, 1000);
+
+    // The same fact phrased twice makes a card the user has to review twice
+    const seen = new Set();
+    const cards = result.cards.filter(card => {
+      const key = this.cardKey(card.front);
+      return !seen.has(key) && seen.add(key);
+    });
+
+    const client = await db.connect();
+    let deck;
+
+    try {
+      await client.query('BEGIN');
+
+      deck = (await client.query(`
+        INSERT INTO flashcard_decks (lecture_id, lang, model, generated_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+        ON CONFLICT (lecture_id, lang) DO UPDATE SET model = EXCLUDED.model, generated_at = CURRENT_TIMESTAMP
+        RETURNING id
+      `, [lectureId, lang, llmService.getModelName()])).rows[0];
+
+      const existing = new Map((await client.query(
+        'SELECT id, front FROM flashcards WHERE deck_id = $1',
+        [deck.id]
+      )).rows.map(card => [this.cardKey(card.front), card.id]));
+
+      const keptIds = [];
+      for (const [position, card] of cards.entries()) {
+        const existingId = existing.get(this.cardKey(card.front));
+
+        if (existingId) {
+          await client.query(
+            'UPDATE flashcards SET position = $1, front = $2, back = $3, start_ts = $4 WHERE id = $5',
+            [position, card.front, card.back, card.timestamp, existingId]
+          );
+          keptIds.push(existingId);
+        } else {
+          const inserted = await client.query(
+            'INSERT INTO flashcards (deck_id, position, front, back, start_ts) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+            [deck.id, position, card.front, card.back, card.timestamp]
+          );
+          keptIds.push(inserted.rows[0].id);
+        }
+      }
+
+      await client.query('DELETE FROM flashcards WHERE deck_id = $1 AND NOT (id = ANY($2::int[]))', [deck.id, keptIds]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return { deckId: deck.id, totalCards: cards.length };
+  }
+
+  /**
+   * Lecture content for the prompt: transcript lines with [MM:SS] markers,
+   * then the latest quiz's questions with their explanations
+   * @param {number} lectureId - Lecture ID
+   * @returns {Promise<string|null>} - Content, or null without a transcript
+   */
+  async buildContent(lectureId) {
+    const chunks = (await db.query(
+      'SELECT start_ts, text FROM transcript_chunks WHERE lecture_id = $1 ORDER BY start_ts, id',
+      [lectureId]
+    )).rows;
+
+    if (chunks.length === 0) {
+      return null;
+    }
+
+    let content = chunks.map(chunk => `[${formatClock(chunk.start_ts)}] ${chunk.text}`).join('\n');
+
+    // Exam questions and their keys must not leak into study material
+    const quiz = (await db.query(`
+      SELECT items_json FROM quizzes
+      WHERE lecture_id = $1
+        AND NOT EXISTS (SELECT 1 FROM quiz_exams e WHERE e.quiz_id = quizzes.id)
+      ORDER BY generated_at DESC
+      LIMIT 1
+    `, [lectureId])).rows[0];
+
+    const explained = (quiz?.items_json?.questions || []).filter(question =>
+      question.explanation && question.explanation !== 'No explanation provided'
+    );
+
+    if (explained.length > 0) {
+      content += '\n\nQuiz explanations:\n' + explained.map(question => {
+        const answer = describeAnswer(question).correctAnswer;
+        return `Q: ${question.question}\n${answer ? `A: ${answer}\n` : ''}Why: ${question.explanation}`;
+      }).join('\n');
+    }
+
+    return content;
+  }
+
+  /**
+   * Get a lecture's deck, with the user's review state of each card
+   * @param {number} lectureId - Lecture ID
+   * @param {number|null} userId - User whose review state to include
+   * @param {string} lang - Language code
+   * @returns {Promise<Object|null>} - Deck, or null if none was generated
+   */
+  async getDeck(lectureId, userId, lang = 'en') {
+    const deck = (await db.query(`
+      SELECT d.id, d.lecture_id, d.lang, d.model, d.generated_at, l.title AS lecture_title
+      FROM flashcard_decks d
+      JOIN lectures l ON l.id = d.lecture_id
+      WHERE d.lecture_id = $1 AND d.lang = $2
+    `, [lectureId, lang])).rows[0];
+
+    if (!deck) {
+      return null;
+    }
+
+    const cards = await db.query(`
+      SELECT c.id, c.front, c.back, c.start_ts, r.ease_factor, r.interval_days, r.repetitions,
+             r.lapses, r.review_count, r.due_at, r.last_reviewed_at
+      FROM flashcards c
+      LEFT JOIN flashcard_reviews r ON r.card_id = c.id AND r.user_id = $2
+      WHERE c.deck_id = $1
+      ORDER BY c.position
+    `, [deck.id, userId]);
+
+    return {
+      ...deck,
+      cards: cards.rows.map(row => this.formatCard({ ...row, lecture_id: deck.lecture_id, lecture_title: deck.lecture_title }))
+    };
+  }
+
+  /**
+   * List the decks of the lectures the user can see with their due and new counts
+   * @param {Object} user - { userId, role }
+   * @returns {Promise<Array>} - Decks
+   */
+  async listDecks(user) {
+    const result = await db.query(`
+      SELECT d.id, d.lecture_id, d.lang, d.generated_at, l.title AS lecture_title,
+             COUNT(c.id) AS total_cards,
+             COUNT(r.card_id) FILTER (WHERE r.due_at <= NOW()) AS due_cards,
+             COUNT(c.id) FILTER (WHERE r.card_id IS NULL) AS new_cards
+      FROM flashcard_decks d
+      JOIN lectures l ON l.id = d.lecture_id
+      LEFT JOIN flashcards c ON c.deck_id = d.id
+      LEFT JOIN flashcard_reviews r ON r.card_id = c.id AND r.user_id = $1
+      WHERE ${courseService.visibleLectureCondition('l', '$2')}
+      GROUP BY d.id, l.title
+      ORDER BY COUNT(r.card_id) FILTER (WHERE r.due_at <= NOW()) DESC, d.generated_at DESC
+    `, [user.userId, courseService.scopeUserId(user)]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      lectureId: row.lecture_id,
+      lectureTitle: row.lecture_title,
+      lang: row.lang,
+      generatedAt: row.generated_at,
+      totalCards: parseInt(row.total_cards, 10),
+      dueCards: parseInt(row.due_cards, 10),
+      newCards: parseInt(row.new_cards, 10)
+    }));
+  }
+
+  /**
+   * Cards for a review session: the user's due reviews, most overdue
+   * first, then up to newCardsPerSession cards they have not seen, from
+   * the lectures they can see and have unlocked
+   * @param {Object} user - { userId, role }
+   * @param {Object} options - { lectureId, limit }
+   * @returns {Promise<Array>} - Cards
+   */
+  async getReviewQueue(user, options = {}) {
+    const { lectureId = null, limit = 50 } = options;
+    const visible = courseService.visibleLectureCondition('l', '$4');
+
+    const due = await db.query(`
+      SELECT c.id, c.front, c.back, c.start_ts, d.lecture_id, l.title AS lecture_title,
+             r.ease_factor, r.interval_days, r.repetitions, r.lapses, r.review_count, r.due_at, r.last_reviewed_at
+      FROM flashcard_reviews r
+      JOIN flashcards c ON c.id = r.card_id
+      JOIN flashcard_decks d ON d.id = c.deck_id
+      JOIN lectures l ON l.id = d.lecture_id
+      WHERE r.user_id = $1 AND r.due_at <= NOW()
+        AND ($2::int IS NULL OR d.lecture_id = $2)
+        AND ${visible}
+      ORDER BY r.due_at
+      LIMIT $3
+    `, [user.userId, lectureId, limit, courseService.scopeUserId(user)]);
+
+    const newLimit = Math.min(this.newCardsPerSession, limit - due.rows.length);
+    const unseen = newLimit > 0 ? await db.query(`
+      SELECT c.id, c.front, c.back, c.start_ts, d.lecture_id, l.title AS lecture_title
+      FROM flashcards c
+      JOIN flashcard_decks d ON d.id = c.deck_id
+      JOIN lectures l ON l.id = d.lecture_id
+      WHERE NOT EXISTS (SELECT 1 FROM flashcard_reviews r WHERE r.card_id = c.id AND r.user_id = $1)
+        AND ($2::int IS NULL OR d.lecture_id = $2)
+        AND ${visible}
+      ORDER BY d.generated_at, c.position
+      LIMIT $3
+    `, [user.userId, lectureId, newLimit, courseService.scopeUserId(user)]) : { rows: [] };
+
+    const rows = [...due.rows, ...unseen.rows];
+    const locked = await learningPathService.lockedLectureIds(user, [...new Set(rows.map(row => row.lecture_id))]);
+    return rows.filter(row => !locked.has(row.lecture_id)).map(row => this.formatCard(row));
+  }
+
+  /**
+   * Grade a review and schedule the card's next one
+   * @param {number} cardId - Card ID
+   * @param {Object} user - { userId, role }
+   * @param {number} grade - Recall quality, 0 (forgot) to 5 (perfect)
+   * @returns {Promise<Object>} - Card with its new review state
+   */
+  async reviewCard(cardId, user, grade) {
+    const userId = user.userId;
+    if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+      throw createError(400, 'grade must be an integer from 0 to 5');
+    }
+
+    const card = (await db.query(`
+      SELECT c.id, c.front, c.back, c.start_ts, d.lecture_id,
+             r.ease_factor, r.interval_days, r.repetitions, r.lapses
+      FROM flashcards c
+      JOIN flashcard_decks d ON d.id = c.deck_id
+      LEFT JOIN flashcard_reviews r ON r.card_id = c.id AND r.user_id = $2
+      WHERE c.id = $1
+    `, [cardId, userId])).rows[0];
+
+    if (!card) {
+      throw createError(404, 'Flashcard not found');
+    }
+    await learningPathService.assertLectureOpen(user, card.lecture_id);
+
+    const state = card.ease_factor === null ? initialReviewState() : {
+      easeFactor: card.ease_factor,
+      intervalDays: card.interval_days,
+      repetitions: card.repetitions,
+      lapses: card.lapses
+    };
+    const next = scheduleReview(state, grade);
+
+    const review = await db.query(`
+      INSERT INTO flashcard_reviews (card_id, user_id, ease_factor, interval_days, repetitions, lapses,
+                                     last_grade, review_count, due_at, last_reviewed_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, 1, $8, CURRENT_TIMESTAMP)
+      ON CONFLICT (card_id, user_id) DO UPDATE SET
+        ease_factor = EXCLUDED.ease_factor,
+        interval_days = EXCLUDED.interval_days,
+        repetitions = EXCLUDED.repetitions,
+        lapses = EXCLUDED.lapses,
+        last_grade = EXCLUDED.last_grade,
+        review_count = flashcard_reviews.review_count + 1,
+        due_at = EXCLUDED.due_at,
+        last_reviewed_at = EXCLUDED.last_reviewed_at
+      RETURNING ease_factor, interval_days, repetitions, lapses, review_count, due_at, last_reviewed_at
+    `, [cardId, userId, next.easeFactor, next.intervalDays, next.repetitions, next.lapses, grade, next.dueAt]);
+
+    return this.formatCard({ ...card, ...review.rows[0] });
+  }
+
+  /**
+   * Shape a card row for the API
+   * @param {Object} row - Card row, optionally joined with review state
+   * @returns {Object} - Card
+   */
+  formatCard(row) {
+    return {
+      id: row.id,
+      lectureId: row.lecture_id,
+      lectureTitle: row.lecture_title,
+      front: row.front,
+      back: row.back,
+      timestamp: row.start_ts,
+      review: row.due_at ? {
+        easeFactor: Number(row.ease_factor),
+        intervalDays: row.interval_days,
+        repetitions: row.repetitions,
+        lapses: row.lapses,
+        reviewCount: row.review_count,
+        dueAt: row.due_at,
+        lastReviewedAt: row.last_reviewed_at
+      } : null
+    };
+  }
+
+  /**
+   * Normalize a card front for duplicate detection
+   * @param {string} front - Card front
+   * @returns {string} - Comparison key
+   */
+  cardKey(front) {
+    return front.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+}
+
+export default new FlashcardService();
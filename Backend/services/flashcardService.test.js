@@ -0,0 +1,53 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import cron from 'node-cron';
+import db from '../utils/db.js';
+import courseService from './courseService.js';
+import flashcardService from './flashcardService.js';
+import { createError } from '../utils/httpError.js';
+
+const originalQuery = db.query;
+const originalAssertLectureAccess = courseService.assertLectureAccess;
+
+after(() => cron.getTasks().forEach(task => task.stop()));
+
+afterEach(() => {
+  db.query = originalQuery;
+  courseService.assertLectureAccess = originalAssertLectureAccess;
+});
+
+test('reviewCard refuses cards of lectures the user cannot see', async () => {
+  const queries = [];
+  db.query = async (sql, params) => {
+    queries.push(sql);
+    return { rows: [{ id: 5, lecture_id: 9, ease_factor: null }] };
+  };
+  courseService.assertLectureAccess = async (user, lectureId) => {
+    assert.deepEqual(user, { userId: 3, role: 'student' });
+    assert.equal(lectureId, 9);
+    throw createError(403, 'This lecture belongs to a course you are not a member of');
+  };
+
+  await assert.rejects(flashcardService.reviewCard(5, { userId: 3, role: 'student' }, 4), { status: 403 });
+  assert.equal(queries.length, 1, 'no review is stored');
+});
+
+test('decks and review queues only come from visible lectures', async () => {
+  const calls = [];
+  db.query = async (sql, params) => {
+    calls.push({ sql, params });
+    return { rows: [] };
+  };
+
+  await flashcardService.listDecks({ userId: 3, role: 'student' });
+  await flashcardService.getReviewQueue({ userId: 3, role: 'student' }, { limit: 20 });
+  await flashcardService.getReviewQueue({ userId: 1, role: 'admin' }, { limit: 20 });
+
+  for (const { sql } of calls) {
+    assert.match(sql, /course_members cm/);
+  }
+  assert.equal(calls[0].params[1], 3);
+  assert.equal(calls[1].params[3], 3);
+  // Admins see every lecture
+  assert.equal(calls[3].params[3], null);
+});
@@ -0,0 +1,232 @@
+import db from '../utils/db.js';
+import llmService from './llmService.js';
+import courseService from './courseService.js';
+import { calculateQuizScore } from './quizService.js';
+import { getRubric, isAnswered, scoreAnswer } from './quizTypes.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { withRetry, geminiCircuitBreaker } from '../middleware/rateLimitMiddleware.js';
+import { createError } from '../utils/httpError.js';
+
+/**
+ * Grades short answers against their rubric through the LLM provider.
+ * Gradings are stored in quiz_attempts.attempt_data.grading keyed by
+ * question index:
+ *   { method: 'ai' | 'keywords', credit, criteria, feedback, confidence,
+ *     needsReview, model, gradedAt, override?: { credit, feedback, teacherId, overriddenAt } }
+ * A teacher override takes precedence over the graded credit.
+ */
+class GradingService {
+  constructor() {
+    this.reviewConfidence = parseFloat(process.env.GRADING_REVIEW_CONFIDENCE) || 0.6;
+    this.concurrency = 3; // answers graded at once per attempt
+  }
+
+  /**
+   * Grade the answered short-answer questions of an attempt
+   * @param {Array} questions - Stored questions
+   * @param {Object} answers - Answers keyed by question index
+   * @returns {Promise<Object>} - Gradings keyed by question index
+   */
+  async gradeAttempt(questions, answers = {}) {
+    const graded = questions
+      .map((question, index) => ({ question, index, answer: answers[index] }))
+      .filter(item => item.question.type === 'short_answer' && isAnswered(item.answer));
+
+    const gradings = await mapWithConcurrency(graded, this.concurrency, item =>
+      this.gradeAnswer(item.question, item.answer)
+    );
+
+    return Object.fromEntries(graded.map((item, position) => [item.index, gradings[position]]));
+  }
+
+  /**
+   * Grade one short answer. When the provider fails the answer is scored on
+   * its keywords and flagged for review.
+   * @param {Object} question - Stored short-answer question
+   * @param {string} answer - Student answer
+   * @returns {Promise<Object>} - Grading
+   */
+  async gradeAnswer(question, answer) {
+    const rubric = getRubric(question);
+
+    try {
+      const result = await withRetry(() => geminiCircuitBreaker.execute(() =>
+        llmService.gradeShortAnswer({
+          question: question.question,
+          modelAnswer: question.correct,
+          rubric,
+          answer: String(answer)
+        })
+      ), 2, 1000);
+
+      const total = result.criteria.reduce((sum, criterion) => sum + criterion.points, 0);
+      const earned = result.criteria.reduce((sum, criterion) => sum + criterion.score, 0);
+
+      return {
+        method: 'ai',
+        credit: Math.round((earned / total) * 100) / 100,
+        criteria: result.criteria,
+        feedback: result.feedback,
+        confidence: result.confidence,
+        needsReview: result.confidence < this.reviewConfidence,
+        model: result.metadata.model,
+        gradedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.warn('Short answer grading fell back to keywords:', error.message);
+      return {
+        method: 'keywords',
+        credit: scoreAnswer(question, answer),
+        criteria: [],
+        feedback: '',
+        confidence: null,
+        needsReview: true,
+        model: null,
+        gradedAt: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * List graded answers waiting for a teacher: low confidence or keyword
+   * fallback, and not yet overridden
+   * @param {Object} user - { userId, role }; teachers see their own lectures and those of courses they teach or assist
+   * @param {Object} options - { lectureId, limit }
+   * @returns {Promise<Array>} - Answers to review, newest attempts first
+   */
+  async listForReview(user, { lectureId = null, limit = 50 } = {}) {
+    const result = await db.query(`
+      SELECT qa.id AS attempt_id, qa.attempt_data, qa.attempted_at,
+        q.id AS quiz_id, COALESCE(qv.items_json, q.items_json) AS items_json,
+        l.id AS lecture_id, l.title AS lecture_title,
+        u.id AS student_id, u.name AS student_name
+      FROM quiz_attempts qa
+      JOIN quizzes q ON q.id = qa.quiz_id
+      LEFT JOIN quiz_versions qv ON qv.quiz_id = q.id AND qv.version = qa.quiz_version
+      JOIN lectures l ON l.id = q.lecture_id
+      JOIN users u ON u.id = qa.user_id
+      WHERE ($1::int IS NULL OR l.id = $1)
+        AND ${courseService.staffLectureCondition('l', '$2')}
+        AND EXISTS (
+          SELECT 1 FROM jsonb_each(COALESCE(qa.attempt_data->'grading', '{}'::jsonb)) g
+          WHERE (g.value->>'needsReview')::boolean AND NOT g.value ? 'override'
+        )
+      ORDER BY qa.attempted_at DESC
+      LIMIT $3
+    `, [lectureId, courseService.scopeUserId(user), limit]);
+
+    return result.rows.flatMap(row => Object.entries(row.attempt_data.grading)
+      .filter(([, grading]) => grading.needsReview && !grading.override)
+      .map(([index, grading]) => {
+        const question = row.items_json.questions[index] || {};
+        return {
+          attemptId: row.attempt_id,
+          questionIndex: parseInt(index, 10),
+          quizId: row.quiz_id,
+          lectureId: row.lecture_id,
+          lectureTitle: row.lecture_title,
+          studentId: row.student_id,
+          studentName: row.student_name,
+          attemptedAt: row.attempted_at,
+          question: question.question,
+          modelAnswer: question.correct,
+          rubric: getRubric(question),
+          answer: row.attempt_data.answers?.[index] ?? null,
+          grading
+        };
+      }));
+  }
+
+  /**
+   * Override the credit of one answer and rescore the attempt
+   * @param {number} attemptId - Quiz attempt ID
+   * @param {number} questionIndex - Question index
+   * @param {Object} override - { credit (0 to 1), feedback }
+   * @param {Object} user - { userId, role }; teachers may only grade their own lectures
+   *   and those of courses they teach or assist
+   * @returns {Promise<Object>} - { attemptId, score, grading }
+   */
+  async overrideGrade(attemptId, questionIndex, { credit, feedback = '' } = {}, user) {
+    const value = Number(credit);
+    if (credit === undefined || credit === null || credit === '' || !Number.isFinite(value) || value < 0 || value > 1) {
+      throw createError(400, 'credit must be a number from 0 to 1');
+    }
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const attempt = (await client.query(`
+        SELECT qa.id, qa.attempt_data, COALESCE(qv.items_json, q.items_json) AS items_json, l.uploader_id,
+          ${courseService.courseRoleExpression('l', '$2')} AS course_role
+        FROM quiz_attempts qa
+        JOIN quizzes q ON q.id = qa.quiz_id
+        LEFT JOIN quiz_versions qv ON qv.quiz_id = q.id AND qv.version = qa.quiz_version
+        JOIN lectures l ON l.id = q.lecture_id
+        WHERE qa.id = $1
+        FOR UPDATE OF qa
+      `, [attemptId, user.userId])).rows[0];
+
+      if (!attempt) {
+        throw createError(404, 'Quiz attempt not found');
+      }
+      if (!courseService.canManageLecture(attempt, user, ['teacher', 'ta'])) {
+        throw createError(403, 'Only the lecture uploader or the course staff can grade this attempt');
+      }
+
+      const questions = attempt.items_json.questions || [];
+      const question = questions[questionIndex];
+      if (!question) {
+        throw createError(404, 'Question not found');
+      }
+
+      const attemptData = attempt.attempt_data || {};
+      const answers = attemptData.answers || {};
+      const gradingByIndex = attemptData.grading || {};
+
+      // Any question can be overridden; auto-scored ones get a grading record here
+      const grading = gradingByIndex[questionIndex] || {
+        method: 'auto',
+        credit: scoreAnswer(question, answers[questionIndex]),
+        needsReview: false,
+        gradedAt: null
+      };
+      gradingByIndex[questionIndex] = {
+        ...grading,
+        override: {
+          credit: Math.round(value * 100) / 100,
+          feedback: String(feedback).trim(),
+          teacherId: user.userId,
+          overriddenAt: new Date().toISOString()
+        }
+      };
+
+      const performance = calculateQuizScore(questions, answers, gradingByIndex);
+      const updatedData = {
+        ...attemptData,
+        grading: gradingByIndex,
+        performance: { ...attemptData.performance, ...performance }
+      };
+
+      await client.query(
+        'UPDATE quiz_attempts SET score = $1, attempt_data = $2 WHERE id = $3',
+        [performance.percentage, JSON.stringify(updatedData), attemptId]
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        attemptId: attempt.id,
+        score: performance.percentage,
+        grading: gradingByIndex[questionIndex]
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+export default new GradingService();
@@ -2,7 +2,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import db from '../utils/db.js';
 import audioExtractionService from './audioExtractionService.js';
-import geminiService from './geminiService.js';
+import llmService from './llmService.js';
 import pptExtractionService from './pptExtractionService.js';
 import cacheService from './cacheService.js';
 
@@ -44,9 +44,9 @@ class IngestionService {
       await this.updateLectureAudioPath(actualLectureId, audioResult.relativePath);
       this.updateProgress(actualLectureId, 30);
 
-      // Step 3: Transcribe audio using Gemini
+      // Step 3: Transcribe audio with the configured LLM provider
       console.log('Transcribing audio...');
-      const transcriptionResult = await geminiService.transcribeAudio(audioResult.audioPath, {
+      const transcriptionResult = await llmService.transcribe(audioResult.audioPath, {
         includeTimestamps: true,
         includeSpeakerLabels: true,
         language: lectureData.language || 'auto'
@@ -81,7 +81,7 @@ class IngestionService {
       const fullContent = transcriptionResult.transcript + (pptText ? '\n\nSlide Content:\n' + pptText : '');
       
       // Generate default summary
-      const summaryResult = await geminiService.generateSummary(fullContent, {
+      const summaryResult = await llmService.generateSummary(fullContent, {
         style: 'concise',
         language: lectureData.language || 'en'
       });
@@ -91,7 +91,7 @@ class IngestionService {
       }
 
       // Generate default quiz
-      const quizResult = await geminiService.generateQuiz(fullContent, {
+      const quizResult = await llmService.generateQuiz(fullContent, {
         difficulty: 'medium',
         language: lectureData.language || 'en',
         numQuestions: 10
@@ -231,7 +231,7 @@ class IngestionService {
       lectureId,
       language,
       summaryResult.summary,
-      'gemini-2.5-flash'
+      llmService.getModelName()
     ];
 
     await db.query(query, values);
@@ -254,7 +254,7 @@ class IngestionService {
       lectureId,
       language,
       JSON.stringify(quizResult.quiz),
-      'gemini-2.5-flash'
+      llmService.getModelName()
     ];
 
     await db.query(query, values);
@@ -351,7 +351,7 @@ class IngestionService {
     const fullTranscript = transcriptResult.rows.map(row => row.text).join(' ');
     
     // Generate new summary
-    const summaryResult = await geminiService.generateSummary(fullTranscript, options);
+    const summaryResult = await llmService.generateSummary(fullTranscript, options);
     
     if (summaryResult.success) {
       // Delete old summary and insert new one
@@ -375,7 +375,7 @@ class IngestionService {
     const fullTranscript = transcriptResult.rows.map(row => row.text).join(' ');
     
     // Generate new quiz
-    const quizResult = await geminiService.generateQuiz(fullTranscript, options);
+    const quizResult = await llmService.generateQuiz(fullTranscript, options);
     
     if (quizResult.success) {
       // Delete old quiz and insert new one
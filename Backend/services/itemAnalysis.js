@@ -0,0 +1,188 @@
+import { calculateQuizScore } from './quizService.js';
+import { isAnswered } from './quizTypes.js';
+
+/**
+ * Item analysis of quiz questions from the attempts at one quiz version.
+ * For each question:
+ *   pValue          average credit (the share answering it right); high is easy
+ *   discrimination  point-biserial correlation between the question's credit and
+ *                   the rest of the attempt's score; good questions are answered
+ *                   right by the students who do well on the others
+ *   options         how often each option was picked, overall and by the top and
+ *                   bottom 27% of attempts (types answered by picking options)
+ *   time            seconds spent on the question, when the client reported it
+ * Flags are only raised once a question has enough responses to trust them.
+ */
+
+// Share of attempts in the top and bottom groups
+const GROUP_SHARE = 0.27;
+
+const EASY_P_VALUE = 0.9;
+const HARD_P_VALUE = 0.2;
+const LOW_DISCRIMINATION = 0.2;
+
+// Distractors picked less often than this do no work
+const NON_FUNCTIONAL_RATE = 0.05;
+
+// Longest time one question can be credited with; longer means the tab sat open
+const MAX_QUESTION_SECONDS = 3600;
+
+const OPTION_TYPES = ['mcq', 'true_false', 'multi_select'];
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Pearson correlation; with a 0/1 variable it is the point-biserial
+ * @param {Array} xs - Values
+ * @param {Array} ys - Values
+ * @returns {number|null} - -1 to 1, null when either does not vary
+ */
+const correlation = (xs, ys) => {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let covariance = 0;
+  let vx = 0;
+  let vy = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - mx) * (ys[i] - my);
+    vx += (x - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  });
+  return vx > 0 && vy > 0 ? covariance / Math.sqrt(vx * vy) : null;
+};
+
+/**
+ * Option indices an answer picked
+ * @param {*} answer - Answer
+ * @returns {Set} - Indices
+ */
+const pickedOptions = (answer) => new Set((Array.isArray(answer) ? answer : [answer])
+  .filter(value => value !== null && value !== undefined && value !== '' && !isNaN(Number(value)))
+  .map(Number));
+
+/**
+ * Clean the per-question times a client reports with an attempt
+ * @param {Object} times - Seconds keyed by question index
+ * @param {number} questionCount - Questions in the quiz
+ * @returns {Object} - Seconds keyed by question index
+ */
+export const normalizeQuestionTimes = (times, questionCount) => Object.fromEntries(
+  Object.entries(times && typeof times === 'object' ? times : {})
+    .map(([index, seconds]) => [parseInt(index, 10), Number(seconds)])
+    .filter(([index, seconds]) => index >= 0 && index < questionCount && Number.isFinite(seconds) && seconds >= 0)
+    .map(([index, seconds]) => [index, Math.min(Math.round(seconds), MAX_QUESTION_SECONDS)])
+);
+
+/**
+ * Pick-rates of each option of a question
+ * @param {Object} question - Stored question
+ * @param {Array} answers - Each attempt's answer, in attempt order
+ * @param {Object} groups - { upper, lower }: attempt positions of the top and bottom groups
+ * @returns {Array} - [{ index, text, isKey, rate, upperRate, lowerRate, nonFunctional }]
+ */
+const optionStats = (question, answers, groups) => {
+  const key = question.correct ?? question.correct_answer;
+  const keys = new Set((Array.isArray(key) ? key : [key]).map(Number));
+  const picks = answers.map(pickedOptions);
+  const rate = (positions, index) => (positions.length > 0
+    ? positions.filter(position => picks[position].has(index)).length / positions.length
+    : 0);
+  const all = picks.map((_, position) => position);
+
+  return question.options.map((text, index) => {
+    const overall = rate(all, index);
+    return {
+      index,
+      text,
+      isKey: keys.has(index),
+      rate: round(overall),
+      upperRate: round(rate(groups.upper, index)),
+      lowerRate: round(rate(groups.lower, index)),
+      nonFunctional: picks.length > 0 && !keys.has(index) && overall < NON_FUNCTIONAL_RATE
+    };
+  });
+};
+
+/**
+ * Analyze the questions of a quiz version
+ * @param {Array} questions - Stored questions of the version
+ * @param {Array} attempts - [{ answers, grading, questionTimes }]
+ * @param {Object} options - { minAttempts: responses needed before flagging }
+ * @returns {Array} - Per question: { index, type, question, bankQuestionId, responses, pValue, discrimination,
+ *   omittedRate, averageTimeSeconds, medianTimeSeconds, timedResponses, options, flags, suggestedKey }
+ */
+export const analyzeQuizItems = (questions, attempts, { minAttempts = 10 } = {}) => {
+  const scored = attempts.map(attempt => {
+    const credits = calculateQuizScore(questions, attempt.answers || {}, attempt.grading || {})
+      .detailedResults.map(result => result.credit);
+    return { attempt, credits, total: credits.reduce((sum, credit) => sum + credit, 0) };
+  });
+
+  // Top and bottom groups by total score
+  const ranked = scored.map((_, position) => position).sort((a, b) => scored[b].total - scored[a].total);
+  const groupSize = Math.max(1, Math.round(scored.length * GROUP_SHARE));
+  const groups = {
+    upper: ranked.slice(0, groupSize),
+    lower: scored.length > 1 ? ranked.slice(-groupSize) : []
+  };
+
+  return questions.map((question, index) => {
+    const type = question.type || 'mcq';
+    const credits = scored.map(entry => entry.credits[index]);
+    const rest = scored.map(entry => entry.total - entry.credits[index]);
+    const answers = scored.map(entry => entry.attempt.answers?.[index]);
+    const times = scored
+      .map(entry => entry.attempt.questionTimes?.[index])
+      .filter(seconds => typeof seconds === 'number');
+
+    const pValue = mean(credits);
+    const discrimination = correlation(credits, rest);
+    const options = OPTION_TYPES.includes(type) && Array.isArray(question.options)
+      ? optionStats(question, answers, groups)
+      : null;
+
+    // A distractor the top group prefers to the key, on a question the top
+    // group does worse on, usually means the key is wrong
+    const keyUpperRate = options ? Math.min(...options.filter(option => option.isKey).map(option => option.upperRate)) : null;
+    const rival = options && discrimination !== null && discrimination < 0
+      ? options
+        .filter(option => !option.isKey && option.upperRate > keyUpperRate)
+        .sort((a, b) => b.upperRate - a.upperRate)[0]
+      : null;
+
+    const flags = [];
+    if (scored.length >= minAttempts) {
+      if (pValue >= EASY_P_VALUE) flags.push('too_easy');
+      if (pValue <= HARD_P_VALUE) flags.push('too_hard');
+      if (discrimination !== null && discrimination < 0) flags.push('negative_discrimination');
+      else if (discrimination !== null && discrimination < LOW_DISCRIMINATION) flags.push('low_discrimination');
+      if (rival) flags.push('possibly_miskeyed');
+    }
+
+    return {
+      index,
+      type,
+      question: String(question.question || '').slice(0, 200),
+      bankQuestionId: question.bankQuestionId || null,
+      responses: scored.length,
+      pValue: round(pValue),
+      discrimination: round(discrimination),
+      omittedRate: round(mean(answers.map(answer => (isAnswered(answer) ? 0 : 1)))),
+      averageTimeSeconds: round(mean(times)),
+      medianTimeSeconds: round(median(times)),
+      timedResponses: times.length,
+      options,
+      flags,
+      suggestedKey: flags.includes('possibly_miskeyed') ? { index: rival.index, text: rival.text } : null
+    };
+  });
+};
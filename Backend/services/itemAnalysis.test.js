@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeQuizItems, normalizeQuestionTimes } from './itemAnalysis.js';
+
+const mcq = (question, correct) => ({ type: 'mcq', question, options: ['A', 'B', 'C', 'D'], correct });
+
+const QUESTIONS = [
+  mcq('Discriminating', 0),
+  mcq('Everyone gets it', 1),
+  // Strong students pick C; the key says A
+  mcq('Miskeyed', 0),
+  mcq('Also discriminating', 3),
+  mcq('Discriminating too', 2)
+];
+
+/**
+ * Ten strong and ten weak attempts
+ */
+const attempts = () => [
+  ...Array.from({ length: 10 }, (_, index) => ({
+    answers: { 0: 0, 1: 1, 2: 2, 3: 3, 4: 2 },
+    questionTimes: { 0: 20 + index }
+  })),
+  ...Array.from({ length: 10 }, () => ({
+    answers: { 0: 1, 1: 1, 2: 0, 3: 0, 4: 1 }
+  }))
+];
+
+test('p-values and discrimination follow the answers', () => {
+  const [good, easy, miskeyed, alsoGood] = analyzeQuizItems(QUESTIONS, attempts());
+
+  assert.equal(good.pValue, 0.5);
+  assert.ok(good.discrimination > 0.9);
+  assert.deepEqual(good.flags, []);
+
+  assert.equal(easy.pValue, 1);
+  assert.equal(easy.discrimination, null);
+  assert.deepEqual(easy.flags, ['too_easy']);
+
+  assert.ok(miskeyed.discrimination < 0);
+  assert.ok(alsoGood.discrimination > 0.9);
+});
+
+test('a distractor the top group prefers to the key is flagged as a miskey', () => {
+  const miskeyed = analyzeQuizItems(QUESTIONS, attempts())[2];
+
+  assert.deepEqual(miskeyed.flags, ['negative_discrimination', 'possibly_miskeyed']);
+  assert.deepEqual(miskeyed.suggestedKey, { index: 2, text: 'C' });
+
+  const [a, , c, d] = miskeyed.options;
+  assert.deepEqual([a.isKey, a.rate, a.upperRate, a.lowerRate], [true, 0.5, 0, 1]);
+  assert.deepEqual([c.rate, c.upperRate, c.lowerRate], [0.5, 1, 0]);
+  assert.equal(d.nonFunctional, true);
+  assert.equal(a.nonFunctional, false);
+});
+
+test('no flags before enough attempts', () => {
+  const items = analyzeQuizItems(QUESTIONS, attempts().slice(8, 13), { minAttempts: 10 });
+  assert.ok(items.every(item => item.flags.length === 0));
+  assert.ok(items.every(item => item.suggestedKey === null));
+  assert.equal(items[0].responses, 5);
+});
+
+test('omissions and reported times are summarized', () => {
+  const withOmissions = attempts().map((attempt, index) => (index % 4 === 0
+    ? { ...attempt, answers: { ...attempt.answers, 3: null } }
+    : attempt));
+  const [timed, , , omitted] = analyzeQuizItems(QUESTIONS, withOmissions);
+
+  assert.equal(omitted.omittedRate, 0.25);
+  assert.equal(timed.timedResponses, 10);
+  assert.equal(timed.averageTimeSeconds, 24.5);
+  assert.equal(timed.medianTimeSeconds, 24.5);
+  assert.equal(omitted.averageTimeSeconds, null);
+});
+
+test('only option questions get option statistics', () => {
+  const questions = [{ type: 'short_answer', question: 'Explain', correct: 'Because', keywords: [] }];
+  const [item] = analyzeQuizItems(questions, [{ answers: { 0: 'Because' } }]);
+  assert.equal(item.options, null);
+  assert.equal(item.pValue, 1);
+});
+
+test('question times are clamped to the quiz and to an hour', () => {
+  assert.deepEqual(
+    normalizeQuestionTimes({ 0: 12.4, 1: '30', 2: -1, 3: 99999, 7: 5, x: 3 }, 4),
+    { 0: 12, 1: 30, 3: 3600 }
+  );
+  assert.deepEqual(normalizeQuestionTimes(null, 4), {});
+});
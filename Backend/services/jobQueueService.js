@@ -0,0 +1,443 @@
+import os from 'os';
+import db from '../utils/db.js';
+import progressEventService from './progressEventService.js';
+
+class JobQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000;
+    this.staleTimeout = parseInt(process.env.JOB_STALE_TIMEOUT_SECONDS, 10) || 120;
+    this.heartbeatInterval = 30000;
+    this.handlers = new Map();
+    this.activeJobs = new Map();
+    // Slots taken by claims still waiting on the database
+    this.pendingClaims = 0;
+    this.poller = null;
+    this.recoveryTimer = null;
+  }
+
+  /**
+   * Create processing jobs table
+   */
+  async createJobTable() {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS processing_jobs (
+          id SERIAL PRIMARY KEY,
+          lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
+          job_type VARCHAR(30) NOT NULL DEFAULT 'ingest',
+          status VARCHAR(20) CHECK (status IN ('queued','running','completed','failed')) DEFAULT 'queued',
+          current_stage VARCHAR(30),
+          completed_stages JSONB DEFAULT '[]',
+          stage_data JSONB DEFAULT '{}',
+          payload JSONB,
+          progress INT DEFAULT 0,
+          attempts INT DEFAULT 0,
+          max_attempts INT DEFAULT 3,
+          error TEXT,
+          worker_id VARCHAR(100),
+          heartbeat_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          completed_at TIMESTAMP
+        )
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_processing_jobs_status_created
+        ON processing_jobs(status, created_at)
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_processing_jobs_lecture
+        ON processing_jobs(lecture_id)
+      `);
+
+      console.log('Processing jobs table created successfully');
+    } catch (error) {
+      console.error('Failed to create processing jobs table:', error);
+    }
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} jobType - Job type
+   * @param {Function} handler - async (job, context) => result
+   */
+  registerHandler(jobType, handler) {
+    this.handlers.set(jobType, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {number} lectureId - Lecture ID
+   * @param {string} jobType - Job type
+   * @param {Object} payload - Job payload
+   * @returns {Promise<Object>} - Created job record
+   */
+  async enqueue(lectureId, jobType, payload = {}) {
+    const query = `
+      INSERT INTO processing_jobs (lecture_id, job_type, payload, max_attempts)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const result = await db.query(query, [
+      lectureId,
+      jobType,
+      JSON.stringify(payload),
+      this.maxAttempts
+    ]);
+
+    // Pick the job up straight away if a worker slot is free
+    setImmediate(() => this.tick());
+
+    return result.rows[0];
+  }
+
+  /**
+   * Start polling for queued jobs
+   */
+  start() {
+    if (this.poller) {
+      return;
+    }
+
+    this.poller = setInterval(() => this.tick(), this.pollInterval);
+
+    // Re-check for jobs abandoned by crashed workers once a minute
+    this.recoveryTimer = setInterval(async () => {
+      await this.recoverOrphanedJobs();
+    }, 60000);
+
+    console.log(`Job worker ${this.workerId} started (concurrency: ${this.concurrency})`);
+    this.tick();
+  }
+
+  /**
+   * Stop polling for queued jobs
+   */
+  stop() {
+    clearInterval(this.poller);
+    clearInterval(this.recoveryTimer);
+    this.poller = null;
+    this.recoveryTimer = null;
+  }
+
+  /**
+   * Claim queued jobs until all worker slots are busy
+   */
+  async tick() {
+    if (!this.poller) {
+      return;
+    }
+
+    try {
+      // Ticks overlap (enqueue, the poller and finished jobs all start one), so
+      // a slot is reserved before the claim is awaited
+      while (this.activeJobs.size + this.pendingClaims < this.concurrency) {
+        this.pendingClaims++;
+        let job;
+        try {
+          job = await this.claimNextJob();
+        } finally {
+          this.pendingClaims--;
+        }
+        if (!job) {
+          break;
+        }
+
+        const running = this.runJob(job).finally(() => {
+          this.activeJobs.delete(job.id);
+          this.tick();
+        });
+        this.activeJobs.set(job.id, running);
+      }
+    } catch (error) {
+      console.error('Job queue poll failed:', error);
+    }
+  }
+
+  /**
+   * Atomically claim the oldest queued job
+   * @returns {Promise<Object|null>} - Claimed job or null
+   */
+  async claimNextJob() {
+    const query = `
+      UPDATE processing_jobs
+      SET status = 'running',
+          attempts = attempts + 1,
+          worker_id = $1,
+          heartbeat_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM processing_jobs
+        WHERE status = 'queued'
+        ORDER BY created_at
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING *
+    `;
+
+    const result = await db.query(query, [this.workerId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Run a claimed job through its registered handler
+   * @param {Object} job - Job record
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.job_type);
+    const heartbeat = setInterval(() => {
+      db.query(
+        'UPDATE processing_jobs SET heartbeat_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [job.id]
+      ).catch(error => console.error(`Heartbeat failed for job ${job.id}:`, error));
+    }, this.heartbeatInterval);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.job_type}`);
+      }
+
+      console.log(`Running job ${job.id} (${job.job_type}) for lecture ${job.lecture_id}, attempt ${job.attempts}`);
+      await handler(job, this.createContext(job));
+      await this.markCompleted(job.id);
+      await progressEventService.publish(job.lecture_id, 'complete', { jobId: job.id });
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      await this.markFailed(job, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Build the stage helpers handed to job handlers
+   * @param {Object} job - Job record
+   * @returns {Object} - Job context
+   */
+  createContext(job) {
+    const completedStages = new Set(job.completed_stages || []);
+    const stageData = job.stage_data || {};
+
+    return {
+      stageData,
+      isStageCompleted: (stage) => completedStages.has(stage),
+      startStage: async (stage) => {
+        await this.startStage(job.id, stage);
+        await progressEventService.publish(job.lecture_id, 'stage', { stage, status: 'started' });
+      },
+      completeStage: async (stage, data = {}, progress = null) => {
+        completedStages.add(stage);
+        stageData[stage] = data;
+        await this.completeStage(job.id, stage, data, progress);
+        await progressEventService.publish(job.lecture_id, 'stage', { stage, status: 'completed', progress });
+      },
+      updateProgress: (progress) => this.updateProgress(job.id, progress),
+      // Fine-grained progress is streamed to clients but not persisted
+      reportProgress: (stage, percent, details = {}) =>
+        progressEventService.publish(job.lecture_id, 'progress', {
+          stage,
+          percent: Math.round(percent),
+          ...details
+        })
+    };
+  }
+
+  /**
+   * Record the stage a job is working on
+   * @param {number} jobId - Job ID
+   * @param {string} stage - Stage name
+   */
+  async startStage(jobId, stage) {
+    await db.query(
+      'UPDATE processing_jobs SET current_stage = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [stage, jobId]
+    );
+  }
+
+  /**
+   * Persist a completed stage and its output so the job can resume after it
+   * @param {number} jobId - Job ID
+   * @param {string} stage - Stage name
+   * @param {Object} data - Stage output
+   * @param {number|null} progress - Progress percentage
+   */
+  async completeStage(jobId, stage, data, progress) {
+    const query = `
+      UPDATE processing_jobs
+      SET completed_stages = completed_stages || $1::jsonb,
+          stage_data = stage_data || $2::jsonb,
+          progress = COALESCE($3, progress),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+    `;
+
+    await db.query(query, [
+      JSON.stringify([stage]),
+      JSON.stringify({ [stage]: data }),
+      progress,
+      jobId
+    ]);
+  }
+
+  /**
+   * Update job progress
+   * @param {number} jobId - Job ID
+   * @param {number} progress - Progress percentage
+   */
+  async updateProgress(jobId, progress) {
+    await db.query(
+      'UPDATE processing_jobs SET progress = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [Math.round(progress), jobId]
+    );
+  }
+
+  /**
+   * Mark job as completed
+   * @param {number} jobId - Job ID
+   */
+  async markCompleted(jobId) {
+    const query = `
+      UPDATE processing_jobs
+      SET status = 'completed',
+          current_stage = NULL,
+          progress = 100,
+          error = NULL,
+          completed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+
+    await db.query(query, [jobId]);
+  }
+
+  /**
+   * Requeue a failed job or give up once it has used all its attempts
+   * @param {Object} job - Job record
+   * @param {Error} error - Failure reason
+   */
+  async markFailed(job, error) {
+    const exhausted = job.attempts >= job.max_attempts;
+
+    try {
+      await db.query(
+        `UPDATE processing_jobs
+         SET status = $1, error = $2, worker_id = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [exhausted ? 'failed' : 'queued', error.message, job.id]
+      );
+
+      if (exhausted) {
+        await db.query(
+          'UPDATE lectures SET processing_status = $1 WHERE id = $2',
+          ['failed', job.lecture_id]
+        );
+      }
+
+      await progressEventService.publish(job.lecture_id, 'failed', {
+        jobId: job.id,
+        error: error.message,
+        attempts: job.attempts,
+        willRetry: !exhausted
+      });
+    } catch (dbError) {
+      console.error(`Failed to record failure for job ${job.id}:`, dbError);
+    }
+  }
+
+  /**
+   * Requeue running jobs whose worker stopped sending heartbeats. Worker IDs
+   * change with every restart and other instances may share the queue, so a
+   * missed heartbeat is the only sign a job was abandoned
+   * @returns {Promise<number>} - Number of recovered jobs
+   */
+  async recoverOrphanedJobs() {
+    try {
+      const result = await db.query(`
+        UPDATE processing_jobs
+        SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+            error = COALESCE(error, 'Worker stopped while processing'),
+            worker_id = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'running'
+          AND (
+            heartbeat_at IS NULL
+            OR heartbeat_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+          )
+        RETURNING id, lecture_id, status
+      `, [this.staleTimeout]);
+
+      const failedJobs = result.rows.filter(row => row.status === 'failed');
+      const failedLectures = failedJobs.map(row => row.lecture_id);
+
+      if (failedLectures.length > 0) {
+        await db.query(
+          'UPDATE lectures SET processing_status = $1 WHERE id = ANY($2::int[])',
+          ['failed', failedLectures]
+        );
+      }
+
+      for (const row of failedJobs) {
+        await progressEventService.publish(row.lecture_id, 'failed', {
+          jobId: row.id,
+          error: 'Worker stopped while processing',
+          willRetry: false
+        });
+      }
+
+      if (result.rowCount > 0) {
+        console.log(`Recovered ${result.rowCount} orphaned processing jobs`);
+      }
+
+      return result.rowCount;
+    } catch (error) {
+      console.error('Failed to recover orphaned jobs:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get the most recent job for a lecture
+   * @param {number} lectureId - Lecture ID
+   * @returns {Promise<Object|null>} - Job record or null
+   */
+  async getLatestJobForLecture(lectureId) {
+    const result = await db.query(
+      'SELECT * FROM processing_jobs WHERE lecture_id = $1 ORDER BY created_at DESC LIMIT 1',
+      [lectureId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Promise<Object>} - Queue statistics
+   */
+  async getQueueStats() {
+    const result = await db.query(`
+      SELECT status, COUNT(*) as count
+      FROM processing_jobs
+      GROUP BY status
+    `);
+
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+    for (const row of result.rows) {
+      counts[row.status] = parseInt(row.count);
+    }
+
+    return {
+      workerId: this.workerId,
+      concurrency: this.concurrency,
+      activeJobs: Array.from(this.activeJobs.keys()),
+      counts
+    };
+  }
+}
+
+export default new JobQueueService();
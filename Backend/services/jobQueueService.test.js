@@ -0,0 +1,84 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jobQueueService from './jobQueueService.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const original = {
+  claimNextJob: jobQueueService.claimNextJob,
+  runJob: jobQueueService.runJob,
+  concurrency: jobQueueService.concurrency
+};
+
+beforeEach(() => {
+  jobQueueService.poller = {};
+  jobQueueService.concurrency = 2;
+  jobQueueService.activeJobs.clear();
+  jobQueueService.pendingClaims = 0;
+});
+
+afterEach(() => {
+  Object.assign(jobQueueService, original);
+  jobQueueService.poller = null;
+});
+
+test('overlapping ticks never claim more jobs than the concurrency', async () => {
+  let nextId = 1;
+  let running = 0;
+  let maxRunning = 0;
+  let claims = 0;
+
+  jobQueueService.claimNextJob = async () => {
+    claims++;
+    await wait(10);
+    return nextId <= 6 ? { id: nextId++ } : null;
+  };
+  jobQueueService.runJob = async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await wait(20);
+    running--;
+  };
+
+  await Promise.all([jobQueueService.tick(), jobQueueService.tick(), jobQueueService.tick()]);
+  assert.equal(jobQueueService.activeJobs.size, 2);
+
+  // Finished jobs start ticks of their own until the queue is empty
+  while (nextId <= 6 || jobQueueService.activeJobs.size > 0) {
+    await wait(5);
+  }
+  await wait(20);
+
+  assert.equal(maxRunning, 2);
+  assert.equal(nextId, 7);
+  assert.equal(jobQueueService.pendingClaims, 0);
+  assert.ok(claims >= 7, 'the empty queue is claimed at least once');
+});
+
+test('a failed claim gives its slot back', async () => {
+  jobQueueService.claimNextJob = async () => {
+    throw new Error('connection lost');
+  };
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    await jobQueueService.tick();
+  } finally {
+    console.error = consoleError;
+  }
+
+  assert.equal(jobQueueService.pendingClaims, 0);
+  assert.equal(jobQueueService.activeJobs.size, 0);
+});
+
+test('ticks do nothing once the worker is stopped', async () => {
+  let claims = 0;
+  jobQueueService.claimNextJob = async () => {
+    claims++;
+    return null;
+  };
+  jobQueueService.poller = null;
+
+  await jobQueueService.tick();
+  assert.equal(claims, 0);
+});
@@ -0,0 +1,195 @@
+/**
+ * Learner path through a course's ordered modules. A lecture is complete once
+ * the learner has watched enough of it (learning_progress.completion_percentage)
+ * and, when the module asks for one, reached a quiz score on it. Two rules
+ * decide what is unlocked:
+ *   unlockRule   gates a module on the module before it
+ *   lectureRule  gates each lecture of a module on the lecture before it
+ * Either rule is one of
+ *   { type: 'none' }                               always open
+ *   { type: 'previous_completed' }                 the previous step is complete
+ *   { type: 'previous_quiz_score', minScore: 70 }  best quiz score on the previous
+ *                                                  lecture (every lecture of the
+ *                                                  previous module) >= minScore
+ * A module also waits for the modules listed as its prerequisites. Lectures a
+ * learner has already completed never lock again.
+ */
+
+export const RULE_TYPES = ['none', 'previous_completed', 'previous_quiz_score'];
+
+// Share of a lecture to watch before it counts as complete, by default
+export const DEFAULT_MIN_PROGRESS = 80;
+
+// Quiz score needed by a previous_quiz_score rule without one
+const DEFAULT_MIN_SCORE = 70;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const clampPercent = (value) => Math.min(100, Math.max(0, Number(value) || 0));
+
+/**
+ * Check and clean an unlock rule
+ * @param {*} rule - Rule from a client; empty means 'none'
+ * @returns {Object} - Rule, or null when it is invalid
+ */
+export const normalizeRule = (rule) => {
+  if (rule === null || rule === undefined || rule === '') {
+    return { type: 'none' };
+  }
+  const type = typeof rule === 'string' ? rule : rule.type;
+  if (!RULE_TYPES.includes(type)) {
+    return null;
+  }
+  if (type !== 'previous_quiz_score') {
+    return { type };
+  }
+
+  const minScore = rule.minScore === undefined ? DEFAULT_MIN_SCORE : Number(rule.minScore);
+  if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+    return null;
+  }
+  return { type, minScore };
+};
+
+/**
+ * Check and clean a module's completion rule
+ * @param {*} rule - { minProgress, minQuizScore }; empty takes the defaults
+ * @returns {Object} - { minProgress, minQuizScore }, or null when it is invalid
+ */
+export const normalizeCompletionRule = (rule) => {
+  const { minProgress = DEFAULT_MIN_PROGRESS, minQuizScore = null } = rule && typeof rule === 'object' ? rule : {};
+  const progress = Number(minProgress);
+  const score = minQuizScore === null || minQuizScore === '' ? null : Number(minQuizScore);
+
+  if (!Number.isFinite(progress) || progress < 0 || progress > 100) {
+    return null;
+  }
+  if (score !== null && (!Number.isFinite(score) || score < 0 || score > 100)) {
+    return null;
+  }
+  return { minProgress: progress, minQuizScore: score };
+};
+
+/**
+ * Why a rule is not met, or null when it is
+ * @param {Object} rule - Unlock rule
+ * @param {Object|null} previous - { title, completed, lectures } of the previous step; null for the first
+ * @returns {string|null}
+ */
+const unmetRule = (rule, previous) => {
+  if (!previous || rule.type === 'none') {
+    return null;
+  }
+  if (rule.type === 'previous_completed') {
+    return previous.completed ? null : `Complete "${previous.title}" first`;
+  }
+
+  const passed = previous.lectures.every(lecture => lecture.bestQuizScore !== null && lecture.bestQuizScore >= rule.minScore);
+  if (passed) {
+    return null;
+  }
+  return previous.lectures.length === 1
+    ? `Score at least ${rule.minScore}% on the quiz of "${previous.title}"`
+    : `Score at least ${rule.minScore}% on every quiz in "${previous.title}"`;
+};
+
+/**
+ * Progress of one lecture under a module's completion rule
+ * @param {Object} lecture - { lectureId, title, duration }
+ * @param {Object|undefined} progress - learning_progress row
+ * @param {Object} completionRule - { minProgress, minQuizScore }
+ * @returns {Object}
+ */
+const lectureProgress = (lecture, progress, completionRule) => {
+  const watched = clampPercent(progress?.completion_percentage);
+  const bestQuizScore = progress?.has_completed_quiz ? Number(progress.best_quiz_score) : null;
+  const completed = watched >= completionRule.minProgress
+    && (completionRule.minQuizScore === null || (bestQuizScore !== null && bestQuizScore >= completionRule.minQuizScore));
+
+  return {
+    ...lecture,
+    watchedPercentage: round(watched),
+    bestQuizScore,
+    completed,
+    // Short of the quiz, a fully watched lecture still is not done
+    completionPercentage: completed ? 100 : round(Math.min(watched, 99)),
+    lastViewedAt: progress?.last_viewed_at || null
+  };
+};
+
+/**
+ * Status of a step from its lock and progress
+ */
+const stepStatus = (step) => {
+  if (step.completed) return 'completed';
+  if (step.locked) return 'locked';
+  return step.completionPercentage > 0 ? 'in_progress' : 'not_started';
+};
+
+/**
+ * Evaluate a learner's path through a course
+ * @param {Array} modules - In order: { id, title, description, unlockRule, lectureRule, completionRule,
+ *   prerequisites: [moduleId], lectures: [{ lectureId, title, duration }] in order }
+ * @param {Map} progressByLecture - learning_progress rows keyed by lecture ID
+ * @returns {Object} - { completionPercentage, completedLectures, totalLectures, completed, nextLectureId, modules }
+ */
+export const evaluateLearnerPath = (modules, progressByLecture) => {
+  // Completion first: it only depends on progress, so prerequisites may point either way
+  const evaluated = modules.map(module => {
+    const completionRule = normalizeCompletionRule(module.completionRule) || normalizeCompletionRule({});
+    const lectures = module.lectures.map(lecture => lectureProgress(lecture, progressByLecture.get(lecture.lectureId), completionRule));
+    // A module without lectures holds nobody back
+    const completed = lectures.every(lecture => lecture.completed);
+
+    return {
+      id: module.id,
+      title: module.title,
+      description: module.description || null,
+      unlockRule: normalizeRule(module.unlockRule) || { type: 'none' },
+      lectureRule: normalizeRule(module.lectureRule) || { type: 'none' },
+      completionRule,
+      prerequisites: module.prerequisites || [],
+      completed,
+      completionPercentage: lectures.length > 0
+        ? round(lectures.reduce((sum, lecture) => sum + lecture.completionPercentage, 0) / lectures.length)
+        : 0,
+      completedLectures: lectures.filter(lecture => lecture.completed).length,
+      totalLectures: lectures.length,
+      lectures
+    };
+  });
+
+  evaluated.forEach((module, index) => {
+    const missing = module.prerequisites
+      .map(id => evaluated.find(other => other.id === id))
+      .filter(other => other && other !== module && !other.completed);
+    const lockReason = unmetRule(module.unlockRule, index > 0 ? evaluated[index - 1] : null)
+      || (missing.length > 0 ? `Complete ${missing.map(other => `"${other.title}"`).join(', ')} first` : null);
+
+    module.lectures.forEach((lecture, position) => {
+      const previous = position > 0 ? module.lectures[position - 1] : null;
+      const reason = lockReason || unmetRule(module.lectureRule, previous && { ...previous, lectures: [previous] });
+      lecture.locked = !lecture.completed && reason !== null;
+      lecture.lockReason = lecture.locked ? reason : null;
+      lecture.status = stepStatus(lecture);
+    });
+
+    module.locked = !module.completed && lockReason !== null;
+    module.lockReason = module.locked ? lockReason : null;
+    module.status = stepStatus(module);
+  });
+
+  const allLectures = evaluated.flatMap(module => module.lectures);
+  const next = allLectures.find(lecture => !lecture.completed && !lecture.locked);
+
+  return {
+    completionPercentage: allLectures.length > 0
+      ? round(allLectures.reduce((sum, lecture) => sum + lecture.completionPercentage, 0) / allLectures.length)
+      : 0,
+    completedLectures: allLectures.filter(lecture => lecture.completed).length,
+    totalLectures: allLectures.length,
+    completed: allLectures.length > 0 && allLectures.every(lecture => lecture.completed),
+    nextLectureId: next ? next.lectureId : null,
+    modules: evaluated
+  };
+};
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRule, normalizeCompletionRule, evaluateLearnerPath, DEFAULT_MIN_PROGRESS } from './learningPath.js';
+
+const lecture = (lectureId) => ({ lectureId, title: `Lecture ${lectureId}`, duration: 600 });
+
+const module = (id, lectureIds, rules = {}) => ({
+  id,
+  title: `Module ${id}`,
+  lectures: lectureIds.map(lecture),
+  prerequisites: [],
+  ...rules
+});
+
+const watched = (percentage, quizScore = null) => ({
+  completion_percentage: percentage,
+  has_completed_quiz: quizScore !== null,
+  best_quiz_score: quizScore ?? 0,
+  last_viewed_at: null
+});
+
+const progress = (entries) => new Map(Object.entries(entries).map(([id, row]) => [Number(id), row]));
+
+const findLecture = (path, lectureId) => path.modules.flatMap(entry => entry.lectures).find(entry => entry.lectureId === lectureId);
+
+test('rules are cleaned and invalid ones rejected', () => {
+  assert.deepEqual(normalizeRule(null), { type: 'none' });
+  assert.deepEqual(normalizeRule('previous_completed'), { type: 'previous_completed' });
+  assert.deepEqual(normalizeRule({ type: 'previous_quiz_score' }), { type: 'previous_quiz_score', minScore: 70 });
+  assert.deepEqual(normalizeRule({ type: 'previous_quiz_score', minScore: '55' }), { type: 'previous_quiz_score', minScore: 55 });
+  assert.equal(normalizeRule({ type: 'previous_quiz_score', minScore: 120 }), null);
+  assert.equal(normalizeRule({ type: 'whenever' }), null);
+});
+
+test('completion rules take defaults and stay within 0-100', () => {
+  assert.deepEqual(normalizeCompletionRule(undefined), { minProgress: DEFAULT_MIN_PROGRESS, minQuizScore: null });
+  assert.deepEqual(normalizeCompletionRule({ minProgress: 50, minQuizScore: '60' }), { minProgress: 50, minQuizScore: 60 });
+  assert.equal(normalizeCompletionRule({ minProgress: -1 }), null);
+  assert.equal(normalizeCompletionRule({ minQuizScore: 101 }), null);
+});
+
+test('a lecture is complete once watched far enough and, when required, its quiz passed', () => {
+  const modules = [module(1, [10, 11, 12], { completionRule: { minProgress: 80, minQuizScore: 60 } })];
+  const path = evaluateLearnerPath(modules, progress({ 10: watched(90, 75), 11: watched(100), 12: watched(40) }));
+
+  assert.equal(findLecture(path, 10).completed, true);
+  assert.equal(findLecture(path, 10).completionPercentage, 100);
+  // Fully watched but the quiz is missing
+  assert.equal(findLecture(path, 11).completed, false);
+  assert.equal(findLecture(path, 11).completionPercentage, 99);
+  assert.equal(findLecture(path, 12).status, 'in_progress');
+  assert.equal(path.completedLectures, 1);
+  assert.equal(path.nextLectureId, 11);
+});
+
+test('previous_completed locks lectures until the one before is done', () => {
+  const modules = [module(1, [10, 11, 12], { lectureRule: { type: 'previous_completed' } })];
+  const path = evaluateLearnerPath(modules, progress({ 10: watched(85) }));
+
+  assert.equal(findLecture(path, 10).status, 'completed');
+  assert.equal(findLecture(path, 11).locked, false);
+  assert.equal(findLecture(path, 12).locked, true);
+  assert.equal(findLecture(path, 12).lockReason, 'Complete "Lecture 11" first');
+});
+
+test('previous_quiz_score locks a module until every quiz of the previous one is passed', () => {
+  const modules = [
+    module(1, [10, 11]),
+    module(2, [20], { unlockRule: { type: 'previous_quiz_score', minScore: 70 } })
+  ];
+
+  const failing = evaluateLearnerPath(modules, progress({ 10: watched(100, 90), 11: watched(100, 50) }));
+  assert.equal(failing.modules[1].locked, true);
+  assert.equal(failing.modules[1].lockReason, 'Score at least 70% on every quiz in "Module 1"');
+  assert.equal(findLecture(failing, 20).locked, true);
+
+  const passing = evaluateLearnerPath(modules, progress({ 10: watched(0, 90), 11: watched(0, 70) }));
+  assert.equal(passing.modules[1].locked, false);
+});
+
+test('prerequisites may point at later modules and completed lectures never lock again', () => {
+  const modules = [
+    module(1, [10], { prerequisites: [2] }),
+    module(2, [20])
+  ];
+  const path = evaluateLearnerPath(modules, progress({ 10: watched(100) }));
+
+  assert.equal(path.modules[0].locked, false, 'its only lecture is already complete');
+  assert.equal(findLecture(path, 10).status, 'completed');
+
+  const fresh = evaluateLearnerPath(modules, progress({}));
+  assert.equal(fresh.modules[0].locked, true);
+  assert.equal(fresh.modules[0].lockReason, 'Complete "Module 2" first');
+  assert.equal(fresh.nextLectureId, 20);
+});
+
+test('empty modules hold nobody back and count as complete', () => {
+  const modules = [module(1, []), module(2, [20], { unlockRule: { type: 'previous_completed' } })];
+  const path = evaluateLearnerPath(modules, progress({}));
+
+  assert.equal(path.modules[0].status, 'completed');
+  assert.equal(path.modules[1].locked, false);
+  assert.equal(path.totalLectures, 1);
+  assert.equal(path.completed, false);
+});
+
+test('a finished course reports 100% and no next lecture', () => {
+  const path = evaluateLearnerPath([module(1, [10, 11])], progress({ 10: watched(100), 11: watched(95) }));
+  assert.equal(path.completionPercentage, 100);
+  assert.equal(path.completed, true);
+  assert.equal(path.nextLectureId, null);
+});
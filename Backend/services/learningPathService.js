@@ -0,0 +1,525 @@
+import db from '../utils/db.js';
+import courseService from './courseService.js';
+import reportsService from './reportsService.js';
+import { evaluateLearnerPath, normalizeRule, normalizeCompletionRule, RULE_TYPES } from './learningPath.js';
+import { createError } from '../utils/httpError.js';
+
+/**
+ * Course teachers arrange a course's lectures into ordered modules, each with
+ * rules for unlocking it and its lectures and for when a lecture counts as
+ * complete (see learningPath.js). Learners get their path through the modules
+ * from their learning_progress rows, which the reports ETL rebuilds and the
+ * watch progress and quiz attempts that change them refresh as they arrive, so
+ * a quiz just passed unlocks the next lecture without waiting for the ETL.
+ *
+ * Locks only bind students: teachers, TAs, the lecture's uploader and admins
+ * open everything.
+ */
+class LearningPathService {
+  /**
+   * Create the module tables
+   */
+  async createModuleTables() {
+    try {
+      // Learner paths read learning_progress before the first ETL run creates it
+      await reportsService.createAggregatedTables();
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS course_modules (
+          id SERIAL PRIMARY KEY,
+          course_id INT REFERENCES courses(id) ON DELETE CASCADE,
+          title VARCHAR(200) NOT NULL,
+          description TEXT,
+          position INT NOT NULL DEFAULT 0,
+          unlock_rule JSONB NOT NULL DEFAULT '{"type":"none"}',
+          lecture_rule JSONB NOT NULL DEFAULT '{"type":"none"}',
+          completion_rule JSONB NOT NULL DEFAULT '{}',
+          prerequisites JSONB NOT NULL DEFAULT '[]',
+          created_by INT REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS module_lectures (
+          module_id INT REFERENCES course_modules(id) ON DELETE CASCADE,
+          lecture_id INT UNIQUE REFERENCES lectures(id) ON DELETE CASCADE,
+          position INT NOT NULL DEFAULT 0,
+          PRIMARY KEY (module_id, lecture_id)
+        )
+      `);
+
+      await db.query('CREATE INDEX IF NOT EXISTS idx_course_modules_course ON course_modules(course_id, position)');
+
+      console.log('Course module tables created successfully');
+    } catch (error) {
+      console.error('Failed to create course module tables:', error);
+    }
+  }
+
+  /**
+   * List a course's modules with their lectures and rules (course members)
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @returns {Promise<Array>} - Modules in order
+   */
+  async listModules(user, courseId) {
+    await courseService.findCourse(user, courseId);
+    return this.loadModules(courseId);
+  }
+
+  /**
+   * Add a module at the end of a course (course teachers)
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @param {Object} data - { title, description, lectureIds, unlockRule, lectureRule, completionRule, prerequisites }
+   * @returns {Promise<Object>} - Module
+   */
+  async createModule(user, courseId, data = {}) {
+    await courseService.findCourse(user, courseId, ['teacher']);
+    if (!data.title || typeof data.title !== 'string' || !data.title.trim()) {
+      throw createError(400, 'title is required');
+    }
+    const fields = await this.validateModule(courseId, null, data);
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const module = (await client.query(`
+        INSERT INTO course_modules (course_id, title, description, position, unlock_rule, lecture_rule, completion_rule, prerequisites, created_by)
+        VALUES ($1, $2, $3,
+          (SELECT COALESCE(MAX(position) + 1, 0) FROM course_modules WHERE course_id = $1),
+          $4, $5, $6, $7, $8)
+        RETURNING id
+      `, [
+        courseId,
+        data.title.trim().slice(0, 200),
+        data.description || null,
+        JSON.stringify(fields.unlockRule || { type: 'none' }),
+        JSON.stringify(fields.lectureRule || { type: 'none' }),
+        JSON.stringify(fields.completionRule || normalizeCompletionRule({})),
+        JSON.stringify(fields.prerequisites || []),
+        user.userId
+      ])).rows[0];
+
+      if (fields.lectureIds) {
+        await this.setModuleLectures(client, module.id, fields.lectureIds);
+      }
+
+      await client.query('COMMIT');
+      return this.getModule(courseId, module.id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw this.lectureConflict(error);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Change a module; lectureIds replaces its lectures in the order given (course teachers)
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @param {number} moduleId - Module ID
+   * @param {Object} data - Any of the fields createModule takes
+   * @returns {Promise<Object>} - Module
+   */
+  async updateModule(user, courseId, moduleId, data = {}) {
+    await courseService.findCourse(user, courseId, ['teacher']);
+    await this.findModule(courseId, moduleId);
+    if (data.title !== undefined && (typeof data.title !== 'string' || !data.title.trim())) {
+      throw createError(400, 'title cannot be empty');
+    }
+    const fields = await this.validateModule(courseId, moduleId, data);
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        UPDATE course_modules
+        SET title = COALESCE($2, title),
+            description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+            unlock_rule = COALESCE($5, unlock_rule),
+            lecture_rule = COALESCE($6, lecture_rule),
+            completion_rule = COALESCE($7, completion_rule),
+            prerequisites = COALESCE($8, prerequisites),
+            updated_at = NOW()
+        WHERE id = $1
+      `, [
+        moduleId,
+        data.title !== undefined ? data.title.trim().slice(0, 200) : null,
+        data.description !== undefined, data.description || null,
+        fields.unlockRule ? JSON.stringify(fields.unlockRule) : null,
+        fields.lectureRule ? JSON.stringify(fields.lectureRule) : null,
+        fields.completionRule ? JSON.stringify(fields.completionRule) : null,
+        fields.prerequisites ? JSON.stringify(fields.prerequisites) : null
+      ]);
+
+      if (fields.lectureIds) {
+        await client.query('DELETE FROM module_lectures WHERE module_id = $1', [moduleId]);
+        await this.setModuleLectures(client, moduleId, fields.lectureIds);
+      }
+
+      await client.query('COMMIT');
+      return this.getModule(courseId, moduleId);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw this.lectureConflict(error);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a module; its lectures stay in the course (course teachers)
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @param {number} moduleId - Module ID
+   */
+  async deleteModule(user, courseId, moduleId) {
+    await courseService.findCourse(user, courseId, ['teacher']);
+    const result = await db.query('DELETE FROM course_modules WHERE id = $1 AND course_id = $2', [moduleId, courseId]);
+    if (result.rowCount === 0) {
+      throw createError(404, 'Module not found');
+    }
+  }
+
+  /**
+   * Put a course's modules in a new order (course teachers)
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @param {Array} moduleIds - Every module of the course, in the new order
+   * @returns {Promise<Array>} - Modules in order
+   */
+  async reorderModules(user, courseId, moduleIds) {
+    await courseService.findCourse(user, courseId, ['teacher']);
+    const ids = this.parseIds(moduleIds, 'moduleIds');
+
+    const current = (await db.query('SELECT id FROM course_modules WHERE course_id = $1', [courseId])).rows.map(row => row.id);
+    if (ids.length !== current.length || !current.every(id => ids.includes(id))) {
+      throw createError(400, 'moduleIds must list every module of the course once');
+    }
+
+    await db.query(`
+      UPDATE course_modules m
+      SET position = o.position - 1, updated_at = NOW()
+      FROM unnest($2::int[]) WITH ORDINALITY AS o(id, position)
+      WHERE m.id = o.id AND m.course_id = $1
+    `, [courseId, ids]);
+
+    return this.loadModules(courseId);
+  }
+
+  /**
+   * A learner's path through a course: modules and lectures in order with their
+   * completion, what is locked and why, and the lecture to continue with.
+   * Course teachers, TAs and admins may look at any member's path
+   * @param {Object} user - { userId, role }
+   * @param {number} courseId - Course ID
+   * @param {number|null} learnerId - Member to look at; null for the user
+   * @returns {Promise<Object>} - Path
+   */
+  async getLearnerPath(user, courseId, learnerId = null) {
+    const course = await courseService.findCourse(user, courseId);
+    const targetId = learnerId || user.userId;
+
+    if (targetId !== user.userId) {
+      if (user.role !== 'admin' && !['teacher', 'ta'].includes(course.my_role)) {
+        throw createError(403, 'Permission denied');
+      }
+      const member = await db.query('SELECT 1 FROM course_members WHERE course_id = $1 AND user_id = $2', [courseId, targetId]);
+      if (member.rows.length === 0) {
+        throw createError(404, 'Member not found');
+      }
+    }
+
+    const path = await this.evaluate(courseId, targetId);
+    return {
+      course: { id: course.id, title: course.title, code: course.code },
+      learnerId: targetId,
+      ...path
+    };
+  }
+
+  /**
+   * Check a lecture is unlocked for the user. Only students are held back
+   * @param {Object} user - { userId, role }
+   * @param {Object} lecture - Row from courseService.assertLectureAccess
+   */
+  async assertLectureUnlocked(user, lecture) {
+    if (!lecture.course_id || lecture.course_role !== 'student' || lecture.uploader_id === user.userId || user.role === 'admin') {
+      return;
+    }
+
+    const inModule = await db.query(`
+      SELECT 1 FROM module_lectures ml
+      JOIN course_modules m ON m.id = ml.module_id
+      WHERE ml.lecture_id = $1 AND m.course_id = $2
+    `, [lecture.id, lecture.course_id]);
+    if (inModule.rows.length === 0) {
+      return;
+    }
+
+    const path = await this.evaluate(lecture.course_id, user.userId);
+    const step = path.modules.flatMap(module => module.lectures).find(entry => entry.lectureId === lecture.id);
+    if (step && step.locked) {
+      throw createError(403, `This lecture is locked. ${step.lockReason}`);
+    }
+  }
+
+  /**
+   * Check the user may open a lecture: it is visible to them and unlocked
+   * @param {Object} user - { userId, role }
+   * @param {number} lectureId - Lecture ID
+   * @returns {Promise<Object>} - Lecture row
+   */
+  async assertLectureOpen(user, lectureId) {
+    const lecture = await courseService.assertLectureAccess(user, lectureId);
+    await this.assertLectureUnlocked(user, lecture);
+    return lecture;
+  }
+
+  /**
+   * Check the user may take a quiz: its lecture is visible to them and unlocked
+   * @param {Object} user - { userId, role }
+   * @param {number} quizId - Quiz ID
+   * @returns {Promise<Object>} - Lecture row
+   */
+  async assertQuizOpen(user, quizId) {
+    const lecture = await courseService.assertQuizAccess(user, quizId);
+    await this.assertLectureUnlocked(user, lecture);
+    return lecture;
+  }
+
+  /**
+   * The lectures among the given ones that are locked for the user, for
+   * filtering lists. Staff of a course see its lectures unlocked
+   * @param {Object} user - { userId, role }
+   * @param {Array<number>} lectureIds - Lecture IDs
+   * @returns {Promise<Set<number>>} - Locked lecture IDs
+   */
+  async lockedLectureIds(user, lectureIds) {
+    const locked = new Set();
+    if (user.role === 'admin' || lectureIds.length === 0) {
+      return locked;
+    }
+
+    const courses = await db.query(`
+      SELECT DISTINCT m.course_id
+      FROM module_lectures ml
+      JOIN course_modules m ON m.id = ml.module_id
+      JOIN course_members cm ON cm.course_id = m.course_id AND cm.user_id = $2 AND cm.role = 'student'
+      WHERE ml.lecture_id = ANY($1::int[])
+    `, [lectureIds, user.userId]);
+
+    for (const { course_id: courseId } of courses.rows) {
+      const path = await this.evaluate(courseId, user.userId);
+      for (const step of path.modules.flatMap(module => module.lectures)) {
+        if (step.locked && lectureIds.includes(step.lectureId)) {
+          locked.add(step.lectureId);
+        }
+      }
+    }
+    return locked;
+  }
+
+  /**
+   * Evaluate a learner's path from their learning_progress. The rows are
+   * kept current by the events that change them (see
+   * reportsService.refreshLearningProgress), so this only reads: it runs on
+   * every gated lecture request
+   * @param {number} courseId - Course ID
+   * @param {number} userId - Learner
+   * @returns {Promise<Object>} - Output of evaluateLearnerPath
+   */
+  async evaluate(courseId, userId) {
+    const modules = await this.loadModules(courseId);
+    const lectureIds = modules.flatMap(module => module.lectures.map(lecture => lecture.lectureId));
+
+    const progress = lectureIds.length > 0
+      ? (await db.query(
+        'SELECT * FROM learning_progress WHERE user_id = $1 AND lecture_id = ANY($2::int[])',
+        [userId, lectureIds]
+      )).rows
+      : [];
+
+    return evaluateLearnerPath(modules, new Map(progress.map(row => [row.lecture_id, row])));
+  }
+
+  /**
+   * Load a course's modules with their lectures. Lectures moved out of the
+   * course since are left out
+   * @param {number} courseId - Course ID
+   * @returns {Promise<Array>} - Modules in order
+   */
+  async loadModules(courseId) {
+    const modules = (await db.query(
+      'SELECT * FROM course_modules WHERE course_id = $1 ORDER BY position, id',
+      [courseId]
+    )).rows;
+
+    const lectures = (await db.query(`
+      SELECT ml.module_id, ml.lecture_id, l.title, l.duration_seconds, l.processing_status
+      FROM module_lectures ml
+      JOIN course_modules m ON m.id = ml.module_id
+      JOIN lectures l ON l.id = ml.lecture_id AND l.course_id = m.course_id
+      WHERE m.course_id = $1
+      ORDER BY ml.position, ml.lecture_id
+    `, [courseId])).rows;
+
+    return modules.map(module => this.formatModule(module, lectures.filter(lecture => lecture.module_id === module.id)));
+  }
+
+  /**
+   * Get one module
+   * @param {number} courseId - Course ID
+   * @param {number} moduleId - Module ID
+   * @returns {Promise<Object>} - Module
+   */
+  async getModule(courseId, moduleId) {
+    const module = (await this.loadModules(courseId)).find(entry => entry.id === moduleId);
+    if (!module) {
+      throw createError(404, 'Module not found');
+    }
+    return module;
+  }
+
+  /**
+   * Find a module of a course
+   * @param {number} courseId - Course ID
+   * @param {number} moduleId - Module ID
+   * @returns {Promise<Object>} - course_modules row
+   */
+  async findModule(courseId, moduleId) {
+    const module = (await db.query('SELECT * FROM course_modules WHERE id = $1 AND course_id = $2', [moduleId, courseId])).rows[0];
+    if (!module) {
+      throw createError(404, 'Module not found');
+    }
+    return module;
+  }
+
+  /**
+   * Check the fields a client sent for a module
+   * @param {number} courseId - Course ID
+   * @param {number|null} moduleId - Module being changed, or null for a new one
+   * @param {Object} data - Fields from the client
+   * @returns {Promise<Object>} - Cleaned fields; those not sent are left out
+   */
+  async validateModule(courseId, moduleId, data) {
+    const fields = {};
+
+    for (const key of ['unlockRule', 'lectureRule']) {
+      if (data[key] !== undefined) {
+        fields[key] = normalizeRule(data[key]);
+        if (!fields[key]) {
+          throw createError(400, `${key}.type must be one of ${RULE_TYPES.join(', ')}, with minScore from 0 to 100`);
+        }
+      }
+    }
+
+    if (data.completionRule !== undefined) {
+      fields.completionRule = normalizeCompletionRule(data.completionRule);
+      if (!fields.completionRule) {
+        throw createError(400, 'completionRule.minProgress and minQuizScore must be from 0 to 100');
+      }
+    }
+
+    if (data.lectureIds !== undefined) {
+      fields.lectureIds = this.parseIds(data.lectureIds, 'lectureIds');
+      const found = await db.query(
+        'SELECT id FROM lectures WHERE course_id = $1 AND id = ANY($2::int[])',
+        [courseId, fields.lectureIds]
+      );
+      if (found.rows.length !== fields.lectureIds.length) {
+        throw createError(400, 'Every lecture of a module must belong to its course');
+      }
+    }
+
+    if (data.prerequisites !== undefined) {
+      fields.prerequisites = this.parseIds(data.prerequisites, 'prerequisites');
+      if (moduleId && fields.prerequisites.includes(moduleId)) {
+        throw createError(400, 'A module cannot be its own prerequisite');
+      }
+      const found = await db.query(
+        'SELECT id FROM course_modules WHERE course_id = $1 AND id = ANY($2::int[])',
+        [courseId, fields.prerequisites]
+      );
+      if (found.rows.length !== fields.prerequisites.length) {
+        throw createError(400, 'Prerequisites must be modules of the same course');
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Store a module's lectures in order
+   * @param {Object} client - Database client in a transaction
+   * @param {number} moduleId - Module ID
+   * @param {Array} lectureIds - Lecture IDs in order
+   */
+  async setModuleLectures(client, moduleId, lectureIds) {
+    if (lectureIds.length === 0) return;
+    await client.query(`
+      INSERT INTO module_lectures (module_id, lecture_id, position)
+      SELECT $1, o.id, o.position - 1
+      FROM unnest($2::int[]) WITH ORDINALITY AS o(id, position)
+    `, [moduleId, lectureIds]);
+  }
+
+  /**
+   * Turn the unique lecture violation into a 409
+   * @param {Error} error - Database error
+   * @returns {Error}
+   */
+  lectureConflict(error) {
+    return error.code === '23505'
+      ? createError(409, 'A lecture can only be in one module; remove it from the other module first')
+      : error;
+  }
+
+  /**
+   * Parse a list of distinct IDs
+   * @param {*} value - Array from the client
+   * @param {string} name - Field name for errors
+   * @returns {Array} - IDs
+   */
+  parseIds(value, name) {
+    const ids = Array.isArray(value) ? value.map(id => parseInt(id, 10)) : null;
+    if (!ids || ids.some(id => !Number.isInteger(id) || id <= 0) || new Set(ids).size !== ids.length) {
+      throw createError(400, `${name} must be a list of distinct IDs`);
+    }
+    return ids;
+  }
+
+  /**
+   * Format a module for clients and the path evaluation
+   * @param {Object} row - course_modules row
+   * @param {Array} lectures - Its lectures in order
+   * @returns {Object} - Module
+   */
+  formatModule(row, lectures) {
+    return {
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      position: row.position,
+      unlockRule: row.unlock_rule,
+      lectureRule: row.lecture_rule,
+      completionRule: normalizeCompletionRule(row.completion_rule),
+      prerequisites: row.prerequisites || [],
+      lectures: lectures.map(lecture => ({
+        lectureId: lecture.lecture_id,
+        title: lecture.title,
+        duration: lecture.duration_seconds,
+        processingStatus: lecture.processing_status
+      })),
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default new LearningPathService();
@@ -0,0 +1,73 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import cron from 'node-cron';
+import db from '../utils/db.js';
+import courseService from './courseService.js';
+import reportsService from './reportsService.js';
+import learningPathService from './learningPathService.js';
+
+const original = {
+  query: db.query,
+  assertQuizAccess: courseService.assertQuizAccess,
+  evaluate: learningPathService.evaluate
+};
+
+after(() => cron.getTasks().forEach(task => task.stop()));
+
+afterEach(() => {
+  db.query = original.query;
+  courseService.assertQuizAccess = original.assertQuizAccess;
+  learningPathService.evaluate = original.evaluate;
+});
+
+const student = { userId: 3, role: 'student' };
+
+/**
+ * A path with lecture 10 open and lecture 11 locked
+ */
+const path = () => ({
+  modules: [{
+    lectures: [
+      { lectureId: 10, locked: false },
+      { lectureId: 11, locked: true, lockReason: 'Complete "Intro" first.' }
+    ]
+  }]
+});
+
+test('assertQuizOpen refuses quizzes of locked lectures', async () => {
+  courseService.assertQuizAccess = async () => ({ id: 11, course_id: 2, course_role: 'student', uploader_id: 1 });
+  db.query = async () => ({ rows: [{ '?column?': 1 }] });
+  learningPathService.evaluate = async () => path();
+
+  await assert.rejects(learningPathService.assertQuizOpen(student, 5), { status: 403, message: /locked/ });
+});
+
+test('assertQuizOpen lets course staff through without evaluating the path', async () => {
+  const lecture = { id: 11, course_id: 2, course_role: 'teacher', uploader_id: 1 };
+  courseService.assertQuizAccess = async () => lecture;
+  learningPathService.evaluate = async () => assert.fail('staff paths are not evaluated');
+
+  assert.equal(await learningPathService.assertQuizOpen({ userId: 4, role: 'student' }, 5), lecture);
+});
+
+test('lockedLectureIds lists the locked lectures among those asked for', async () => {
+  db.query = async () => ({ rows: [{ course_id: 2 }] });
+  learningPathService.evaluate = async () => path();
+
+  assert.deepEqual([...await learningPathService.lockedLectureIds(student, [10, 11, 12])], [11]);
+  assert.deepEqual([...await learningPathService.lockedLectureIds(student, [10])], []);
+  assert.deepEqual([...await learningPathService.lockedLectureIds({ userId: 1, role: 'admin' }, [11])], []);
+});
+
+test('learning progress takes quiz results from graded attempts, not client events', async () => {
+  let sql;
+  db.query = async (query) => {
+    sql = query;
+    return { rows: [] };
+  };
+
+  await reportsService.processLearningPathMetrics(3, 10);
+
+  assert.match(sql, /FROM quiz_attempts qa\s+JOIN quizzes q ON q.id = qa.quiz_id/);
+  assert.doesNotMatch(sql, /quiz\.completed/);
+});
@@ -0,0 +1,591 @@
+import path from 'path';
+
+/**
+ * Prompt building and response parsing shared by every LLM provider, so
+ * each adapter only has to send a prompt and return the model's text.
+ */
+
+const AUDIO_MIME_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.flac': 'audio/flac'
+};
+
+// Keep prompts inside the context window of smaller local models
+export const MAX_CONTENT_CHARS = 30000;
+
+/**
+ * Trim content to the prompt size limit
+ * @param {string} content - Content to include in a prompt
+ * @returns {string} - Possibly truncated content
+ */
+export const truncateContent = (content) => {
+  if (content.length <= MAX_CONTENT_CHARS) {
+    return content;
+  }
+
+  console.log(`Content truncated to ${MAX_CONTENT_CHARS} characters due to length limits`);
+  return content.substring(0, MAX_CONTENT_CHARS) + '...';
+};
+
+/**
+ * Build the transcription prompt
+ * @param {Object} options - { includeTimestamps, includeSpeakerLabels, language }
+ * @returns {string} - Prompt
+ */
+export const buildTranscriptionPrompt = (options = {}) => {
+  const {
+    includeTimestamps = true,
+    includeSpeakerLabels = false,
+    language = 'auto'
+  } = options;
+
+  let prompt = 'Generate a detailed transcript of the speech in this audio file.';
+
+  if (includeTimestamps) {
+    prompt += ' Include timestamps in the format [MM:SS] (or [HH:MM:SS] past one hour) at the start of each segment.';
+  }
+
+  if (includeSpeakerLabels) {
+    prompt += ' If multiple speakers are present, identify and label them as Speaker 1, Speaker 2, etc.';
+  }
+
+  if (language && language !== 'auto') {
+    prompt += ` The audio is in ${language} language.`;
+  }
+
+  return prompt;
+};
+
+/**
+ * Build the summary prompt
+ * @param {string} content - Content to summarize
+ * @param {Object} options - { style, language, maxLength, includeKeyPoints }
+ * @returns {string} - Prompt
+ */
+export const buildSummaryPrompt = (content, options = {}) => {
+  const {
+    style = 'concise',
+    language = 'en',
+    maxLength = 500,
+    includeKeyPoints = true
+  } = options;
+
+  let prompt = `Generate a ${style} summary of the following content`;
+
+  if (language !== 'en') {
+    prompt += ` in ${language} language`;
+  }
+
+  if (maxLength) {
+    prompt += ` (approximately ${maxLength} words)`;
+  }
+
+  if (includeKeyPoints) {
+    prompt += '. Include key points and main concepts.';
+  }
+
+  return prompt + '\n\nContent:\n' + truncateContent(content);
+};
+
+/**
+ * JSON example and rules for each quiz question type, as asked of the model.
+ * services/quizTypes.js turns the answers into the stored schema.
+ */
+const QUESTION_TYPE_FORMATS = {
+  mcq: {
+    example: '{ "type": "mcq", "question": "Clear question text ending with ?", "options": ["Option A", "Option B", "Option C", "Option D"], "correct_answer": 0, "explanation": "..." }',
+    rule: 'exactly 4 options and one correct answer; correct_answer is the index (0-3) of the correct option'
+  },
+  true_false: {
+    example: '{ "type": "true_false", "question": "A statement that is either true or false.", "correct_answer": true, "explanation": "..." }',
+    rule: 'a single unambiguous statement; correct_answer is true or false'
+  },
+  multi_select: {
+    example: '{ "type": "multi_select", "question": "Which of the following ...? Select all that apply.", "options": ["Option A", "Option B", "Option C", "Option D", "Option E"], "correct_answers": [0, 2], "explanation": "..." }',
+    rule: '4 to 6 options with at least two correct; correct_answers lists the indexes of every correct option'
+  },
+  fill_blank: {
+    example: '{ "type": "fill_blank", "question": "The ___ stores data as key-value pairs.", "answers": [["hash table", "hash map"]], "explanation": "..." }',
+    rule: 'mark each blank with ___ (at most 2 blanks); answers has one list of accepted answers per blank, each a word or short phrase from the content'
+  },
+  ordering: {
+    example: '{ "type": "ordering", "question": "Put these steps in order.", "items": ["First step", "Second step", "Third step", "Fourth step"], "explanation": "..." }',
+    rule: '3 to 6 distinct items listed in the CORRECT order; they will be shuffled for the student'
+  },
+  matching: {
+    example: '{ "type": "matching", "question": "Match each term to its description.", "pairs": [{ "left": "Term", "right": "Description" }], "explanation": "..." }',
+    rule: '3 to 6 pairs with distinct right sides; the right sides will be shuffled for the student'
+  },
+  short_answer: {
+    example: '{ "type": "short_answer", "question": "Explain ... in one or two sentences.", "correct_answer": "A model answer", "keywords": ["key term", "another term"], "rubric": [{ "criterion": "What a full answer must state", "points": 2 }], "explanation": "..." }',
+    rule: 'answerable in one or two sentences; keywords are 2 to 4 terms a correct answer must mention; rubric has 2 to 4 criteria worth 1 to 3 points each'
+  }
+};
+
+/**
+ * Build the quiz prompt for the requested question types. When re-prompting
+ * for replacements, existingQuestions are the stems already kept and problems
+ * the validation issues of the previous reply.
+ * @param {string} content - Content to generate the quiz from
+ * @param {Object} options - { difficulty, language, numQuestions, questionTypes, includeExplanations, existingQuestions, problems }
+ * @returns {string} - Prompt
+ */
+export const buildQuizPrompt = (content, options = {}) => {
+  const {
+    difficulty = 'medium',
+    language = 'en',
+    numQuestions = 10,
+    includeExplanations = true,
+    existingQuestions = [],
+    problems = []
+  } = options;
+  const questionTypes = (options.questionTypes || ['mcq']).filter(type => QUESTION_TYPE_FORMATS[type]);
+  const types = questionTypes.length > 0 ? questionTypes : ['mcq'];
+
+  let prompt = types.length === 1 && types[0] === 'mcq'
+    ? `Generate ONLY multiple choice questions (MCQ) for a ${difficulty} difficulty quiz with exactly ${numQuestions} questions based on the following content`
+    : `Generate a ${difficulty} difficulty quiz with exactly ${numQuestions} questions based on the following content, mixing these question types: ${types.join(', ')}`;
+
+  if (language !== 'en') {
+    prompt += ` in ${language} language`;
+  }
+
+  prompt += '.\n\n';
+  prompt += 'IMPORTANT REQUIREMENTS:\n';
+  types.forEach(type => {
+    prompt += `- ${type} questions: ${QUESTION_TYPE_FORMATS[type].rule}\n`;
+  });
+  if (types.length > 1) {
+    prompt += '- Use every listed type at least once and spread the questions evenly across them\n';
+  }
+  prompt += '- Questions should test understanding of key concepts from the content\n';
+
+  if (includeExplanations) {
+    prompt += '- Provide clear explanations for why the correct answer is right\n';
+  }
+  prompt += '- Every question must be different; options must be distinct and the correct answer must be one of them\n';
+
+  if (existingQuestions.length > 0) {
+    prompt += '\nThe quiz already has these questions. Do not repeat or rephrase them:\n';
+    prompt += existingQuestions.map(question => `- ${question}`).join('\n') + '\n';
+  }
+  if (problems.length > 0) {
+    prompt += '\nThe previous reply had these problems. Avoid them:\n';
+    prompt += problems.map(problem => `- ${problem}`).join('\n') + '\n';
+  }
+
+  prompt += '\nFormat the output as valid JSON with the following exact structure (no comments), one object per question:\n';
+  prompt += '{\n';
+  prompt += '  "questions": [\n';
+  prompt += types.map(type => `    ${QUESTION_TYPE_FORMATS[type].example}`).join(',\n') + '\n';
+  prompt += '  ]\n';
+  prompt += '}\n\n';
+
+  return prompt + 'Content to generate quiz from:\n' + truncateContent(content);
+};
+
+/**
+ * Build the flashcard prompt. Content is transcript lines starting with
+ * [MM:SS] markers, and quiz questions with their explanations.
+ * @param {string} content - Content to make cards from
+ * @param {Object} options - { language, numCards }
+ * @returns {string} - Prompt
+ */
+export const buildFlashcardPrompt = (content, options = {}) => {
+  const { language = 'en', numCards = 20 } = options;
+
+  let prompt = `Write up to ${numCards} flashcards for revising the lecture content below`;
+
+  if (language !== 'en') {
+    prompt += ` in ${language} language`;
+  }
+
+  prompt += '.\n\n';
+  prompt += 'RULES:\n';
+  prompt += '- One fact, definition or idea per card; the front is a question or term, the back a short answer\n';
+  prompt += '- Cover the whole lecture, most important ideas first, and do not repeat a fact\n';
+  prompt += '- The quiz explanations point at what students got asked; make sure those facts are covered\n';
+  prompt += '- "time" is the [MM:SS] marker of the transcript line the fact comes from, or null\n';
+  prompt += '\nFormat the output as valid JSON with the following exact structure (no comments):\n';
+  prompt += '{ "cards": [{ "front": "What is ...?", "back": "Short answer", "time": "12:30" }] }\n\n';
+
+  return prompt + 'Content:\n' + truncateContent(content);
+};
+
+/**
+ * Build the translation prompt
+ * @param {string} content - Content to translate
+ * @param {string} targetLanguage - Target language code
+ * @param {string} sourceLanguage - Source language code or 'auto'
+ * @returns {string} - Prompt
+ */
+export const buildTranslationPrompt = (content, targetLanguage, sourceLanguage = 'auto') => {
+  let prompt = `Translate the following content to ${targetLanguage}`;
+
+  if (sourceLanguage !== 'auto') {
+    prompt += ` from ${sourceLanguage}`;
+  }
+
+  return prompt + '. Maintain the original formatting and structure. Reply with the translation only.\n\nContent:\n' + content;
+};
+
+/**
+ * Format seconds as MM:SS, or H:MM:SS from the first hour
+ * @param {number} totalSeconds - Time in seconds
+ * @returns {string} - Clock time
+ */
+export const formatClock = (totalSeconds) => {
+  const time = Math.max(Math.floor(totalSeconds || 0), 0);
+  const hours = Math.floor(time / 3600);
+  const minutes = String(Math.floor((time % 3600) / 60)).padStart(2, '0');
+  const seconds = String(time % 60).padStart(2, '0');
+
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+/**
+ * Parse an MM:SS or H:MM:SS clock time
+ * @param {string} clock - Clock time
+ * @returns {number|null} - Seconds, or null if it is not a clock time
+ */
+export const parseClock = (clock) => {
+  const match = String(clock || '').trim().match(/^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, hours = '0', minutes, seconds] = match;
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10);
+};
+
+/**
+ * Label a retrieved passage with where it comes from in the lecture
+ * @param {Object} passage - { source, startTs, slideNumber }
+ * @returns {string} - e.g. "12:30" or "Slide 4"
+ */
+export const formatPassageLocation = (passage) => {
+  if (passage.source === 'slide') {
+    return `Slide ${passage.slideNumber}`;
+  }
+
+  return formatClock(passage.startTs);
+};
+
+// What each summary style asks of section and session summaries
+const SUMMARY_STYLE_GUIDANCE = {
+  concise: 'Keep only the main ideas, in short plain sentences.',
+  detailed: 'Cover every concept, definition and example that is explained, with enough detail to study from.',
+  'exam-prep': 'Focus on definitions, formulas, facts and distinctions a student could be examined on.',
+  cornell: 'Keep the questions this part answers and the facts, definitions and examples that answer them.',
+  glossary: 'List every technical term or named concept that is introduced, each as "Term: definition given in the lecture".',
+  'mind-map': 'Keep the main ideas and how they relate to each other: what is part of, causes or contrasts with what.',
+  outline: 'Keep the topics in the order they are taught, naming each one clearly.'
+};
+
+/**
+ * Build the prompt that summarizes one time window of a lecture (the map
+ * step of map-reduce summarization)
+ * @param {string} content - Transcript of the window, or summaries to merge
+ * @param {Object} options - { style, language, startTs, endTs }
+ * @returns {string} - Prompt
+ */
+export const buildSectionSummaryPrompt = (content, options = {}) => {
+  const { style = 'concise', language = 'en', startTs = 0, endTs = 0 } = options;
+
+  let prompt = `Summarize this part of a lecture (${formatClock(startTs)} to ${formatClock(endTs)})`;
+
+  if (language !== 'en') {
+    prompt += ` in ${language} language`;
+  }
+
+  prompt += `. ${SUMMARY_STYLE_GUIDANCE[style] || SUMMARY_STYLE_GUIDANCE.concise}\n`;
+  prompt += 'Give it a short title naming its topic, and 2 to 6 points. Only use what is said in the content.\n\n';
+  prompt += 'Format the output as valid JSON with the following exact structure (no comments):\n';
+  prompt += '{ "title": "Topic of this part", "points": ["First point", "Second point"] }\n\n';
+
+  return prompt + 'Content:\n' + truncateContent(content);
+};
+
+/**
+ * Build the prompt that combines section summaries into the session summary
+ * (the reduce step). Bullets cite the sections they come from as [n].
+ * @param {Array} sections - { title, points, startTs, endTs } in lecture order
+ * @param {Object} options - { style, language, maxLength }
+ * @returns {string} - Prompt
+ */
+export const buildSessionSummaryPrompt = (sections, options = {}) => {
+  const { style = 'concise', language = 'en', maxLength = 500 } = options;
+
+  let prompt = `Write a ${style} summary of a whole lecture from the summaries of its consecutive sections below`;
+
+  if (language !== 'en') {
+    prompt += ` in ${language} language`;
+  }
+
+  prompt += ` (approximately ${maxLength} words). ${SUMMARY_STYLE_GUIDANCE[style] || SUMMARY_STYLE_GUIDANCE.concise}\n\n`;
+  prompt += 'Use Markdown: a "## Overview" paragraph, then "## Key Points" as a bulleted list.\n';
+  prompt += 'End EVERY bullet with the numbers of the sections it comes from in square brackets, e.g. [2] or [3][4].\n';
+  prompt += 'Reply with the Markdown only.\n\n';
+
+  return prompt + formatSections(sections);
+};
+
+/**
+ * List section summaries numbered for citation
+ * @param {Array} sections - { title, points, startTs, endTs } in lecture order
+ * @returns {string} - Prompt text
+ */
+const formatSections = (sections) => 'Sections:\n' + sections.map((section, index) =>
+  `[${index + 1}] ${section.title} (${formatClock(section.startTs)} to ${formatClock(section.endTs)})\n`
+  + section.points.map(point => `- ${point}`).join('\n')
+).join('\n') + '\n';
+
+/**
+ * Start a prompt that turns section summaries into structured study material
+ * @param {string} task - What to write
+ * @param {string} language - Output language code
+ * @returns {string} - Prompt text
+ */
+const startStructuredPrompt = (task, language) => {
+  let prompt = `${task} from the summaries of its consecutive sections below`;
+
+  if (language !== 'en') {
+    prompt += `, in ${language} language`;
+  }
+
+  prompt += '. Only use what is in the sections.\n';
+  prompt += 'Every item has "refs": the numbers of the sections it comes from, e.g. [2] or [3, 4].\n\n';
+  return prompt;
+};
+
+/**
+ * Build the prompt for Cornell study notes: cue questions in the margin,
+ * the notes answering them, and a closing summary
+ * @param {Array} sections - { title, points, startTs, endTs } in lecture order
+ * @param {Object} options - { language }
+ * @returns {string} - Prompt
+ */
+export const buildCornellNotesPrompt = (sections, options = {}) => {
+  const { language = 'en' } = options;
+
+  let prompt = startStructuredPrompt('Write Cornell study notes for a lecture', language);
+  prompt += 'Write 4 to 10 cues. A cue is a short question or keyword a student would quiz themselves with; ';
+  prompt += 'its notes are the 1 to 4 facts that answer it. Finish with a 2 to 4 sentence summary of the lecture.\n\n';
+  prompt += 'Format the output as valid JSON with the following exact structure (no comments):\n';
+  prompt += '{ "cues": [{ "cue": "What is ...?", "notes": ["Fact"], "refs": [1] }], "summary": "Summary of the lecture" }\n\n';
+
+  return prompt + formatSections(sections);
+};
+
+/**
+ * Build the prompt for a glossary of the terms a lecture introduces
+ * @param {Array} sections - { title, points, startTs, endTs } in lecture order
+ * @param {Object} options - { language }
+ * @returns {string} - Prompt
+ */
+export const buildGlossaryPrompt = (sections, options = {}) => {
+  const { language = 'en' } = options;
+
+  let prompt = startStructuredPrompt('Write a glossary of the key terms of a lecture', language);
+  prompt += 'Include every technical term, named concept or formula that is explained, at most 30. ';
+  prompt += 'Define each in one or two sentences as the lecture defines it.\n\n';
+  prompt += 'Format the output as valid JSON with the following exact structure (no comments):\n';
+  prompt += '{ "terms": [{ "term": "Term", "definition": "Definition", "refs": [1] }] }\n\n';
+
+  return prompt + formatSections(sections);
+};
+
+/**
+ * Build the prompt for a mind map outline: the lecture topic at the root,
+ * main ideas as branches and their details as children
+ * @param {Array} sections - { title, points, startTs, endTs } in lecture order
+ * @param {Object} options - { language }
+ * @returns {string} - Prompt
+ */
+export const buildMindMapPrompt = (sections, options = {}) => {
+  const { language = 'en' } = options;
+
+  let prompt = startStructuredPrompt('Draw a mind map of a lecture as a JSON tree', language);
+  prompt += 'The root is the lecture topic in a few words. Give it 3 to 7 branches for the main ideas, ';
+  prompt += 'each with up to 5 children for the details, and children at most one level deeper. Labels are short phrases.\n\n';
+  prompt += 'Format the output as valid JSON with the following exact structure (no comments):\n';
+  prompt += '{ "root": "Lecture topic", "branches": [{ "label": "Main idea", "refs": [1], "children": [{ "label": "Detail", "refs": [1], "children": [] }] }] }\n\n';
+
+  return prompt + formatSections(sections);
+};
+
+/**
+ * Build the prompt that groups consecutive sections into chapters
+ * @param {Array} sections - { title, points, startTs, endTs } in lecture order
+ * @param {Object} options - { language }
+ * @returns {string} - Prompt
+ */
+export const buildChapterOutlinePrompt = (sections, options = {}) => {
+  const { language = 'en' } = options;
+
+  let prompt = startStructuredPrompt('Split a lecture into chapters', language);
+  prompt += 'Group consecutive sections that teach the same topic into a chapter, in lecture order, ';
+  prompt += 'so that every section belongs to exactly one chapter. Give each chapter a title and 1 to 5 points it covers.\n\n';
+  prompt += 'Format the output as valid JSON with the following exact structure (no comments):\n';
+  prompt += '{ "chapters": [{ "title": "Chapter title", "points": ["Point"], "refs": [1, 2] }] }\n\n';
+
+  return prompt + formatSections(sections);
+};
+
+/**
+ * Build the question-answering prompt. The model may only use the numbered
+ * passages and cites them by number.
+ * @param {string} question - Student question
+ * @param {Array} passages - Lecture passages { source, startTs, slideNumber, content }
+ * @param {Array} history - Earlier turns { question, answer }, oldest first
+ * @returns {string} - Prompt
+ */
+export const buildAnswerPrompt = (question, passages, history = []) => {
+  let prompt = 'You are a teaching assistant answering a student\'s question about a lecture.\n\n';
+  prompt += 'RULES:\n';
+  prompt += '- Use ONLY the numbered lecture passages below; do not use outside knowledge\n';
+  prompt += '- Cite the passages you used with their numbers in square brackets, e.g. [2]\n';
+  prompt += '- If the passages do not answer the question, say that the lecture does not cover it\n';
+  prompt += '- Answer in the same language as the question, in at most a few short paragraphs\n\n';
+
+  if (history.length > 0) {
+    prompt += 'Earlier conversation:\n';
+    for (const turn of history) {
+      prompt += `Student: ${turn.question}\nAssistant: ${turn.answer}\n`;
+    }
+    prompt += '\n';
+  }
+
+  prompt += 'Lecture passages:\n';
+  passages.forEach((passage, index) => {
+    prompt += `[${index + 1}] (${formatPassageLocation(passage)}) ${passage.content}\n`;
+  });
+
+  prompt += '\nFormat the output as valid JSON with the following exact structure (no comments):\n';
+  prompt += '{ "answer": "Answer text with citations like [1]", "citations": [1] }\n\n';
+
+  return prompt + `Question: ${question}`;
+};
+
+/**
+ * Build the prompt for grading a student's short answer against a rubric
+ * @param {Object} item - { question, modelAnswer, rubric: [{ criterion, points }], answer }
+ * @returns {string} - Prompt
+ */
+export const buildGradingPrompt = (item) => {
+  let prompt = 'You are a teaching assistant grading a student\'s short answer to a quiz question.\n\n';
+  prompt += 'RULES:\n';
+  prompt += '- Score every rubric criterion from 0 up to its points, giving partial points for partly correct answers\n';
+  prompt += '- Judge meaning, not wording; ignore spelling and grammar unless they change the meaning\n';
+  prompt += '- Feedback is one short sentence per criterion, addressed to the student\n';
+  prompt += '- confidence is how sure you are of the grade, from 0 to 1; use a low value when the answer is ambiguous or off-topic\n';
+  prompt += '- Write feedback in the language of the student\'s answer\n\n';
+
+  prompt += `Question: ${item.question}\n`;
+  prompt += `Model answer: ${item.modelAnswer}\n\n`;
+  prompt += 'Rubric:\n';
+  item.rubric.forEach((entry, index) => {
+    prompt += `${index + 1}. ${entry.criterion} (${entry.points} ${entry.points === 1 ? 'point' : 'points'})\n`;
+  });
+
+  prompt += '\nFormat the output as valid JSON with the following exact structure (no comments), one entry per criterion in rubric order:\n';
+  prompt += '{ "criteria": [{ "criterion": 1, "score": 1, "feedback": "..." }], "feedback": "Overall feedback", "confidence": 0.8 }\n\n';
+
+  return prompt + `Student answer: ${truncateContent(item.answer)}`;
+};
+
+/**
+ * Parse JSON out of a model reply that may be wrapped in code fences or prose
+ * @param {string} text - Model reply
+ * @returns {Object} - Parsed JSON
+ */
+export const parseJsonResponse = (text) => {
+  const cleaned = text.replace(/```(?:json)?\n?/g, '').trim();
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw error;
+    }
+    return JSON.parse(cleaned.slice(start, end + 1));
+  }
+};
+
+/**
+ * Parse a timestamped transcript into time-based chunks.
+ * Accepts [MM:SS], [HH:MM:SS] and bare HH:MM:SS timestamps at line starts.
+ * @param {string} transcript - Raw transcript text
+ * @param {number} chunkSize - Chunk size in seconds
+ * @returns {Array} - Array of transcript chunks
+ */
+export const parseTranscriptIntoChunks = (transcript, chunkSize = 300) => {
+  const chunks = [];
+  const lines = transcript.split('\n').filter(line => line.trim());
+
+  let chunkIndex = 0;
+  let currentChunk = {
+    start_ts: 0,
+    end_ts: chunkSize,
+    text: '',
+    speaker: null
+  };
+
+  for (const line of lines) {
+    // Timestamps are expected at the start of a line, e.g. "[01:23] ..." or "00:01:23 ..."
+    const timestampMatch = line.match(/^\s*[[(]?(\d{1,2}):(\d{2})(?::(\d{2}))?[\])]?/);
+
+    if (timestampMatch) {
+      const [, first, second, third] = timestampMatch;
+      const timeInSeconds = third !== undefined
+        ? parseInt(first, 10) * 3600 + parseInt(second, 10) * 60 + parseInt(third, 10)
+        : parseInt(first, 10) * 60 + parseInt(second, 10);
+
+      // If we've exceeded the chunk size, start a new chunk
+      if (timeInSeconds > currentChunk.end_ts) {
+        if (currentChunk.text.trim()) {
+          chunks.push({ ...currentChunk });
+        }
+
+        chunkIndex = Math.floor(timeInSeconds / chunkSize);
+        currentChunk = {
+          start_ts: chunkIndex * chunkSize,
+          end_ts: (chunkIndex + 1) * chunkSize,
+          text: '',
+          speaker: null
+        };
+      }
+
+      currentChunk.start_ts = Math.min(currentChunk.start_ts, timeInSeconds);
+    }
+
+    // Extract speaker if present
+    const speakerMatch = line.match(/^(?:\[[^\]]+\]\s*)?(Speaker \d+|[A-Z][a-z]+):/);
+    if (speakerMatch) {
+      currentChunk.speaker = speakerMatch[1];
+    }
+
+    currentChunk.text += line + '\n';
+  }
+
+  // Add the last chunk
+  if (currentChunk.text.trim()) {
+    chunks.push(currentChunk);
+  }
+
+  return chunks;
+};
+
+/**
+ * Get MIME type for an audio file
+ * @param {string} filePath - Path to the file
+ * @returns {string} - MIME type
+ */
+export const getAudioMimeType = (filePath) =>
+  AUDIO_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'audio/mpeg';
@@ -0,0 +1,77 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAICompatibleProvider } from './llmProviders.js';
+
+const originalTemperature = process.env.LLM_TEMPERATURE;
+
+afterEach(() => {
+  if (originalTemperature === undefined) {
+    delete process.env.LLM_TEMPERATURE;
+  } else {
+    process.env.LLM_TEMPERATURE = originalTemperature;
+  }
+});
+
+test('keeps a configured temperature of 0', () => {
+  process.env.LLM_TEMPERATURE = '0';
+  assert.equal(new OpenAICompatibleProvider().temperature, 0);
+});
+
+test('reads a configured temperature', () => {
+  process.env.LLM_TEMPERATURE = '0.7';
+  assert.equal(new OpenAICompatibleProvider().temperature, 0.7);
+});
+
+test('falls back to 0.2 when the temperature is missing or not a number', () => {
+  delete process.env.LLM_TEMPERATURE;
+  assert.equal(new OpenAICompatibleProvider().temperature, 0.2);
+
+  process.env.LLM_TEMPERATURE = 'warm';
+  assert.equal(new OpenAICompatibleProvider().temperature, 0.2);
+});
+
+/**
+ * A multiple-choice question the validation accepts
+ */
+const mcq = (topic) => ({
+  type: 'mcq',
+  question: `Which statement about ${topic} is right?`,
+  options: [`${topic} grows`, `${topic} shrinks`, `${topic} stays`, `${topic} vanishes`],
+  correct_answer: 0,
+  explanation: `The lecture says ${topic} grows.`
+});
+
+test('generateQuiz asks only for the missing questions and stops after QUIZ_REPAIR_ROUNDS', async () => {
+  const provider = new OpenAICompatibleProvider();
+  const replies = [
+    { questions: [mcq('demand'), mcq('supply'), { ...mcq('prices'), correct_answer: 9 }] },
+    { questions: [mcq('interest')] },
+    { questions: [mcq('demand')] }
+  ];
+  const prompts = [];
+  provider.generateText = async (prompt) => {
+    prompts.push(prompt);
+    return JSON.stringify(replies[prompts.length - 1] || { questions: [] });
+  };
+
+  const consoleWarn = console.warn;
+  console.warn = () => {};
+  let result;
+  try {
+    result = await provider.generateQuiz('Lecture on markets', { numQuestions: 5 });
+  } finally {
+    console.warn = consoleWarn;
+  }
+
+  // The first ask and two repair rounds
+  assert.equal(prompts.length, 3);
+  assert.deepEqual(prompts.map(prompt => prompt.match(/exactly (\d+) questions/)[1]), ['5', '3', '2']);
+  assert.match(prompts[1], /The answer is not one of the options/);
+  assert.match(prompts[2], /Which statement about interest is right\?/);
+
+  const { validation } = result.metadata;
+  assert.deepEqual(result.quiz.questions.map(question => question.id), [1, 2, 3]);
+  assert.equal(validation.rounds, 3);
+  assert.equal(validation.complete, false);
+  assert.deepEqual(validation.issues.map(issue => [issue.round, issue.check]), [[0, 'answer_not_in_options'], [2, 'duplicate']]);
+});
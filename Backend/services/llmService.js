@@ -0,0 +1,190 @@
+import { GeminiProvider, OpenAICompatibleProvider, FixtureProvider } from './llmProviders.js';
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  fixture: FixtureProvider
+};
+
+/**
+ * Single entry point for summary, quiz, translation, question answering, embeddings
+ * and LLM transcription.
+ * The provider is chosen with LLM_PROVIDER (gemini, openai or fixture).
+ */
+class LLMService {
+  constructor() {
+    const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+    const Provider = PROVIDERS[name];
+
+    if (!Provider) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    this.provider = new Provider();
+
+    if (!this.provider.isAvailable()) {
+      console.warn(`LLM provider "${name}" is not configured. Summaries, quizzes and translation will fail.`);
+    }
+  }
+
+  /**
+   * Check if the configured provider can be used
+   * @returns {boolean} - Whether the provider is available
+   */
+  isAvailable() {
+    return this.provider.isAvailable();
+  }
+
+  /**
+   * Check if the configured provider can transcribe audio
+   * @returns {boolean} - Whether transcription is supported
+   */
+  supportsTranscription() {
+    return this.provider.supportsTranscription();
+  }
+
+  /**
+   * Check if the configured provider can embed text
+   * @returns {boolean} - Whether embeddings are supported
+   */
+  supportsEmbeddings() {
+    return this.provider.supportsEmbeddings();
+  }
+
+  /**
+   * Embedding model name stored alongside vectors; vectors from different
+   * models are not comparable
+   * @returns {string|null} - Model name
+   */
+  getEmbeddingModelName() {
+    return this.provider.embeddingModel ? `${this.provider.name}:${this.provider.embeddingModel}`.slice(0, 100) : null;
+  }
+
+  /**
+   * Model name stored alongside generated summaries and quizzes
+   * @returns {string} - Model name
+   */
+  getModelName() {
+    return String(this.provider.model).slice(0, 50);
+  }
+
+  /**
+   * Generate summary from text content
+   * @param {string} content - Text content to summarize
+   * @param {Object} options - { style, language, maxLength, includeKeyPoints }
+   * @returns {Promise<Object>} - { success, summary, metadata }
+   */
+  generateSummary(content, options = {}) {
+    return this.provider.generateSummary(content, options);
+  }
+
+  /**
+   * Summarize one time window of a lecture
+   * @param {string} content - Transcript of the window
+   * @param {Object} options - { style, language, startTs, endTs }
+   * @returns {Promise<Object>} - { success, title, points, metadata }
+   */
+  summarizeSection(content, options = {}) {
+    return this.provider.summarizeSection(content, options);
+  }
+
+  /**
+   * Combine section summaries into a summary of the whole lecture
+   * @param {Array} sections - { title, points, startTs, endTs } in lecture order
+   * @param {Object} options - { style, language, maxLength }
+   * @returns {Promise<Object>} - { success, summary (Markdown citing sections as [n]), metadata }
+   */
+  combineSections(sections, options = {}) {
+    return this.provider.combineSections(sections, options);
+  }
+
+  /**
+   * Turn section summaries into the structured content of a JSON summary style
+   * @param {Array} sections - { title, points, startTs, endTs } in lecture order
+   * @param {Object} options - { style, language }
+   * @returns {Promise<Object>} - { success, content (items cite sections in refs), metadata }
+   */
+  composeSummary(sections, options = {}) {
+    return this.provider.composeSummary(sections, options);
+  }
+
+  /**
+   * Generate a quiz of the requested question types from content
+   * @param {string} content - Content to generate quiz from
+   * @param {Object} options - { difficulty, language, numQuestions, questionTypes, includeExplanations }
+   * @returns {Promise<Object>} - { success, quiz: { questions }, metadata }
+   */
+  generateQuiz(content, options = {}) {
+    return this.provider.generateQuiz(content, options);
+  }
+
+  /**
+   * Generate revision flashcards from lecture content
+   * @param {string} content - Transcript lines with [MM:SS] markers, and quiz explanations
+   * @param {Object} options - { language, numCards }
+   * @returns {Promise<Object>} - { success, cards: [{ front, back, timestamp }], metadata }
+   */
+  generateFlashcards(content, options = {}) {
+    return this.provider.generateFlashcards(content, options);
+  }
+
+  /**
+   * Grade a short answer against its rubric
+   * @param {Object} item - { question, modelAnswer, rubric: [{ criterion, points }], answer }
+   * @returns {Promise<Object>} - { success, criteria: [{ criterion, points, score, feedback }], feedback, confidence, metadata }
+   */
+  gradeShortAnswer(item) {
+    return this.provider.gradeShortAnswer(item);
+  }
+
+  /**
+   * Translate content to specified language
+   * @param {string} content - Content to translate
+   * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code (optional)
+   * @returns {Promise<Object>} - { success, translation, metadata }
+   */
+  translateContent(content, targetLanguage, sourceLanguage = 'auto') {
+    return this.provider.translateContent(content, targetLanguage, sourceLanguage);
+  }
+
+  /**
+   * Answer a question using only the given lecture passages
+   * @param {string} question - Student question
+   * @param {Array} passages - Lecture passages { source, startTs, slideNumber, content }
+   * @param {Array} history - Earlier turns { question, answer }, oldest first
+   * @returns {Promise<Object>} - { success, answer, citations (passage numbers), metadata }
+   */
+  answerQuestion(question, passages, history = []) {
+    return this.provider.answerQuestion(question, passages, history);
+  }
+
+  /**
+   * Generate transcript from audio file
+   * @param {string} audioPath - Path to audio file
+   * @param {Object} options - { includeTimestamps, includeSpeakerLabels, language, chunkSize }
+   * @returns {Promise<Object>} - { success, transcript, chunks, metadata }
+   */
+  transcribe(audioPath, options = {}) {
+    return this.provider.transcribe(audioPath, options);
+  }
+
+  /**
+   * Embed texts for similarity search
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} - One vector per text
+   */
+  generateEmbeddings(texts) {
+    return this.provider.generateEmbeddings(texts);
+  }
+
+  /**
+   * Get provider info for the health endpoint
+   * @returns {Object} - Provider information
+   */
+  getProviderInfo() {
+    return this.provider.getInfo();
+  }
+}
+
+export default new LLMService();
@@ -0,0 +1,195 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import audioExtractionService from './audioExtractionService.js';
+import whisperService from './whisperService.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Runs Whisper locally through a command-line binary so transcription works
+ * without network access or API keys.
+ *
+ * Supported engines:
+ *   whisper.cpp    - `whisper-cli` (or the older `main`) with a ggml model file
+ *   faster-whisper - `whisper-ctranslate2` or any CLI with the openai-whisper
+ *                    arguments (--model, --output_format json, --output_dir)
+ */
+class LocalWhisperService {
+  constructor() {
+    this.engine = process.env.LOCAL_WHISPER_ENGINE || 'whisper.cpp';
+    this.binaryPath = process.env.LOCAL_WHISPER_BINARY || null;
+    this.model = process.env.LOCAL_WHISPER_MODEL || null;
+    this.threads = parseInt(process.env.LOCAL_WHISPER_THREADS, 10) || Math.max(os.cpus().length - 1, 1);
+    this.timeout = (parseInt(process.env.LOCAL_WHISPER_TIMEOUT_MINUTES, 10) || 60) * 60 * 1000;
+  }
+
+  /**
+   * Check if the local binary and model are configured and present
+   * @returns {boolean} - Whether the service is available
+   */
+  isAvailable() {
+    if (!this.binaryPath || !this.model) {
+      return false;
+    }
+
+    try {
+      fs.accessSync(this.binaryPath, fs.constants.X_OK);
+      // whisper.cpp takes a model file; faster-whisper takes a model name
+      if (this.engine === 'whisper.cpp') {
+        fs.accessSync(this.model, fs.constants.R_OK);
+      }
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Transcribe audio file with the local engine
+   * @param {string} audioPath - Path to audio file
+   * @param {Object} options - Transcription options
+   * @returns {Promise<Object>} - Transcription result
+   */
+  async transcribeAudio(audioPath, options = {}) {
+    if (!this.isAvailable()) {
+      throw new Error('Local Whisper is not available. Set LOCAL_WHISPER_BINARY and LOCAL_WHISPER_MODEL.');
+    }
+
+    const {
+      language = 'auto',
+      chunkSize = 300 // seconds
+    } = options;
+
+    const workDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'local-whisper-'));
+
+    try {
+      console.log(`Transcribing audio file locally with ${this.engine}: ${path.basename(audioPath)}`);
+
+      const output = this.engine === 'faster-whisper'
+        ? await this.runFasterWhisper(audioPath, language, workDir)
+        : await this.runWhisperCpp(audioPath, language, workDir);
+
+      const chunks = whisperService.convertSegmentsToChunks(output.segments, chunkSize);
+      const duration = output.segments.length > 0
+        ? output.segments[output.segments.length - 1].end
+        : null;
+
+      return {
+        success: true,
+        transcript: output.segments.map(segment => segment.text).join(' ').trim(),
+        chunks: chunks,
+        segments: output.segments,
+        metadata: {
+          audioFile: path.basename(audioPath),
+          language: output.language || language,
+          duration: duration,
+          totalChunks: chunks.length,
+          totalSegments: output.segments.length,
+          generatedAt: new Date().toISOString(),
+          service: 'local',
+          engine: this.engine
+        }
+      };
+
+    } catch (error) {
+      console.error('Local Whisper transcription failed:', error);
+      throw new Error(`Local Whisper transcription failed: ${error.message}`);
+    } finally {
+      await fsPromises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Run whisper.cpp and read its JSON output
+   * @param {string} audioPath - Path to audio file
+   * @param {string} language - Language code or 'auto'
+   * @param {string} workDir - Scratch directory
+   * @returns {Promise<Object>} - { segments, language }
+   */
+  async runWhisperCpp(audioPath, language, workDir) {
+    // whisper.cpp only reads 16kHz WAV reliably
+    const wavPath = await audioExtractionService.convertToWav(audioPath, path.join(workDir, 'input.wav'));
+    const outputBase = path.join(workDir, 'transcript');
+
+    await execFileAsync(this.binaryPath, [
+      '-m', this.model,
+      '-f', wavPath,
+      '-l', language || 'auto',
+      '-t', String(this.threads),
+      '-oj',
+      '-of', outputBase
+    ], { timeout: this.timeout, maxBuffer: 64 * 1024 * 1024 });
+
+    const result = JSON.parse(await fsPromises.readFile(`${outputBase}.json`, 'utf8'));
+
+    return {
+      language: result.result?.language,
+      segments: (result.transcription || []).map(segment => ({
+        start: segment.offsets.from / 1000,
+        end: segment.offsets.to / 1000,
+        text: segment.text.trim()
+      }))
+    };
+  }
+
+  /**
+   * Run a faster-whisper CLI and read its JSON output
+   * @param {string} audioPath - Path to audio file
+   * @param {string} language - Language code or 'auto'
+   * @param {string} workDir - Scratch directory
+   * @returns {Promise<Object>} - { segments, language }
+   */
+  async runFasterWhisper(audioPath, language, workDir) {
+    const args = [
+      audioPath,
+      '--model', this.model,
+      '--output_format', 'json',
+      '--output_dir', workDir,
+      '--threads', String(this.threads)
+    ];
+
+    if (language && language !== 'auto') {
+      args.push('--language', language);
+    }
+
+    await execFileAsync(this.binaryPath, args, { timeout: this.timeout, maxBuffer: 64 * 1024 * 1024 });
+
+    const outputName = `${path.basename(audioPath, path.extname(audioPath))}.json`;
+    const result = JSON.parse(await fsPromises.readFile(path.join(workDir, outputName), 'utf8'));
+
+    return {
+      language: result.language,
+      segments: (result.segments || []).map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        text: segment.text.trim()
+      }))
+    };
+  }
+
+  /**
+   * Get service info
+   * @returns {Object} - Service information
+   */
+  getServiceInfo() {
+    return {
+      name: 'Local Whisper',
+      engine: this.engine,
+      model: this.model ? path.basename(this.model) : null,
+      available: this.isAvailable(),
+      maxFileSize: null,
+      features: {
+        transcription: true,
+        offline: true,
+        timestamps: true,
+        languageDetection: true
+      }
+    };
+  }
+}
+
+export default new LocalWhisperService();
@@ -125,6 +125,85 @@ export const generateComprehensiveRecommendations = async (userId) => {
     }
 };
 
+/**
+ * Get a student's recent quiz attempts on a lecture, with each quiz's
+ * difficulty and the per-topic results stored with the attempts
+ */
+export const getLectureQuizHistory = async (userId, lectureId, limit = 10) => {
+    try {
+        const result = await pool.query(`
+            SELECT 
+                qa.score,
+                q.difficulty,
+                qa.attempt_data->'performance'->'topics' as topics,
+                qa.attempted_at
+            FROM quiz_attempts qa
+            JOIN quizzes q ON qa.quiz_id = q.id
+            WHERE qa.user_id = $1 AND q.lecture_id = $2
+            ORDER BY qa.attempted_at DESC
+            LIMIT $3
+        `, [userId, lectureId, limit]);
+
+        const topics = {};
+        result.rows.forEach(row => {
+            Object.entries(row.topics || {}).forEach(([topic, stats]) => {
+                if (!topics[topic]) {
+                    topics[topic] = { total: 0, correct: 0 };
+                }
+                topics[topic].total += stats.total || 0;
+                topics[topic].correct += stats.correct || 0;
+            });
+        });
+
+        return {
+            attempts: result.rows.map(row => ({
+                score: parseFloat(row.score) || 0,
+                difficulty: row.difficulty,
+                attemptedAt: row.attempted_at
+            })),
+            topics
+        };
+    } catch (error) {
+        console.error('Error in getLectureQuizHistory:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get the latest completed adaptive quiz of each lecture for a user
+ */
+export const getAdaptiveMastery = async (userId) => {
+    try {
+        const result = await pool.query(`
+            SELECT DISTINCT ON (s.lecture_id)
+                s.id,
+                s.lecture_id,
+                l.title as lecture_title,
+                s.mastery,
+                s.result,
+                s.completed_at
+            FROM adaptive_quiz_sessions s
+            JOIN lectures l ON s.lecture_id = l.id
+            WHERE s.user_id = $1 AND s.status = 'completed'
+            ORDER BY s.lecture_id, s.completed_at DESC
+        `, [userId]);
+
+        return result.rows.map(row => ({
+            sessionId: row.id,
+            lectureId: row.lecture_id,
+            lectureTitle: row.lecture_title,
+            mastery: row.mastery,
+            masteryRange: row.result?.masteryRange || null,
+            status: row.result?.status || null,
+            topics: row.result?.topics || {},
+            completedAt: row.completed_at
+        }));
+    } catch (error) {
+        console.error('Error in getAdaptiveMastery:', error);
+        throw error;
+    }
+};
+
 /**
  * Get detailed performance analysis for a user
  */
@@ -156,8 +235,11 @@ export const getUserPerformanceAnalysis = async (userId) => {
             GROUP BY lecture_id
         `, [userId]);
 
+        // Mastery measured by adaptive quizzes
+        const adaptiveMastery = await getAdaptiveMastery(userId);
+
         // Analyze strengths and weaknesses
-        const topicPerformance = analyzeTopicPerformance(quizData.rows);
+        const topicPerformance = analyzeTopicPerformance(quizData.rows, adaptiveMastery);
         const viewingPatterns = analyzeViewingPatterns(viewingStats.rows);
         const learningProgress = calculateLearningProgress(quizData.rows, viewingStats.rows);
 
@@ -169,6 +251,7 @@ export const getUserPerformanceAnalysis = async (userId) => {
                 recommendations: generateRecommendations(topicPerformance)
             },
             viewingAnalysis: viewingPatterns,
+            adaptiveMastery,
             recentActivity: {
                 lastQuizAttempt: quizData.rows[0],
                 recentlyViewedLectures: viewingStats.rows.slice(0, 5)
@@ -181,9 +264,9 @@ export const getUserPerformanceAnalysis = async (userId) => {
 };
 
 /**
- * Analyze performance by topic
+ * Analyze performance by topic; adaptive quizzes add their per-topic mastery
  */
-const analyzeTopicPerformance = (quizAttempts) => {
+const analyzeTopicPerformance = (quizAttempts, adaptiveMastery = []) => {
     const topicScores = {};
     const topicAttempts = {};
 
@@ -201,6 +284,17 @@ const analyzeTopicPerformance = (quizAttempts) => {
         });
     });
 
+    adaptiveMastery.forEach(session => {
+        Object.entries(session.topics).forEach(([topic, stats]) => {
+            if (!topicScores[topic]) {
+                topicScores[topic] = 0;
+                topicAttempts[topic] = 0;
+            }
+            topicScores[topic] += stats.mastery;
+            topicAttempts[topic]++;
+        });
+    });
+
     // Calculate average scores per topic
     const averageScores = Object.keys(topicScores).map(topic => ({
         topic,
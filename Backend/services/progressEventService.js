@@ -0,0 +1,99 @@
+import { EventEmitter } from 'events';
+import db from '../utils/db.js';
+
+const CHANNEL = 'lecture_progress';
+
+class ProgressEventService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.listenerClient = null;
+    this.reconnectDelay = 5000;
+  }
+
+  /**
+   * Listen for progress events published by any server instance
+   */
+  async startListener() {
+    try {
+      const client = await db.connect();
+
+      client.on('notification', (message) => {
+        try {
+          const event = JSON.parse(message.payload);
+          this.emitter.emit(`lecture:${event.lectureId}`, event);
+        } catch (error) {
+          console.error('Invalid progress event payload:', error);
+        }
+      });
+
+      client.on('error', (error) => {
+        console.error('Progress event listener error:', error);
+        this.restartListener(client);
+      });
+
+      await client.query(`LISTEN ${CHANNEL}`);
+      this.listenerClient = client;
+      console.log('Progress event listener started');
+    } catch (error) {
+      console.error('Failed to start progress event listener:', error);
+      setTimeout(() => this.startListener(), this.reconnectDelay);
+    }
+  }
+
+  /**
+   * Drop a broken listener connection and start a new one
+   * @param {Object} client - Broken client
+   */
+  restartListener(client) {
+    if (this.listenerClient !== client) {
+      return;
+    }
+
+    this.listenerClient = null;
+    client.release(true);
+    setTimeout(() => this.startListener(), this.reconnectDelay);
+  }
+
+  /**
+   * Publish a progress event for a lecture
+   * @param {number} lectureId - Lecture ID
+   * @param {string} type - Event type (stage, progress, complete, failed)
+   * @param {Object} data - Event data
+   */
+  async publish(lectureId, type, data = {}) {
+    const event = {
+      lectureId,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    // Deliver locally when no listener connection is available
+    if (!this.listenerClient) {
+      this.emitter.emit(`lecture:${lectureId}`, event);
+      return;
+    }
+
+    try {
+      await db.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify(event)]);
+    } catch (error) {
+      console.error('Failed to publish progress event:', error);
+      this.emitter.emit(`lecture:${lectureId}`, event);
+    }
+  }
+
+  /**
+   * Subscribe to progress events for a lecture
+   * @param {number} lectureId - Lecture ID
+   * @param {Function} listener - Called with each event
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(lectureId, listener) {
+    const eventName = `lecture:${lectureId}`;
+    this.emitter.on(eventName, listener);
+    return () => this.emitter.off(eventName, listener);
+  }
+}
+
+export default new ProgressEventService();
@@ -0,0 +1,182 @@
+import db from '../utils/db.js';
+import llmService from './llmService.js';
+import retrievalService from './retrievalService.js';
+import { geminiCircuitBreaker } from '../middleware/rateLimitMiddleware.js';
+import { createError } from '../utils/httpError.js';
+
+const MAX_QUESTION_LENGTH = 1000;
+
+class QuestionAnswerService {
+  constructor() {
+    this.passageCount = 6;  // passages given to the model per question
+    this.historyTurns = 3;  // earlier turns sent along for follow-up questions
+  }
+
+  /**
+   * Create the table holding per-user conversations about a lecture
+   */
+  async createQuestionTable() {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS lecture_questions (
+          id SERIAL PRIMARY KEY,
+          lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
+          user_id INT REFERENCES users(id) ON DELETE CASCADE,
+          question TEXT NOT NULL,
+          answer TEXT NOT NULL,
+          citations JSONB DEFAULT '[]',
+          model VARCHAR(50),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_lecture_questions_user
+        ON lecture_questions(lecture_id, user_id, created_at)
+      `);
+
+      console.log('Lecture questions table created successfully');
+    } catch (error) {
+      console.error('Failed to create lecture questions table:', error);
+    }
+  }
+
+  /**
+   * Answer a question about a lecture from its transcript and slides, and
+   * add the turn to the user's conversation
+   * @param {number} lectureId - Lecture ID
+   * @param {number} userId - Asking user
+   * @param {string} question - Question text
+   * @returns {Promise<Object>} - Stored turn with citations
+   */
+  async ask(lectureId, userId, question) {
+    if (typeof question !== 'string' || !question.trim()) {
+      throw createError(400, 'question is required');
+    }
+    if (question.length > MAX_QUESTION_LENGTH) {
+      throw createError(400, `question must be at most ${MAX_QUESTION_LENGTH} characters`);
+    }
+
+    const text = question.trim();
+    const history = (await this.getHistory(lectureId, userId)).slice(-this.historyTurns);
+
+    // Follow-ups like "why is that?" retrieve better with the previous question
+    const query = history.length > 0 ? `${history[history.length - 1].question}\n${text}` : text;
+    const passages = await this.findPassages(lectureId, query);
+
+    if (passages.length === 0) {
+      throw createError(409, 'This lecture has no transcript or slides to answer from yet');
+    }
+
+    const result = await geminiCircuitBreaker.execute(() =>
+      llmService.answerQuestion(text, passages, history)
+    );
+
+    const citations = result.citations.map(number => {
+      const passage = passages[number - 1];
+      return {
+        index: number,
+        source: passage.source,
+        chunkId: passage.chunkId,
+        timestamp: passage.source === 'transcript' ? passage.startTs : null,
+        slideNumber: passage.slideNumber,
+        excerpt: passage.content.length > 200 ? `${passage.content.slice(0, 200)}…` : passage.content
+      };
+    });
+
+    const stored = await db.query(`
+      INSERT INTO lecture_questions (lecture_id, user_id, question, answer, citations, model)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, question, answer, citations, created_at
+    `, [lectureId, userId, text, result.answer, JSON.stringify(citations), llmService.getModelName()]);
+
+    return stored.rows[0];
+  }
+
+  /**
+   * Pick the passages a question is answered from. Indexed lectures use
+   * embedding retrieval; otherwise passages are ranked by shared words.
+   * @param {number} lectureId - Lecture ID
+   * @param {string} query - Question, with the previous one for context
+   * @returns {Promise<Array>} - Passages in lecture order
+   */
+  async findPassages(lectureId, query) {
+    let passages = [];
+
+    try {
+      passages = await retrievalService.retrieve(lectureId, query, { k: this.passageCount });
+    } catch (error) {
+      console.warn('Passage retrieval failed, ranking by keywords:', error.message);
+    }
+
+    if (passages.length === 0) {
+      passages = this.rankByKeywords(await retrievalService.buildPassages(lectureId), query);
+    }
+
+    // Numbered in lecture order so neighbouring passages read naturally
+    return passages.sort((a, b) =>
+      (a.source === b.source ? 0 : a.source === 'transcript' ? -1 : 1)
+      || (a.startTs ?? a.slideNumber) - (b.startTs ?? b.slideNumber)
+    );
+  }
+
+  /**
+   * Keep the passages sharing the most words with the query
+   * @param {Array} passages - Candidate passages
+   * @param {string} query - Question text
+   * @returns {Array} - Best passages
+   */
+  rankByKeywords(passages, query) {
+    const words = new Set(query.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+
+    return passages
+      .map(passage => ({
+        ...passage,
+        score: (passage.content.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [])
+          .filter(word => words.has(word)).length
+      }))
+      .filter(passage => passage.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.passageCount);
+  }
+
+  /**
+   * Get a user's conversation about a lecture, oldest first
+   * @param {number} lectureId - Lecture ID
+   * @param {number} userId - User ID
+   * @param {number} limit - Most recent turns to return
+   * @returns {Promise<Array>} - Turns
+   */
+  async getHistory(lectureId, userId, limit = 50) {
+    const result = await db.query(`
+      SELECT id, question, answer, citations, created_at
+      FROM (
+        SELECT id, question, answer, citations, created_at
+        FROM lecture_questions
+        WHERE lecture_id = $1 AND user_id = $2
+        ORDER BY created_at DESC, id DESC
+        LIMIT $3
+      ) recent
+      ORDER BY created_at, id
+    `, [lectureId, userId, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Delete a user's conversation about a lecture
+   * @param {number} lectureId - Lecture ID
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} - Deleted turns
+   */
+  async clearHistory(lectureId, userId) {
+    const result = await db.query(
+      'DELETE FROM lecture_questions WHERE lecture_id = $1 AND user_id = $2',
+      [lectureId, userId]
+    );
+
+    return result.rowCount;
+  }
+}
+
+export default new QuestionAnswerService();
@@ -0,0 +1,326 @@
+import db from '../utils/db.js';
+import courseService from './courseService.js';
+import { normalizeQuizQuestions } from './quizTypes.js';
+import { createError } from '../utils/httpError.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Reusable quiz questions with tags and a difficulty. A question saved for a
+ * lecture belongs to the lecture's course and is shared by the course's
+ * teachers and TAs; questions without a course stay with their owner.
+ * Questions are stored in the quiz schema (services/quizTypes.js) and copied
+ * into quizzes when picked, so editing the bank never changes a quiz.
+ */
+class QuestionBankService {
+  /**
+   * Create the question bank table
+   */
+  async createQuestionBankTable() {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS question_bank (
+          id SERIAL PRIMARY KEY,
+          owner_id INT REFERENCES users(id) ON DELETE CASCADE,
+          course_id INT,
+          lecture_id INT REFERENCES lectures(id) ON DELETE SET NULL,
+          question_type VARCHAR(20) NOT NULL,
+          question JSONB NOT NULL,
+          tags TEXT[] NOT NULL DEFAULT '{}',
+          difficulty VARCHAR(20) CHECK (difficulty IN ('easy','medium','hard')) DEFAULT 'medium',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await db.query('CREATE INDEX IF NOT EXISTS idx_question_bank_owner ON question_bank(owner_id, created_at DESC)');
+      await db.query('CREATE INDEX IF NOT EXISTS idx_question_bank_course ON question_bank(course_id, created_at DESC)');
+      await db.query('CREATE INDEX IF NOT EXISTS idx_question_bank_tags ON question_bank USING GIN(tags)');
+
+      console.log('Question bank table created successfully');
+    } catch (error) {
+      console.error('Failed to create question bank table:', error);
+    }
+  }
+
+  /**
+   * SQL condition: the user may use the bank question. Admins pass NULL and see everything
+   * @param {string} param - Placeholder of the user ID
+   * @returns {string} - SQL condition
+   */
+  accessCondition(param) {
+    return `(${param}::int IS NULL OR question_bank.owner_id = ${param}
+      OR (question_bank.course_id IS NOT NULL AND ${courseService.staffCourseCondition('question_bank.course_id', param)}))`;
+  }
+
+  /**
+   * Search the bank: the user's own questions and those of their courses (admins see all)
+   * @param {Object} user - { userId, role }
+   * @param {Object} filters - { tags, difficulty, type, lectureId, courseId, q, page, limit }
+   * @returns {Promise<Object>} - { questions, pagination }
+   */
+  async listQuestions(user, { tags = [], difficulty = null, type = null, lectureId = null, courseId = null, q = null, page = 1, limit = 20 } = {}) {
+    const params = [];
+    const conditions = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    params.push(user.role === 'admin' ? null : user.userId);
+    conditions.push(this.accessCondition(`$${params.length}`));
+    if (tags.length > 0) addCondition('tags @> ?', this.normalizeTags(tags));
+    if (difficulty) addCondition('difficulty = ?', difficulty);
+    if (type) addCondition('question_type = ?', type);
+    if (lectureId) addCondition('lecture_id = ?', lectureId);
+    if (courseId) addCondition('course_id = ?', courseId);
+    if (q) addCondition("question->>'question' ILIKE ?", `%${q}%`);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const [rows, count] = await Promise.all([
+      db.query(
+        `SELECT * FROM question_bank ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      db.query(`SELECT COUNT(*) AS total FROM question_bank ${where}`, params)
+    ]);
+
+    const total = parseInt(count.rows[0].total, 10);
+    return {
+      questions: rows.rows.map(row => this.formatQuestion(row)),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Save a new question to the bank, for a lecture the user manages or one of their courses
+   * @param {Object} user - { userId, role }
+   * @param {Object} data - { question, tags, difficulty, lectureId, courseId }
+   * @returns {Promise<Object>} - Bank question
+   */
+  async createQuestion(user, { question, tags = [], difficulty = 'medium', lectureId = null, courseId = null } = {}) {
+    const normalized = this.validateQuestion(question);
+    this.validateDifficulty(difficulty);
+
+    let scope = { lectureId: null, courseId: null };
+    if (lectureId) {
+      const lecture = await this.findLecture(user, parseInt(lectureId, 10));
+      scope = { lectureId: lecture.id, courseId: lecture.course_id };
+    } else if (courseId) {
+      scope.courseId = (await courseService.findCourse(user, parseInt(courseId, 10), ['teacher', 'ta'])).id;
+    }
+
+    return this.insertQuestion(user, normalized, { tags, difficulty, ...scope });
+  }
+
+  /**
+   * Store a validated question
+   * @param {Object} user - { userId, role }
+   * @param {Object} question - Stored question
+   * @param {Object} data - { tags, difficulty, lectureId, courseId }
+   * @returns {Promise<Object>} - Bank question
+   */
+  async insertQuestion(user, question, { tags, difficulty, lectureId, courseId }) {
+    const result = await db.query(`
+      INSERT INTO question_bank (owner_id, course_id, lecture_id, question_type, question, tags, difficulty)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [user.userId, courseId, lectureId, question.type, JSON.stringify(question), this.normalizeTags(tags), difficulty]);
+
+    return this.formatQuestion(result.rows[0]);
+  }
+
+  /**
+   * Save questions of an existing quiz to the bank
+   * @param {Object} user - { userId, role }
+   * @param {number} quizId - Quiz ID
+   * @param {Object} data - { indices (default all), tags, difficulty (default the quiz's) }
+   * @returns {Promise<Array>} - Bank questions
+   */
+  async saveFromQuiz(user, quizId, { indices = null, tags = [], difficulty = null } = {}) {
+    const quiz = (await db.query('SELECT lecture_id, difficulty, items_json FROM quizzes WHERE id = $1', [quizId])).rows[0];
+    if (!quiz) {
+      throw createError(404, 'Quiz not found');
+    }
+    const lecture = await this.findLecture(user, quiz.lecture_id);
+    if (difficulty) this.validateDifficulty(difficulty);
+
+    const questions = quiz.items_json?.questions || [];
+    const picked = Array.isArray(indices) ? indices.map(index => questions[parseInt(index, 10)]) : questions;
+    if (picked.length === 0 || picked.some(question => !question)) {
+      throw createError(404, 'Question not found');
+    }
+
+    const saved = [];
+    for (const question of picked) {
+      saved.push(await this.insertQuestion(user, this.validateQuestion(question), {
+        tags,
+        difficulty: difficulty || quiz.difficulty || 'medium',
+        lectureId: lecture.id,
+        courseId: lecture.course_id
+      }));
+    }
+    return saved;
+  }
+
+  /**
+   * Update a bank question's content, tags or difficulty
+   * @param {Object} user - { userId, role }
+   * @param {number} id - Bank question ID
+   * @param {Object} data - { question, tags, difficulty }
+   * @returns {Promise<Object>} - Bank question
+   */
+  async updateQuestion(user, id, { question, tags, difficulty } = {}) {
+    const existing = await this.findQuestion(user, id);
+
+    const normalized = question !== undefined
+      ? this.validateQuestion({ ...existing.question, ...question })
+      : existing.question;
+    if (difficulty !== undefined) this.validateDifficulty(difficulty);
+
+    const result = await db.query(`
+      UPDATE question_bank
+      SET question_type = $1, question = $2, tags = $3, difficulty = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING *
+    `, [
+      normalized.type,
+      JSON.stringify(normalized),
+      tags !== undefined ? this.normalizeTags(tags) : existing.tags,
+      difficulty !== undefined ? difficulty : existing.difficulty,
+      existing.id
+    ]);
+
+    return this.formatQuestion(result.rows[0]);
+  }
+
+  /**
+   * Delete a bank question; quizzes that picked it keep their copy
+   * @param {Object} user - { userId, role }
+   * @param {number} id - Bank question ID
+   */
+  async deleteQuestion(user, id) {
+    const existing = await this.findQuestion(user, id);
+    await db.query('DELETE FROM question_bank WHERE id = $1', [existing.id]);
+  }
+
+  /**
+   * Copy bank questions for a quiz, in the order given
+   * @param {Object} user - { userId, role }
+   * @param {Array} ids - Bank question IDs
+   * @returns {Promise<Array>} - Questions tagged with bankQuestionId
+   */
+  async pickQuestions(user, ids = []) {
+    const wanted = (Array.isArray(ids) ? ids : []).map(id => parseInt(id, 10));
+    if (wanted.length === 0) return [];
+
+    const result = await db.query(
+      `SELECT * FROM question_bank WHERE id = ANY($1) AND ${this.accessCondition('$2')}`,
+      [wanted, user.role === 'admin' ? null : user.userId]
+    );
+    const byId = new Map(result.rows.map(row => [row.id, row]));
+
+    return wanted.map(id => {
+      const row = byId.get(id);
+      if (!row) {
+        throw createError(404, `Question bank entry ${id} not found`);
+      }
+      return { ...row.question, bankQuestionId: row.id };
+    });
+  }
+
+  /**
+   * Load a bank question the user may change
+   * @param {Object} user - { userId, role }
+   * @param {number} id - Bank question ID
+   * @returns {Promise<Object>} - Row
+   */
+  async findQuestion(user, id) {
+    const row = (await db.query(
+      `SELECT * FROM question_bank WHERE id = $1 AND ${this.accessCondition('$2')}`,
+      [id, user.role === 'admin' ? null : user.userId]
+    )).rows[0];
+    if (!row) {
+      throw createError(404, 'Question bank entry not found');
+    }
+    return row;
+  }
+
+  /**
+   * Load a lecture whose questions the user may bank: the same people who
+   * edit its quizzes (courseService.canManageLecture)
+   * @param {Object} user - { userId, role }
+   * @param {number} lectureId - Lecture ID
+   * @returns {Promise<Object>} - Lecture row with course_id
+   */
+  async findLecture(user, lectureId) {
+    const lecture = await courseService.assertLectureAccess(user, lectureId);
+    if (!courseService.canManageLecture(lecture, user)) {
+      throw createError(403, 'Only the lecture uploader or the course teachers can save its quiz questions');
+    }
+    return lecture;
+  }
+
+  /**
+   * Validate a question against its type
+   * @param {Object} question - Question in stored or model output form
+   * @returns {Object} - Stored question without quiz numbering
+   */
+  validateQuestion(question) {
+    const [normalized] = normalizeQuizQuestions([question]);
+    if (!normalized) {
+      throw createError(400, `Not a valid ${question?.type || 'mcq'} question`);
+    }
+    const { id, bankQuestionId, ...stored } = normalized;
+    return stored;
+  }
+
+  /**
+   * Check a difficulty
+   * @param {string} difficulty - Difficulty
+   */
+  validateDifficulty(difficulty) {
+    if (!DIFFICULTIES.includes(difficulty)) {
+      throw createError(400, `difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Lowercase, trim and dedupe tags
+   * @param {string|Array} tags - Tags, or a comma-separated string
+   * @returns {Array} - Tags
+   */
+  normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list
+      .map(tag => String(tag).trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+      .filter(Boolean))]
+      .slice(0, MAX_TAGS);
+  }
+
+  /**
+   * Format a bank row for clients
+   * @param {Object} row - question_bank row
+   * @returns {Object} - Bank question
+   */
+  formatQuestion(row) {
+    return {
+      id: row.id,
+      ownerId: row.owner_id,
+      courseId: row.course_id,
+      lectureId: row.lecture_id,
+      type: row.question_type,
+      question: row.question,
+      tags: row.tags,
+      difficulty: row.difficulty,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default new QuestionBankService();
@@ -0,0 +1,114 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../utils/db.js';
+import courseService from './courseService.js';
+import questionBankService from './questionBankService.js';
+import { createError } from '../utils/httpError.js';
+
+const original = {
+  query: db.query,
+  assertLectureAccess: courseService.assertLectureAccess,
+  findCourse: courseService.findCourse
+};
+
+afterEach(() => {
+  db.query = original.query;
+  courseService.assertLectureAccess = original.assertLectureAccess;
+  courseService.findCourse = original.findCourse;
+});
+
+/**
+ * Serve one lecture with the user's role in its course
+ */
+const useLecture = (lecture) => {
+  courseService.assertLectureAccess = async () => ({ id: 10, course_id: 7, ...lecture });
+};
+
+const question = { type: 'mcq', question: 'Capital of France?', options: ['Paris', 'Lyon'], correct: 0 };
+
+/**
+ * Answer queries from a list of [pattern, rows] and record inserts
+ */
+const useDatabase = (routes) => {
+  const inserts = [];
+  db.query = async (sql, params) => {
+    if (sql.includes('INSERT INTO question_bank')) {
+      inserts.push(params);
+      return { rows: [{ id: inserts.length, owner_id: params[0], course_id: params[1], lecture_id: params[2], question: JSON.parse(params[4]), tags: params[5], difficulty: params[6] }] };
+    }
+    const route = routes.find(([pattern]) => pattern.test(sql));
+    return { rows: route ? route[1] : [] };
+  };
+  return inserts;
+};
+
+test('normalizeTags lowercases, trims, dedupes and caps tags', () => {
+  assert.deepEqual(questionBankService.normalizeTags(' Algebra, algebra ,Proofs,,'), ['algebra', 'proofs']);
+  assert.deepEqual(questionBankService.normalizeTags(['X', 42, '']), ['x', '42']);
+  assert.deepEqual(questionBankService.normalizeTags(null), []);
+  assert.equal(questionBankService.normalizeTags(Array.from({ length: 30 }, (_, i) => `t${i}`)).length, 20);
+  assert.equal(questionBankService.normalizeTags(['a'.repeat(80)])[0].length, 50);
+});
+
+test('a question saved for a lecture goes to its course bank', async () => {
+  const inserts = useDatabase([]);
+  useLecture({ uploader_id: 2, course_role: 'teacher' });
+
+  const saved = await questionBankService.createQuestion({ userId: 1, role: 'teacher' }, { question, lectureId: '10', tags: 'Geo' });
+
+  assert.equal(saved.courseId, 7);
+  assert.equal(saved.lectureId, 10);
+  assert.deepEqual(saved.tags, ['geo']);
+  assert.equal(inserts.length, 1);
+});
+
+test('questions cannot be saved for lectures the user does not teach', async () => {
+  const inserts = useDatabase([
+    [/FROM quizzes WHERE id/, [{ lecture_id: 10, difficulty: 'easy', items_json: { questions: [question] } }]]
+  ]);
+  // Course TAs see the lecture but do not edit its quizzes
+  useLecture({ uploader_id: 2, course_role: 'ta' });
+
+  await assert.rejects(
+    questionBankService.createQuestion({ userId: 1, role: 'teacher' }, { question, lectureId: 10 }),
+    { status: 403 }
+  );
+  await assert.rejects(questionBankService.saveFromQuiz({ userId: 1, role: 'teacher' }, 5, {}), { status: 403 });
+  assert.deepEqual(inserts, []);
+});
+
+test('a question saved to a course needs a teacher or TA of that course', async () => {
+  useDatabase([]);
+  courseService.findCourse = async (user, courseId, roles) => {
+    assert.deepEqual(roles, ['teacher', 'ta']);
+    throw createError(403, 'Permission denied');
+  };
+  await assert.rejects(
+    questionBankService.createQuestion({ userId: 1, role: 'teacher' }, { question, courseId: 7 }),
+    { status: 403 }
+  );
+
+  courseService.findCourse = async (user, courseId) => ({ id: courseId, my_role: 'ta' });
+  const saved = await questionBankService.createQuestion({ userId: 1, role: 'teacher' }, { question, courseId: 7 });
+  assert.equal(saved.courseId, 7);
+  assert.equal(saved.lectureId, null);
+});
+
+test('listing and picking share a course\'s questions with its staff', async () => {
+  const calls = [];
+  db.query = async (sql, params) => {
+    calls.push({ sql, params });
+    return { rows: sql.includes('COUNT') ? [{ total: '0' }] : [{ id: 3, question }] };
+  };
+
+  await questionBankService.listQuestions({ userId: 1, role: 'teacher' }, { courseId: 7 });
+  const picked = await questionBankService.pickQuestions({ userId: 1, role: 'teacher' }, ['3']);
+
+  for (const { sql } of calls) {
+    assert.match(sql, /question_bank\.owner_id = \$\d/);
+    assert.match(sql, /cm\.course_id = question_bank\.course_id/);
+    assert.match(sql, /cm\.role IN \('teacher','ta'\)/);
+  }
+  assert.deepEqual(calls[0].params.slice(0, 2), [1, 7]);
+  assert.deepEqual(picked, [{ ...question, bankQuestionId: 3 }]);
+});
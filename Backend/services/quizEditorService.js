@@ -0,0 +1,379 @@
+import db from '../utils/db.js';
+import questionBankService from './questionBankService.js';
+import courseService from './courseService.js';
+import { normalizeQuizQuestions } from './quizTypes.js';
+import { createError } from '../utils/httpError.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Teacher editing of quizzes. Every edit saves the whole question list as a
+ * new version in quiz_versions and bumps quizzes.version; quizzes.items_json
+ * always holds the latest version. Attempts record the version they were
+ * taken on (quiz_attempts.quiz_version), so editing a quiz never changes
+ * how earlier attempts read or score.
+ */
+class QuizEditorService {
+  /**
+   * Add quiz versioning and authorship columns, and the version table
+   */
+  async createQuizEditorTables() {
+    try {
+      await db.query('ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1');
+      await db.query('ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS title VARCHAR(255)');
+      await db.query("ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'ai'");
+      await db.query('ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS created_by INT REFERENCES users(id) ON DELETE SET NULL');
+      await db.query('ALTER TABLE quiz_attempts ADD COLUMN IF NOT EXISTS quiz_version INT NOT NULL DEFAULT 1');
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS quiz_versions (
+          quiz_id INT REFERENCES quizzes(id) ON DELETE CASCADE,
+          version INT NOT NULL,
+          items_json JSONB NOT NULL,
+          edited_by INT REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (quiz_id, version)
+        )
+      `);
+
+      console.log('Quiz editor tables created successfully');
+    } catch (error) {
+      console.error('Failed to create quiz editor tables:', error);
+    }
+  }
+
+  /**
+   * Get a quiz with its answer keys for editing
+   * @param {number} quizId - Quiz ID
+   * @param {Object} user - { userId, role }
+   * @returns {Promise<Object>} - Quiz
+   */
+  async getQuiz(quizId, user) {
+    const quiz = await this.findQuiz(db, quizId, user);
+    return this.formatQuiz(quiz);
+  }
+
+  /**
+   * Create a hand-written quiz from new questions and question bank picks
+   * @param {Object} user - { userId, role }
+   * @param {Object} data - { lectureId, title, lang, difficulty, questions, bankQuestionIds }
+   * @returns {Promise<Object>} - Quiz
+   */
+  async createQuiz(user, { lectureId, title = null, lang = 'en', difficulty = 'medium', questions = [], bankQuestionIds = [] } = {}) {
+    if (!DIFFICULTIES.includes(difficulty)) {
+      throw createError(400, `difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+
+    const lecture = (await db.query(
+      `SELECT l.id, l.uploader_id, ${courseService.courseRoleExpression('l', '$2')} AS course_role FROM lectures l WHERE l.id = $1`,
+      [lectureId, user.userId]
+    )).rows[0];
+    if (!lecture) {
+      throw createError(404, 'Lecture not found');
+    }
+    this.assertCanEdit(lecture, user);
+
+    const picked = await questionBankService.pickQuestions(user, bankQuestionIds);
+    const validated = this.validateQuestions([...(Array.isArray(questions) ? questions : []), ...picked]);
+    const items = {
+      questions: validated,
+      questionTypes: [...new Set(validated.map(question => question.type))]
+    };
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const quiz = (await client.query(`
+        INSERT INTO quizzes (lecture_id, lang, difficulty, items_json, title, source, created_by, version)
+        VALUES ($1, $2, $3, $4, $5, 'teacher', $6, 1)
+        RETURNING *
+      `, [lecture.id, lang, difficulty, JSON.stringify(items), title, user.userId])).rows[0];
+
+      await client.query(
+        'INSERT INTO quiz_versions (quiz_id, version, items_json, edited_by) VALUES ($1, 1, $2, $3)',
+        [quiz.id, JSON.stringify(items), user.userId]
+      );
+
+      await client.query('COMMIT');
+      return this.formatQuiz(quiz);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace all questions of a quiz
+   * @param {number} quizId - Quiz ID
+   * @param {Object} user - { userId, role }
+   * @param {Object} data - { questions, version }
+   * @returns {Promise<Object>} - Quiz at its new version
+   */
+  replaceQuestions(quizId, user, { questions, version } = {}) {
+    if (!Array.isArray(questions)) {
+      throw createError(400, 'questions must be an array');
+    }
+    return this.editQuestions(quizId, user, version, () => questions);
+  }
+
+  /**
+   * Add a hand-written or question bank question
+   * @param {number} quizId - Quiz ID
+   * @param {Object} user - { userId, role }
+   * @param {Object} data - { question | bankQuestionId, position (default last), version }
+   * @returns {Promise<Object>} - Quiz at its new version
+   */
+  async addQuestion(quizId, user, { question, bankQuestionId, position, version } = {}) {
+    const [added] = bankQuestionId !== undefined
+      ? await questionBankService.pickQuestions(user, [bankQuestionId])
+      : [question];
+
+    return this.editQuestions(quizId, user, version, questions => {
+      const at = position === undefined ? questions.length : this.parseIndex(position, questions.length + 1);
+      questions.splice(at, 0, added);
+      return questions;
+    });
+  }
+
+  /**
+   * Edit one question
+   * @param {number} quizId - Quiz ID
+   * @param {Object} user - { userId, role }
+   * @param {number} index - Question index
+   * @param {Object} data - { question, version }
+   * @returns {Promise<Object>} - Quiz at its new version
+   */
+  updateQuestion(quizId, user, index, { question, version } = {}) {
+    return this.editQuestions(quizId, user, version, questions => {
+      const at = this.parseIndex(index, questions.length);
+      questions[at] = { ...questions[at], ...question };
+      return questions;
+    });
+  }
+
+  /**
+   * Delete one question
+   * @param {number} quizId - Quiz ID
+   * @param {Object} user - { userId, role }
+   * @param {number} index - Question index
+   * @param {number} version - Version the edit is based on
+   * @returns {Promise<Object>} - Quiz at its new version
+   */
+  deleteQuestion(quizId, user, index, version) {
+    return this.editQuestions(quizId, user, version, questions => {
+      questions.splice(this.parseIndex(index, questions.length), 1);
+      return questions;
+    });
+  }
+
+  /**
+   * Reorder the questions
+   * @param {number} quizId - Quiz ID
+   * @param {Object} user - { userId, role }
+   * @param {Object} data - { order: current indices in their new order, version }
+   * @returns {Promise<Object>} - Quiz at its new version
+   */
+  reorderQuestions(quizId, user, { order, version } = {}) {
+    return this.editQuestions(quizId, user, version, questions => {
+      const indices = Array.isArray(order) ? order.map(index => parseInt(index, 10)) : [];
+      const isPermutation = indices.length === questions.length &&
+        new Set(indices).size === indices.length &&
+        indices.every(index => index >= 0 && index < questions.length);
+      if (!isPermutation) {
+        throw createError(400, 'order must list every question index once');
+      }
+      return indices.map(index => questions[index]);
+    });
+  }
+
+  /**
+   * List a quiz's saved versions
+   * @param {number} quizId - Quiz ID
+   * @param {Object} user - { userId, role }
+   * @returns {Promise<Array>} - { version, questionCount, editedBy, createdAt }, newest first
+   */
+  async listVersions(quizId, user) {
+    const quiz = await this.findQuiz(db, quizId, user);
+    const result = await db.query(`
+      SELECT qv.version, jsonb_array_length(qv.items_json->'questions') AS question_count,
+        qv.edited_by, u.name AS edited_by_name, qv.created_at
+      FROM quiz_versions qv
+      LEFT JOIN users u ON u.id = qv.edited_by
+      WHERE qv.quiz_id = $1
+      ORDER BY qv.version DESC
+    `, [quiz.id]);
+
+    return result.rows.map(row => ({
+      version: row.version,
+      questionCount: row.question_count,
+      editedBy: row.edited_by ? { id: row.edited_by, name: row.edited_by_name } : null,
+      createdAt: row.created_at,
+      current: row.version === quiz.version
+    }));
+  }
+
+  /**
+   * Get the questions of a quiz as they were at a version. Quizzes never
+   * edited have no saved versions; their version 1 is items_json.
+   * @param {number} quizId - Quiz ID
+   * @param {number} version - Version, the latest if omitted
+   * @returns {Promise<Object|null>} - { version, questions }, or null if the quiz or version does not exist
+   */
+  async getVersionQuestions(quizId, version = null) {
+    const result = await db.query(`
+      SELECT q.version AS current_version, q.items_json, qv.items_json AS version_items
+      FROM quizzes q
+      LEFT JOIN quiz_versions qv ON qv.quiz_id = q.id AND qv.version = $2
+      WHERE q.id = $1
+    `, [quizId, version]);
+
+    const row = result.rows[0];
+    if (!row) return null;
+
+    if (version === null || version === undefined || version === row.current_version) {
+      return { version: row.current_version, questions: row.items_json?.questions || [] };
+    }
+    return row.version_items ? { version, questions: row.version_items.questions || [] } : null;
+  }
+
+  /**
+   * Apply an edit to the question list and save it as a new version
+   * @param {number} quizId - Quiz ID
+   * @param {Object} user - { userId, role }
+   * @param {number} expectedVersion - Version the edit is based on; a stale one is a 409
+   * @param {Function} edit - questions => edited questions
+   * @returns {Promise<Object>} - Quiz at its new version
+   */
+  async editQuestions(quizId, user, expectedVersion, edit) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const quiz = await this.findQuiz(client, quizId, user, { lock: true });
+      if (expectedVersion !== undefined && expectedVersion !== null && parseInt(expectedVersion, 10) !== quiz.version) {
+        throw createError(409, `Quiz was edited since version ${expectedVersion}; it is now at version ${quiz.version}`);
+      }
+
+      const questions = this.validateQuestions(edit([...(quiz.items_json?.questions || [])]));
+      const items = { ...quiz.items_json, questions };
+      const version = quiz.version + 1;
+
+      // Keep the version attempts were taken on before replacing it
+      await client.query(`
+        INSERT INTO quiz_versions (quiz_id, version, items_json, edited_by, created_at)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (quiz_id, version) DO NOTHING
+      `, [quiz.id, quiz.version, JSON.stringify(quiz.items_json), quiz.created_by, quiz.generated_at]);
+
+      await client.query(
+        'INSERT INTO quiz_versions (quiz_id, version, items_json, edited_by) VALUES ($1, $2, $3, $4)',
+        [quiz.id, version, JSON.stringify(items), user.userId]
+      );
+
+      const updated = (await client.query(
+        'UPDATE quizzes SET items_json = $1, version = $2 WHERE id = $3 RETURNING *',
+        [JSON.stringify(items), version, quiz.id]
+      )).rows[0];
+
+      await client.query('COMMIT');
+      return this.formatQuiz(updated);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Validate an edited question list against the question types
+   * @param {Array} questions - Questions in stored or model output form
+   * @returns {Array} - Stored questions numbered from 1
+   */
+  validateQuestions(questions) {
+    if (questions.length === 0) {
+      throw createError(400, 'A quiz needs at least one question');
+    }
+
+    return questions.map((question, index) => {
+      const [normalized] = normalizeQuizQuestions([question]);
+      if (!normalized) {
+        throw createError(400, `Question ${index + 1} is not a valid ${question?.type || 'mcq'} question`);
+      }
+      return { ...normalized, id: index + 1 };
+    });
+  }
+
+  /**
+   * Load a quiz the user may edit
+   * @param {Object} client - Pool or transaction client
+   * @param {number} quizId - Quiz ID
+   * @param {Object} user - { userId, role }
+   * @param {Object} options - { lock } to lock the quiz row for an edit
+   * @returns {Promise<Object>} - Quiz row with the lecture's uploader_id and the user's course_role
+   */
+  async findQuiz(client, quizId, user, { lock = false } = {}) {
+    const quiz = (await client.query(`
+      SELECT q.*, l.uploader_id, ${courseService.courseRoleExpression('l', '$2')} AS course_role
+      FROM quizzes q
+      JOIN lectures l ON l.id = q.lecture_id
+      WHERE q.id = $1
+      ${lock ? 'FOR UPDATE OF q' : ''}
+    `, [quizId, user.userId])).rows[0];
+
+    if (!quiz) {
+      throw createError(404, 'Quiz not found');
+    }
+    this.assertCanEdit(quiz, user);
+    return quiz;
+  }
+
+  /**
+   * Quizzes are edited by their lecture's uploader, its course's teachers or an admin
+   * @param {Object} lecture - Row with uploader_id and course_role
+   * @param {Object} user - { userId, role }
+   */
+  assertCanEdit(lecture, user) {
+    if (!courseService.canManageLecture(lecture, user)) {
+      throw createError(403, 'Only the lecture uploader or the course teachers can edit its quizzes');
+    }
+  }
+
+  /**
+   * Read a question index
+   * @param {*} value - Index from the request
+   * @param {number} length - Number of valid positions
+   * @returns {number} - Index
+   */
+  parseIndex(value, length) {
+    const index = parseInt(value, 10);
+    if (!(index >= 0 && index < length)) {
+      throw createError(404, 'Question not found');
+    }
+    return index;
+  }
+
+  /**
+   * Format a quiz row for the editor
+   * @param {Object} quiz - Quiz row
+   * @returns {Object} - Quiz
+   */
+  formatQuiz(quiz) {
+    return {
+      id: quiz.id,
+      lectureId: quiz.lecture_id,
+      title: quiz.title,
+      lang: quiz.lang,
+      difficulty: quiz.difficulty,
+      source: quiz.source,
+      version: quiz.version,
+      questions: quiz.items_json?.questions || [],
+      generatedAt: quiz.generated_at
+    };
+  }
+}
+
+export default new QuizEditorService();
@@ -0,0 +1,93 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../utils/db.js';
+import quizEditorService from './quizEditorService.js';
+
+const original = {
+  connect: db.connect,
+  findQuiz: quizEditorService.findQuiz
+};
+
+afterEach(() => {
+  db.connect = original.connect;
+  quizEditorService.findQuiz = original.findQuiz;
+});
+
+const mcq = (question, correct = 0) => ({ type: 'mcq', question, options: ['Paris', 'Lyon', 'Nice'], correct });
+
+/**
+ * Serve a quiz at a version from a fake transaction and record what it runs
+ */
+const useQuiz = (questions, version = 3) => {
+  const queries = [];
+  const client = {
+    query: async (sql, params) => {
+      queries.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+      if (sql.startsWith('UPDATE quizzes')) {
+        return { rows: [{ id: 1, lecture_id: 10, version: params[1], items_json: JSON.parse(params[0]) }] };
+      }
+      return { rows: [] };
+    },
+    release: () => queries.push('release')
+  };
+  db.connect = async () => client;
+  quizEditorService.findQuiz = async () => ({
+    id: 1,
+    lecture_id: 10,
+    version,
+    items_json: { questions: questions.map((question, index) => ({ ...question, id: index + 1 })) }
+  });
+  return queries;
+};
+
+test('reordering needs every question index once', async () => {
+  useQuiz([mcq('One'), mcq('Two'), mcq('Three')]);
+  const user = { userId: 1, role: 'teacher' };
+
+  for (const order of [[0, 1], [0, 1, 1], [0, 1, 3], [2, 1, -1], null]) {
+    await assert.rejects(
+      quizEditorService.reorderQuestions(1, user, { order }),
+      { status: 400, message: 'order must list every question index once' },
+      JSON.stringify(order)
+    );
+  }
+
+  const quiz = await quizEditorService.reorderQuestions(1, user, { order: ['2', 0, 1] });
+  assert.deepEqual(quiz.questions.map(question => question.question), ['Three', 'One', 'Two']);
+  assert.deepEqual(quiz.questions.map(question => question.id), [1, 2, 3]);
+});
+
+test('an edit based on a stale version is a 409 and saves nothing', async () => {
+  const queries = useQuiz([mcq('One')], 4);
+
+  await assert.rejects(
+    quizEditorService.deleteQuestion(1, { userId: 1, role: 'teacher' }, 0, 3),
+    { status: 409, message: /since version 3; it is now at version 4/ }
+  );
+  assert.deepEqual(queries, ['BEGIN', 'ROLLBACK', 'release']);
+});
+
+test('an edit at the current version saves the next one', async () => {
+  const queries = useQuiz([mcq('One'), mcq('Two')], 4);
+
+  const quiz = await quizEditorService.deleteQuestion(1, { userId: 1, role: 'teacher' }, 0, 4);
+
+  assert.equal(quiz.version, 5);
+  assert.deepEqual(quiz.questions.map(question => question.question), ['Two']);
+  assert.deepEqual(queries, ['BEGIN', 'INSERT INTO', 'INSERT INTO', 'UPDATE quizzes', 'COMMIT', 'release']);
+});
+
+test('validateQuestions names the question that fails and its type', () => {
+  assert.throws(() => quizEditorService.validateQuestions([]), { status: 400, message: 'A quiz needs at least one question' });
+  assert.throws(
+    () => quizEditorService.validateQuestions([mcq('One'), mcq('Two', 7)]),
+    { status: 400, message: 'Question 2 is not a valid mcq question' }
+  );
+  assert.throws(
+    () => quizEditorService.validateQuestions([{ type: 'true_false', question: '' }]),
+    { status: 400, message: 'Question 1 is not a valid true_false question' }
+  );
+
+  const questions = quizEditorService.validateQuestions([mcq('One', 'lyon'), { ...mcq('Two'), id: 9 }]);
+  assert.deepEqual(questions.map(question => [question.id, question.correct]), [[1, 1], [2, 0]]);
+});
@@ -1,10 +1,25 @@
 import pool from '../utils/db.js';
-import geminiService from './geminiService.js';
+import llmService from './llmService.js';
+import retrievalService from './retrievalService.js';
+import { parseQuestionTypes, isAnswered, scoreAnswer, describeAnswer } from './quizTypes.js';
+
+/**
+ * Add the column recording the validation of generated quizzes
+ * (services/quizValidation.js)
+ */
+export const createQuizColumns = async () => {
+  try {
+    await pool.query('ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS validation JSONB');
+    console.log('Quiz columns created successfully');
+  } catch (error) {
+    console.error('Failed to create quiz columns:', error);
+  }
+};
 
 /**
  * Normalizes language codes to ISO 639-1 format
  */
-const normalizeLanguage = (lang) => {
+export const normalizeLanguage = (lang) => {
   const langMap = {
     'english': 'en',
     'en': 'en',
@@ -19,7 +34,7 @@ const normalizeLanguage = (lang) => {
   return langMap[lang.toLowerCase()] || 'en';
 };
 
-export const generateQuiz = async (lectureId, lang='en', difficulty='medium', numQuestions=10) => {
+export const generateQuiz = async (lectureId, lang='en', difficulty='medium', numQuestions=10, questionTypes=['mcq']) => {
   try {
     // Normalize language code
     const normalizedLang = normalizeLanguage(lang);
@@ -52,51 +67,48 @@ export const generateQuiz = async (lectureId, lang='en', difficulty='medium', nu
       throw new Error('No content available for quiz generation. Please ensure the lecture has been processed successfully.');
     }
 
-    // Generate quiz using Gemini with strict MCQ-only requirements
-    const quizResult = await geminiService.generateQuiz(content, {
+    // Long lectures do not fit in one prompt; use the most relevant passages
+    const promptContent = await retrievalService.fitContent(lectureId, content);
+
+    // Generate quiz with the requested question types; the provider drops
+    // questions that fail validation and asks again for replacements
+    const types = parseQuestionTypes(questionTypes);
+    const quizResult = await llmService.generateQuiz(promptContent, {
       difficulty,
       language: lang,
       numQuestions,
-      questionTypes: ['mcq'], // Only MCQ questions
+      questionTypes: types,
       includeExplanations: true
     });
 
     if (!quizResult.success || !quizResult.quiz?.questions) {
-      throw new Error('Failed to generate quiz from Gemini');
+      throw new Error('Failed to generate quiz');
     }
 
-    // Filter and validate questions to ensure only MCQ format
-    const mcqQuestions = quizResult.quiz.questions
-      .filter(q => q.type === 'mcq' && q.options && Array.isArray(q.options) && q.options.length >= 4)
-      .map((q, index) => ({
-        id: index + 1,
-        question: q.question,
-        options: q.options.slice(0, 4), // Ensure exactly 4 options
-        correct: typeof q.correct_answer === 'string' ? 
-          q.options.indexOf(q.correct_answer) : 
-          (typeof q.correct_answer === 'number' ? q.correct_answer : 0),
-        explanation: q.explanation || 'No explanation provided',
-        timestamp: index * 60 // estimated timestamp
-      }))
-      .filter(q => q.correct >= 0 && q.correct < 4); // Ensure valid correct answer index
-
-    if (mcqQuestions.length === 0) {
-      throw new Error('No valid MCQ questions generated');
+    const questions = quizResult.quiz.questions.map((question, index) => ({
+      ...question,
+      explanation: question.explanation || 'No explanation provided',
+      timestamp: question.timestamp ?? index * 60 // estimated timestamp
+    }));
+
+    if (questions.length === 0) {
+      throw new Error('No valid questions generated');
     }
 
-    const quizItems = { questions: mcqQuestions };
+    const quizItems = { questions, questionTypes: types };
 
     // Store the quiz in database
     const result = await pool.query(
-      'INSERT INTO quizzes(lecture_id, lang, difficulty, items_json, gemini_model, generated_at) VALUES($1,$2,$3,$4,$5,$6) RETURNING id',
-      [lectureId, normalizedLang, difficulty, JSON.stringify(quizItems), 'gemini-2.5-flash', new Date()]
+      'INSERT INTO quizzes(lecture_id, lang, difficulty, items_json, gemini_model, generated_at, validation) VALUES($1,$2,$3,$4,$5,$6,$7) RETURNING id',
+      [lectureId, normalizedLang, difficulty, JSON.stringify(quizItems), llmService.getModelName(), new Date(), JSON.stringify(quizResult.metadata?.validation || null)]
     );
 
     return {
       success: true,
       quizId: result.rows[0].id,
-      questionsGenerated: mcqQuestions.length,
-      questions: mcqQuestions
+      questionsGenerated: questions.length,
+      questions,
+      validation: quizResult.metadata?.validation || null
     };
 
   } catch (error) {
@@ -105,31 +117,64 @@ export const generateQuiz = async (lectureId, lang='en', difficulty='medium', nu
   }
 };
 
-export const calculateQuizScore = (questions, userAnswers) => {
+/**
+ * Score a quiz attempt. Each question earns credit from 0 to 1 by its type's
+ * rules, so multi-select, fill-in-the-blank, ordering, matching and short
+ * answers can score partially. Gradings from services/gradingService.js
+ * replace the scored credit, and a teacher override replaces both.
+ * @param {Array} questions - Stored questions
+ * @param {Object} userAnswers - Answers keyed by question index
+ * @param {Object} grading - Gradings keyed by question index
+ * @returns {Object} - Score, counts, percentage and per-question results
+ */
+export const calculateQuizScore = (questions, userAnswers, grading = {}) => {
   if (!questions || !Array.isArray(questions) || questions.length === 0) {
     return { score: 0, totalQuestions: 0, correctAnswers: 0, percentage: 0 };
   }
 
-  let correctAnswers = 0;
   const totalQuestions = questions.length;
-  const attemptedQuestions = Object.keys(userAnswers || {}).length;
 
-  // Calculate score based on attempted questions
-  questions.forEach((question, index) => {
+  const detailedResults = questions.map((question, index) => {
     const userAnswer = userAnswers?.[index];
-    if (userAnswer !== undefined && userAnswer === question.correct) {
-      correctAnswers++;
-    }
+    const graded = grading?.[index];
+    const credit = graded?.override?.credit ?? graded?.credit ?? scoreAnswer(question, userAnswer);
+    const { userAnswer: answerText, correctAnswer } = describeAnswer(question, userAnswer);
+
+    return {
+      index,
+      type: question.type || 'mcq',
+      question: question.question,
+      userAnswer: answerText,
+      correctAnswer,
+      explanation: question.explanation,
+      credit,
+      isAttempted: isAnswered(userAnswer),
+      isCorrect: credit === 1,
+      isPartial: credit > 0 && credit < 1,
+      ...(graded ? {
+        feedback: graded.override?.feedback || graded.feedback || '',
+        criteria: graded.criteria || [],
+        confidence: graded.confidence ?? null,
+        needsReview: Boolean(graded.needsReview && !graded.override),
+        overridden: Boolean(graded.override)
+      } : {})
+    };
   });
 
-  const percentage = totalQuestions > 0 ? (correctAnswers / totalQuestions) * 100 : 0;
+  const score = Math.round(detailedResults.reduce((sum, result) => sum + result.credit, 0) * 100) / 100;
+  const correctAnswers = detailedResults.filter(result => result.isCorrect).length;
+  const partialAnswers = detailedResults.filter(result => result.isPartial).length;
+  const attemptedQuestions = detailedResults.filter(result => result.isAttempted).length;
+  const percentage = (score / totalQuestions) * 100;
 
   return {
-    score: correctAnswers,
+    score,
     totalQuestions,
     attemptedQuestions,
     correctAnswers,
+    partialAnswers,
     percentage: Math.round(percentage * 100) / 100,
-    unattemptedQuestions: totalQuestions - attemptedQuestions
+    unattemptedQuestions: totalQuestions - attemptedQuestions,
+    detailedResults
   };
 };
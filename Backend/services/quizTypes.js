@@ -0,0 +1,447 @@
+/**
+ * Quiz question type registry. Questions are stored in quizzes.items_json as
+ * { id, type, question, explanation, ...typed fields }, where every type keeps
+ * its answer key in "correct":
+ *   mcq           options[], correct: option index
+ *   true_false    options ['True', 'False'], correct: option index
+ *   multi_select  options[], correct: [option indices]
+ *   fill_blank    question with one ___ per blank, correct: [[accepted answers] per blank]
+ *   ordering      options[] (shuffled), correct: [option indices in the right order]
+ *   matching      prompts[], options[] (shuffled), correct: [option index per prompt]
+ *   short_answer  correct: model answer, keywords[], rubric: [{ criterion, points }]
+ *
+ * normalize(raw) turns model output, a hand-written question or a stored
+ * question back into a stored question, or returns null;
+ * score(question, answer) gives credit from 0 to 1, and formatAnswer(question,
+ * answer) renders an answer for result screens. Answers are sent in the shape
+ * of "correct": an index, a list of indices or a list of strings, or text for
+ * short answers.
+ */
+
+export const BLANK = '___';
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 8;
+
+/**
+ * Trim a value to a string
+ * @param {*} value - Model output or answer
+ * @returns {string} - Text, empty if missing
+ */
+const text = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+
+/**
+ * Keep the non-empty strings of a list
+ * @param {*} items - Model output
+ * @returns {Array} - Strings
+ */
+const textList = (items) => (Array.isArray(items) ? items : []).map(text).filter(Boolean);
+
+/**
+ * Fold text for lenient comparison: case, accents, punctuation and spacing
+ * @param {*} value - Text
+ * @returns {string} - Folded text
+ */
+export const foldText = (value) => text(value)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Read an option index from model output: a number, a numeric string or the
+ * option text
+ * @param {*} value - Model output
+ * @param {Array} options - Options
+ * @returns {number} - Index, -1 if it matches no option
+ */
+const optionIndex = (value, options) => {
+  if (typeof value === 'number' || /^\d+$/.test(text(value))) {
+    const index = parseInt(value, 10);
+    return index >= 0 && index < options.length ? index : -1;
+  }
+  return options.findIndex(option => foldText(option) === foldText(value));
+};
+
+/**
+ * Read an answer index; answers come back from JSON as numbers or strings
+ * @param {*} value - Answer
+ * @returns {number|null} - Index, null if not an index
+ */
+const answerIndex = (value) => (value === null || value === undefined || value === '' || isNaN(Number(value))
+  ? null
+  : Number(value));
+
+/**
+ * Shuffle a list, never leaving a list of two or more in its original order
+ * @param {number} length - List length
+ * @returns {Array} - Shuffled indices
+ */
+const shuffledIndices = (length) => {
+  const indices = [...Array(length).keys()];
+  for (let i = length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  if (length > 1 && indices.every((value, index) => value === index)) {
+    indices.push(indices.shift());
+  }
+  return indices;
+};
+
+/**
+ * Describe option indices by their text
+ * @param {Object} question - Stored question
+ * @param {Array} indices - Option indices
+ * @param {string} separator - Text between options
+ * @returns {string} - Option texts
+ */
+const optionTexts = (question, indices, separator = ', ') => indices
+  .map(index => question.options[index])
+  .filter(option => option !== undefined)
+  .join(separator);
+
+/**
+ * Base of every question: text, explanation, and optional timestamp and
+ * question bank ID
+ * @param {Object} raw - Model output
+ * @param {string} type - Question type
+ * @returns {Object|null} - Question fields, or null without question text
+ */
+const baseQuestion = (raw, type) => {
+  const question = text(raw?.question);
+  if (!question) return null;
+  return {
+    type,
+    question,
+    explanation: text(raw.explanation),
+    ...(typeof raw.timestamp === 'number' ? { timestamp: raw.timestamp } : {}),
+    // Questions copied from the question bank remember where they came from
+    ...(Number.isInteger(raw.bankQuestionId) ? { bankQuestionId: raw.bankQuestionId } : {})
+  };
+};
+
+/**
+ * Normalize a single-answer question with options
+ * @param {Object} raw - Model output
+ * @returns {Object|null} - { options, correct }
+ */
+const normalizeMcq = (raw) => {
+  const base = baseQuestion(raw, 'mcq');
+  const options = textList(raw?.options).slice(0, MAX_OPTIONS);
+  if (!base || options.length < MIN_OPTIONS) return null;
+
+  const correct = optionIndex(raw.correct ?? raw.correct_answer, options);
+  return correct >= 0 ? { ...base, options, correct } : null;
+};
+
+const normalizeTrueFalse = (raw) => {
+  const base = baseQuestion(raw, 'true_false');
+  if (!base) return null;
+
+  const value = raw.correct ?? raw.correct_answer;
+  const folded = foldText(value);
+  let correct = -1;
+  if (value === true || folded === 'true' || value === 0 || folded === '0') {
+    correct = 0;
+  } else if (value === false || folded === 'false' || value === 1 || folded === '1') {
+    correct = 1;
+  }
+  return correct >= 0 ? { ...base, options: ['True', 'False'], correct } : null;
+};
+
+const normalizeMultiSelect = (raw) => {
+  const base = baseQuestion(raw, 'multi_select');
+  const options = textList(raw?.options).slice(0, MAX_OPTIONS);
+  if (!base || options.length < MIN_OPTIONS + 1) return null;
+
+  const keys = raw.correct ?? raw.correct_answers ?? raw.correct_answer;
+  const correct = [...new Set((Array.isArray(keys) ? keys : [keys]).map(key => optionIndex(key, options)))]
+    .filter(index => index >= 0)
+    .sort((a, b) => a - b);
+  return correct.length > 0 ? { ...base, options, correct } : null;
+};
+
+const normalizeFillBlank = (raw) => {
+  const base = baseQuestion(raw, 'fill_blank');
+  if (!base) return null;
+
+  // Models mark blanks with runs of underscores; store exactly BLANK
+  const question = base.question.replace(/_{2,}/g, BLANK);
+  const blankCount = question.split(BLANK).length - 1;
+  const answers = raw.correct ?? raw.answers ?? raw.correct_answer;
+  const correct = (Array.isArray(answers) ? answers : [answers])
+    .map(accepted => textList(Array.isArray(accepted) ? accepted : [accepted]));
+
+  if (blankCount === 0 || correct.length !== blankCount || correct.some(accepted => accepted.length === 0)) {
+    return null;
+  }
+  return { ...base, question, correct };
+};
+
+/**
+ * Read a stored question's key back into options in the right order
+ * @param {Object} raw - Question that may be stored
+ * @returns {Array|null} - Options in key order, or null if not stored
+ */
+const keyedOptions = (raw) => (Array.isArray(raw?.options) && Array.isArray(raw?.correct)
+  ? raw.correct.map(index => raw.options[answerIndex(index)])
+  : null);
+
+const normalizeOrdering = (raw) => {
+  const base = baseQuestion(raw, 'ordering');
+  const items = textList(raw?.items ?? keyedOptions(raw) ?? raw?.options).slice(0, MAX_OPTIONS);
+  if (!base || items.length < MIN_OPTIONS + 1 || new Set(items.map(foldText)).size !== items.length) return null;
+
+  // items arrive in the right order; show them shuffled
+  const order = shuffledIndices(items.length);
+  const options = order.map(index => items[index]);
+  const correct = items.map((_, index) => order.indexOf(index));
+  return { ...base, options, correct };
+};
+
+const normalizeMatching = (raw) => {
+  const base = baseQuestion(raw, 'matching');
+  const storedRights = Array.isArray(raw?.prompts) ? keyedOptions(raw) : null;
+  const pairs = (Array.isArray(raw?.pairs) ? raw.pairs : (storedRights || []).map((right, index) => ({ left: raw.prompts[index], right })))
+    .map(pair => ({ left: text(pair?.left), right: text(pair?.right) }))
+    .filter(pair => pair.left && pair.right)
+    .slice(0, MAX_OPTIONS);
+  if (!base || pairs.length < MIN_OPTIONS + 1 || new Set(pairs.map(pair => foldText(pair.right))).size !== pairs.length) {
+    return null;
+  }
+
+  const order = shuffledIndices(pairs.length);
+  return {
+    ...base,
+    prompts: pairs.map(pair => pair.left),
+    options: order.map(index => pairs[index].right),
+    correct: pairs.map((_, index) => order.indexOf(index))
+  };
+};
+
+const MAX_CRITERION_POINTS = 5;
+
+/**
+ * Criteria a short answer is graded on. Questions without a rubric get one
+ * criterion per keyword, or a single one for matching the model answer.
+ * @param {Object} question - Short-answer question or model output
+ * @returns {Array} - [{ criterion, points }]
+ */
+export const getRubric = (question) => {
+  const rubric = (Array.isArray(question?.rubric) ? question.rubric : [])
+    .map(entry => ({
+      criterion: text(entry?.criterion),
+      points: Math.min(MAX_CRITERION_POINTS, Math.max(1, parseInt(entry?.points, 10) || 1))
+    }))
+    .filter(entry => entry.criterion);
+  if (rubric.length > 0) return rubric;
+
+  const keywords = textList(question?.keywords);
+  return keywords.length > 0
+    ? keywords.map(keyword => ({ criterion: `Mentions ${keyword}`, points: 1 }))
+    : [{ criterion: 'Matches the model answer', points: 1 }];
+};
+
+const normalizeShortAnswer = (raw) => {
+  const base = baseQuestion(raw, 'short_answer');
+  const correct = text(raw?.correct ?? raw?.correct_answer);
+  if (!base || !correct) return null;
+  return { ...base, correct, keywords: textList(raw.keywords), rubric: getRubric(raw) };
+};
+
+/**
+ * Credit for one index per slot (matching and fill-in-the-blank style)
+ * @param {Array} slots - Per-slot check results
+ * @returns {number} - Share of slots right
+ */
+const slotCredit = (slots) => (slots.length > 0 ? slots.filter(Boolean).length / slots.length : 0);
+
+export const QUESTION_TYPES = {
+  mcq: {
+    label: 'Multiple choice',
+    normalize: normalizeMcq,
+    score: (question, answer) => (answerIndex(answer) === question.correct ? 1 : 0),
+    formatAnswer: (question, answer) => question.options[answerIndex(answer)] ?? ''
+  },
+  true_false: {
+    label: 'True or false',
+    normalize: normalizeTrueFalse,
+    score: (question, answer) => (answerIndex(answer) === question.correct ? 1 : 0),
+    formatAnswer: (question, answer) => question.options[answerIndex(answer)] ?? ''
+  },
+  multi_select: {
+    label: 'Select all that apply',
+    normalize: normalizeMultiSelect,
+    // Each right pick earns a share, each wrong pick takes one back
+    score: (question, answer) => {
+      const picks = new Set((Array.isArray(answer) ? answer : []).map(answerIndex).filter(index => index !== null));
+      const hits = question.correct.filter(index => picks.has(index)).length;
+      const misses = picks.size - hits;
+      return Math.max(0, (hits - misses) / question.correct.length);
+    },
+    formatAnswer: (question, answer) => optionTexts(question, (Array.isArray(answer) ? answer : []).map(answerIndex))
+  },
+  fill_blank: {
+    label: 'Fill in the blank',
+    normalize: normalizeFillBlank,
+    score: (question, answer) => slotCredit(question.correct.map((accepted, index) =>
+      accepted.some(option => foldText(option) === foldText(Array.isArray(answer) ? answer[index] : answer))
+    )),
+    formatAnswer: (question, answer) => (Array.isArray(answer) ? answer : [answer]).map(text).join(', '),
+    formatCorrect: (question) => question.correct.map(accepted => accepted[0]).join(', ')
+  },
+  ordering: {
+    label: 'Put in order',
+    normalize: normalizeOrdering,
+    // Share of item pairs in the right relative order, so one misplaced item
+    // costs a little rather than everything after it
+    score: (question, answer) => {
+      const positions = new Map((Array.isArray(answer) ? answer : []).map((index, position) => [answerIndex(index), position]));
+      const pairs = [];
+      for (let i = 0; i < question.correct.length; i++) {
+        for (let j = i + 1; j < question.correct.length; j++) {
+          const first = positions.get(question.correct[i]);
+          const second = positions.get(question.correct[j]);
+          pairs.push(first !== undefined && second !== undefined && first < second);
+        }
+      }
+      return slotCredit(pairs);
+    },
+    formatAnswer: (question, answer) => optionTexts(question, (Array.isArray(answer) ? answer : []).map(answerIndex), ' → '),
+    formatCorrect: (question) => optionTexts(question, question.correct, ' → ')
+  },
+  matching: {
+    label: 'Matching',
+    normalize: normalizeMatching,
+    score: (question, answer) => slotCredit(question.correct.map((index, prompt) =>
+      Array.isArray(answer) && answerIndex(answer[prompt]) === index
+    )),
+    formatAnswer: (question, answer) => question.prompts
+      .map((prompt, index) => `${prompt} → ${question.options[answerIndex(Array.isArray(answer) ? answer[index] : null)] ?? '?'}`)
+      .join('; '),
+    formatCorrect: (question) => question.prompts
+      .map((prompt, index) => `${prompt} → ${question.options[question.correct[index]]}`)
+      .join('; ')
+  },
+  short_answer: {
+    label: 'Short answer',
+    normalize: normalizeShortAnswer,
+    // Offline scoring: share of the key terms used; without key terms the
+    // answer must match. Submitted attempts are graded against the rubric by
+    // services/gradingService.js, which falls back to this.
+    score: (question, answer) => {
+      const folded = foldText(answer);
+      if (!folded) return 0;
+      if (question.keywords.length === 0) {
+        return folded === foldText(question.correct) ? 1 : 0;
+      }
+      const words = ` ${folded} `;
+      return slotCredit(question.keywords.map(keyword => words.includes(` ${foldText(keyword)} `)));
+    },
+    formatAnswer: (question, answer) => text(answer),
+    formatCorrect: (question) => question.correct
+  }
+};
+
+export const DEFAULT_QUESTION_TYPES = ['mcq'];
+
+/**
+ * Look up a question type
+ * @param {string} id - Type ID
+ * @returns {Object|null} - Type, or null if unknown
+ */
+export const getQuestionType = (id) =>
+  Object.prototype.hasOwnProperty.call(QUESTION_TYPES, id) ? { id, ...QUESTION_TYPES[id] } : null;
+
+/**
+ * Describe the question types for clients
+ * @returns {Array} - { id, label }
+ */
+export const listQuestionTypes = () => Object.entries(QUESTION_TYPES).map(([id, type]) => ({ id, label: type.label }));
+
+/**
+ * Read requested question types from a query string or body value
+ * @param {string|Array} value - e.g. "mcq,true_false" or ['mcq', 'true_false']
+ * @returns {Array} - Known type IDs, DEFAULT_QUESTION_TYPES if none
+ */
+export const parseQuestionTypes = (value) => {
+  const requested = (Array.isArray(value) ? value : text(value).split(','))
+    .map(id => text(id))
+    .filter(id => getQuestionType(id));
+  return requested.length > 0 ? [...new Set(requested)] : DEFAULT_QUESTION_TYPES;
+};
+
+/**
+ * Normalize generated questions to the stored schema, dropping questions of
+ * other types and ones that fail their type's checks
+ * @param {Array} questions - Questions from the model
+ * @param {Array} questionTypes - Allowed type IDs
+ * @returns {Array} - Valid questions numbered from 1
+ */
+export const normalizeQuizQuestions = (questions = [], questionTypes = Object.keys(QUESTION_TYPES)) =>
+  (Array.isArray(questions) ? questions : [])
+    .map(raw => {
+      const type = getQuestionType(text(raw?.type) || 'mcq');
+      return type && questionTypes.includes(type.id) ? type.normalize(raw) : null;
+    })
+    .filter(Boolean)
+    .map((question, index) => ({ id: index + 1, ...question }));
+
+/**
+ * Stored questions from before typed questions are MCQs that may keep their
+ * key in correct_answer
+ * @param {Object} question - Stored question
+ * @returns {Object} - Question with type and correct
+ */
+const withType = (question) => ({
+  ...question,
+  type: question.type || 'mcq',
+  correct: question.correct ?? question.correct_answer
+});
+
+/**
+ * Check whether an answer was given
+ * @param {*} answer - Answer
+ * @returns {boolean} - Whether anything was answered
+ */
+export const isAnswered = (answer) => {
+  if (Array.isArray(answer)) {
+    return answer.some(item => item !== null && item !== undefined && text(item) !== '');
+  }
+  return answer !== null && answer !== undefined && text(answer) !== '';
+};
+
+/**
+ * Score an answer
+ * @param {Object} question - Stored question
+ * @param {*} answer - Answer
+ * @returns {number} - Credit from 0 to 1
+ */
+export const scoreAnswer = (question, answer) => {
+  const typed = withType(question);
+  const type = getQuestionType(typed.type);
+  if (!type || !isAnswered(answer)) return 0;
+  return Math.round(type.score(typed, answer) * 100) / 100;
+};
+
+/**
+ * Render a question's answer and answer key for result screens
+ * @param {Object} question - Stored question
+ * @param {*} answer - Answer
+ * @returns {Object} - { userAnswer, correctAnswer }
+ */
+export const describeAnswer = (question, answer) => {
+  const typed = withType(question);
+  const type = getQuestionType(typed.type);
+  if (!type) {
+    return { userAnswer: '', correctAnswer: '' };
+  }
+
+  return {
+    userAnswer: isAnswered(answer) ? type.formatAnswer(typed, answer) : '',
+    correctAnswer: type.formatCorrect ? type.formatCorrect(typed) : type.formatAnswer(typed, typed.correct)
+  };
+};
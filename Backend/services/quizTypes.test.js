@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BLANK,
+  foldText,
+  getQuestionType,
+  parseQuestionTypes,
+  normalizeQuizQuestions,
+  scoreAnswer,
+  describeAnswer,
+  isAnswered,
+  getRubric
+} from './quizTypes.js';
+
+const normalize = (raw) => getQuestionType(raw.type).normalize(raw);
+
+test('folds case, accents, punctuation and spacing', () => {
+  assert.equal(foldText('  Théorème  de   Pythagore! '), 'theoreme de pythagore');
+  assert.equal(foldText(null), '');
+});
+
+test('parses requested types and falls back to multiple choice', () => {
+  assert.deepEqual(parseQuestionTypes('mcq, true_false,mcq,essay'), ['mcq', 'true_false']);
+  assert.deepEqual(parseQuestionTypes(['ordering']), ['ordering']);
+  assert.deepEqual(parseQuestionTypes(''), ['mcq']);
+  assert.equal(getQuestionType('constructor'), null);
+});
+
+test('multiple choice reads the key as an index, a numeric string or the option text', () => {
+  const options = ['Paris', 'Lyon', 'Nice'];
+  assert.equal(normalize({ type: 'mcq', question: 'Capital?', options, correct_answer: 0 }).correct, 0);
+  assert.equal(normalize({ type: 'mcq', question: 'Capital?', options, correct: '2' }).correct, 2);
+  assert.equal(normalize({ type: 'mcq', question: 'Capital?', options, correct: 'lyon' }).correct, 1);
+  assert.equal(normalize({ type: 'mcq', question: 'Capital?', options, correct: 5 }), null);
+  assert.equal(normalize({ type: 'mcq', question: 'Capital?', options: ['Paris'], correct: 0 }), null);
+});
+
+test('true or false accepts booleans and words', () => {
+  assert.equal(normalize({ type: 'true_false', question: 'Sky is blue', correct_answer: true }).correct, 0);
+  assert.equal(normalize({ type: 'true_false', question: 'Sky is green', correct: 'False' }).correct, 1);
+  assert.equal(normalize({ type: 'true_false', question: 'Sky is green', correct: 'maybe' }), null);
+});
+
+test('fill in the blank needs one answer list per blank', () => {
+  const question = normalize({ type: 'fill_blank', question: 'Water boils at ____ degrees', answers: [['100', 'one hundred']] });
+  assert.equal(question.question, `Water boils at ${BLANK} degrees`);
+  assert.deepEqual(question.correct, [['100', 'one hundred']]);
+  assert.equal(normalize({ type: 'fill_blank', question: 'No blank here', answers: [['x']] }), null);
+  assert.equal(normalize({ type: 'fill_blank', question: '___ and ___', answers: [['a']] }), null);
+});
+
+test('ordering and matching shuffle their options but keep the key', () => {
+  const ordering = normalize({ type: 'ordering', question: 'Order these', items: ['first', 'second', 'third', 'fourth'] });
+  assert.notDeepEqual(ordering.options, ['first', 'second', 'third', 'fourth']);
+  assert.deepEqual(ordering.correct.map(index => ordering.options[index]), ['first', 'second', 'third', 'fourth']);
+  assert.equal(scoreAnswer(ordering, ordering.correct), 1);
+
+  const matching = normalize({
+    type: 'matching',
+    question: 'Match',
+    pairs: [{ left: 'H2O', right: 'water' }, { left: 'NaCl', right: 'salt' }, { left: 'CO2', right: 'carbon dioxide' }]
+  });
+  assert.deepEqual(matching.prompts, ['H2O', 'NaCl', 'CO2']);
+  assert.deepEqual(matching.correct.map(index => matching.options[index]), ['water', 'salt', 'carbon dioxide']);
+  assert.equal(scoreAnswer(matching, matching.correct), 1);
+});
+
+test('stored ordering and matching questions normalize again to the same key', () => {
+  const ordering = normalize({ type: 'ordering', question: 'Order these', items: ['a', 'b', 'c'] });
+  const again = normalize(ordering);
+  assert.deepEqual(again.correct.map(index => again.options[index]), ['a', 'b', 'c']);
+
+  const matching = normalize({ type: 'matching', question: 'Match', pairs: [{ left: '1', right: 'one' }, { left: '2', right: 'two' }, { left: '3', right: 'three' }] });
+  const matchingAgain = normalize(matching);
+  assert.deepEqual(matchingAgain.prompts, ['1', '2', '3']);
+  assert.deepEqual(matchingAgain.correct.map(index => matchingAgain.options[index]), ['one', 'two', 'three']);
+});
+
+test('multi select gives partial credit and takes it back for wrong picks', () => {
+  const question = normalize({ type: 'multi_select', question: 'Primes?', options: ['2', '3', '4', '5'], correct_answers: [0, 1, 3] });
+  assert.equal(scoreAnswer(question, [0, 1, 3]), 1);
+  assert.equal(scoreAnswer(question, [0, 1]), 0.67);
+  assert.equal(scoreAnswer(question, [0, 1, 2]), 0.33);
+  assert.equal(scoreAnswer(question, [2]), 0);
+});
+
+test('ordering credits pairs in the right relative order', () => {
+  const question = { type: 'ordering', options: ['a', 'b', 'c', 'd'], correct: [0, 1, 2, 3] };
+  assert.equal(scoreAnswer(question, [0, 1, 2, 3]), 1);
+  // Swapping the last two breaks one of six pairs
+  assert.equal(scoreAnswer(question, [0, 1, 3, 2]), 0.83);
+  assert.equal(scoreAnswer(question, [3, 2, 1, 0]), 0);
+});
+
+test('fill in the blank and short answers compare folded text', () => {
+  const blank = { type: 'fill_blank', question: `${BLANK} and ${BLANK}`, correct: [['Rome'], ['Paris', 'Lutèce']] };
+  assert.equal(scoreAnswer(blank, ['rome', 'lutece']), 1);
+  assert.equal(scoreAnswer(blank, ['Rome', 'London']), 0.5);
+
+  const short = normalize({ type: 'short_answer', question: 'Why?', correct_answer: 'Because of gravity', keywords: ['gravity', 'mass'] });
+  assert.equal(scoreAnswer(short, 'It is gravity.'), 0.5);
+  assert.equal(scoreAnswer(short, 'Gravity acts on mass'), 1);
+});
+
+test('legacy questions without a type score as multiple choice', () => {
+  const legacy = { question: 'Pick B', options: ['A', 'B'], correct_answer: 1 };
+  assert.equal(scoreAnswer(legacy, 1), 1);
+  assert.equal(scoreAnswer(legacy, '1'), 1);
+  assert.equal(scoreAnswer(legacy, 0), 0);
+  assert.deepEqual(describeAnswer(legacy, 0), { userAnswer: 'A', correctAnswer: 'B' });
+});
+
+test('unanswered questions score nothing', () => {
+  assert.equal(isAnswered([null, '']), false);
+  assert.equal(isAnswered(0), true);
+  assert.equal(scoreAnswer({ type: 'mcq', options: ['A', 'B'], correct: 0 }, null), 0);
+});
+
+test('rubrics come from the question, its keywords or the model answer', () => {
+  assert.deepEqual(getRubric({ rubric: [{ criterion: 'Names the law', points: 9 }, { criterion: '' }] }), [{ criterion: 'Names the law', points: 5 }]);
+  assert.deepEqual(getRubric({ keywords: ['force'] }), [{ criterion: 'Mentions force', points: 1 }]);
+  assert.deepEqual(getRubric({}), [{ criterion: 'Matches the model answer', points: 1 }]);
+});
+
+test('normalizeQuizQuestions drops invalid and disallowed questions and renumbers', () => {
+  const questions = normalizeQuizQuestions([
+    { type: 'mcq', question: 'One?', options: ['a', 'b'], correct: 0 },
+    { type: 'true_false', question: 'Two?', correct: true },
+    { type: 'mcq', question: '', options: ['a', 'b'], correct: 0 },
+    { type: 'essay', question: 'Four?' },
+    { question: 'Untyped?', options: ['a', 'b'], correct_answer: 1 }
+  ], ['mcq']);
+
+  assert.deepEqual(questions.map(question => [question.id, question.question]), [[1, 'One?'], [2, 'Untyped?']]);
+});
@@ -0,0 +1,183 @@
+import { foldText, normalizeQuizQuestions, describeAnswer } from './quizTypes.js';
+
+/**
+ * Checks generated quiz questions before they are stored. Each question from
+ * the model goes through, in order:
+ *   schema                 its type was requested and it passes the type's checks (quizTypes.js)
+ *   answer_not_in_options  the answer key names options that exist
+ *   answer_ambiguous       a numeric key does not also read as another option's text
+ *   options_not_distinct   no two options read the same
+ *   duplicate              its stem and answer are not a near copy of an accepted question
+ *   language               its text is written in the script of the quiz language
+ * Questions failing a check are dropped and reported as issues, so the
+ * provider can re-prompt for replacements.
+ */
+
+// Share of words two questions may have in common before they count as duplicates
+export const DUPLICATE_SIMILARITY = 0.8;
+
+// Share of letters that must be in the quiz language's script; lectures
+// often keep technical terms in English
+const MIN_SCRIPT_SHARE = 0.5;
+
+// Script of each language the checks know; other languages are not checked
+const LANGUAGE_SCRIPTS = {
+  en: 'Latin', es: 'Latin', fr: 'Latin', de: 'Latin', it: 'Latin', pt: 'Latin',
+  hi: 'Devanagari', mr: 'Devanagari', ne: 'Devanagari',
+  bn: 'Bengali', gu: 'Gujarati', pa: 'Gurmukhi', ta: 'Tamil', te: 'Telugu', kn: 'Kannada', ml: 'Malayalam',
+  ru: 'Cyrillic', uk: 'Cyrillic', ar: 'Arabic', ur: 'Arabic', zh: 'Han', ko: 'Hangul'
+};
+
+// Language names quizService still passes through
+const LANGUAGE_NAMES = { english: 'en', hindi: 'hi', marathi: 'mr' };
+
+/**
+ * Whether an answer key names an option, by index or by text. Numeric text
+ * keys are read as indices when stored (quizTypes.js), so one that is also
+ * the text of a different option is ambiguous: "2" among the options "1" to
+ * "4" could mean the option "2" or the one at index 2
+ * @param {*} key - Answer key from the model
+ * @param {Array} options - Options from the model
+ * @returns {Object} - { found, ambiguous }
+ */
+const locateKey = (key, options) => {
+  const folded = foldText(key);
+  const textIndex = folded === '' ? -1 : options.findIndex(option => foldText(option) === folded);
+
+  if (typeof key === 'number' || /^\d+$/.test(String(key ?? '').trim())) {
+    const index = parseInt(key, 10);
+    return {
+      found: (index >= 0 && index < options.length) || textIndex !== -1,
+      ambiguous: typeof key !== 'number' && textIndex !== -1 && textIndex !== index
+    };
+  }
+  return { found: textIndex !== -1, ambiguous: false };
+};
+
+/**
+ * Answer keys of the types that pick from options
+ * @param {Object} raw - Question from the model
+ * @returns {Array|null} - Keys, or null for types answered another way
+ */
+const optionKeys = (raw) => {
+  const type = raw?.type || 'mcq';
+  if (type === 'mcq') return [raw.correct ?? raw.correct_answer];
+  if (type === 'multi_select') {
+    const keys = raw.correct ?? raw.correct_answers ?? raw.correct_answer;
+    return Array.isArray(keys) ? keys : [keys];
+  }
+  return null;
+};
+
+/**
+ * Words of a question's stem and answer, used to spot rephrased copies
+ * @param {Object} question - Stored question
+ * @returns {Set} - Folded words
+ */
+const questionWords = (question) => {
+  const { correctAnswer } = describeAnswer(question);
+  return new Set(foldText(`${question.question} ${correctAnswer}`).split(' ').filter(Boolean));
+};
+
+/**
+ * Share of words two sets have in common (Jaccard similarity)
+ * @param {Set} a - Words
+ * @param {Set} b - Words
+ * @returns {number} - 0 to 1
+ */
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Whether a question's text is written in the quiz language's script
+ * @param {Object} question - Stored question
+ * @param {string} language - Language code or name
+ * @returns {boolean} - True when it is, or when the language is not known
+ */
+const matchesLanguage = (question, language) => {
+  const code = String(language || '').toLowerCase();
+  const script = LANGUAGE_SCRIPTS[LANGUAGE_NAMES[code] || code];
+  if (!script) return true;
+
+  const content = [question.question, ...(question.options || []), ...(question.prompts || [])].join(' ');
+  const letters = content.match(/[\p{L}\p{M}]/gu) || [];
+  if (letters.length === 0) return true;
+
+  const inScript = content.match(new RegExp(`[\\p{Script=${script}}\\p{M}]`, 'gu')) || [];
+  return inScript.length / letters.length >= MIN_SCRIPT_SHARE;
+};
+
+/**
+ * Check generated questions, keeping the ones that pass every check
+ * @param {Array} questions - Questions from the model
+ * @param {Object} options - { questionTypes, language, accepted: questions kept from earlier replies }
+ * @returns {Object} - { questions: passing stored questions, issues: [{ index, type, question, check, message }] }
+ */
+export const validateQuizQuestions = (questions, { questionTypes, language = 'en', accepted = [] } = {}) => {
+  const kept = [];
+  const issues = [];
+  const seen = accepted.map(questionWords);
+
+  (Array.isArray(questions) ? questions : []).forEach((raw, index) => {
+    const issue = (check, message) => issues.push({
+      index,
+      type: typeof raw?.type === 'string' ? raw.type : 'mcq',
+      question: String(raw?.question ?? '').slice(0, 200),
+      check,
+      message
+    });
+
+    if (!raw || typeof raw !== 'object') {
+      issue('schema', 'Not a question object');
+      return;
+    }
+
+    const keys = optionKeys(raw);
+    if (keys && Array.isArray(raw.options)) {
+      const located = keys.map(key => locateKey(key, raw.options));
+      if (!located.every(key => key.found)) {
+        issue('answer_not_in_options', 'The answer is not one of the options');
+        return;
+      }
+      if (located.some(key => key.ambiguous)) {
+        issue('answer_ambiguous', 'The answer is a number that is also the text of another option; give the option index as a number');
+        return;
+      }
+    }
+
+    const [question] = normalizeQuizQuestions([raw], questionTypes);
+    if (!question) {
+      const requested = !questionTypes || questionTypes.includes(raw?.type || 'mcq');
+      issue('schema', requested ? 'Missing or malformed fields for its type' : 'Its type was not requested');
+      return;
+    }
+
+    const options = (question.options || []).map(foldText);
+    if (new Set(options).size !== options.length) {
+      issue('options_not_distinct', 'Two or more options are the same');
+      return;
+    }
+
+    const words = questionWords(question);
+    if (seen.some(other => similarity(words, other) >= DUPLICATE_SIMILARITY)) {
+      issue('duplicate', 'Repeats an earlier question');
+      return;
+    }
+
+    if (!matchesLanguage(question, language)) {
+      issue('language', `Not written in the quiz language (${language})`);
+      return;
+    }
+
+    seen.push(words);
+    kept.push(question);
+  });
+
+  return { questions: kept, issues };
+};
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateQuizQuestions } from './quizValidation.js';
+
+const mcq = (fields = {}) => ({
+  type: 'mcq',
+  question: 'What is the capital of France?',
+  options: ['Paris', 'Lyon', 'Nice', 'Lille'],
+  correct_answer: 0,
+  ...fields
+});
+
+/**
+ * Validate one question and return the check it failed, if any
+ */
+const failedCheck = (question, options) => validateQuizQuestions([question], options).issues[0]?.check;
+
+test('keeps questions that pass every check', () => {
+  const { questions, issues } = validateQuizQuestions([mcq(), mcq({ question: 'Which river crosses Paris?', options: ['Seine', 'Loire'], correct_answer: 'seine' })]);
+  assert.deepEqual(issues, []);
+  assert.deepEqual(questions.map(question => question.correct), [0, 0]);
+});
+
+test('answer_not_in_options: the key names no option', () => {
+  assert.equal(failedCheck(mcq({ correct_answer: 4 })), 'answer_not_in_options');
+  assert.equal(failedCheck(mcq({ correct_answer: 'Marseille' })), 'answer_not_in_options');
+  assert.equal(failedCheck({ type: 'multi_select', question: 'Cities in France?', options: ['Paris', 'Rome'], correct: [0, 'Berlin'] }), 'answer_not_in_options');
+});
+
+test('answer_ambiguous: a numeric key that is also another option\'s text', () => {
+  const numbers = { question: 'How many moons has Mars?', options: ['1', '2', '3', '4'] };
+  const result = validateQuizQuestions([mcq({ ...numbers, correct_answer: '2' })]);
+  assert.deepEqual(result.questions, []);
+  assert.equal(result.issues[0].check, 'answer_ambiguous');
+
+  // A number is an index, and a key whose text and index agree reads one way
+  assert.equal(validateQuizQuestions([mcq({ ...numbers, correct_answer: 1 })]).questions[0].correct, 1);
+  assert.equal(failedCheck(mcq({ question: 'Smallest count?', options: ['0', '5'], correct_answer: '0' })), undefined);
+  assert.equal(failedCheck(mcq({ question: 'Largest count?', options: ['2', '7'], correct_answer: '7' })), 'answer_ambiguous');
+});
+
+test('options_not_distinct: options that read the same', () => {
+  assert.equal(failedCheck(mcq({ options: ['Paris', 'paris!', 'Nice'] })), 'options_not_distinct');
+});
+
+test('duplicate: a near copy of an accepted question', () => {
+  const [accepted] = validateQuizQuestions([mcq()]).questions;
+
+  assert.equal(failedCheck(mcq({ question: 'What is the capital of France' }), { accepted: [accepted] }), 'duplicate');
+  assert.equal(failedCheck(mcq({ question: 'Which city hosts the Louvre museum?' }), { accepted: [accepted] }), undefined);
+
+  // Copies within one reply count too
+  const { issues } = validateQuizQuestions([mcq(), mcq({ question: 'what is the capital of france?!' })]);
+  assert.deepEqual(issues.map(issue => [issue.index, issue.check]), [[1, 'duplicate']]);
+});
+
+test('language: text written in another script', () => {
+  const hindi = mcq({ question: 'भारत की राजधानी क्या है?', options: ['दिल्ली', 'मुंबई', 'चेन्नई'] });
+  assert.equal(failedCheck(hindi, { language: 'hi' }), undefined);
+  assert.equal(failedCheck(hindi, { language: 'Hindi' }), undefined);
+  assert.equal(failedCheck(mcq(), { language: 'hi' }), 'language');
+  assert.equal(failedCheck(hindi, { language: 'en' }), 'language');
+  // Languages without a known script are not checked
+  assert.equal(failedCheck(hindi, { language: 'xx' }), undefined);
+});
+
+test('schema: types that were not requested or are malformed', () => {
+  const result = validateQuizQuestions(
+    [{ type: 'true_false', question: 'Paris is in France', correct_answer: true }, mcq({ options: ['Paris'] }), null],
+    { questionTypes: ['mcq'] }
+  );
+  assert.deepEqual(result.issues.map(issue => [issue.index, issue.check, issue.message]), [
+    [0, 'schema', 'Its type was not requested'],
+    [1, 'schema', 'Missing or malformed fields for its type'],
+    [2, 'schema', 'Not a question object']
+  ]);
+});
@@ -1,5 +1,10 @@
 import db from '../utils/db.js';
 import cron from 'node-cron';
+import { analyzeQuizItems } from './itemAnalysis.js';
+import courseService from './courseService.js';
+
+// Responses a question needs before item analysis flags it
+const ITEM_MIN_ATTEMPTS = parseInt(process.env.ITEM_ANALYSIS_MIN_ATTEMPTS || '10', 10);
 
 class ReportsService {
   constructor() {
@@ -40,6 +45,7 @@ class ReportsService {
     try {
       // Create aggregated tables if they don't exist
       await this.createAggregatedTables();
+      await this.createItemStatsTable();
 
       // Process engagement metrics
       await this.processEngagementMetrics();
@@ -50,6 +56,9 @@ class ReportsService {
       // Process learning path analytics
       await this.processLearningPathMetrics();
 
+      // Process quiz item analysis
+      await this.processItemMetrics();
+
       // Clean up old aggregated data (keep last 90 days)
       await this.cleanupOldData();
 
@@ -130,6 +139,36 @@ class ReportsService {
     }
   }
 
+  /**
+   * Create the quiz item analysis table; also run at startup so item reports
+   * work before the first ETL run
+   */
+  async createItemStatsTable() {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS quiz_item_stats (
+          id SERIAL PRIMARY KEY,
+          quiz_id INT REFERENCES quizzes(id) ON DELETE CASCADE,
+          quiz_version INT NOT NULL,
+          question_index INT NOT NULL,
+          question_type VARCHAR(20),
+          bank_question_id INT,
+          responses INT DEFAULT 0,
+          p_value DECIMAL(5,2),
+          discrimination DECIMAL(5,2),
+          flags TEXT[] NOT NULL DEFAULT '{}',
+          stats JSONB NOT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(quiz_id, quiz_version, question_index)
+        )
+      `);
+
+      await db.query('CREATE INDEX IF NOT EXISTS idx_quiz_item_stats_bank ON quiz_item_stats(bank_question_id)');
+    } catch (error) {
+      console.error('Failed to create quiz item stats table:', error);
+    }
+  }
+
   /**
    * Process engagement metrics from events
    */
@@ -192,34 +231,156 @@ class ReportsService {
   }
 
   /**
-   * Process learning path progress
+   * Process learning path progress. completion_percentage is the furthest share
+   * of the lecture the player reported watched ('lecture.progress' events); quiz
+   * results come from the attempts the server graded, counted toward each
+   * quiz's own lecture, since clients can post events but not attempts
+   * @param {number|null} userId - Only refresh this user's rows; null processes everyone
+   * @param {number|null} lectureId - Only refresh rows of this lecture
    */
-  async processLearningPathMetrics() {
+  async processLearningPathMetrics(userId = null, lectureId = null) {
     const query = `
-      INSERT INTO learning_progress (user_id, lecture_id, first_viewed_at, last_viewed_at, total_sessions, has_completed_quiz, best_quiz_score)
-      SELECT 
-        e.user_id,
-        e.lecture_id,
-        MIN(CASE WHEN e.event_type = 'lecture.viewed' THEN e.created_at END) as first_viewed_at,
-        MAX(CASE WHEN e.event_type = 'lecture.viewed' THEN e.created_at END) as last_viewed_at,
-        COUNT(DISTINCT DATE(e.created_at)) as total_sessions,
-        BOOL_OR(e.event_type = 'quiz.completed') as has_completed_quiz,
-        COALESCE(MAX(CASE WHEN e.event_type = 'quiz.completed' THEN (e.details->>'score')::decimal END), 0) as best_quiz_score
-      FROM events e
-      WHERE e.event_type IN ('lecture.viewed', 'quiz.completed')
-      GROUP BY e.user_id, e.lecture_id
+      WITH viewing AS (
+        SELECT
+          e.user_id,
+          e.lecture_id,
+          MIN(e.created_at) as first_viewed_at,
+          MAX(e.created_at) as last_viewed_at,
+          COUNT(DISTINCT DATE(e.created_at)) as total_sessions,
+          COALESCE(MAX(CASE WHEN e.event_type = 'lecture.progress' AND e.details->>'progress' ~ '^[0-9]+(\\.[0-9]+)?$'
+            THEN LEAST(100, (e.details->>'progress')::decimal) END), 0) as completion_percentage
+        FROM events e
+        WHERE e.event_type IN ('lecture.viewed', 'lecture.progress')
+          AND e.lecture_id IS NOT NULL
+          AND ($1::int IS NULL OR e.user_id = $1)
+          AND ($2::int IS NULL OR e.lecture_id = $2)
+        GROUP BY e.user_id, e.lecture_id
+      ),
+      quizzing AS (
+        SELECT
+          qa.user_id,
+          q.lecture_id,
+          BOOL_OR(NOT COALESCE((qa.attempt_data->>'partial_submission')::boolean, false)) as has_completed_quiz,
+          COALESCE(MAX(qa.score) FILTER (WHERE NOT COALESCE((qa.attempt_data->>'partial_submission')::boolean, false)), 0) as best_quiz_score
+        FROM quiz_attempts qa
+        JOIN quizzes q ON q.id = qa.quiz_id
+        WHERE q.lecture_id IS NOT NULL
+          AND ($1::int IS NULL OR qa.user_id = $1)
+          AND ($2::int IS NULL OR q.lecture_id = $2)
+        GROUP BY qa.user_id, q.lecture_id
+      )
+      INSERT INTO learning_progress (user_id, lecture_id, first_viewed_at, last_viewed_at, total_sessions, completion_percentage, has_completed_quiz, best_quiz_score)
+      SELECT
+        user_id,
+        lecture_id,
+        v.first_viewed_at,
+        v.last_viewed_at,
+        COALESCE(v.total_sessions, 0),
+        COALESCE(v.completion_percentage, 0),
+        COALESCE(qz.has_completed_quiz, false),
+        COALESCE(qz.best_quiz_score, 0)
+      FROM viewing v
+      FULL JOIN quizzing qz USING (user_id, lecture_id)
       ON CONFLICT (user_id, lecture_id)
       DO UPDATE SET
         first_viewed_at = LEAST(learning_progress.first_viewed_at, EXCLUDED.first_viewed_at),
         last_viewed_at = GREATEST(learning_progress.last_viewed_at, EXCLUDED.last_viewed_at),
         total_sessions = EXCLUDED.total_sessions,
-        has_completed_quiz = learning_progress.has_completed_quiz OR EXCLUDED.has_completed_quiz,
-        best_quiz_score = GREATEST(learning_progress.best_quiz_score, EXCLUDED.best_quiz_score),
+        completion_percentage = GREATEST(learning_progress.completion_percentage, EXCLUDED.completion_percentage),
+        has_completed_quiz = EXCLUDED.has_completed_quiz,
+        best_quiz_score = EXCLUDED.best_quiz_score,
         updated_at = CURRENT_TIMESTAMP
     `;
 
-    await db.query(query);
-    console.log('Processed learning progress metrics');
+    await db.query(query, [userId, lectureId]);
+    if (!userId) {
+      console.log('Processed learning progress metrics');
+    }
+  }
+
+  /**
+   * Refresh a learner's progress on a lecture after an event that changes it
+   * (watch progress, a finished quiz), so learning path unlocks see it before
+   * the next ETL run. Failures are only logged: the ETL catches up
+   * @param {number} userId - Learner
+   * @param {number} lectureId - Lecture
+   */
+  async refreshLearningProgress(userId, lectureId) {
+    try {
+      await this.processLearningPathMetrics(userId, lectureId);
+    } catch (error) {
+      console.error(`Failed to refresh learning progress of user ${userId} on lecture ${lectureId}:`, error);
+    }
+  }
+
+  /**
+   * Process item analysis for quiz versions attempted in the last 14 days
+   */
+  async processItemMetrics() {
+    const result = await db.query(`
+      SELECT DISTINCT qa.quiz_id
+      FROM quiz_attempts qa
+      WHERE qa.attempted_at >= CURRENT_DATE - INTERVAL '14 days'
+    `);
+
+    for (const row of result.rows) {
+      await this.refreshQuizItems(row.quiz_id);
+    }
+    console.log(`Processed item analysis for ${result.rows.length} quizzes`);
+  }
+
+  /**
+   * Recompute item analysis for every version of a quiz from all its attempts.
+   * Attempts are scored against the version they took, as in grading.
+   */
+  async refreshQuizItems(quizId) {
+    const attempts = await db.query(`
+      SELECT
+        COALESCE(qv.version, q.version) as version,
+        COALESCE(qv.items_json, q.items_json) as items_json,
+        qa.attempt_data
+      FROM quiz_attempts qa
+      JOIN quizzes q ON qa.quiz_id = q.id
+      LEFT JOIN quiz_versions qv ON qv.quiz_id = q.id AND qv.version = qa.quiz_version
+      WHERE qa.quiz_id = $1
+      ORDER BY qa.attempted_at
+    `, [quizId]);
+
+    const versions = new Map();
+    attempts.rows.forEach(row => {
+      if (!versions.has(row.version)) {
+        versions.set(row.version, { questions: row.items_json?.questions || [], attempts: [] });
+      }
+      versions.get(row.version).attempts.push({
+        answers: row.attempt_data?.answers || {},
+        grading: row.attempt_data?.grading || {},
+        questionTimes: row.attempt_data?.question_times || {}
+      });
+    });
+
+    for (const [version, { questions, attempts: versionAttempts }] of versions) {
+      const items = analyzeQuizItems(questions, versionAttempts, { minAttempts: ITEM_MIN_ATTEMPTS });
+      for (const item of items) {
+        await db.query(`
+          INSERT INTO quiz_item_stats (quiz_id, quiz_version, question_index, question_type, bank_question_id,
+            responses, p_value, discrimination, flags, stats)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          ON CONFLICT (quiz_id, quiz_version, question_index)
+          DO UPDATE SET
+            question_type = EXCLUDED.question_type,
+            bank_question_id = EXCLUDED.bank_question_id,
+            responses = EXCLUDED.responses,
+            p_value = EXCLUDED.p_value,
+            discrimination = EXCLUDED.discrimination,
+            flags = EXCLUDED.flags,
+            stats = EXCLUDED.stats,
+            updated_at = CURRENT_TIMESTAMP
+        `, [
+          quizId, version, item.index, item.type, item.bankQuestionId,
+          item.responses, item.pValue, item.discrimination, item.flags, JSON.stringify(item)
+        ]);
+      }
+    }
   }
 
   /**
@@ -283,6 +444,8 @@ class ReportsService {
       params.push(lectureId);
     }
 
+    query += this.scopeConditions('de.lecture_id', 'de.user_id', filters, params);
+
     query += ` GROUP BY ${dateFormat} ORDER BY period DESC`;
 
     const result = await db.query(query, params);
@@ -328,6 +491,8 @@ class ReportsService {
       params.push(lectureId);
     }
 
+    query += this.scopeConditions('wqp.lecture_id', 'wqp.user_id', filters, params);
+
     query += ' GROUP BY wqp.week_start ORDER BY wqp.week_start DESC';
 
     const result = await db.query(query, params);
@@ -371,6 +536,8 @@ class ReportsService {
       params.push(lectureId);
     }
 
+    query += this.scopeConditions('lp.lecture_id', 'lp.user_id', filters, params);
+
     query += ' ORDER BY lp.last_viewed_at DESC';
 
     const result = await db.query(query, params);
@@ -388,6 +555,8 @@ class ReportsService {
     } = filters;
 
     const startDate = new Date(Date.now() - period * 24 * 60 * 60 * 1000);
+    const params = [startDate, limit];
+    const scope = this.scopeConditions('l.id', null, filters, params);
 
     let query;
     if (metric === 'views') {
@@ -403,7 +572,7 @@ class ReportsService {
         FROM lectures l
         JOIN users u ON l.uploader_id = u.id
         JOIN daily_engagement de ON l.id = de.lecture_id
-        WHERE de.date >= $1
+        WHERE de.date >= $1${scope}
         GROUP BY l.id, l.title, l.description, u.name
         ORDER BY total_views DESC
         LIMIT $2
@@ -422,7 +591,7 @@ class ReportsService {
         FROM lectures l
         JOIN users u ON l.uploader_id = u.id
         JOIN daily_engagement de ON l.id = de.lecture_id
-        WHERE de.date >= $1
+        WHERE de.date >= $1${scope}
         GROUP BY l.id, l.title, l.description, u.name
         ORDER BY total_time_spent DESC
         LIMIT $2
@@ -440,7 +609,7 @@ class ReportsService {
         FROM lectures l
         JOIN users u ON l.uploader_id = u.id
         JOIN weekly_quiz_performance wqp ON l.id = wqp.lecture_id
-        WHERE wqp.week_start >= DATE_TRUNC('week', $1::date)
+        WHERE wqp.week_start >= DATE_TRUNC('week', $1::date)${scope}
         GROUP BY l.id, l.title, l.description, u.name
         HAVING SUM(wqp.quizzes_completed) > 0
         ORDER BY avg_quiz_score DESC
@@ -448,7 +617,7 @@ class ReportsService {
       `;
     }
 
-    const result = await db.query(query, [startDate, limit]);
+    const result = await db.query(query, params);
     return result.rows;
   }
 
@@ -498,6 +667,136 @@ class ReportsService {
     };
   }
 
+  /**
+   * Get item analysis of quiz questions. A single quiz is recomputed first so
+   * teachers see attempts made since the last ETL run.
+   */
+  async getQuizItemAnalysis(filters = {}) {
+    const { lectureId, quizId, version, bankQuestionId, flag, flaggedOnly = false } = filters;
+
+    if (quizId) {
+      await this.refreshQuizItems(quizId);
+    }
+
+    let query = `
+      SELECT
+        qis.quiz_id,
+        qis.quiz_version,
+        qis.stats,
+        qis.updated_at,
+        q.lecture_id,
+        q.title as quiz_title,
+        q.version as current_version,
+        l.title as lecture_title
+      FROM quiz_item_stats qis
+      JOIN quizzes q ON qis.quiz_id = q.id
+      JOIN lectures l ON q.lecture_id = l.id
+      WHERE 1=1
+    `;
+
+    const params = [];
+    query += this.scopeConditions('q.lecture_id', null, filters, params);
+    let paramIndex = params.length + 1;
+
+    if (lectureId) {
+      query += ` AND q.lecture_id = $${paramIndex++}`;
+      params.push(lectureId);
+    }
+
+    if (quizId) {
+      query += ` AND qis.quiz_id = $${paramIndex++}`;
+      params.push(quizId);
+    }
+
+    if (version) {
+      query += ` AND qis.quiz_version = $${paramIndex++}`;
+      params.push(version);
+    }
+
+    if (bankQuestionId) {
+      query += ` AND qis.bank_question_id = $${paramIndex++}`;
+      params.push(bankQuestionId);
+    }
+
+    if (flag) {
+      query += ` AND $${paramIndex++} = ANY(qis.flags)`;
+      params.push(flag);
+    } else if (flaggedOnly) {
+      query += ' AND cardinality(qis.flags) > 0';
+    }
+
+    query += ' ORDER BY qis.quiz_id DESC, qis.quiz_version DESC, qis.question_index';
+
+    const result = await db.query(query, params);
+    return result.rows.map(row => ({
+      quizId: row.quiz_id,
+      quizTitle: row.quiz_title,
+      quizVersion: row.quiz_version,
+      isCurrentVersion: row.quiz_version === row.current_version,
+      lectureId: row.lecture_id,
+      lectureTitle: row.lecture_title,
+      ...row.stats,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  /**
+   * Conditions limiting a report to a course, to the students of a section,
+   * and to the lectures a teacher or TA reports on
+   * @param {string} lectureColumn - Column holding the lecture ID
+   * @param {string|null} userColumn - Column holding the student's user ID, if the report has one
+   * @param {Object} filters - { courseId, sectionId, staffId }
+   * @param {Array} params - Query parameters; the filters' values are appended
+   * @returns {string} - SQL conditions, each starting with AND
+   */
+  scopeConditions(lectureColumn, userColumn, { courseId, sectionId, staffId } = {}, params) {
+    let sql = '';
+
+    if (courseId) {
+      params.push(courseId);
+      sql += ` AND ${lectureColumn} IN (SELECT id FROM lectures WHERE course_id = $${params.length})`;
+    }
+
+    if (sectionId && userColumn) {
+      params.push(sectionId);
+      sql += ` AND ${userColumn} IN (SELECT user_id FROM course_members WHERE section_id = $${params.length})`;
+    }
+
+    if (staffId) {
+      params.push(staffId);
+      sql += ` AND ${lectureColumn} IN (SELECT sl.id FROM lectures sl WHERE ${courseService.staffLectureCondition('sl', `$${params.length}`)})`;
+    }
+
+    return sql;
+  }
+
+  /**
+   * Get a user's flashcard workload: reviews due by the end of today,
+   * cards not studied yet from the lectures they can see and reviews done today
+   * @param {Object} user - { userId, role }
+   */
+  async getFlashcardSummary(user) {
+    const result = await db.query(`
+      SELECT
+        (SELECT COUNT(*) FROM flashcard_reviews
+         WHERE user_id = $1 AND due_at < DATE_TRUNC('day', NOW()) + INTERVAL '1 day') as due_today,
+        (SELECT COUNT(*) FROM flashcards c
+         JOIN flashcard_decks d ON d.id = c.deck_id
+         JOIN lectures l ON l.id = d.lecture_id
+         WHERE NOT EXISTS (SELECT 1 FROM flashcard_reviews r WHERE r.card_id = c.id AND r.user_id = $1)
+           AND ${courseService.visibleLectureCondition('l', '$2')}) as new_cards,
+        (SELECT COUNT(*) FROM flashcard_reviews
+         WHERE user_id = $1 AND last_reviewed_at >= DATE_TRUNC('day', NOW())) as reviewed_today
+    `, [user.userId, courseService.scopeUserId(user)]);
+
+    const row = result.rows[0];
+    return {
+      dueToday: parseInt(row.due_today, 10),
+      newCards: parseInt(row.new_cards, 10),
+      reviewedToday: parseInt(row.reviewed_today, 10)
+    };
+  }
+
   /**
    * Get ETL status
    */
@@ -0,0 +1,420 @@
+import db from '../utils/db.js';
+import llmService from './llmService.js';
+import { MAX_CONTENT_CHARS, formatPassageLocation } from './llmPrompts.js';
+import { geminiCircuitBreaker } from '../middleware/rateLimitMiddleware.js';
+
+const PASSAGE_SOURCES = ['transcript', 'slide'];
+
+class RetrievalService {
+  constructor() {
+    this.maxPassageChars = 1200; // a few sentences; long chunks are split
+    this.batchSize = parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 50;
+    this.pgvector = false;
+  }
+
+  /**
+   * Create the embeddings table. Vectors are stored as REAL[] so the table
+   * works on any Postgres; when the pgvector extension is installed, ranking
+   * is done in SQL, otherwise cosine similarity is computed here.
+   */
+  async createEmbeddingTable() {
+    try {
+      try {
+        await db.query('CREATE EXTENSION IF NOT EXISTS vector');
+      } catch (error) {
+        console.warn('pgvector extension not available, using in-process similarity:', error.message);
+      }
+
+      const extension = await db.query("SELECT 1 FROM pg_extension WHERE extname = 'vector'");
+      this.pgvector = extension.rows.length > 0;
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS lecture_embeddings (
+          id SERIAL PRIMARY KEY,
+          lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
+          source VARCHAR(20) NOT NULL CHECK (source IN ('transcript', 'slide')),
+          chunk_id INT REFERENCES transcript_chunks(id) ON DELETE CASCADE,
+          slide_number INT,
+          start_ts INT,
+          end_ts INT,
+          content TEXT NOT NULL,
+          embedding REAL[] NOT NULL,
+          model VARCHAR(100) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_lecture_embeddings_lecture
+        ON lecture_embeddings(lecture_id, model)
+      `);
+
+      console.log(`Embeddings table created successfully (pgvector: ${this.pgvector ? 'yes' : 'no'})`);
+    } catch (error) {
+      console.error('Failed to create embeddings table:', error);
+    }
+  }
+
+  /**
+   * Whether lectures can be indexed and searched by meaning
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return llmService.supportsEmbeddings();
+  }
+
+  /**
+   * Embed every transcript chunk and slide of a lecture, replacing any
+   * passages indexed earlier. With chunkIds, only those transcript chunks
+   * are re-embedded, e.g. after a transcript edit.
+   * @param {number} lectureId - Lecture ID
+   * @param {Object} options - { chunkIds, onProgress(embedded, total) }
+   * @returns {Promise<Object>} - { passages, model }
+   */
+  async indexLecture(lectureId, options = {}) {
+    const { chunkIds = null, onProgress = null } = options;
+    const passages = await this.buildPassages(lectureId, chunkIds);
+    const model = llmService.getEmbeddingModelName();
+    const vectors = [];
+
+    for (let i = 0; i < passages.length; i += this.batchSize) {
+      const batch = passages.slice(i, i + this.batchSize);
+      const embeddings = await geminiCircuitBreaker.execute(() =>
+        llmService.generateEmbeddings(batch.map(passage => passage.content))
+      );
+
+      if (!Array.isArray(embeddings) || embeddings.length !== batch.length) {
+        throw new Error('Embedding provider returned the wrong number of vectors');
+      }
+
+      vectors.push(...embeddings);
+      if (onProgress) {
+        onProgress(vectors.length, passages.length);
+      }
+    }
+
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+      if (chunkIds) {
+        await client.query('DELETE FROM lecture_embeddings WHERE lecture_id = $1 AND chunk_id = ANY($2)',
+          [lectureId, chunkIds]);
+      } else {
+        await client.query('DELETE FROM lecture_embeddings WHERE lecture_id = $1', [lectureId]);
+      }
+
+      for (const [index, passage] of passages.entries()) {
+        await client.query(`
+          INSERT INTO lecture_embeddings
+            (lecture_id, source, chunk_id, slide_number, start_ts, end_ts, content, embedding, model)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [
+          lectureId,
+          passage.source,
+          passage.chunkId,
+          passage.slideNumber,
+          passage.startTs,
+          passage.endTs,
+          passage.content,
+          vectors[index],
+          model
+        ]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return { passages: passages.length, model };
+  }
+
+  /**
+   * Split a lecture's transcript chunks and slides into passages small
+   * enough to embed. Passages cut from a long chunk get a share of its
+   * time range in proportion to their position in the text.
+   * @param {number} lectureId - Lecture ID
+   * @param {Array|null} chunkIds - Only these transcript chunks, without slides
+   * @returns {Promise<Array>} - Passages
+   */
+  async buildPassages(lectureId, chunkIds = null) {
+    const chunks = await db.query(`
+      SELECT id, start_ts, end_ts, text
+      FROM transcript_chunks
+      WHERE lecture_id = $1 AND ($2::int[] IS NULL OR id = ANY($2))
+      ORDER BY start_ts, id
+    `, [lectureId, chunkIds]);
+
+    const passages = [];
+
+    for (const chunk of chunks.rows) {
+      const text = chunk.text.replace(/\s+/g, ' ').trim();
+      const duration = Math.max(chunk.end_ts - chunk.start_ts, 0);
+      let offset = 0;
+
+      for (const piece of this.splitPassage(text)) {
+        const start = chunk.start_ts + Math.floor(duration * offset / text.length);
+        offset += piece.length + 1;
+        const end = chunk.start_ts + Math.ceil(duration * Math.min(offset, text.length) / text.length);
+
+        passages.push({
+          source: 'transcript',
+          chunkId: chunk.id,
+          slideNumber: null,
+          startTs: start,
+          endTs: end,
+          content: piece
+        });
+      }
+    }
+
+    if (chunkIds) {
+      return passages;
+    }
+
+    const lecture = await db.query('SELECT ppt_content FROM lectures WHERE id = $1', [lectureId]);
+    const slides = lecture.rows[0]?.ppt_content?.slides || [];
+
+    for (const slide of slides) {
+      const content = [slide.title, slide.content].filter(Boolean).join('\n').trim();
+      if (!content) {
+        continue;
+      }
+
+      passages.push({
+        source: 'slide',
+        chunkId: null,
+        slideNumber: slide.slideNumber,
+        startTs: null,
+        endTs: null,
+        content: content.slice(0, this.maxPassageChars * 2)
+      });
+    }
+
+    return passages;
+  }
+
+  /**
+   * Split text into passages of at most maxPassageChars, ending on
+   * sentence boundaries where possible
+   * @param {string} text - Text to split
+   * @returns {Array} - Passages
+   */
+  splitPassage(text) {
+    if (!text) {
+      return [];
+    }
+
+    const sentences = text.split(/(?<=[.!?])\s+/);
+    const passages = [];
+    let current = '';
+
+    for (const sentence of sentences) {
+      if (current && current.length + sentence.length + 1 > this.maxPassageChars) {
+        passages.push(current);
+        current = '';
+      }
+
+      // A single run-on sentence longer than a passage is cut at a space
+      let rest = sentence;
+      while (rest.length > this.maxPassageChars) {
+        const cut = rest.lastIndexOf(' ', this.maxPassageChars);
+        const end = cut > 0 ? cut : this.maxPassageChars;
+        passages.push(rest.slice(0, end));
+        rest = rest.slice(end).trim();
+      }
+
+      current = current ? `${current} ${rest}` : rest;
+    }
+
+    if (current) {
+      passages.push(current);
+    }
+
+    return passages;
+  }
+
+  /**
+   * Find the passages of a lecture most relevant to a query
+   * @param {number} lectureId - Lecture ID
+   * @param {string} query - Question or topic
+   * @param {Object} options - { k, sources }
+   * @returns {Promise<Array>} - Passages with a similarity score, best first
+   */
+  async retrieve(lectureId, query, options = {}) {
+    const { k = 5, sources = PASSAGE_SOURCES } = options;
+
+    if (!this.isAvailable()) {
+      return [];
+    }
+
+    const model = llmService.getEmbeddingModelName();
+    const [queryVector] = await geminiCircuitBreaker.execute(() =>
+      llmService.generateEmbeddings([query])
+    );
+
+    let rows;
+
+    if (this.pgvector) {
+      const result = await db.query(`
+        SELECT id, source, chunk_id, slide_number, start_ts, end_ts, content,
+               1 - (embedding::vector <=> $3::vector) AS score
+        FROM lecture_embeddings
+        WHERE lecture_id = $1 AND model = $2 AND source = ANY($4)
+        ORDER BY embedding::vector <=> $3::vector
+        LIMIT $5
+      `, [lectureId, model, JSON.stringify(queryVector), sources, k]);
+
+      rows = result.rows;
+    } else {
+      const result = await db.query(`
+        SELECT id, source, chunk_id, slide_number, start_ts, end_ts, content, embedding
+        FROM lecture_embeddings
+        WHERE lecture_id = $1 AND model = $2 AND source = ANY($3)
+      `, [lectureId, model, sources]);
+
+      rows = result.rows
+        .map(row => ({ ...row, score: this.cosineSimilarity(queryVector, row.embedding) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+    }
+
+    return rows.map(row => ({
+      id: row.id,
+      source: row.source,
+      chunkId: row.chunk_id,
+      slideNumber: row.slide_number,
+      startTs: row.start_ts,
+      endTs: row.end_ts,
+      content: row.content,
+      score: Number(row.score)
+    }));
+  }
+
+  /**
+   * Cosine similarity of two vectors
+   * @param {Array<number>} a - Vector
+   * @param {Array<number>} b - Vector
+   * @returns {number} - Similarity in [-1, 1]
+   */
+  cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * Build prompt content from the passages most relevant to a query, in
+   * lecture order, up to a character budget
+   * @param {number} lectureId - Lecture ID
+   * @param {string} query - Question or topic
+   * @param {Object} options - { k, maxChars, sources }
+   * @returns {Promise<Object|null>} - { content, passages }, or null if the lecture is not indexed
+   */
+  async getContext(lectureId, query, options = {}) {
+    const { k = 20, maxChars = MAX_CONTENT_CHARS, sources } = options;
+    const passages = await this.retrieve(lectureId, query, { k, sources });
+
+    if (passages.length === 0) {
+      return null;
+    }
+
+    const selected = [];
+    let length = 0;
+
+    for (const passage of passages) {
+      const text = this.formatPassage(passage);
+      if (length + text.length > maxChars && selected.length > 0) {
+        break;
+      }
+      selected.push(passage);
+      length += text.length + 2;
+    }
+
+    selected.sort((a, b) =>
+      (a.source === b.source ? 0 : a.source === 'transcript' ? -1 : 1)
+      || (a.startTs ?? a.slideNumber) - (b.startTs ?? b.slideNumber)
+    );
+
+    return {
+      content: selected.map(passage => this.formatPassage(passage)).join('\n\n'),
+      passages: selected
+    };
+  }
+
+  /**
+   * Keep content that fits in a prompt; otherwise replace it with the
+   * passages most relevant to the query. Content is returned unchanged when
+   * the lecture has not been indexed.
+   * @param {number} lectureId - Lecture ID
+   * @param {string} content - Full lecture content
+   * @param {string} query - What the prompt is about (default: the lecture overview)
+   * @returns {Promise<string>} - Content for the prompt
+   */
+  async fitContent(lectureId, content, query = null) {
+    if (content.length <= MAX_CONTENT_CHARS || !this.isAvailable()) {
+      return content;
+    }
+
+    try {
+      const context = await this.getContext(lectureId, query || await this.getOverviewQuery(lectureId));
+      if (context) {
+        console.log(`Using ${context.passages.length} retrieved passages for lecture ${lectureId}`);
+        return context.content;
+      }
+    } catch (error) {
+      console.warn('Passage retrieval failed, using full content:', error.message);
+    }
+
+    return content;
+  }
+
+  /**
+   * Describe what a lecture is about, for prompts that cover the whole
+   * lecture rather than one question: the latest summary if there is one,
+   * otherwise the title and description
+   * @param {number} lectureId - Lecture ID
+   * @returns {Promise<string>} - Query text
+   */
+  async getOverviewQuery(lectureId) {
+    const result = await db.query(`
+      SELECT l.title, l.description, s.content_md
+      FROM lectures l
+      LEFT JOIN LATERAL (
+        SELECT content_md FROM summaries
+        WHERE lecture_id = l.id AND summary_type = 'session'
+        ORDER BY generated_at DESC
+        LIMIT 1
+      ) s ON true
+      WHERE l.id = $1
+    `, [lectureId]);
+
+    const lecture = result.rows[0] || {};
+    return (lecture.content_md || [lecture.title, lecture.description].filter(Boolean).join('. ') || 'main concepts')
+      .slice(0, 2000);
+  }
+
+  /**
+   * Render a passage for a prompt, labelled with its time or slide
+   * @param {Object} passage - Retrieved passage
+   * @returns {string} - Passage text
+   */
+  formatPassage(passage) {
+    const location = formatPassageLocation(passage);
+    return passage.source === 'slide' ? `${location}: ${passage.content}` : `[${location}] ${passage.content}`;
+  }
+}
+
+export default new RetrievalService();
@@ -0,0 +1,174 @@
+import db from '../utils/db.js';
+import { ELEVATED_ROLES } from '../utils/permissions.js';
+import { createError } from '../utils/httpError.js';
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Requests for elevated account roles. Nobody can sign up as a teacher or an
+ * admin: asking for one creates a student account with a pending request,
+ * and the role only changes once an admin approves it. Users have at most one
+ * pending request at a time.
+ */
+class RoleRequestService {
+  /**
+   * Create the role request table
+   */
+  async createRoleRequestTable() {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS role_requests (
+          id SERIAL PRIMARY KEY,
+          user_id INT REFERENCES users(id) ON DELETE CASCADE,
+          requested_role VARCHAR(20) NOT NULL CHECK (requested_role IN ('teacher','admin')),
+          reason TEXT,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','approved','rejected')),
+          reviewed_by INT REFERENCES users(id) ON DELETE SET NULL,
+          review_note TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          reviewed_at TIMESTAMP
+        )
+      `);
+
+      await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_role_requests_pending ON role_requests(user_id) WHERE status = 'pending'`);
+
+      console.log('Role request table created successfully');
+    } catch (error) {
+      console.error('Failed to create role request table:', error);
+    }
+  }
+
+  /**
+   * Ask for an elevated role
+   * @param {number} userId - User asking
+   * @param {string} role - Role wanted
+   * @param {string|null} reason - Why, for the admin reviewing it
+   * @returns {Promise<Object>} - Request
+   */
+  async requestRole(userId, role, reason = null) {
+    if (!ELEVATED_ROLES.includes(role)) {
+      throw createError(400, `role must be one of ${ELEVATED_ROLES.join(', ')}`);
+    }
+
+    const user = (await db.query('SELECT role FROM users WHERE id = $1', [userId])).rows[0];
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+    if (user.role === role || user.role === 'admin') {
+      throw createError(409, `You already have the ${user.role} role`);
+    }
+
+    try {
+      const request = (await db.query(`
+        INSERT INTO role_requests (user_id, requested_role, reason)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [userId, role, reason ? String(reason).slice(0, 1000) : null])).rows[0];
+      return this.formatRequest(request);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw createError(409, 'You already have a pending role request');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The user's own requests, newest first
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} - Requests
+   */
+  async listUserRequests(userId) {
+    const result = await db.query(
+      'SELECT * FROM role_requests WHERE user_id = $1 ORDER BY created_at DESC',
+      [userId]
+    );
+    return result.rows.map(row => this.formatRequest(row));
+  }
+
+  /**
+   * Requests for admins to review, oldest first
+   * @param {Object} filters - { status }; pending by default
+   * @returns {Promise<Array>} - Requests with the user's name, email and current role
+   */
+  async listRequests({ status = 'pending' } = {}) {
+    if (!STATUSES.includes(status)) {
+      throw createError(400, `status must be one of ${STATUSES.join(', ')}`);
+    }
+
+    const result = await db.query(`
+      SELECT r.*, u.name, u.email, u.role AS current_role
+      FROM role_requests r
+      JOIN users u ON u.id = r.user_id
+      WHERE r.status = $1
+      ORDER BY r.created_at
+    `, [status]);
+    return result.rows.map(row => this.formatRequest(row));
+  }
+
+  /**
+   * Approve or reject a pending request; approving changes the user's role
+   * @param {Object} reviewer - { userId }
+   * @param {number} requestId - Request ID
+   * @param {boolean} approve - Approve, or reject
+   * @param {string|null} note - Note for the user
+   * @returns {Promise<Object>} - Request
+   */
+  async reviewRequest(reviewer, requestId, approve, note = null) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const request = (await client.query('SELECT * FROM role_requests WHERE id = $1 FOR UPDATE', [requestId])).rows[0];
+      if (!request) {
+        throw createError(404, 'Role request not found');
+      }
+      if (request.status !== 'pending') {
+        throw createError(409, `This request was already ${request.status}`);
+      }
+
+      const reviewed = (await client.query(`
+        UPDATE role_requests
+        SET status = $2, reviewed_by = $3, review_note = $4, reviewed_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [requestId, approve ? 'approved' : 'rejected', reviewer.userId, note ? String(note).slice(0, 1000) : null])).rows[0];
+
+      if (approve) {
+        await client.query('UPDATE users SET role = $2 WHERE id = $1', [request.user_id, request.requested_role]);
+      }
+
+      await client.query('COMMIT');
+      return this.formatRequest(reviewed);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Format a request for clients
+   * @param {Object} row - role_requests row, optionally with name, email and current_role
+   * @returns {Object} - Request
+   */
+  formatRequest(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      email: row.email,
+      currentRole: row.current_role,
+      requestedRole: row.requested_role,
+      reason: row.reason,
+      status: row.status,
+      reviewedBy: row.reviewed_by,
+      reviewNote: row.review_note,
+      createdAt: row.created_at,
+      reviewedAt: row.reviewed_at
+    };
+  }
+}
+
+export default new RoleRequestService();
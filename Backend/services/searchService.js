@@ -0,0 +1,203 @@
+import db from '../utils/db.js';
+import courseService from './courseService.js';
+
+const SEARCH_SOURCES = ['transcript', 'slides', 'summary'];
+
+// Text search configuration used by the indexes and the queries; both must
+// match or Postgres will not use the indexes
+const TS_CONFIG = 'english';
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "';
+
+/**
+ * HTML-escape a text column in SQL before ts_headline adds <mark> tags,
+ * so snippets are safe to render as HTML
+ * @param {string} column - SQL expression
+ * @returns {string} - SQL expression
+ */
+const escapeHtmlSql = (column) =>
+  `replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+class SearchService {
+  /**
+   * Create the full-text indexes used by search
+   */
+  async createSearchIndexes() {
+    try {
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_transcript_chunks_fts
+        ON transcript_chunks USING GIN (to_tsvector('${TS_CONFIG}', text))
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_lectures_ppt_fts
+        ON lectures USING GIN (jsonb_to_tsvector('${TS_CONFIG}', COALESCE(ppt_content -> 'slides', '[]'::jsonb), '["string"]'))
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_summaries_fts
+        ON summaries USING GIN (to_tsvector('${TS_CONFIG}', content_md))
+      `);
+
+      console.log('Search indexes created successfully');
+    } catch (error) {
+      console.error('Failed to create search indexes:', error);
+    }
+  }
+
+  /**
+   * Search transcripts, slides and summaries
+   * @param {string} queryText - Search terms (web search syntax: "quoted phrase", -exclude, or)
+   * @param {Object} options - { lectureId, viewerId (lectures visible to this user; null for all), sources, lang, limit, offset }
+   * @returns {Promise<Object>} - { hits, total }
+   */
+  async search(queryText, options = {}) {
+    const {
+      lectureId = null,
+      viewerId = null,
+      sources = SEARCH_SOURCES,
+      lang = null,
+      limit = 20,
+      offset = 0
+    } = options;
+
+    const params = [queryText, lectureId, viewerId];
+    const parts = [];
+    const visible = courseService.visibleLectureCondition('l', '$3');
+
+    if (sources.includes('transcript')) {
+      parts.push(`
+        SELECT tc.lecture_id, l.title AS lecture_title, 'transcript' AS source, tc.id AS source_id,
+               tc.start_ts, tc.end_ts, NULL::int AS slide_number, tc.text AS raw_text,
+               ts_headline('${TS_CONFIG}', ${escapeHtmlSql('tc.text')}, q.query, '${HEADLINE_OPTIONS}') AS snippet,
+               ts_rank(to_tsvector('${TS_CONFIG}', tc.text), q.query) AS rank
+        FROM transcript_chunks tc
+        JOIN lectures l ON l.id = tc.lecture_id, q
+        WHERE to_tsvector('${TS_CONFIG}', tc.text) @@ q.query
+          AND ($2::int IS NULL OR tc.lecture_id = $2)
+          AND ${visible}
+      `);
+    }
+
+    if (sources.includes('slides')) {
+      parts.push(`
+        SELECT l.id AS lecture_id, l.title AS lecture_title, 'slides' AS source, NULL::int AS source_id,
+               NULL::int AS start_ts, NULL::int AS end_ts, (slide ->> 'slideNumber')::int AS slide_number,
+               NULL AS raw_text,
+               ts_headline('${TS_CONFIG}', ${escapeHtmlSql(`concat_ws(' — ', slide ->> 'title', slide ->> 'content')`)}, q.query, '${HEADLINE_OPTIONS}') AS snippet,
+               ts_rank(to_tsvector('${TS_CONFIG}', concat_ws(' ', slide ->> 'title', slide ->> 'content')), q.query) AS rank
+        FROM lectures l
+        CROSS JOIN LATERAL jsonb_array_elements(COALESCE(l.ppt_content -> 'slides', '[]'::jsonb)) AS slides(slide), q
+        WHERE jsonb_to_tsvector('${TS_CONFIG}', COALESCE(l.ppt_content -> 'slides', '[]'::jsonb), '["string"]') @@ q.query
+          AND to_tsvector('${TS_CONFIG}', concat_ws(' ', slide ->> 'title', slide ->> 'content')) @@ q.query
+          AND ($2::int IS NULL OR l.id = $2)
+          AND ${visible}
+      `);
+    }
+
+    if (sources.includes('summary')) {
+      params.push(lang);
+      parts.push(`
+        SELECT s.lecture_id, l.title AS lecture_title, 'summary' AS source, s.id AS source_id,
+               NULL::int AS start_ts, NULL::int AS end_ts, NULL::int AS slide_number, NULL AS raw_text,
+               ts_headline('${TS_CONFIG}', ${escapeHtmlSql('s.content_md')}, q.query, '${HEADLINE_OPTIONS}') AS snippet,
+               ts_rank(to_tsvector('${TS_CONFIG}', s.content_md), q.query) AS rank
+        FROM summaries s
+        JOIN lectures l ON l.id = s.lecture_id, q
+        WHERE to_tsvector('${TS_CONFIG}', s.content_md) @@ q.query
+          AND s.summary_type = 'session'
+          AND ($2::int IS NULL OR s.lecture_id = $2)
+          AND ${visible}
+          AND ($${params.length}::text IS NULL OR s.lang = $${params.length})
+      `);
+    }
+
+    if (parts.length === 0) {
+      return { hits: [], total: 0 };
+    }
+
+    params.push(limit, offset);
+
+    const result = await db.query(`
+      WITH q AS (SELECT websearch_to_tsquery('${TS_CONFIG}', $1) AS query),
+      hits AS (${parts.join(' UNION ALL ')})
+      SELECT *, COUNT(*) OVER () AS total_count
+      FROM hits
+      ORDER BY rank DESC, lecture_id, start_ts NULLS LAST, slide_number NULLS LAST
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return {
+      hits: result.rows.map(row => this.formatHit(row)),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0
+    };
+  }
+
+  /**
+   * Shape a result row for the API
+   * @param {Object} row - Query row
+   * @returns {Object} - Search hit
+   */
+  formatHit(row) {
+    return {
+      lectureId: row.lecture_id,
+      lectureTitle: row.lecture_title,
+      source: row.source,
+      sourceId: row.source_id,
+      timestamp: row.source === 'transcript' ? this.estimateTimestamp(row) : null,
+      slideNumber: row.slide_number,
+      snippet: row.snippet,
+      rank: Number(row.rank)
+    };
+  }
+
+  /**
+   * Estimate when the first highlighted term was spoken. Chunks can span
+   * minutes, so use the nearest inline [MM:SS] marker before the term if
+   * the transcript has them, otherwise interpolate by position in the text.
+   * @param {Object} row - Transcript hit with raw_text, start_ts, end_ts, snippet
+   * @returns {number} - Seconds from the start of the lecture
+   */
+  estimateTimestamp(row) {
+    const term = (row.snippet.match(/<mark>(.*?)<\/mark>/) || [])[1];
+    const text = row.raw_text || '';
+    const position = term ? text.toLowerCase().indexOf(this.unescapeHtml(term).toLowerCase()) : -1;
+
+    if (position < 0) {
+      return row.start_ts;
+    }
+
+    const markers = [...text.slice(0, position).matchAll(/\[(\d{1,2}):(\d{2})(?::(\d{2}))?\]/g)];
+    if (markers.length > 0) {
+      const [, first, second, third] = markers[markers.length - 1];
+      const seconds = third !== undefined
+        ? parseInt(first, 10) * 3600 + parseInt(second, 10) * 60 + parseInt(third, 10)
+        : parseInt(first, 10) * 60 + parseInt(second, 10);
+
+      if (seconds >= row.start_ts && seconds <= row.end_ts) {
+        return seconds;
+      }
+    }
+
+    return Math.floor(row.start_ts + (row.end_ts - row.start_ts) * position / Math.max(text.length, 1));
+  }
+
+  /**
+   * Reverse escapeHtmlSql for a highlighted term
+   * @param {string} text - Escaped text
+   * @returns {string} - Original text
+   */
+  unescapeHtml(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Get the searchable source types
+   * @returns {Array} - Source names
+   */
+  getSources() {
+    return SEARCH_SOURCES;
+  }
+}
+
+export default new SearchService();
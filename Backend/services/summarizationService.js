@@ -1,28 +1,409 @@
-import axios from 'axios';
 import pool from '../utils/db.js';
+import llmService from './llmService.js';
+import { MAX_CONTENT_CHARS, formatClock } from './llmPrompts.js';
+import { SUMMARY_STYLES, DEFAULT_SUMMARY_STYLE, getSummaryStyle } from './summaryStyles.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { withRetry, geminiCircuitBreaker } from '../middleware/rateLimitMiddleware.js';
+import { createError } from '../utils/httpError.js';
 
-export const generateSummary = async (lectureId, targetLang='en', style='concise') => {
-  const chunks = (await pool.query('SELECT * FROM transcript_chunks WHERE lecture_id=$1', [lectureId])).rows;
+// Length of the transcript windows summarized in the map step
+const WINDOW_SECONDS = parseInt(process.env.SUMMARY_WINDOW_SECONDS, 10) || 600;
+const WINDOW_MAX_CHARS = 12000;
+const CONCURRENCY = parseInt(process.env.SUMMARY_CONCURRENCY, 10) || 2;
+
+/**
+ * Add the time range and structured content columns used by chunk and
+ * session summaries, and allow every registered summary style
+ */
+export const createSummaryColumns = async () => {
+  try {
+    await pool.query(`
+      ALTER TABLE summaries
+        ADD COLUMN IF NOT EXISTS start_ts INT,
+        ADD COLUMN IF NOT EXISTS end_ts INT,
+        ADD COLUMN IF NOT EXISTS content_json JSONB
+    `);
+
+    const styles = Object.keys(SUMMARY_STYLES).map(style => `'${style}'`).join(',');
+    await pool.query(`
+      ALTER TABLE summaries
+        DROP CONSTRAINT IF EXISTS summaries_style_check,
+        ADD CONSTRAINT summaries_style_check CHECK (style IN (${styles}))
+    `);
+
+    console.log('Summary columns created successfully');
+  } catch (error) {
+    console.error('Failed to create summary columns:', error);
+  }
+};
+
+/**
+ * Lowercase words of four or more letters, which skips most stop words
+ * @param {string} text - Text
+ * @returns {Set} - Words
+ */
+const significantWords = (text) => new Set((text || '').toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || []);
+
+/**
+ * Find the slides a stretch of transcript talks about: slides sharing at
+ * least three significant words and a third of their own words with it
+ * @param {string} text - Transcript text
+ * @param {Array} slides - Slides { slideNumber, title, words }
+ * @returns {Array} - Up to three { number, title }, in slide order
+ */
+export const matchSlides = (text, slides) => {
+  const words = significantWords(text);
+
+  return slides
+    .map(slide => {
+      const overlap = [...slide.words].filter(word => words.has(word)).length;
+      return { slide, overlap, score: overlap / Math.max(slide.words.size, 1) };
+    })
+    .filter(match => match.overlap >= 3 && match.score >= 0.3)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3)
+    .map(match => ({ number: match.slide.slideNumber, title: match.slide.title || '' }))
+    .sort((a, b) => a.number - b.number);
+};
+
+/**
+ * Merge slide references, dropping duplicates
+ * @param {Array} lists - Lists of { number, title }
+ * @returns {Array} - Slides in slide order
+ */
+const mergeSlides = (lists) => {
+  const slides = new Map();
+  lists.flat().forEach(slide => slides.set(slide.number, slide));
+  return [...slides.values()].sort((a, b) => a.number - b.number);
+};
+
+/**
+ * Split the combined Markdown into an overview and key points, resolving
+ * each bullet's [n] citations to time ranges and slides
+ * @param {string} markdown - Session summary citing sections as [n]
+ * @param {Array} sections - Sections in citation order
+ * @returns {Object} - { overview, keyPoints: [{ text, sources: [{ startTs, endTs }], slides }] }
+ */
+export const parseSessionSummary = (markdown, sections) => {
+  const overview = [];
+  const keyPoints = [];
+
+  for (const line of markdown.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+
+    const bullet = trimmed.match(/^(?:[-*•]|\d+[.)])\s+(.*)$/);
+    if (!bullet) {
+      overview.push(trimmed);
+      continue;
+    }
+
+    const cited = [...bullet[1].matchAll(/\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g)]
+      .flatMap(match => match[1].split(','))
+      .map(number => sections[parseInt(number, 10) - 1])
+      .filter(Boolean);
+
+    const unique = [...new Set(cited)].sort((a, b) => a.startTs - b.startTs);
+
+    keyPoints.push({
+      text: bullet[1].replace(/\s*\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g, '').trim(),
+      sources: unique.map(section => ({ startTs: section.startTs, endTs: section.endTs })),
+      slides: mergeSlides(unique.map(section => section.slides))
+    });
+  }
+
+  return { overview: overview.join(' '), keyPoints };
+};
+
+/**
+ * Replace the section numbers cited in a structured summary's "refs" with
+ * the time ranges and slides of those sections. Ranges of neighbouring
+ * sections are joined.
+ * @param {*} value - Validated content, or part of it
+ * @param {Array} sections - Sections in citation order
+ * @returns {*} - Content with { sources: [{ startTs, endTs }], slides } instead of refs
+ */
+export const resolveSectionRefs = (value, sections) => {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveSectionRefs(item, sections));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const resolved = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (key !== 'refs') {
+      resolved[key] = resolveSectionRefs(item, sections);
+    }
+  }
+
+  if (Array.isArray(value.refs)) {
+    const cited = value.refs.map(ref => sections[ref - 1]).filter(Boolean);
+    resolved.sources = cited.reduce((sources, section) => {
+      const last = sources[sources.length - 1];
+      if (last && section.startTs - last.endTs <= 1) {
+        last.endTs = Math.max(last.endTs, section.endTs);
+      } else {
+        sources.push({ startTs: section.startTs, endTs: section.endTs });
+      }
+      return sources;
+    }, []);
+    resolved.slides = mergeSlides(cited.map(section => section.slides));
+  }
+
+  return resolved;
+};
+
+/**
+ * Group consecutive transcript chunks into windows of about WINDOW_SECONDS,
+ * starting a new window early if the text would not fit in a prompt
+ * @param {Array} chunks - Transcript chunks in time order
+ * @returns {Array} - Windows with { chunks, startTs, endTs, text }
+ */
+export const buildWindows = (chunks) => {
+  const windows = [];
+  let current = null;
 
-  // Call Gemini API for each chunk
   for (const chunk of chunks) {
-    const prompt = `
-Summarize the following transcript chunk:
-Transcript: ${chunk.text}
-Language: ${targetLang}
-Style: ${style}
-Return as JSON with bullets and timestamps.
-    `;
-    // Replace with actual Gemini API call
-    const summaryResult = { bullets: ['Point1','Point2'], timestamps: [chunk.start_ts, chunk.end_ts] };
-
-    await pool.query(
-      'INSERT INTO summaries(lecture_id, lang, style, content_md, summary_type, source_chunks, gemini_model) VALUES($1,$2,$3,$4,$5,$6,$7)',
-      [lectureId, targetLang, style, JSON.stringify(summaryResult.bullets), 'chunk', JSON.stringify([chunk.id]), 'gemini-v1']
-    );
+    if (current
+      && (chunk.end_ts - current.startTs > WINDOW_SECONDS || current.text.length + chunk.text.length > WINDOW_MAX_CHARS)) {
+      windows.push(current);
+      current = null;
+    }
+
+    if (!current) {
+      current = { chunks: [], startTs: chunk.start_ts, endTs: chunk.end_ts, text: '' };
+    }
+
+    current.chunks.push(chunk);
+    current.endTs = Math.max(current.endTs, chunk.end_ts);
+    current.text = current.text ? `${current.text}\n${chunk.text}` : chunk.text;
+  }
+
+  if (current) {
+    windows.push(current);
+  }
+
+  return windows;
+};
+
+/**
+ * Replace the [n] section citations in a session summary with links to the
+ * sections' time ranges (#t=start,end media fragments)
+ * @param {string} markdown - Session summary citing sections as [n]
+ * @param {Array} sections - Sections in citation order
+ * @returns {string} - Markdown with time range links
+ */
+export const linkSectionCitations = (markdown, sections) =>
+  markdown.replace(/\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g, (marker, numbers) => {
+    const links = numbers.split(',')
+      .map(number => sections[parseInt(number, 10) - 1])
+      .filter(Boolean)
+      .map(section => `[${formatClock(section.startTs)}–${formatClock(section.endTs)}](#t=${section.startTs},${section.endTs})`);
+
+    return links.length > 0 ? links.join(' ') : marker;
+  });
+
+/**
+ * Render a section as Markdown for its chunk summary row
+ * @param {Object} section - { title, points }
+ * @returns {string} - Markdown
+ */
+const sectionToMarkdown = (section) =>
+  `### ${section.title}\n\n${section.points.map(point => `- ${point}`).join('\n')}`;
+
+/**
+ * Call the LLM with the circuit breaker and a retry for transient failures
+ * @param {Function} fn - LLM call
+ * @returns {Promise<Object>} - Result
+ */
+const callLLM = (fn) => withRetry(() => geminiCircuitBreaker.execute(fn), 2, 1000);
+
+/**
+ * Merge sections until their summaries fit in one reduce prompt. Groups of
+ * neighbouring sections are summarized again, keeping their combined time
+ * range and source chunks, so any lecture length reduces in a few rounds.
+ * @param {Array} sections - Sections in lecture order
+ * @param {Object} options - { style, language }
+ * @returns {Promise<Array>} - Sections small enough to combine
+ */
+const reduceSections = async (sections, options) => {
+  const size = sections.reduce((total, section) => total + sectionToMarkdown(section).length, 0);
+  if (size <= MAX_CONTENT_CHARS || sections.length <= 1) {
+    return sections;
+  }
+
+  const groupSize = Math.max(2, Math.ceil(sections.length / Math.ceil(size / MAX_CONTENT_CHARS)));
+  const groups = [];
+  for (let i = 0; i < sections.length; i += groupSize) {
+    groups.push(sections.slice(i, i + groupSize));
+  }
+
+  const merged = await mapWithConcurrency(groups, CONCURRENCY, async (group) => {
+    const startTs = group[0].startTs;
+    const endTs = group[group.length - 1].endTs;
+    const result = await callLLM(() => llmService.summarizeSection(
+      group.map(sectionToMarkdown).join('\n\n'),
+      { ...options, startTs, endTs }
+    ));
+
+    return {
+      title: result.title,
+      points: result.points,
+      startTs,
+      endTs,
+      chunkIds: group.flatMap(section => section.chunkIds),
+      slides: mergeSlides(group.map(section => section.slides))
+    };
+  });
+
+  return reduceSections(merged, options);
+};
+
+/**
+ * Map-reduce summarization. Each time window of the transcript is
+ * summarized into a 'chunk' summary row linked to its transcript chunks,
+ * then the section summaries are combined into the 'session' summary whose
+ * bullets link to the time ranges they come from. content_json holds the
+ * same summary with timestamps and slide references as data. JSON styles
+ * (see summaryStyles.js) store their validated content there instead, with
+ * content_md rendered from it.
+ * @param {number} lectureId - Lecture ID
+ * @param {string} targetLang - Language code
+ * @param {string} style - Summary style ID from the registry
+ * @param {Object} options - { maxLength }
+ * @returns {Promise<Object>} - { success, summary (session row), sections (chunk rows) }
+ */
+export const generateSummary = async (lectureId, targetLang = 'en', style = DEFAULT_SUMMARY_STYLE, options = {}) => {
+  const summaryStyle = getSummaryStyle(style);
+  if (!summaryStyle) {
+    throw createError(400, `Unknown summary style: ${style}. Use one of: ${Object.keys(SUMMARY_STYLES).join(', ')}`);
   }
 
-  // Aggregate session summary
-  const sessionPrompt = `Aggregate all chunk summaries in ${targetLang}`;
-  // TODO: Gemini API call for session summary
+  const chunks = (await pool.query(
+    'SELECT id, start_ts, end_ts, text FROM transcript_chunks WHERE lecture_id=$1 ORDER BY start_ts, id',
+    [lectureId]
+  )).rows;
+
+  if (chunks.length === 0) {
+    throw createError(409, 'No transcript available to summarize. Please ensure the lecture has been processed successfully.');
+  }
+
+  const lecture = (await pool.query('SELECT ppt_content FROM lectures WHERE id=$1', [lectureId])).rows[0];
+  const slides = (lecture?.ppt_content?.slides || []).map(slide => ({
+    slideNumber: slide.slideNumber,
+    title: slide.title,
+    words: significantWords(`${slide.title || ''} ${slide.content || ''}`)
+  }));
+
+  const llmOptions = { style, language: targetLang };
+  const windows = buildWindows(chunks);
+  console.log(`Summarizing lecture ${lectureId} in ${windows.length} sections (${targetLang}, ${style})`);
+
+  // Map: summarize each window
+  const sections = await mapWithConcurrency(windows, CONCURRENCY, async (window) => {
+    const result = await callLLM(() => llmService.summarizeSection(window.text, {
+      ...llmOptions,
+      startTs: window.startTs,
+      endTs: window.endTs
+    }));
+
+    return {
+      title: result.title,
+      points: result.points,
+      startTs: window.startTs,
+      endTs: window.endTs,
+      chunkIds: window.chunks.map(chunk => chunk.id),
+      slides: matchSlides(window.text, slides)
+    };
+  });
+
+  // Reduce: combine the sections into the session summary
+  const reduced = await reduceSections(sections, llmOptions);
+  let sessionMarkdown;
+  let sessionContent;
+
+  if (summaryStyle.format === 'json') {
+    const composed = await callLLM(() => llmService.composeSummary(reduced, llmOptions));
+    sessionContent = resolveSectionRefs(composed.content, reduced);
+    sessionMarkdown = summaryStyle.toMarkdown(sessionContent);
+  } else {
+    const session = await callLLM(() => llmService.combineSections(reduced, {
+      ...llmOptions,
+      maxLength: options.maxLength || 500
+    }));
+    sessionMarkdown = linkSectionCitations(session.summary, reduced);
+    sessionContent = parseSessionSummary(session.summary, reduced);
+  }
+
+  const sessionJson = {
+    renderer: summaryStyle.renderer,
+    ...sessionContent,
+    sections: sections.map(section => ({
+      title: section.title,
+      startTs: section.startTs,
+      endTs: section.endTs,
+      points: section.points,
+      slides: section.slides
+    }))
+  };
+  const model = llmService.getModelName();
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM summaries WHERE lecture_id=$1 AND lang=$2 AND style=$3', [lectureId, targetLang, style]);
+
+    const sectionRows = [];
+    for (const section of sections) {
+      const result = await client.query(
+        `INSERT INTO summaries(lecture_id, lang, style, content_md, content_json, summary_type, source_chunks, start_ts, end_ts, gemini_model)
+         VALUES($1,$2,$3,$4,$5,'chunk',$6,$7,$8,$9) RETURNING *`,
+        [
+          lectureId,
+          targetLang,
+          style,
+          sectionToMarkdown(section),
+          JSON.stringify({ title: section.title, points: section.points, slides: section.slides }),
+          JSON.stringify(section.chunkIds),
+          section.startTs,
+          section.endTs,
+          model
+        ]
+      );
+      sectionRows.push(result.rows[0]);
+    }
+
+    const sessionResult = await client.query(
+      `INSERT INTO summaries(lecture_id, lang, style, content_md, content_json, summary_type, source_chunks, start_ts, end_ts, gemini_model)
+       VALUES($1,$2,$3,$4,$5,'session',$6,$7,$8,$9) RETURNING *`,
+      [
+        lectureId,
+        targetLang,
+        style,
+        sessionMarkdown,
+        JSON.stringify(sessionJson),
+        JSON.stringify(chunks.map(chunk => chunk.id)),
+        sections[0].startTs,
+        sections[sections.length - 1].endTs,
+        model
+      ]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      success: true,
+      summary: sessionResult.rows[0],
+      sections: sectionRows
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
 };
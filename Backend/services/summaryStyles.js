@@ -0,0 +1,266 @@
+import {
+  buildSessionSummaryPrompt,
+  buildCornellNotesPrompt,
+  buildGlossaryPrompt,
+  buildMindMapPrompt,
+  buildChapterOutlinePrompt,
+  formatClock
+} from './llmPrompts.js';
+
+/**
+ * Summary style registry. Every style is summarized the same way per time
+ * window (the map step, see llmPrompts SUMMARY_STYLE_GUIDANCE); the styles
+ * differ in how the sections are combined:
+ *   format: 'markdown' - a session summary citing sections as [n]
+ *   format: 'json'     - structured content; buildPrompt asks for JSON whose
+ *                        items cite sections in "refs", validate(data,
+ *                        sectionCount) normalizes it or throws, and
+ *                        toMarkdown(content) renders it for content_md
+ * renderer names the frontend view for the stored content_json.
+ */
+
+const MAX_GLOSSARY_TERMS = 30;
+const MAX_MIND_MAP_DEPTH = 3;
+
+/**
+ * Trim a value to a string
+ * @param {*} value - Model output
+ * @returns {string} - Text, empty if missing
+ */
+const text = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+
+/**
+ * Keep the section numbers that exist, once each, in order
+ * @param {*} refs - Model output
+ * @param {number} sectionCount - Number of sections
+ * @returns {Array} - Section numbers from 1
+ */
+const normalizeRefs = (refs, sectionCount) => [...new Set(
+  (Array.isArray(refs) ? refs : [refs])
+    .map(ref => parseInt(ref, 10))
+    .filter(ref => ref >= 1 && ref <= sectionCount)
+)].sort((a, b) => a - b);
+
+/**
+ * Keep the non-empty strings of a list
+ * @param {*} items - Model output
+ * @returns {Array} - Strings
+ */
+const textList = (items) => (Array.isArray(items) ? items : []).map(text).filter(Boolean);
+
+/**
+ * Format a resolved item's time ranges for Markdown
+ * @param {Array} sources - { startTs, endTs }
+ * @returns {string} - e.g. " (12:30–20:00)"
+ */
+const formatSources = (sources = []) =>
+  sources.length > 0 ? ` (${sources.map(source => `${formatClock(source.startTs)}–${formatClock(source.endTs)}`).join(', ')})` : '';
+
+/**
+ * Validate Cornell notes: cues with notes, and a summary
+ * @param {Object} data - Parsed model output
+ * @param {number} sectionCount - Number of sections
+ * @returns {Object} - { cues: [{ cue, notes, refs }], summary }
+ */
+const validateCornell = (data, sectionCount) => {
+  const cues = (Array.isArray(data.cues) ? data.cues : [])
+    .map(cue => ({
+      cue: text(cue?.cue),
+      notes: textList(cue?.notes),
+      refs: normalizeRefs(cue?.refs, sectionCount)
+    }))
+    .filter(cue => cue.cue && cue.notes.length > 0);
+
+  if (cues.length === 0) {
+    throw new Error('No cues in response');
+  }
+
+  const summary = text(data.summary);
+  if (!summary) {
+    throw new Error('No summary in response');
+  }
+
+  return { cues, summary };
+};
+
+/**
+ * Validate a glossary: unique terms with definitions, alphabetically
+ * @param {Object} data - Parsed model output
+ * @param {number} sectionCount - Number of sections
+ * @returns {Object} - { terms: [{ term, definition, refs }] }
+ */
+const validateGlossary = (data, sectionCount) => {
+  const terms = new Map();
+
+  (Array.isArray(data.terms) ? data.terms : []).forEach(entry => {
+    const term = text(entry?.term);
+    const definition = text(entry?.definition);
+    if (term && definition && !terms.has(term.toLowerCase())) {
+      terms.set(term.toLowerCase(), { term, definition, refs: normalizeRefs(entry?.refs, sectionCount) });
+    }
+  });
+
+  if (terms.size === 0) {
+    throw new Error('No terms in response');
+  }
+
+  return {
+    terms: [...terms.values()]
+      .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base' }))
+      .slice(0, MAX_GLOSSARY_TERMS)
+  };
+};
+
+/**
+ * Validate a mind map, dropping unlabelled nodes and nodes below
+ * MAX_MIND_MAP_DEPTH
+ * @param {Object} data - Parsed model output
+ * @param {number} sectionCount - Number of sections
+ * @returns {Object} - { root, branches: [{ label, refs, children }] }
+ */
+const validateMindMap = (data, sectionCount) => {
+  const normalizeNode = (node, depth) => ({
+    label: text(node?.label),
+    refs: normalizeRefs(node?.refs, sectionCount),
+    children: depth < MAX_MIND_MAP_DEPTH
+      ? (Array.isArray(node?.children) ? node.children : [])
+        .map(child => normalizeNode(child, depth + 1))
+        .filter(child => child.label)
+      : []
+  });
+
+  const root = text(data.root);
+  const branches = (Array.isArray(data.branches) ? data.branches : [])
+    .map(branch => normalizeNode(branch, 1))
+    .filter(branch => branch.label);
+
+  if (!root || branches.length === 0) {
+    throw new Error('Mind map needs a root and branches');
+  }
+
+  return { root, branches };
+};
+
+/**
+ * Validate a chapter outline: titled chapters citing their sections, in
+ * lecture order
+ * @param {Object} data - Parsed model output
+ * @param {number} sectionCount - Number of sections
+ * @returns {Object} - { chapters: [{ title, points, refs }] }
+ */
+const validateOutline = (data, sectionCount) => {
+  const chapters = (Array.isArray(data.chapters) ? data.chapters : [])
+    .map(chapter => ({
+      title: text(chapter?.title),
+      points: textList(chapter?.points),
+      refs: normalizeRefs(chapter?.refs, sectionCount)
+    }))
+    // A chapter without sections has no place in the lecture
+    .filter(chapter => chapter.title && chapter.refs.length > 0)
+    .sort((a, b) => a.refs[0] - b.refs[0]);
+
+  if (chapters.length === 0) {
+    throw new Error('No chapters in response');
+  }
+
+  return { chapters };
+};
+
+export const SUMMARY_STYLES = {
+  concise: {
+    label: 'Concise',
+    description: 'The main ideas in a short overview and key points',
+    format: 'markdown',
+    renderer: 'summary',
+    buildPrompt: buildSessionSummaryPrompt
+  },
+  detailed: {
+    label: 'Detailed',
+    description: 'Every concept, definition and example, with enough detail to study from',
+    format: 'markdown',
+    renderer: 'summary',
+    buildPrompt: buildSessionSummaryPrompt
+  },
+  'exam-prep': {
+    label: 'Exam prep',
+    description: 'Definitions, formulas and facts you could be examined on',
+    format: 'markdown',
+    renderer: 'summary',
+    buildPrompt: buildSessionSummaryPrompt
+  },
+  cornell: {
+    label: 'Cornell notes',
+    description: 'Cue questions beside the notes that answer them, with a closing summary',
+    format: 'json',
+    renderer: 'cornell',
+    buildPrompt: buildCornellNotesPrompt,
+    validate: validateCornell,
+    toMarkdown: (content) => [
+      ...content.cues.map(cue =>
+        `### ${cue.cue}${formatSources(cue.sources)}\n\n${cue.notes.map(note => `- ${note}`).join('\n')}`
+      ),
+      `## Summary\n\n${content.summary}`
+    ].join('\n\n')
+  },
+  glossary: {
+    label: 'Glossary',
+    description: 'Key terms with the definitions given in the lecture',
+    format: 'json',
+    renderer: 'glossary',
+    buildPrompt: buildGlossaryPrompt,
+    validate: validateGlossary,
+    toMarkdown: (content) => content.terms
+      .map(entry => `- **${entry.term}**: ${entry.definition}${formatSources(entry.sources)}`)
+      .join('\n')
+  },
+  'mind-map': {
+    label: 'Mind map',
+    description: 'The lecture topic branching into its main ideas and details',
+    format: 'json',
+    renderer: 'mind-map',
+    buildPrompt: buildMindMapPrompt,
+    validate: validateMindMap,
+    toMarkdown: (content) => {
+      const lines = (nodes, depth) => nodes.flatMap(node => [
+        `${'  '.repeat(depth)}- ${node.label}`,
+        ...lines(node.children, depth + 1)
+      ]);
+      return [`# ${content.root}`, '', ...lines(content.branches, 0)].join('\n');
+    }
+  },
+  outline: {
+    label: 'Chapter outline',
+    description: 'The lecture split into chapters with their time ranges',
+    format: 'json',
+    renderer: 'outline',
+    buildPrompt: buildChapterOutlinePrompt,
+    validate: validateOutline,
+    toMarkdown: (content) => content.chapters
+      .map((chapter, index) =>
+        `## ${index + 1}. ${chapter.title}${formatSources(chapter.sources)}\n\n${chapter.points.map(point => `- ${point}`).join('\n')}`
+      )
+      .join('\n\n')
+  }
+};
+
+export const DEFAULT_SUMMARY_STYLE = 'concise';
+
+/**
+ * Look up a summary style
+ * @param {string} id - Style ID
+ * @returns {Object|null} - Style, or null if unknown
+ */
+export const getSummaryStyle = (id) =>
+  Object.prototype.hasOwnProperty.call(SUMMARY_STYLES, id) ? { id, ...SUMMARY_STYLES[id] } : null;
+
+/**
+ * Describe the summary styles for clients
+ * @returns {Array} - { id, label, description, format, renderer }
+ */
+export const listSummaryStyles = () => Object.entries(SUMMARY_STYLES).map(([id, style]) => ({
+  id,
+  label: style.label,
+  description: style.description,
+  format: style.format,
+  renderer: style.renderer
+}));
@@ -0,0 +1,300 @@
+import db from '../utils/db.js';
+import cacheService from './cacheService.js';
+import { createError } from '../utils/httpError.js';
+
+const EXPORT_FORMATS = {
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+class TranscriptService {
+  /**
+   * Create the revision table and version columns used for transcript edits
+   */
+  async createTranscriptTables() {
+    try {
+      await db.query(`
+        ALTER TABLE transcript_chunks
+          ADD COLUMN IF NOT EXISTS version INT DEFAULT 1,
+          ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS transcript_revisions (
+          id SERIAL PRIMARY KEY,
+          chunk_id INT REFERENCES transcript_chunks(id) ON DELETE CASCADE,
+          lecture_id INT REFERENCES lectures(id) ON DELETE CASCADE,
+          version INT NOT NULL,
+          text TEXT NOT NULL,
+          speaker VARCHAR(50),
+          previous_text TEXT NOT NULL,
+          previous_speaker VARCHAR(50),
+          edited_by INT REFERENCES users(id) ON DELETE SET NULL,
+          edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_transcript_revisions_chunk
+        ON transcript_revisions(chunk_id, version)
+      `);
+
+      console.log('Transcript revisions table created successfully');
+    } catch (error) {
+      console.error('Failed to create transcript revisions table:', error);
+    }
+  }
+
+  /**
+   * Get the transcript segments of a lecture in time order
+   * @param {number} lectureId - Lecture ID
+   * @returns {Promise<Array>} - Segments
+   */
+  async getSegments(lectureId) {
+    const result = await db.query(`
+      SELECT id, start_ts, end_ts, speaker, text, confidence, version, updated_at
+      FROM transcript_chunks
+      WHERE lecture_id = $1
+      ORDER BY start_ts, id
+    `, [lectureId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Apply text and speaker edits to transcript segments. All edits are
+   * applied together or not at all; a segment whose version differs from
+   * the one the client edited is rejected with 409.
+   * @param {number} lectureId - Lecture ID
+   * @param {number} userId - Editing user
+   * @param {Array} edits - Array of { id, text?, speaker?, version? }
+   * @returns {Promise<Array>} - Updated segments
+   */
+  async updateSegments(lectureId, userId, edits) {
+    if (!Array.isArray(edits) || edits.length === 0) {
+      throw createError(400, 'segments must be a non-empty array of edits');
+    }
+
+    for (const edit of edits) {
+      if (!edit || !Number.isInteger(edit.id)) {
+        throw createError(400, 'Every edit needs a numeric segment id');
+      }
+      if (edit.text === undefined && edit.speaker === undefined) {
+        throw createError(400, `Edit for segment ${edit.id} changes neither text nor speaker`);
+      }
+      if (edit.text !== undefined && (typeof edit.text !== 'string' || !edit.text.trim())) {
+        throw createError(400, `Text for segment ${edit.id} must be a non-empty string`);
+      }
+      if (edit.speaker !== undefined && edit.speaker !== null
+        && (typeof edit.speaker !== 'string' || edit.speaker.length > 50)) {
+        throw createError(400, `Speaker for segment ${edit.id} must be a string of at most 50 characters`);
+      }
+    }
+
+    const client = await db.connect();
+    const updated = [];
+
+    try {
+      await client.query('BEGIN');
+
+      for (const edit of edits) {
+        const current = await client.query(`
+          SELECT id, text, speaker, version
+          FROM transcript_chunks
+          WHERE id = $1 AND lecture_id = $2
+          FOR UPDATE
+        `, [edit.id, lectureId]);
+
+        if (current.rows.length === 0) {
+          throw createError(404, `Segment ${edit.id} not found in this lecture`);
+        }
+
+        const segment = current.rows[0];
+        if (edit.version !== undefined && edit.version !== segment.version) {
+          throw createError(
+            409,
+            `Segment ${edit.id} was changed by someone else (version ${segment.version}); reload and try again`
+          );
+        }
+
+        const text = edit.text !== undefined ? edit.text.trim() : segment.text;
+        const speaker = edit.speaker !== undefined ? (edit.speaker || null) : segment.speaker;
+
+        if (text === segment.text && speaker === segment.speaker) {
+          continue;
+        }
+
+        const result = await client.query(`
+          UPDATE transcript_chunks
+          SET text = $1, speaker = $2, version = version + 1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $3
+          RETURNING id, start_ts, end_ts, speaker, text, confidence, version, updated_at
+        `, [text, speaker, edit.id]);
+
+        await client.query(`
+          INSERT INTO transcript_revisions
+            (chunk_id, lecture_id, version, text, speaker, previous_text, previous_speaker, edited_by)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [edit.id, lectureId, result.rows[0].version, text, speaker, segment.text, segment.speaker, userId]);
+
+        updated.push(result.rows[0]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Summaries and quizzes cached from the old text are now stale
+    if (updated.length > 0) {
+      await cacheService.invalidateLectureCache(lectureId);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get edit history for a lecture's transcript, newest first
+   * @param {number} lectureId - Lecture ID
+   * @param {number|null} segmentId - Limit to one segment
+   * @returns {Promise<Array>} - Revisions with editor names
+   */
+  async getHistory(lectureId, segmentId = null) {
+    const result = await db.query(`
+      SELECT r.id, r.chunk_id AS segment_id, r.version, r.text, r.speaker,
+             r.previous_text, r.previous_speaker, r.edited_at,
+             r.edited_by, u.name AS edited_by_name
+      FROM transcript_revisions r
+      LEFT JOIN users u ON u.id = r.edited_by
+      WHERE r.lecture_id = $1 AND ($2::int IS NULL OR r.chunk_id = $2)
+      ORDER BY r.edited_at DESC, r.id DESC
+    `, [lectureId, segmentId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get content type and file extension for an export format
+   * @param {string} format - vtt, srt, txt or json
+   * @returns {Object|undefined} - { extension, contentType }
+   */
+  getExportFormat(format) {
+    return EXPORT_FORMATS[format];
+  }
+
+  /**
+   * Render segments in an export format
+   * @param {Array} segments - Transcript segments
+   * @param {string} format - vtt, srt, txt or json
+   * @param {Object} lecture - Lecture row, used for the JSON export
+   * @returns {string} - File contents
+   */
+  exportSegments(segments, format, lecture = {}) {
+    switch (format) {
+      case 'vtt':
+        return this.toWebVTT(segments);
+      case 'srt':
+        return this.toSRT(segments);
+      case 'txt':
+        return this.toPlainText(segments);
+      case 'json':
+        return JSON.stringify({
+          lectureId: lecture.id,
+          title: lecture.title,
+          language: lecture.language,
+          segments: segments.map(segment => ({
+            id: segment.id,
+            start: segment.start_ts,
+            end: segment.end_ts,
+            speaker: segment.speaker,
+            text: segment.text
+          }))
+        }, null, 2);
+      default:
+        throw createError(400, `Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * Render segments as WebVTT
+   * @param {Array} segments - Transcript segments
+   * @returns {string} - WebVTT document
+   */
+  toWebVTT(segments) {
+    const cues = segments.map((segment, index) => {
+      const text = this.escapeCueText(this.cleanCueText(segment.text));
+      const body = segment.speaker ? `<v ${this.escapeCueText(segment.speaker)}>${text}` : text;
+      return `${index + 1}\n${this.formatTimestamp(segment.start_ts, '.')} --> ${this.formatTimestamp(segment.end_ts, '.')}\n${body}`;
+    });
+
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+  }
+
+  /**
+   * Render segments as SubRip
+   * @param {Array} segments - Transcript segments
+   * @returns {string} - SRT document
+   */
+  toSRT(segments) {
+    return segments.map((segment, index) => {
+      const text = this.cleanCueText(segment.text);
+      const body = segment.speaker ? `${segment.speaker}: ${text}` : text;
+      return `${index + 1}\n${this.formatTimestamp(segment.start_ts, ',')} --> ${this.formatTimestamp(segment.end_ts, ',')}\n${body}`;
+    }).join('\n\n') + '\n';
+  }
+
+  /**
+   * Render segments as plain text with a timestamp per paragraph
+   * @param {Array} segments - Transcript segments
+   * @returns {string} - Text document
+   */
+  toPlainText(segments) {
+    return segments.map(segment => {
+      const time = this.formatTimestamp(segment.start_ts, '.').slice(0, 8);
+      const speaker = segment.speaker ? `${segment.speaker}: ` : '';
+      return `[${time}] ${speaker}${segment.text.trim()}`;
+    }).join('\n\n') + '\n';
+  }
+
+  /**
+   * Collapse whitespace and drop characters that end a cue early
+   * @param {string} text - Segment text
+   * @returns {string} - Cue text
+   */
+  cleanCueText(text) {
+    return text.replace(/-->/g, '->').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Escape characters WebVTT treats as markup
+   * @param {string} text - Cue text
+   * @returns {string} - Escaped text
+   */
+  escapeCueText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Format seconds as HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+   * @param {number} seconds - Time in seconds
+   * @param {string} separator - Millisecond separator
+   * @returns {string} - Timestamp
+   */
+  formatTimestamp(seconds, separator) {
+    const totalMs = Math.max(Math.round(Number(seconds) * 1000), 0);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+  }
+}
+
+export default new TranscriptService();
@@ -0,0 +1,108 @@
+import llmService from './llmService.js';
+import whisperService from './whisperService.js';
+import localWhisperService from './localWhisperService.js';
+import { geminiCircuitBreaker, whisperCircuitBreaker } from '../middleware/rateLimitMiddleware.js';
+
+/**
+ * Every transcription provider implements:
+ *   name                           - identifier used in TRANSCRIPTION_SERVICE
+ *   isAvailable()                  - whether it can be used right now
+ *   transcribe(audioPath, options) - resolves to { success, transcript, chunks, metadata }
+ *   getInfo()                      - details for the health endpoint
+ */
+const PREFERENCE_ORDERS = {
+  auto: ['whisper', 'llm', 'local'],
+  llm: ['llm', 'whisper', 'local'],
+  whisper: ['whisper', 'llm', 'local'],
+  local: ['local', 'whisper', 'llm']
+};
+
+// Older configuration named the LLM provider after Gemini
+const PROVIDER_ALIASES = {
+  gemini: 'llm'
+};
+
+class TranscriptionProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a transcription provider
+   * @param {Object} provider - Provider implementing the interface above
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {Object|undefined} - Provider
+   */
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /**
+   * Get available providers in order of preference
+   * @param {string} preference - auto, llm, whisper, local, or a comma-separated order
+   * @returns {Array} - Available providers
+   */
+  getOrderedProviders(preference = 'auto') {
+    const order = PREFERENCE_ORDERS[PROVIDER_ALIASES[preference] || preference]
+      || preference.split(',').map(name => name.trim()).filter(Boolean);
+
+    return order
+      .map(name => this.providers.get(PROVIDER_ALIASES[name] || name))
+      .filter(provider => provider && provider.isAvailable());
+  }
+
+  /**
+   * Get health details for every registered provider
+   * @returns {Object} - Provider info keyed by name
+   */
+  getHealth() {
+    const health = {};
+    for (const [name, provider] of this.providers) {
+      health[name] = {
+        available: provider.isAvailable(),
+        ...provider.getInfo()
+      };
+    }
+    return health;
+  }
+}
+
+const transcriptionProviders = new TranscriptionProviderRegistry();
+
+transcriptionProviders.register({
+  name: 'llm',
+  isAvailable: () => llmService.supportsTranscription(),
+  transcribe: (audioPath, options) =>
+    geminiCircuitBreaker.execute(() => llmService.transcribe(audioPath, options)),
+  getInfo: () => ({
+    circuitBreaker: geminiCircuitBreaker.getState(),
+    info: llmService.getProviderInfo()
+  })
+});
+
+transcriptionProviders.register({
+  name: 'whisper',
+  isAvailable: () => whisperService.isAvailable(),
+  transcribe: (audioPath, options) =>
+    whisperCircuitBreaker.execute(() => whisperService.transcribeAudio(audioPath, options)),
+  getInfo: () => ({
+    circuitBreaker: whisperCircuitBreaker.getState(),
+    info: whisperService.getServiceInfo()
+  })
+});
+
+transcriptionProviders.register({
+  name: 'local',
+  isAvailable: () => localWhisperService.isAvailable(),
+  transcribe: (audioPath, options) => localWhisperService.transcribeAudio(audioPath, options),
+  getInfo: () => ({ info: localWhisperService.getServiceInfo() })
+});
+
+export default transcriptionProviders;
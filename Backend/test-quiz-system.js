@@ -76,4 +76,19 @@ const result5 = calculateQuizScore([], answers1);
 console.log('Result:', result5);
 console.log('Expected: 0% score, 0 total questions\n');
 
+// Test Case 6: Typed questions with partial credit
+console.log('Test Case 6: Typed questions with partial credit');
+const typedQuestions = [
+  { id: 1, type: 'true_false', question: 'Python uses indentation for blocks.', options: ['True', 'False'], correct: 0 },
+  { id: 2, type: 'multi_select', question: 'Which are planets?', options: ['Mars', 'Moon', 'Venus', 'Sun'], correct: [0, 2] },
+  { id: 3, type: 'fill_blank', question: 'HTML stands for Hyper Text ___ Language.', correct: [['Markup']] },
+  { id: 4, type: 'ordering', question: 'Order from smallest.', options: ['100', '1', '10'], correct: [1, 2, 0] },
+  { id: 5, type: 'matching', question: 'Match capitals.', prompts: ['France', 'Spain', 'Italy'], options: ['Rome', 'Paris', 'Madrid'], correct: [1, 2, 0] },
+  { id: 6, type: 'short_answer', question: 'What does a compiler do?', correct: 'Translates source code into machine code', keywords: ['source code', 'machine code'] }
+];
+const answers6 = { 0: 0, 1: [0], 2: ['markup'], 3: [2, 1, 0], 4: [1, 0, 2], 5: 'It turns source code into something runnable' };
+const result6 = calculateQuizScore(typedQuestions, answers6);
+console.log('Result:', result6);
+console.log('Expected: 66.67% score (1 + 0.5 + 1 + 0.67 + 0.33 + 0.5 of 6), 2/6 correct, 4 partial\n');
+
 console.log('Quiz scoring system tests completed!');
@@ -0,0 +1,88 @@
+/**
+ * Ability estimation for adaptive quizzes (a one-parameter, Rasch-style
+ * model). A student of ability θ answers a question of difficulty b correctly
+ * with probability 1 / (1 + e^-(θ - b)). Quiz difficulties sit at fixed points
+ * on the same scale, and partial credit (0 to 1) counts as a fractional answer.
+ */
+
+export const DIFFICULTY_LEVELS = {
+  easy: -1,
+  medium: 0,
+  hard: 1
+};
+
+const MAX_ABILITY = 4;
+const MAX_ITERATIONS = 25;
+
+/**
+ * Chance of a correct answer
+ * @param {number} ability - θ
+ * @param {number} difficulty - b
+ * @returns {number} - 0 to 1
+ */
+export const probabilityCorrect = (ability, difficulty) => 1 / (1 + Math.exp(-(ability - difficulty)));
+
+/**
+ * Ability matching a score on a quiz of a difficulty, used to turn earlier
+ * attempts into a starting estimate
+ * @param {number} share - Score from 0 to 1
+ * @param {string} difficulty - easy, medium or hard
+ * @returns {number} - θ
+ */
+export const abilityFromScore = (share, difficulty = 'medium') => {
+  const clamped = Math.min(0.9, Math.max(0.1, share));
+  return Math.log(clamped / (1 - clamped)) + (DIFFICULTY_LEVELS[difficulty] ?? 0);
+};
+
+/**
+ * Estimate ability from answers, starting from a prior. Newton's method on
+ * the posterior with a normal prior (the most likely ability given both).
+ * @param {Array} responses - { difficulty: easy|medium|hard, credit: 0 to 1 }
+ * @param {Object} prior - { ability, standardError }
+ * @returns {Object} - { ability, standardError }
+ */
+export const estimateAbility = (responses, prior = { ability: 0, standardError: 1 }) => {
+  const priorInformation = 1 / (prior.standardError ** 2);
+  let ability = prior.ability;
+  let information = priorInformation;
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    let gradient = -(ability - prior.ability) * priorInformation;
+    information = priorInformation;
+
+    responses.forEach(response => {
+      const p = probabilityCorrect(ability, DIFFICULTY_LEVELS[response.difficulty] ?? 0);
+      gradient += response.credit - p;
+      information += p * (1 - p);
+    });
+
+    const step = gradient / information;
+    ability = Math.min(MAX_ABILITY, Math.max(-MAX_ABILITY, ability + step));
+    if (Math.abs(step) < 0.001) break;
+  }
+
+  return { ability, standardError: 1 / Math.sqrt(information) };
+};
+
+/**
+ * Mastery: the chance of answering a medium question correctly, with a 95%
+ * range from the standard error
+ * @param {Object} estimate - { ability, standardError }
+ * @returns {Object} - { mastery, low, high }
+ */
+export const masteryRange = ({ ability, standardError }) => ({
+  mastery: probabilityCorrect(ability, DIFFICULTY_LEVELS.medium),
+  low: probabilityCorrect(ability - 1.96 * standardError, DIFFICULTY_LEVELS.medium),
+  high: probabilityCorrect(ability + 1.96 * standardError, DIFFICULTY_LEVELS.medium)
+});
+
+/**
+ * The difficulty that tells most about a student of this ability: the one
+ * closest to it, among those still available
+ * @param {number} ability - θ
+ * @param {Array} available - Difficulties with questions left
+ * @returns {string|null} - Difficulty, null if none
+ */
+export const nextDifficulty = (ability, available) => available
+  .filter(difficulty => DIFFICULTY_LEVELS[difficulty] !== undefined)
+  .sort((a, b) => Math.abs(DIFFICULTY_LEVELS[a] - ability) - Math.abs(DIFFICULTY_LEVELS[b] - ability))[0] || null;
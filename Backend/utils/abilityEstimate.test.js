@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  probabilityCorrect,
+  abilityFromScore,
+  estimateAbility,
+  masteryRange,
+  nextDifficulty
+} from './abilityEstimate.js';
+
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+test('a student at the difficulty of a question has even odds', () => {
+  assert.equal(probabilityCorrect(0, 0), 0.5);
+  assert.ok(probabilityCorrect(1, 0) > 0.5);
+  assert.ok(probabilityCorrect(-1, 1) < 0.5);
+});
+
+test('abilityFromScore inverts the model and clamps extreme scores', () => {
+  close(abilityFromScore(0.5, 'medium'), 0);
+  close(probabilityCorrect(abilityFromScore(0.75, 'hard'), 1), 0.75);
+  assert.equal(abilityFromScore(1, 'medium'), abilityFromScore(0.9, 'medium'));
+  assert.equal(abilityFromScore(0, 'easy'), abilityFromScore(0.1, 'easy'));
+});
+
+test('without answers the estimate is the prior', () => {
+  assert.deepEqual(estimateAbility([], { ability: 0.4, standardError: 0.8 }), { ability: 0.4, standardError: 0.8 });
+});
+
+test('right answers raise the estimate and wrong ones lower it', () => {
+  const right = estimateAbility([{ difficulty: 'medium', credit: 1 }, { difficulty: 'hard', credit: 1 }]);
+  const wrong = estimateAbility([{ difficulty: 'medium', credit: 0 }, { difficulty: 'easy', credit: 0 }]);
+
+  assert.ok(right.ability > 0);
+  assert.ok(wrong.ability < 0);
+  assert.ok(right.standardError < 1, 'answers add information');
+});
+
+test('the estimate is where the posterior gradient vanishes', () => {
+  const responses = [
+    { difficulty: 'easy', credit: 1 },
+    { difficulty: 'medium', credit: 0.5 },
+    { difficulty: 'hard', credit: 0 }
+  ];
+  const { ability } = estimateAbility(responses);
+  const gradient = -ability + responses.reduce((sum, response) =>
+    sum + response.credit - probabilityCorrect(ability, { easy: -1, medium: 0, hard: 1 }[response.difficulty]), 0);
+  close(gradient, 0, 1e-3);
+});
+
+test('more answers narrow the estimate', () => {
+  const few = estimateAbility(Array(3).fill({ difficulty: 'medium', credit: 1 }));
+  const many = estimateAbility(Array(30).fill({ difficulty: 'medium', credit: 1 }));
+  assert.ok(many.standardError < few.standardError);
+  assert.ok(many.ability <= 4, 'ability is bounded');
+});
+
+test('mastery is the chance on a medium question with a 95% range', () => {
+  const { mastery, low, high } = masteryRange({ ability: 0, standardError: 0.5 });
+  assert.equal(mastery, 0.5);
+  assert.ok(low < mastery && mastery < high);
+  close(low + high, 1);
+});
+
+test('the next difficulty is the closest one still available', () => {
+  assert.equal(nextDifficulty(0.8, ['easy', 'medium', 'hard']), 'hard');
+  assert.equal(nextDifficulty(-0.2, ['easy', 'medium', 'hard']), 'medium');
+  assert.equal(nextDifficulty(0.8, ['easy', 'medium']), 'medium');
+  assert.equal(nextDifficulty(0, ['impossible']), null);
+  assert.equal(nextDifficulty(0, []), null);
+});
@@ -0,0 +1,34 @@
+/**
+ * Map over items running at most `limit` async calls at once. After the first
+ * failure no new items are started; the calls already running settle before
+ * the error is rethrown, so callers can clean up once nothing uses their inputs
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (!failure && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure = failure || { error };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+
+  if (failure) {
+    throw failure.error;
+  }
+
+  return results;
+};
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency } from './concurrency.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('keeps results in input order and never exceeds the limit', async () => {
+  let running = 0;
+  let maxRunning = 0;
+
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await wait(delay);
+    running--;
+    return index * 10;
+  });
+
+  assert.deepEqual(results, [0, 10, 20, 30, 40]);
+  assert.equal(maxRunning, 2);
+});
+
+test('handles fewer items than the limit and no items at all', async () => {
+  assert.deepEqual(await mapWithConcurrency([1], 4, async item => item + 1), [2]);
+  assert.deepEqual(await mapWithConcurrency([], 4, async item => item), []);
+});
+
+test('starts no new items after a failure', async () => {
+  const started = [];
+
+  await assert.rejects(
+    mapWithConcurrency([0, 1, 2, 3, 4, 5], 2, async (item) => {
+      started.push(item);
+      await wait(5);
+      if (item === 1) {
+        throw new Error('segment 1 failed');
+      }
+      return item;
+    }),
+    /segment 1 failed/
+  );
+
+  // Items 0 and 1 run together; item 0's worker stops once it sees the failure
+  assert.ok(started.length <= 3, `started ${started.join(', ')}`);
+  assert.ok(!started.includes(5));
+});
+
+test('waits for running calls to settle before rethrowing', async () => {
+  let slowFinished = false;
+
+  await assert.rejects(
+    mapWithConcurrency(['fail', 'slow'], 2, async (item) => {
+      if (item === 'fail') {
+        throw new Error('fast failure');
+      }
+      await wait(30);
+      slowFinished = true;
+      return item;
+    }),
+    /fast failure/
+  );
+
+  assert.equal(slowFinished, true);
+});
+
+test('rethrows the first failure when several calls fail', async () => {
+  await assert.rejects(
+    mapWithConcurrency([30, 10], 2, async (delay) => {
+      await wait(delay);
+      throw new Error(`failed after ${delay}ms`);
+    }),
+    /failed after 10ms/
+  );
+});
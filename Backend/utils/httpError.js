@@ -0,0 +1,11 @@
+/**
+ * Create an error carrying the HTTP status the controller should answer with
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status
+ */
+export const createError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createError } from './httpError.js';
+
+test('createError carries the status and the message', () => {
+  const error = createError(409, 'Upload has already been used');
+  assert.ok(error instanceof Error);
+  assert.equal(error.status, 409);
+  assert.equal(error.message, 'Upload has already been used');
+});
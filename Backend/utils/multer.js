@@ -43,21 +43,25 @@ const storage = multer.diskStorage({
     cb(null, uploadPath);
   },
   filename: (req, file, cb) => {
-    // Sanitize filename and append timestamp
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext)
-      .replace(/[^a-zA-Z0-9.-]/g, '_') // Replace special chars with underscore
-      .substring(0, 50); // Limit length
-    
-    const timestamp = Date.now();
-    const randomSuffix = Math.random().toString(36).substring(2, 8);
-    
-    cb(null, `${name}-${timestamp}-${randomSuffix}${ext}`);
+    cb(null, generateStoredFilename(file.originalname));
   }
 });
 
-// Enhanced file filter with detailed validation
-const fileFilter = (req, file, cb) => {
+// Sanitize filename and append timestamp
+export const generateStoredFilename = (originalname) => {
+  const ext = path.extname(originalname);
+  const name = path.basename(originalname, ext)
+    .replace(/[^a-zA-Z0-9.-]/g, '_') // Replace special chars with underscore
+    .substring(0, 50); // Limit length
+  
+  const timestamp = Date.now();
+  const randomSuffix = Math.random().toString(36).substring(2, 8);
+  
+  return `${name}-${timestamp}-${randomSuffix}${ext}`;
+};
+
+// Check field name, MIME type and extension; returns an error message or null
+export const validateUploadMetadata = (fieldname, originalname, mimetype) => {
   const videoMimeTypes = [
     'video/mp4',
     'video/mpeg',
@@ -77,35 +81,41 @@ const fileFilter = (req, file, cb) => {
 
   const presentationExtensions = ['.ppt', '.pptx', '.pdf'];
 
-  const fileExt = path.extname(file.originalname).toLowerCase();
+  const fileExt = path.extname(originalname).toLowerCase();
   
-  if (file.fieldname === 'video') {
-    if (videoMimeTypes.includes(file.mimetype) && videoExtensions.includes(fileExt)) {
-      cb(null, true);
-    } else {
-      cb(new Error(`Invalid video file. Allowed formats: ${videoExtensions.join(', ')}`), false);
+  if (fieldname === 'video') {
+    if (videoMimeTypes.includes(mimetype) && videoExtensions.includes(fileExt)) {
+      return null;
     }
-  } else if (file.fieldname === 'ppt') {
-    if (presentationMimeTypes.includes(file.mimetype) && presentationExtensions.includes(fileExt)) {
-      cb(null, true);
-    } else {
-      cb(new Error(`Invalid presentation file. Allowed formats: ${presentationExtensions.join(', ')}`), false);
+    return `Invalid video file. Allowed formats: ${videoExtensions.join(', ')}`;
+  } else if (fieldname === 'ppt') {
+    if (presentationMimeTypes.includes(mimetype) && presentationExtensions.includes(fileExt)) {
+      return null;
     }
+    return `Invalid presentation file. Allowed formats: ${presentationExtensions.join(', ')}`;
+  }
+  return 'Unexpected field name';
+};
+
+// Enhanced file filter with detailed validation
+const fileFilter = (req, file, cb) => {
+  const error = validateUploadMetadata(file.fieldname, file.originalname, file.mimetype);
+  
+  if (error) {
+    cb(new Error(error), false);
   } else {
-    cb(new Error('Unexpected field name'), false);
+    cb(null, true);
   }
 };
 
 // File size limits by type
-const limits = {
-  fileSize: (req, file) => {
-    if (file.fieldname === 'video') {
-      return 5 * 1024 * 1024 * 1024; // 5GB for videos
-    } else if (file.fieldname === 'ppt') {
-      return 100 * 1024 * 1024; // 100MB for presentations
-    }
-    return 10 * 1024 * 1024; // 10MB default
+export const getMaxFileSize = (fieldname) => {
+  if (fieldname === 'video') {
+    return 5 * 1024 * 1024 * 1024; // 5GB for videos
+  } else if (fieldname === 'ppt') {
+    return 100 * 1024 * 1024; // 100MB for presentations
   }
+  return 10 * 1024 * 1024; // 10MB default
 };
 
 const upload = multer({
@@ -127,15 +137,7 @@ export const validateFileSize = (req, res, next) => {
       const files = req.files[fieldname];
       
       for (const file of files) {
-        let maxSize;
-        
-        if (fieldname === 'video') {
-          maxSize = 5 * 1024 * 1024 * 1024; // 5GB
-        } else if (fieldname === 'ppt') {
-          maxSize = 100 * 1024 * 1024; // 100MB
-        } else {
-          maxSize = 10 * 1024 * 1024; // 10MB
-        }
+        const maxSize = getMaxFileSize(fieldname);
         
         if (file.size > maxSize) {
           return res.status(400).json({
@@ -160,7 +162,7 @@ export const validateFileContent = async (req, res, next) => {
       const files = req.files[fieldname];
       
       for (const file of files) {
-        const buffer = await fs.readFile(file.path);
+        const buffer = await readFileHeader(file.path);
         const isValid = await validateFileSignature(buffer, file.mimetype, fieldname);
         
         if (!isValid) {
@@ -181,6 +183,18 @@ export const validateFileContent = async (req, res, next) => {
   }
 };
 
+// Read only the leading bytes needed for signature checks
+const readFileHeader = async (filePath, length = 16) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
 // Validate file signature (magic numbers)
 const validateFileSignature = async (buffer, mimetype, fieldname) => {
   if (buffer.length < 4) return false;
@@ -0,0 +1,66 @@
+/**
+ * What each account role may do. Routes ask for a permission with
+ * authorize(permission) instead of naming roles. Course roles (course teachers
+ * and TAs) are checked by the services against the course itself, on top of
+ * these: a student who assists a course still grades and reports on it.
+ *
+ *   lectures:read     open lectures, their transcripts, captions and chat
+ *   lectures:upload   upload lectures
+ *   lectures:manage   reprocess, correct, move or delete lectures (their own) and
+ *                     regenerate their summaries
+ *   quizzes:take      generate, take and review quizzes, adaptive quizzes and exams
+ *   quizzes:edit      write and edit quizzes
+ *   exams:manage      turn quizzes into exams and change their settings
+ *   questionBank:use  keep a question bank
+ *   courses:create    create courses
+ *   reports:view      see reports (scoped to what the user may see)
+ *   reports:users     see other users' performance reports
+ *   etl:manage        see and trigger the reports ETL
+ *   roles:approve     approve or reject requests for elevated roles
+ */
+
+const STUDENT_PERMISSIONS = [
+  'lectures:read',
+  'quizzes:take',
+  'reports:view'
+];
+
+const TEACHER_PERMISSIONS = [
+  ...STUDENT_PERMISSIONS,
+  'lectures:upload',
+  'lectures:manage',
+  'quizzes:edit',
+  'exams:manage',
+  'questionBank:use',
+  'courses:create',
+  'reports:users'
+];
+
+export const ROLE_PERMISSIONS = {
+  student: STUDENT_PERMISSIONS,
+  teacher: TEACHER_PERMISSIONS,
+  admin: ['*']
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles an account only gets once an admin approves the request
+export const ELEVATED_ROLES = ['teacher', 'admin'];
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role - Account role
+ * @param {string} permission - Permission
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * Permissions a role grants, for clients deciding what to show
+ * @param {string} role - Account role
+ * @returns {Array} - Permissions; '*' stands for all
+ */
+export const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
@@ -1,3 +1,5 @@
+import { scoreAnswer } from '../services/quizTypes.js';
+
 // Helper functions for quiz performance and analysis
 const generateCustomMessage = (performance, improvement) => {
   let message = '';
@@ -55,7 +57,7 @@ const analyzeQuestionsByTopic = (questions, answers) => {
       };
     }
     
-    const isCorrect = answers[index] === question.correct;
+    const isCorrect = scoreAnswer(question, answers?.[index]) === 1;
     topicAnalysis[topic].total++;
     topicAnalysis[topic][isCorrect ? 'correct' : 'incorrect']++;
     topicAnalysis[topic].questions.push({
@@ -0,0 +1,60 @@
+/**
+ * SM-2 spaced repetition scheduling. Grades run from 0 (no recall) to
+ * 5 (perfect recall); anything below 3 is a lapse and the card starts over.
+ */
+
+export const MIN_EASE_FACTOR = 1.3;
+export const DEFAULT_EASE_FACTOR = 2.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Review state of a card that has never been reviewed
+ * @returns {Object} - { easeFactor, intervalDays, repetitions, lapses }
+ */
+export const initialReviewState = () => ({
+  easeFactor: DEFAULT_EASE_FACTOR,
+  intervalDays: 0,
+  repetitions: 0,
+  lapses: 0
+});
+
+/**
+ * Schedule the next review of a card after it is graded
+ * @param {Object} state - { easeFactor, intervalDays, repetitions, lapses }
+ * @param {number} grade - Recall quality, 0 to 5
+ * @param {Date} now - Review time
+ * @returns {Object} - New state with dueAt
+ */
+export const scheduleReview = (state, grade, now = new Date()) => {
+  const previous = { ...initialReviewState(), ...state };
+  let { repetitions, intervalDays, lapses } = previous;
+
+  if (grade < 3) {
+    repetitions = 0;
+    intervalDays = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      intervalDays = 1;
+    } else if (repetitions === 2) {
+      intervalDays = 6;
+    } else {
+      intervalDays = Math.round(intervalDays * previous.easeFactor);
+    }
+  }
+
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    previous.easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+  );
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    intervalDays,
+    repetitions,
+    lapses,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS)
+  };
+};
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initialReviewState, scheduleReview, MIN_EASE_FACTOR, DEFAULT_EASE_FACTOR } from './spacedRepetition.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-01-01T09:00:00Z');
+
+test('new cards start unreviewed with the default ease', () => {
+  assert.deepEqual(initialReviewState(), { easeFactor: DEFAULT_EASE_FACTOR, intervalDays: 0, repetitions: 0, lapses: 0 });
+});
+
+test('successful reviews go 1 day, 6 days, then interval times ease', () => {
+  const first = scheduleReview(initialReviewState(), 4, now);
+  assert.equal(first.intervalDays, 1);
+  assert.equal(first.repetitions, 1);
+  assert.equal(first.dueAt.getTime(), now.getTime() + DAY_MS);
+
+  const second = scheduleReview(first, 4, now);
+  assert.equal(second.intervalDays, 6);
+
+  const third = scheduleReview(second, 4, now);
+  assert.equal(third.intervalDays, Math.round(6 * second.easeFactor));
+  assert.equal(third.repetitions, 3);
+});
+
+test('grade 4 keeps the ease, 5 raises it and 3 lowers it', () => {
+  assert.equal(scheduleReview(initialReviewState(), 4, now).easeFactor, 2.5);
+  assert.equal(scheduleReview(initialReviewState(), 5, now).easeFactor, 2.6);
+  assert.equal(scheduleReview(initialReviewState(), 3, now).easeFactor, 2.36);
+});
+
+test('a lapse restarts the card and counts against it', () => {
+  const learned = { easeFactor: 2.5, intervalDays: 15, repetitions: 3, lapses: 0 };
+  const lapsed = scheduleReview(learned, 1, now);
+
+  assert.equal(lapsed.repetitions, 0);
+  assert.equal(lapsed.intervalDays, 1);
+  assert.equal(lapsed.lapses, 1);
+  assert.equal(lapsed.easeFactor, 1.96);
+});
+
+test('the ease never drops below the minimum', () => {
+  let state = initialReviewState();
+  for (let i = 0; i < 10; i++) {
+    state = scheduleReview(state, 0, now);
+  }
+  assert.equal(state.easeFactor, MIN_EASE_FACTOR);
+  assert.equal(state.lapses, 10);
+});
+
+test('missing state fields take their defaults', () => {
+  const state = scheduleReview({ repetitions: 1, intervalDays: 1 }, 4, now);
+  assert.equal(state.intervalDays, 6);
+  assert.equal(state.lapses, 0);
+  assert.equal(state.easeFactor, 2.5);
+});
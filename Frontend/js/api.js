@@ -41,8 +41,8 @@ class ApiService {
         const url = `${this.baseURL}${endpoint}`;
         const config = {
             method: 'GET',
-            headers: this.getHeaders(options.includeAuth !== false, options.headers),
-            ...options
+            ...options,
+            headers: this.getHeaders(options.includeAuth !== false, options.headers)
         };
 
         // Remove custom options that shouldn't be passed to fetch
@@ -111,6 +111,7 @@ class ApiService {
         
         if (response.token) {
             this.setAuthToken(response.token);
+            response.user = { ...response.user, permissions: response.permissions || [] };
             Utils.storage.set(CONFIG.STORAGE_KEYS.USER_DATA, response.user);
         }
         
@@ -141,6 +142,30 @@ class ApiService {
         return await this.request(endpoint);
     }
 
+    // Course methods
+    async getCourses() {
+        return await this.request(CONFIG.ENDPOINTS.COURSES.BASE);
+    }
+
+    async joinCourse(code) {
+        return await this.request(CONFIG.ENDPOINTS.COURSES.JOIN, {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+    }
+
+    async getLearningPath(courseId) {
+        return await this.request(CONFIG.ENDPOINTS.COURSES.PATH(courseId));
+    }
+
+    // Analytics events
+    async logEvent(lectureId, eventType, details = {}) {
+        return await this.request(CONFIG.ENDPOINTS.EVENTS, {
+            method: 'POST',
+            body: JSON.stringify({ lecture_id: lectureId, event_type: eventType, details })
+        });
+    }
+
     async getLectureById(id) {
         return await this.request(CONFIG.ENDPOINTS.LECTURES.GET_BY_ID(id));
     }
@@ -191,6 +216,140 @@ class ApiService {
         });
     }
 
+    // Upload a lecture in checksummed chunks, resuming any earlier attempt
+    async uploadLectureChunked(lectureData, videoFile, pptFile = null, onProgress = null) {
+        const files = [{ fieldName: 'video', file: videoFile }];
+        if (pptFile) {
+            files.push({ fieldName: 'ppt', file: pptFile });
+        }
+
+        const totalBytes = files.reduce((sum, { file }) => sum + file.size, 0);
+        let uploadedBytes = 0;
+        const reportProgress = (bytes) => {
+            uploadedBytes += bytes;
+            if (onProgress) {
+                onProgress(Math.min((uploadedBytes / totalBytes) * 100, 100));
+            }
+        };
+
+        const uploadIds = {};
+        for (const { fieldName, file } of files) {
+            uploadIds[fieldName] = await this.uploadFileInChunks(fieldName, file, reportProgress);
+        }
+
+        const response = await this.request(CONFIG.ENDPOINTS.UPLOADS.COMPLETE, {
+            method: 'POST',
+            body: JSON.stringify({
+                title: lectureData.title,
+                description: lectureData.description,
+                course_id: lectureData.courseId || null,
+                videoUploadId: uploadIds.video,
+                pptUploadId: uploadIds.ppt
+            })
+        });
+
+        for (const { file } of files) {
+            this.forgetUploadSession(file);
+        }
+
+        return response;
+    }
+
+    // Upload the chunks of one file the server has not received yet
+    async uploadFileInChunks(fieldName, file, reportProgress) {
+        const session = await this.getOrCreateUploadSession(fieldName, file);
+        const received = new Set(session.receivedChunks);
+
+        for (let index = 0; index < session.totalChunks; index++) {
+            const start = index * session.chunkSize;
+            const chunk = file.slice(start, Math.min(start + session.chunkSize, file.size));
+
+            if (!received.has(index)) {
+                await this.uploadChunkWithRetry(session.uploadId, index, chunk);
+            }
+            reportProgress(chunk.size);
+        }
+
+        return session.uploadId;
+    }
+
+    // Resume a stored upload session for this file, or start a new one
+    async getOrCreateUploadSession(fieldName, file) {
+        const sessions = Utils.storage.get(CONFIG.STORAGE_KEYS.UPLOAD_SESSIONS, {});
+        const storedId = sessions[this.getFileFingerprint(file)];
+
+        if (storedId) {
+            try {
+                const response = await this.request(CONFIG.ENDPOINTS.UPLOADS.STATUS(storedId));
+                if (response.upload.status === 'uploading') {
+                    CONFIG.log(`Resuming upload ${storedId} (${response.upload.receivedChunks.length}/${response.upload.totalChunks} chunks)`);
+                    return response.upload;
+                }
+            } catch (error) {
+                CONFIG.log('Stored upload session is no longer available, starting a new one');
+            }
+        }
+
+        const response = await this.request(CONFIG.ENDPOINTS.UPLOADS.INIT, {
+            method: 'POST',
+            body: JSON.stringify({
+                fieldName,
+                fileName: file.name,
+                mimeType: file.type,
+                totalSize: file.size,
+                chunkSize: CONFIG.UPLOAD.CHUNK_SIZE
+            })
+        });
+
+        sessions[this.getFileFingerprint(file)] = response.upload.uploadId;
+        Utils.storage.set(CONFIG.STORAGE_KEYS.UPLOAD_SESSIONS, sessions);
+
+        return response.upload;
+    }
+
+    // Send one chunk with its SHA-256, retrying on failure
+    async uploadChunkWithRetry(uploadId, index, chunk) {
+        const checksum = await this.sha256Hex(chunk);
+        const { CHUNK_RETRY_ATTEMPTS, CHUNK_RETRY_DELAY } = CONFIG.UPLOAD;
+
+        for (let attempt = 1; attempt <= CHUNK_RETRY_ATTEMPTS; attempt++) {
+            try {
+                return await this.request(CONFIG.ENDPOINTS.UPLOADS.CHUNK(uploadId, index), {
+                    method: 'PUT',
+                    body: chunk,
+                    headers: {
+                        'Content-Type': 'application/octet-stream',
+                        'X-Chunk-Checksum': checksum
+                    }
+                });
+            } catch (error) {
+                if (attempt === CHUNK_RETRY_ATTEMPTS) {
+                    throw error;
+                }
+                CONFIG.logError(`Chunk ${index} failed (attempt ${attempt}), retrying:`, error);
+                await new Promise(resolve => setTimeout(resolve, CHUNK_RETRY_DELAY * attempt));
+            }
+        }
+    }
+
+    async sha256Hex(blob) {
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Identify a local file across page reloads
+    getFileFingerprint(file) {
+        return `${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    forgetUploadSession(file) {
+        const sessions = Utils.storage.get(CONFIG.STORAGE_KEYS.UPLOAD_SESSIONS, {});
+        delete sessions[this.getFileFingerprint(file)];
+        Utils.storage.set(CONFIG.STORAGE_KEYS.UPLOAD_SESSIONS, sessions);
+    }
+
     async getLectureSummary(id, params = {}) {
         const queryString = new URLSearchParams(params).toString();
         const endpoint = queryString ? 
@@ -200,6 +359,59 @@ class ApiService {
         return await this.request(endpoint);
     }
 
+    async getSummaryStyles() {
+        return await this.request(CONFIG.ENDPOINTS.SUMMARIES.STYLES);
+    }
+
+    async getTranscript(id) {
+        return await this.request(CONFIG.ENDPOINTS.LECTURES.TRANSCRIPT(id));
+    }
+
+    // edits: [{ id, text?, speaker?, version? }]
+    async updateTranscript(id, edits) {
+        return await this.request(CONFIG.ENDPOINTS.LECTURES.TRANSCRIPT(id), {
+            method: 'PATCH',
+            body: JSON.stringify({ segments: edits })
+        });
+    }
+
+    async getTranscriptHistory(id, segmentId = null) {
+        const endpoint = CONFIG.ENDPOINTS.LECTURES.TRANSCRIPT_HISTORY(id);
+        return await this.request(segmentId ? `${endpoint}?segmentId=${segmentId}` : endpoint);
+    }
+
+    // Returns the file contents (text for vtt/srt/txt, an object for json)
+    async exportTranscript(id, format = 'vtt') {
+        return await this.request(CONFIG.ENDPOINTS.LECTURES.TRANSCRIPT_EXPORT(id, format));
+    }
+
+    async getCaptionTracks(id) {
+        return await this.request(CONFIG.ENDPOINTS.LECTURES.CAPTIONS(id));
+    }
+
+    // Returns the WebVTT text of one caption track
+    async getCaptionTrack(id, lang) {
+        return await this.request(CONFIG.ENDPOINTS.LECTURES.CAPTION_TRACK(id, lang));
+    }
+
+    // Returns { turn: { id, question, answer, citations, created_at } }
+    async askLecture(id, question) {
+        return await this.request(CONFIG.ENDPOINTS.LECTURES.ASK(id), {
+            method: 'POST',
+            body: JSON.stringify({ question })
+        });
+    }
+
+    async getAskHistory(id) {
+        return await this.request(CONFIG.ENDPOINTS.LECTURES.ASK_HISTORY(id));
+    }
+
+    async clearAskHistory(id) {
+        return await this.request(CONFIG.ENDPOINTS.LECTURES.ASK_HISTORY(id), {
+            method: 'DELETE'
+        });
+    }
+
     async getLectureQuiz(id, params = {}) {
         // Use POST method to generate quiz via quiz controller
         return await this.request(CONFIG.ENDPOINTS.QUIZZES.GENERATE(id), {
@@ -215,6 +427,42 @@ class ApiService {
         });
     }
 
+    async startAdaptiveQuiz(params) {
+        return await this.request(CONFIG.ENDPOINTS.QUIZZES.ADAPTIVE, {
+            method: 'POST',
+            body: JSON.stringify(params)
+        });
+    }
+
+    async getAdaptiveQuiz(sessionId) {
+        return await this.request(CONFIG.ENDPOINTS.QUIZZES.ADAPTIVE_SESSION(sessionId));
+    }
+
+    async answerAdaptiveQuiz(sessionId, answer) {
+        return await this.request(CONFIG.ENDPOINTS.QUIZZES.ADAPTIVE_ANSWER(sessionId), {
+            method: 'POST',
+            body: JSON.stringify({ answer })
+        });
+    }
+
+    async listExams(lectureId) {
+        const queryString = new URLSearchParams({ lectureId }).toString();
+        return await this.request(`${CONFIG.ENDPOINTS.QUIZZES.EXAMS}?${queryString}`);
+    }
+
+    async startExam(quizId) {
+        return await this.request(CONFIG.ENDPOINTS.QUIZZES.EXAM_START(quizId), {
+            method: 'POST'
+        });
+    }
+
+    async submitExam(sessionId, submission) {
+        return await this.request(CONFIG.ENDPOINTS.QUIZZES.EXAM_SUBMIT(sessionId), {
+            method: 'POST',
+            body: JSON.stringify(submission)
+        });
+    }
+
     async getQuizAttempts(quizId) {
         return await this.request(CONFIG.ENDPOINTS.QUIZZES.GET_ATTEMPTS(quizId));
     }
@@ -227,6 +475,13 @@ class ApiService {
         return await this.request(CONFIG.ENDPOINTS.LECTURES.STATUS(id));
     }
 
+    // Open a Server-Sent Events stream of processing progress
+    // (EventSource cannot set headers, so the token goes in the query string)
+    openProcessingEvents(id) {
+        const token = encodeURIComponent(this.getAuthToken() || '');
+        return new EventSource(`${this.baseURL}${CONFIG.ENDPOINTS.LECTURES.EVENTS(id)}?token=${token}`);
+    }
+
     async reprocessLecture(id, options = {}) {
         return await this.request(CONFIG.ENDPOINTS.LECTURES.REPROCESS(id), {
             method: 'POST',
@@ -303,17 +558,51 @@ class ApiService {
         return await Promise.allSettled(promises);
     }
 
-    // Search and filtering
+    // Search transcripts, slides and summaries
+    // filters: { lectureId, sources, lang, page, limit }
     async searchLectures(query, filters = {}) {
-        const params = {
-            search: query,
-            ...filters
-        };
-        
-        return await this.getLectures(params);
+        const queryString = new URLSearchParams({ q: query, ...filters }).toString();
+        return await this.request(`${CONFIG.ENDPOINTS.SEARCH}?${queryString}`);
+    }
+
+    // Flashcards
+    async getFlashcardDecks() {
+        return await this.request(CONFIG.ENDPOINTS.FLASHCARDS.BASE);
+    }
+
+    // params: { lectureId, limit }
+    async getFlashcardReviewQueue(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        const endpoint = queryString ?
+            `${CONFIG.ENDPOINTS.FLASHCARDS.REVIEW}?${queryString}` :
+            CONFIG.ENDPOINTS.FLASHCARDS.REVIEW;
+
+        return await this.request(endpoint);
+    }
+
+    async getFlashcardDeck(lectureId) {
+        return await this.request(CONFIG.ENDPOINTS.FLASHCARDS.DECK(lectureId));
+    }
+
+    async generateFlashcards(lectureId, lang = 'en') {
+        return await this.request(CONFIG.ENDPOINTS.FLASHCARDS.GENERATE(lectureId), {
+            method: 'POST',
+            body: JSON.stringify({ lang })
+        });
+    }
+
+    async reviewFlashcard(cardId, grade) {
+        return await this.request(CONFIG.ENDPOINTS.FLASHCARDS.REVIEW_CARD(cardId), {
+            method: 'POST',
+            body: JSON.stringify({ grade })
+        });
     }
 
     // Statistics and reports
+    async getDashboardSummary(period = 7) {
+        return await this.request(`${CONFIG.ENDPOINTS.REPORTS}/dashboard?period=${period}`);
+    }
+
     async getUserStats() {
         return await this.request('/reports/user-stats');
     }
@@ -171,15 +171,17 @@ class AuthManager {
             // Show loading state
             this.setButtonLoading(submitBtn, true);
             
-            // Attempt signup
-            await API.signup({
+            // Attempt signup; teacher accounts start as students until an admin approves them
+            const requestTeacher = form.querySelector('#request-teacher')?.checked;
+            const response = await API.signup({
                 name: formData.name,
                 email: formData.email,
-                password: formData.password
+                password: formData.password,
+                ...(requestTeacher ? { role: 'teacher' } : {})
             });
 
             // Show success message and switch to login
-            UI.showToast('success', 'Account Created', CONFIG.SUCCESS.SIGNUP);
+            UI.showToast('success', 'Account Created', response.roleRequest ? CONFIG.SUCCESS.SIGNUP_TEACHER : CONFIG.SUCCESS.SIGNUP);
             UI.closeModal('signup-modal');
             
             // Pre-fill login form
@@ -250,11 +252,13 @@ class AuthManager {
                 }
             }
             
-            // Show authenticated nav links
+            // Show authenticated nav links; uploading needs the teacher role
             navLinks.forEach(link => {
                 const href = link.getAttribute('href');
-                if (href === '#dashboard' || href === '#upload' || href === '#profile') {
+                if (href === '#dashboard' || href === '#profile') {
                     link.style.display = 'block';
+                } else if (href === '#upload') {
+                    link.style.display = this.hasPermission('lectures:upload') ? 'block' : 'none';
                 }
             });
             
@@ -321,6 +325,14 @@ class AuthManager {
         return this.currentUser;
     }
 
+    // Whether the user's role grants a permission; users stored before
+    // permissions were sent keep everything, the server still checks
+    hasPermission(permission) {
+        const permissions = this.currentUser?.permissions;
+        if (!permissions) return true;
+        return permissions.includes('*') || permissions.includes(permission);
+    }
+
     // Check if user is authenticated
     isUserAuthenticated() {
         return this.isAuthenticated;
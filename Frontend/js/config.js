@@ -16,19 +16,57 @@ const CONFIG = {
             GET_BY_ID: (id) => `/lectures/${id}`,
             SUMMARY: (id) => `/lectures/${id}/summary`,
             QUIZ: (id) => `/lectures/${id}/quiz`,
+            TRANSCRIPT: (id) => `/lectures/${id}/transcript`,
+            TRANSCRIPT_HISTORY: (id) => `/lectures/${id}/transcript/history`,
+            TRANSCRIPT_EXPORT: (id, format) => `/lectures/${id}/transcript/export?format=${format}`,
+            CAPTIONS: (id) => `/lectures/${id}/captions`,
+            CAPTION_TRACK: (id, lang) => `/lectures/${id}/captions/${lang}`,
+            ASK: (id) => `/lectures/${id}/ask`,
+            ASK_HISTORY: (id) => `/lectures/${id}/ask/history`,
             STATUS: (id) => `/lectures/${id}/status`,
+            EVENTS: (id) => `/lectures/${id}/events`,
             REPROCESS: (id) => `/lectures/${id}/reprocess`,
             DELETE: (id) => `/lectures/${id}`
         },
-        SUMMARIES: '/summaries',
+        UPLOADS: {
+            INIT: '/lectures/uploads',
+            STATUS: (uploadId) => `/lectures/uploads/${uploadId}`,
+            CHUNK: (uploadId, index) => `/lectures/uploads/${uploadId}/chunks/${index}`,
+            COMPLETE: '/lectures/uploads/complete'
+        },
+        SUMMARIES: {
+            BASE: '/summaries',
+            STYLES: '/summaries/styles'
+        },
         QUIZZES: {
             BASE: '/quizzes',
             GENERATE: (id) => `/quizzes/${id}/generate`,
             SUBMIT: '/quizzes/submit',
             GET_ATTEMPTS: (quizId) => `/quizzes/${quizId}/attempts`,
-            GET_PERFORMANCE: (lectureId) => `/quizzes/performance/${lectureId}`
+            GET_PERFORMANCE: (lectureId) => `/quizzes/performance/${lectureId}`,
+            ADAPTIVE: '/quizzes/adaptive',
+            ADAPTIVE_SESSION: (sessionId) => `/quizzes/adaptive/${sessionId}`,
+            ADAPTIVE_ANSWER: (sessionId) => `/quizzes/adaptive/${sessionId}/answers`,
+            EXAMS: '/quizzes/exams',
+            EXAM_START: (quizId) => `/quizzes/${quizId}/exam/start`,
+            EXAM_SUBMIT: (sessionId) => `/quizzes/exams/sessions/${sessionId}/submit`
+        },
+        FLASHCARDS: {
+            BASE: '/flashcards',
+            REVIEW: '/flashcards/review',
+            DECK: (lectureId) => `/flashcards/lectures/${lectureId}`,
+            GENERATE: (lectureId) => `/flashcards/lectures/${lectureId}/generate`,
+            REVIEW_CARD: (cardId) => `/flashcards/cards/${cardId}/review`
         },
+        COURSES: {
+            BASE: '/courses',
+            JOIN: '/courses/join',
+            GET_BY_ID: (courseId) => `/courses/${courseId}`,
+            PATH: (courseId) => `/courses/${courseId}/path`
+        },
+        EVENTS: '/xapi',
         REPORTS: '/reports',
+        SEARCH: '/search',
         HEALTH: '/health'
     },
     
@@ -42,7 +80,28 @@ const CONFIG = {
             'application/vnd.openxmlformats-officedocument.presentationml.presentation',
             'application/pdf'
         ],
-        CHUNK_SIZE: 1024 * 1024 // 1MB chunks for large file uploads
+        CHUNK_SIZE: 1024 * 1024, // 1MB chunks for large file uploads
+        CHUNK_RETRY_ATTEMPTS: 5,
+        CHUNK_RETRY_DELAY: 2000 // ms, multiplied by the attempt number
+    },
+    
+    // Processing Progress Stream
+    PROCESSING_EVENTS: {
+        RECONNECT_DELAY: 3000,
+        MAX_RECONNECT_ATTEMPTS: 10,
+        STAGE_LABELS: {
+            extract_audio: 'Extracting audio',
+            transcribe: 'Transcribing audio',
+            ppt: 'Reading slides',
+            summary: 'Generating summary',
+            quiz: 'Generating quiz'
+        }
+    },
+    
+    // Lecture watch progress, reported for learning paths
+    WATCH_PROGRESS: {
+        REPORT_INTERVAL: 30000, // ms between reports while the video plays
+        MIN_CHANGE: 1 // percentage points worth reporting
     },
     
     // UI Configuration
@@ -70,7 +129,9 @@ const CONFIG = {
         USER_DATA: 'learningapp_user_data',
         THEME: 'learningapp_theme',
         LANGUAGE: 'learningapp_language',
-        REMEMBER_ME: 'learningapp_remember_me'
+        REMEMBER_ME: 'learningapp_remember_me',
+        UPLOAD_SESSIONS: 'learningapp_upload_sessions',
+        CAPTION_LANGUAGE: 'learningapp_caption_language'
     },
     
     // Default Values
@@ -98,6 +159,7 @@ const CONFIG = {
     SUCCESS: {
         LOGIN: 'Welcome back! You have been logged in successfully.',
         SIGNUP: 'Account created successfully! Please log in.',
+        SIGNUP_TEACHER: 'Account created! Teacher access is waiting for an admin\'s approval; until then you can use the app as a student.',
         LOGOUT: 'You have been logged out successfully.',
         UPLOAD: 'Lecture uploaded successfully!',
         DELETE: 'Lecture deleted successfully.',
@@ -116,14 +178,36 @@ const CONFIG = {
     // Quiz Configuration
     QUIZ: {
         DIFFICULTIES: ['easy', 'medium', 'hard'],
-        QUESTION_TYPES: ['multiple_choice', 'true_false', 'short_answer'],
+        // Question types requested for generated quizzes (see Backend services/quizTypes.js)
+        QUESTION_TYPES: ['mcq', 'true_false', 'multi_select', 'fill_blank', 'ordering', 'matching', 'short_answer'],
+        TYPE_HINTS: {
+            true_false: 'True or false',
+            multi_select: 'Select all that apply',
+            fill_blank: 'Fill in the blank',
+            ordering: 'Put in order',
+            matching: 'Match each item',
+            short_answer: 'Short answer'
+        },
         DEFAULT_QUESTION_COUNT: 10,
+        // Longer pauses between answers count as this many seconds toward a question's time
+        MAX_QUESTION_PAUSE_SECONDS: 300,
         MAX_QUESTION_COUNT: 50
     },
     
+    // Flashcard review grades (SM-2, 0 to 5)
+    FLASHCARDS: {
+        GRADES: [
+            { grade: 1, label: 'Again', className: 'btn-error' },
+            { grade: 3, label: 'Hard', className: 'btn-outline' },
+            { grade: 4, label: 'Good', className: 'btn-primary' },
+            { grade: 5, label: 'Easy', className: 'btn-success' }
+        ]
+    },
+    
     // Summary Configuration
     SUMMARY: {
-        STYLES: ['brief', 'detailed', 'bullet_points'],
+        // Fallback when GET /summaries/styles is unreachable; the server registry is authoritative
+        STYLES: ['concise', 'detailed', 'exam-prep', 'cornell', 'glossary', 'mind-map', 'outline'],
         LANGUAGES: ['en', 'es', 'fr', 'de'],
         MAX_LENGTH: 5000
     },
@@ -0,0 +1,270 @@
+// Flashcards Module
+class FlashcardsManager {
+    constructor() {
+        this.queue = [];
+        this.reviewIndex = 0;
+        this.reviewed = 0;
+
+        this.init();
+    }
+
+    // Initialize flashcards manager
+    init() {
+        this.setupEventListeners();
+    }
+
+    // Setup event listeners
+    setupEventListeners() {
+        Utils.on('#flashcards-review-all-btn', 'click', () => this.startReview());
+        Utils.on('#flashcard-show-btn', 'click', this.showAnswer.bind(this));
+        Utils.on('#flashcard-end-btn', 'click', this.endReview.bind(this));
+
+        // Generate a deck from the open lecture
+        Utils.on('#generate-flashcards-btn', 'click', this.generateForCurrentLecture.bind(this));
+
+        // Space flips the card, 1-4 grade it
+        Utils.on(document, 'keydown', this.handleKeydown.bind(this));
+    }
+
+    // Update the dashboard's "due today" count
+    async loadDueCount() {
+        const dueElement = Utils.$('#flashcards-due');
+        if (!dueElement) return;
+
+        try {
+            const response = await API.getDashboardSummary();
+            dueElement.textContent = response.data?.flashcards?.dueToday ?? 0;
+        } catch (error) {
+            CONFIG.logError('Failed to load flashcard due count:', error);
+        }
+    }
+
+    // Load decks with due and new counts
+    async loadDecks() {
+        const decksContainer = Utils.$('#flashcard-decks');
+        if (!decksContainer) return;
+
+        try {
+            const response = await API.getFlashcardDecks();
+            this.renderSummary(response.summary);
+            this.renderDecks(response.decks);
+        } catch (error) {
+            CONFIG.logError('Failed to load flashcard decks:', error);
+            UI.showToast('error', 'Load Failed', error.message);
+        }
+    }
+
+    // Show today's workload
+    renderSummary(summary) {
+        const summaryElement = Utils.$('#flashcards-summary');
+        if (!summaryElement || !summary) return;
+
+        summaryElement.textContent = `${summary.dueToday} due today · ${summary.newCards} new · ${summary.reviewedToday} reviewed today`;
+
+        const dueElement = Utils.$('#flashcards-due');
+        if (dueElement) {
+            dueElement.textContent = summary.dueToday;
+        }
+    }
+
+    // Render the deck list
+    renderDecks(decks) {
+        const decksContainer = Utils.$('#flashcard-decks');
+
+        if (decks.length === 0) {
+            decksContainer.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-layer-group"></i>
+                    <h3>No flashcards yet</h3>
+                    <p>Open a lecture and click Flashcards to make a deck from it</p>
+                </div>
+            `;
+            return;
+        }
+
+        decksContainer.innerHTML = decks.map(deck => `
+            <div class="flashcard-deck">
+                <div class="flashcard-deck-info">
+                    <h4>${Utils.escapeHtml(deck.lectureTitle)}</h4>
+                    <p>${deck.totalCards} cards · <strong>${deck.dueCards} due</strong> · ${deck.newCards} new</p>
+                </div>
+                <button class="btn btn-outline btn-sm" data-lecture-id="${deck.lectureId}" ${deck.dueCards + deck.newCards === 0 ? 'disabled' : ''}>
+                    Study
+                </button>
+            </div>
+        `).join('');
+
+        decksContainer.querySelectorAll('[data-lecture-id]').forEach(button => {
+            Utils.on(button, 'click', () => this.startReview(parseInt(button.getAttribute('data-lecture-id'))));
+        });
+    }
+
+    // Generate the open lecture's deck and start studying it
+    async generateForCurrentLecture() {
+        const lecture = Lectures.getCurrentLecture();
+        if (!lecture) {
+            UI.showToast('error', 'No Lecture Selected', 'Please select a lecture first.');
+            return;
+        }
+
+        const button = Utils.$('#generate-flashcards-btn');
+        Lectures.setButtonLoading(button, true);
+
+        try {
+            const response = await API.generateFlashcards(lecture.id);
+            UI.showToast('success', 'Flashcards Ready', `${response.deck.cards.length} cards made from this lecture.`);
+
+            closeModal('lecture-modal');
+            UI.showSection('flashcards');
+            await this.startReview(lecture.id);
+        } catch (error) {
+            CONFIG.logError('Failed to generate flashcards:', error);
+            UI.showToast('error', 'Generation Failed', error.message);
+        } finally {
+            Lectures.setButtonLoading(button, false);
+        }
+    }
+
+    // Start a session with due cards, then new ones
+    async startReview(lectureId = null) {
+        try {
+            const params = lectureId ? { lectureId } : {};
+            const response = await API.getFlashcardReviewQueue(params);
+
+            if (response.cards.length === 0) {
+                UI.showToast('info', 'All Caught Up', 'No flashcards are due right now.');
+                return;
+            }
+
+            this.queue = response.cards;
+            this.reviewIndex = 0;
+            this.reviewed = 0;
+
+            Utils.$('#flashcard-decks').style.display = 'none';
+            Utils.$('#flashcard-review').style.display = 'block';
+            this.showCard();
+        } catch (error) {
+            CONFIG.logError('Failed to start flashcard review:', error);
+            UI.showToast('error', 'Review Failed', error.message);
+        }
+    }
+
+    // Show the front of the current card
+    showCard() {
+        const card = this.queue[this.reviewIndex];
+
+        Utils.$('#flashcard-progress').textContent = `Card ${this.reviewIndex + 1} of ${this.queue.length}${card.review ? '' : ' · New'}`;
+        Utils.$('#flashcard-lecture').textContent = card.lectureTitle || '';
+        Utils.$('#flashcard-front').textContent = card.front;
+
+        const back = Utils.$('#flashcard-back');
+        back.innerHTML = `
+            <p>${Utils.escapeHtml(card.back)}</p>
+            ${card.timestamp !== null ? `
+                <button type="button" class="summary-time" id="flashcard-watch-btn">
+                    <i class="fas fa-play-circle"></i> Watch at ${Utils.formatDuration(card.timestamp)}
+                </button>
+            ` : ''}
+        `;
+        back.style.display = 'none';
+
+        const watchButton = Utils.$('#flashcard-watch-btn');
+        if (watchButton) {
+            Utils.on(watchButton, 'click', () => this.watchCard(card));
+        }
+
+        Utils.$('#flashcard-show-btn').style.display = 'inline-flex';
+        Utils.$('#flashcard-grades').style.display = 'none';
+    }
+
+    // Flip the card and offer the grades
+    showAnswer() {
+        const card = this.queue[this.reviewIndex];
+        if (!card) return;
+
+        Utils.$('#flashcard-back').style.display = 'block';
+        Utils.$('#flashcard-show-btn').style.display = 'none';
+
+        const grades = Utils.$('#flashcard-grades');
+        grades.innerHTML = CONFIG.FLASHCARDS.GRADES.map((option, index) => `
+            <button class="btn ${option.className}" data-grade="${option.grade}" title="Key ${index + 1}">${option.label}</button>
+        `).join('');
+        grades.style.display = 'flex';
+
+        grades.querySelectorAll('[data-grade]').forEach(button => {
+            Utils.on(button, 'click', () => this.gradeCard(parseInt(button.getAttribute('data-grade'))));
+        });
+    }
+
+    // Record a grade and move to the next card
+    async gradeCard(grade) {
+        const card = this.queue[this.reviewIndex];
+        if (!card) return;
+
+        const grades = Utils.$('#flashcard-grades');
+        grades.querySelectorAll('button').forEach(button => {
+            button.disabled = true;
+        });
+
+        try {
+            await API.reviewFlashcard(card.id, grade);
+            this.reviewed++;
+            this.reviewIndex++;
+
+            if (this.reviewIndex < this.queue.length) {
+                this.showCard();
+            } else {
+                UI.showToast('success', 'Session Complete', `You reviewed ${this.reviewed} cards.`);
+                this.endReview();
+            }
+        } catch (error) {
+            CONFIG.logError('Failed to record flashcard review:', error);
+            UI.showToast('error', 'Review Failed', error.message);
+            grades.querySelectorAll('button').forEach(button => {
+                button.disabled = false;
+            });
+        }
+    }
+
+    // Open the lecture at the moment the card comes from
+    async watchCard(card) {
+        await Lectures.openLecture(card.lectureId);
+        Lectures.seekVideo(card.timestamp);
+    }
+
+    // Leave the session and refresh the deck counts
+    endReview() {
+        this.queue = [];
+        this.reviewIndex = 0;
+
+        Utils.$('#flashcard-review').style.display = 'none';
+        Utils.$('#flashcard-decks').style.display = 'block';
+        this.loadDecks();
+    }
+
+    // Keyboard shortcuts while reviewing
+    handleKeydown(e) {
+        const review = Utils.$('#flashcard-review');
+        if (!review || review.style.display === 'none' || this.queue.length === 0) return;
+        if (e.target.matches('input, textarea, select') || document.querySelector('.modal.active')) return;
+
+        const gradesVisible = Utils.$('#flashcard-grades').style.display !== 'none';
+
+        if (e.key === ' ' && !gradesVisible) {
+            e.preventDefault();
+            this.showAnswer();
+        } else if (gradesVisible && /^[1-4]$/.test(e.key)) {
+            const option = CONFIG.FLASHCARDS.GRADES[parseInt(e.key) - 1];
+            const button = Utils.$(`#flashcard-grades [data-grade="${option.grade}"]`);
+            if (button && !button.disabled) {
+                this.gradeCard(option.grade);
+            }
+        }
+    }
+}
+
+// Create global flashcards manager instance
+const Flashcards = new FlashcardsManager();
+
+// Export flashcards manager
+window.Flashcards = Flashcards;
@@ -7,10 +7,20 @@ class LecturesManager {
         this.pageSize = CONFIG.PAGINATION.DEFAULT_PAGE_SIZE;
         this.totalLectures = 0;
         this.filters = {};
+        this.courses = null;
+        this.watchReport = null;
         this.sortBy = 'recent';
         this.searchQuery = '';
         this.currentQuiz = null;
         this.quizStartTime = null;
+        this.questionTimes = {};
+        this.lastQuizActivity = null;
+        this.adaptiveSession = null;
+        this.examSession = null;
+        this.examTimer = null;
+        this.captionUrls = {};
+        this.askLectureId = null;
+        this.summaryStyles = null;
         
         this.init();
     }
@@ -54,6 +64,15 @@ class LecturesManager {
             Utils.on(searchInput, 'input', debouncedSearch);
         }
 
+        // Course filter and joining a course with an invite code
+        Utils.on('#course-filter', 'change', this.handleCourseFilter.bind(this));
+        Utils.on('#join-course-btn', 'click', this.joinCourse.bind(this));
+
+        // Report how much of the lecture video was watched
+        Utils.on('#lecture-video', 'timeupdate', this.trackWatchProgress.bind(this));
+        Utils.on('#lecture-video', 'pause', () => this.reportWatchProgress());
+        Utils.on('#lecture-video', 'ended', () => this.reportWatchProgress());
+
         // Sort dropdown
         const sortSelect = Utils.$('#sort-lectures');
         if (sortSelect) {
@@ -66,14 +85,28 @@ class LecturesManager {
             Utils.on(tab, 'click', this.handleTabSwitch.bind(this));
         });
 
-        // Generate summary button
+        // Generate summary button and style picker
         Utils.on('#generate-summary-btn', 'click', this.generateSummary.bind(this));
+        Utils.on('#summary-style', 'change', this.generateSummary.bind(this));
 
         // Generate quiz button
         Utils.on('#generate-quiz-btn', 'click', this.generateQuiz.bind(this));
 
+        // Adaptive quiz button
+        Utils.on('#adaptive-quiz-btn', 'click', this.startAdaptiveQuiz.bind(this));
+
+        // Exams button
+        Utils.on('#exams-btn', 'click', this.showExams.bind(this));
+
         // View performance report button
         Utils.on('#view-performance-btn', 'click', this.viewPerformanceReport.bind(this));
+
+        // Caption language switcher
+        Utils.on('#caption-language', 'change', this.handleCaptionChange.bind(this));
+
+        // Ask the lecture chat
+        Utils.on('#ask-form', 'submit', this.handleAsk.bind(this));
+        Utils.on('#ask-clear-btn', 'click', this.clearAskHistory.bind(this));
     }
 
     // Load lectures from API
@@ -88,6 +121,14 @@ class LecturesManager {
                 this.currentPage = 1;
             }
 
+            if (!this.courses) {
+                await this.loadCourses();
+            }
+
+            if (refresh) {
+                this.loadLearningPath();
+            }
+
             const params = {
                 page: this.currentPage,
                 limit: this.pageSize,
@@ -176,6 +217,7 @@ class LecturesManager {
                 <div class="lecture-status ${statusClass}">${statusText}</div>
             </div>
             <div class="lecture-info">
+                ${lecture.course_title ? `<span class="lecture-course">${Utils.escapeHtml(lecture.course_title)}</span>` : ''}
                 <h3 class="lecture-title">${Utils.truncateText(lecture.title, 60)}</h3>
                 <p class="lecture-description">${Utils.truncateText(lecture.description || 'No description available', 100)}</p>
                 <div class="lecture-meta">
@@ -193,6 +235,144 @@ class LecturesManager {
         return card;
     }
 
+    // Load the user's courses into the course filter and the upload form
+    async loadCourses() {
+        try {
+            const response = await API.getCourses();
+            this.courses = response.courses || [];
+        } catch (error) {
+            CONFIG.logError('Failed to load courses:', error);
+            this.courses = [];
+        }
+
+        const courseFilter = Utils.$('#course-filter');
+        if (courseFilter) {
+            courseFilter.innerHTML = `
+                <option value="">All Courses</option>
+                ${this.courses.map(course => `
+                    <option value="${course.id}" ${String(this.filters.course_id) === String(course.id) ? 'selected' : ''}>${Utils.escapeHtml(course.title)}</option>
+                `).join('')}
+            `;
+        }
+
+        // Lectures can only be published to courses the user teaches
+        const uploadCourse = Utils.$('#lecture-course');
+        if (uploadCourse) {
+            uploadCourse.innerHTML = `
+                <option value="">No course (visible to everyone)</option>
+                ${this.courses.filter(course => course.myRole === 'teacher').map(course => `
+                    <option value="${course.id}">${Utils.escapeHtml(course.title)}</option>
+                `).join('')}
+            `;
+        }
+    }
+
+    // Show only the lectures of one course
+    handleCourseFilter(event) {
+        if (event.target.value) {
+            this.filters.course_id = event.target.value;
+        } else {
+            delete this.filters.course_id;
+        }
+        this.loadLectures(true);
+    }
+
+    // Join a course with the invite code from its teacher
+    async joinCourse() {
+        const code = prompt('Enter the course invite code');
+        if (!code || !code.trim()) return;
+
+        try {
+            const response = await API.joinCourse(code.trim());
+            UI.showToast('success', 'Course Joined', `You are now a member of ${response.course.title}.`);
+            this.courses = null;
+            this.loadLectures(true);
+        } catch (error) {
+            CONFIG.logError('Failed to join course:', error);
+            UI.showToast('error', 'Join Failed', error.message);
+        }
+    }
+
+    // Show the user's path through the selected course, when it has modules
+    async loadLearningPath() {
+        const container = Utils.$('#learning-path');
+        if (!container) return;
+
+        const courseId = this.filters.course_id;
+        if (!courseId) {
+            container.style.display = 'none';
+            return;
+        }
+
+        try {
+            const response = await API.getLearningPath(courseId);
+            if (courseId !== this.filters.course_id) return;
+
+            if (!response.path.modules.length) {
+                container.style.display = 'none';
+                return;
+            }
+            this.renderLearningPath(container, response.path);
+        } catch (error) {
+            CONFIG.logError('Failed to load learning path:', error);
+            container.style.display = 'none';
+        }
+    }
+
+    // Render a learning path as a progress map of modules and their lectures
+    renderLearningPath(container, path) {
+        const icons = {
+            completed: 'fa-check-circle',
+            in_progress: 'fa-play-circle',
+            not_started: 'fa-circle',
+            locked: 'fa-lock'
+        };
+
+        container.innerHTML = `
+            <div class="path-header">
+                <h4><i class="fas fa-route"></i> Learning Path</h4>
+                <span>${Math.round(path.completionPercentage)}% complete &middot; ${path.completedLectures}/${path.totalLectures} lectures</span>
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${path.completionPercentage}%"></div>
+            </div>
+            <ol class="path-modules">
+                ${path.modules.map(module => `
+                    <li class="path-module ${module.status}">
+                        <div class="path-module-header">
+                            <span><i class="fas ${icons[module.status]}"></i> ${Utils.escapeHtml(module.title)}</span>
+                            <span>${Math.round(module.completionPercentage)}%</span>
+                        </div>
+                        ${module.lockReason ? `<p class="path-note">${Utils.escapeHtml(module.lockReason)}</p>` : ''}
+                        ${module.lectures.length ? `
+                            <ol class="path-steps">
+                                ${module.lectures.map(lecture => `
+                                    <li>
+                                        <button class="path-step ${lecture.status} ${lecture.lectureId === path.nextLectureId ? 'next' : ''}"
+                                            data-lecture-id="${lecture.lectureId}" ${lecture.locked ? 'disabled' : ''}
+                                            title="${Utils.escapeHtml(lecture.lockReason || '')}">
+                                            <i class="fas ${icons[lecture.status]}"></i>
+                                            <span class="path-step-title">${Utils.escapeHtml(lecture.title)}</span>
+                                            <span class="path-step-meta">
+                                                ${Math.round(lecture.watchedPercentage)}% watched${lecture.bestQuizScore !== null ? ` &middot; quiz ${Math.round(lecture.bestQuizScore)}%` : ''}
+                                            </span>
+                                        </button>
+                                    </li>
+                                `).join('')}
+                            </ol>
+                        ` : '<p class="path-note">No lectures yet</p>'}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+
+        container.querySelectorAll('.path-step:not([disabled])').forEach(step => {
+            Utils.on(step, 'click', () => this.openLecture(parseInt(step.dataset.lectureId)));
+        });
+
+        container.style.display = 'block';
+    }
+
     // Show empty state
     showEmptyState() {
         const lecturesGrid = Utils.$('#lectures-grid');
@@ -211,6 +391,96 @@ class LecturesManager {
     handleSearch(event) {
         this.searchQuery = event.target.value.trim();
         this.loadLectures(true);
+        this.searchContent(this.searchQuery);
+    }
+
+    // Search inside transcripts, slides and summaries
+    async searchContent(query) {
+        const resultsContainer = Utils.$('#search-results');
+        if (!resultsContainer) return;
+
+        if (query.length < 2) {
+            resultsContainer.style.display = 'none';
+            resultsContainer.innerHTML = '';
+            return;
+        }
+
+        try {
+            const response = await API.searchLectures(query, { limit: 10 });
+            if (query !== this.searchQuery) return; // a newer search is running
+
+            this.renderSearchResults(response.hits || [], response.pagination?.total || 0);
+        } catch (error) {
+            CONFIG.logError('Content search failed:', error);
+            resultsContainer.style.display = 'none';
+        }
+    }
+
+    // Render content search hits
+    renderSearchResults(hits, total) {
+        const resultsContainer = Utils.$('#search-results');
+
+        if (hits.length === 0) {
+            resultsContainer.innerHTML = '<p class="search-results-empty">No matches in transcripts, slides or summaries.</p>';
+            resultsContainer.style.display = 'block';
+            return;
+        }
+
+        const sourceLabels = {
+            transcript: (hit) => `<i class="fas fa-play-circle"></i> ${Utils.formatDuration(hit.timestamp || 0)}`,
+            slides: (hit) => `<i class="fas fa-file-powerpoint"></i> Slide ${hit.slideNumber}`,
+            summary: () => '<i class="fas fa-file-alt"></i> Summary'
+        };
+
+        // Snippets arrive HTML-escaped from the server with matches wrapped in <mark>
+        resultsContainer.innerHTML = `
+            <div class="search-results-header">${total} match${total === 1 ? '' : 'es'} in lecture content</div>
+            ${hits.map((hit, index) => `
+                <div class="search-hit" data-hit-index="${index}">
+                    <div class="search-hit-meta">
+                        <span class="search-hit-title">${Utils.escapeHtml(hit.lectureTitle)}</span>
+                        <span class="search-hit-source">${sourceLabels[hit.source](hit)}</span>
+                    </div>
+                    <div class="search-hit-snippet">${hit.snippet}</div>
+                </div>
+            `).join('')}
+        `;
+        resultsContainer.style.display = 'block';
+
+        resultsContainer.querySelectorAll('.search-hit').forEach(element => {
+            const hit = hits[parseInt(element.getAttribute('data-hit-index'))];
+            Utils.on(element, 'click', () => this.openSearchHit(hit));
+        });
+    }
+
+    // Open the lecture for a search hit at the matching moment
+    async openSearchHit(hit) {
+        await this.openLecture(hit.lectureId);
+
+        if (hit.source === 'summary') {
+            this.switchLectureTab('summary');
+            return;
+        }
+
+        if (hit.source === 'transcript' && hit.timestamp !== null) {
+            this.seekVideo(hit.timestamp);
+        }
+    }
+
+    // Jump the lecture video to a time in seconds
+    seekVideo(seconds) {
+        const videoElement = Utils.$('#lecture-video');
+        if (!videoElement) return;
+
+        const seek = () => {
+            videoElement.currentTime = seconds;
+        };
+
+        if (videoElement.readyState >= 1) {
+            seek();
+        } else {
+            videoElement.addEventListener('loadedmetadata', seek, { once: true });
+        }
     }
 
     // Handle sort
@@ -234,6 +504,7 @@ class LecturesManager {
             }
             
             this.currentLecture = lecture;
+            this.askLectureId = null;
             
             CONFIG.log('Current lecture set to:', this.currentLecture);
             
@@ -263,8 +534,13 @@ class LecturesManager {
         // Update video
         const videoElement = Utils.$('#lecture-video');
         if (videoElement && lecture.video_url) {
+            this.reportWatchProgress();
             videoElement.src = lecture.video_url;
         }
+        this.watchReport = { lectureId: lecture.id, progress: 0, reportedAt: Date.now() };
+
+        this.loadCaptionTracks(lecture);
+        this.loadSummaryStyles();
 
         // Update info content
         const descriptionElement = Utils.$('#lecture-description-text');
@@ -291,6 +567,126 @@ class LecturesManager {
         }
     }
 
+    // Report watch progress now and then while the video plays
+    trackWatchProgress() {
+        if (this.watchReport && Date.now() - this.watchReport.reportedAt >= CONFIG.WATCH_PROGRESS.REPORT_INTERVAL) {
+            this.reportWatchProgress();
+        }
+    }
+
+    // Report the share of the lecture watched, counting only the parts played
+    async reportWatchProgress() {
+        const videoElement = Utils.$('#lecture-video');
+        const report = this.watchReport;
+        if (!videoElement || !report || !videoElement.duration || !isFinite(videoElement.duration)) return;
+
+        let watched = 0;
+        for (let i = 0; i < videoElement.played.length; i++) {
+            watched += videoElement.played.end(i) - videoElement.played.start(i);
+        }
+        const progress = Math.min(100, Math.round(watched / videoElement.duration * 1000) / 10);
+
+        report.reportedAt = Date.now();
+        if (progress - report.progress < CONFIG.WATCH_PROGRESS.MIN_CHANGE) return;
+        report.progress = progress;
+
+        try {
+            await API.logEvent(report.lectureId, 'lecture.progress', {
+                progress,
+                position: Math.round(videoElement.currentTime),
+                duration: Math.round(videoElement.duration)
+            });
+        } catch (error) {
+            CONFIG.logError('Failed to report watch progress:', error);
+        }
+    }
+
+    // Remove caption tracks left from the previous lecture
+    resetCaptions() {
+        const videoElement = Utils.$('#lecture-video');
+        if (videoElement) {
+            videoElement.querySelectorAll('track').forEach(track => track.remove());
+        }
+
+        Object.values(this.captionUrls).forEach(url => URL.revokeObjectURL(url));
+        this.captionUrls = {};
+
+        const controls = Utils.$('#caption-controls');
+        if (controls) {
+            controls.style.display = 'none';
+        }
+    }
+
+    // Fill the caption language switcher for a lecture
+    async loadCaptionTracks(lecture) {
+        this.resetCaptions();
+
+        const select = Utils.$('#caption-language');
+        if (!select) return;
+
+        try {
+            const response = await API.getCaptionTracks(lecture.id);
+            if (!response.available || this.currentLecture?.id !== lecture.id) {
+                return;
+            }
+
+            select.innerHTML = '<option value="">Off</option>' + response.tracks.map(track => `
+                <option value="${track.language}">${track.label}${track.source ? '' : ' (translated)'}</option>
+            `).join('');
+
+            Utils.$('#caption-controls').style.display = 'flex';
+
+            const savedLanguage = Utils.storage.get(CONFIG.STORAGE_KEYS.CAPTION_LANGUAGE);
+            if (savedLanguage && response.tracks.some(track => track.language === savedLanguage)) {
+                select.value = savedLanguage;
+                await this.showCaptions(savedLanguage);
+            }
+        } catch (error) {
+            CONFIG.logError('Failed to load caption tracks:', error);
+        }
+    }
+
+    // Handle caption language change
+    async handleCaptionChange(event) {
+        const language = event.target.value;
+        Utils.storage.set(CONFIG.STORAGE_KEYS.CAPTION_LANGUAGE, language);
+        await this.showCaptions(language);
+    }
+
+    // Show the caption track for a language ('' turns captions off)
+    async showCaptions(language) {
+        const videoElement = Utils.$('#lecture-video');
+        if (!videoElement || !this.currentLecture) return;
+
+        const lectureId = this.currentLecture.id;
+
+        try {
+            // Tracks are fetched with the auth header and attached as blob URLs,
+            // because <track> requests cannot send Authorization
+            if (language && !this.captionUrls[language]) {
+                const vtt = await API.getCaptionTrack(lectureId, language);
+                if (this.currentLecture?.id !== lectureId) return;
+
+                this.captionUrls[language] = URL.createObjectURL(new Blob([vtt], { type: 'text/vtt' }));
+
+                const option = Utils.$(`#caption-language option[value="${language}"]`);
+                const track = document.createElement('track');
+                track.kind = 'subtitles';
+                track.srclang = language;
+                track.label = option ? option.textContent.trim() : language;
+                track.src = this.captionUrls[language];
+                videoElement.appendChild(track);
+            }
+
+            Array.from(videoElement.textTracks).forEach(textTrack => {
+                textTrack.mode = textTrack.language === language ? 'showing' : 'disabled';
+            });
+        } catch (error) {
+            CONFIG.logError('Failed to load captions:', error);
+            UI.showToast('error', 'Captions Unavailable', error.message);
+        }
+    }
+
     // Handle tab switching in lecture modal
     handleTabSwitch(event) {
         const tabName = event.target.getAttribute('data-tab');
@@ -316,6 +712,190 @@ class LecturesManager {
                 Utils.addClass(content, 'active');
             }
         });
+
+        if (tabName === 'ask') {
+            this.loadAskHistory();
+        }
+    }
+
+    // Load the user's conversation the first time the Ask tab opens for a lecture
+    async loadAskHistory() {
+        if (!this.currentLecture || this.askLectureId === this.currentLecture.id) return;
+
+        const lectureId = this.currentLecture.id;
+        this.askLectureId = lectureId;
+
+        const messages = Utils.$('#ask-messages');
+        if (!messages) return;
+
+        try {
+            const response = await API.getAskHistory(lectureId);
+            if (this.currentLecture?.id !== lectureId) return;
+
+            if (response.turns.length > 0) {
+                messages.innerHTML = '';
+                response.turns.forEach(turn => this.renderAskTurn(turn));
+            } else {
+                this.showAskEmptyState();
+            }
+        } catch (error) {
+            CONFIG.logError('Failed to load conversation:', error);
+            this.askLectureId = null;
+        }
+    }
+
+    // Show the empty chat prompt
+    showAskEmptyState() {
+        const messages = Utils.$('#ask-messages');
+        if (!messages) return;
+
+        messages.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-comments"></i>
+                <h4>Ask about this lecture</h4>
+                <p>Answers come only from the lecture's transcript and slides, with links to the moments they cite</p>
+            </div>
+        `;
+    }
+
+    // Send a question from the chat form
+    async handleAsk(event) {
+        event.preventDefault();
+        if (!this.currentLecture) return;
+
+        const input = Utils.$('#ask-input');
+        const question = input.value.trim();
+        if (!question) return;
+
+        const lectureId = this.currentLecture.id;
+        const messages = Utils.$('#ask-messages');
+        const submitBtn = Utils.$('#ask-submit-btn');
+
+        if (messages.querySelector('.empty-state')) {
+            messages.innerHTML = '';
+        }
+
+        const pending = document.createElement('div');
+        pending.className = 'ask-turn';
+        pending.innerHTML = `
+            <div class="ask-question">${Utils.escapeHtml(question)}</div>
+            <div class="ask-answer loading-state"><i class="fas fa-spinner fa-spin"></i> Thinking...</div>
+        `;
+        messages.appendChild(pending);
+        messages.scrollTop = messages.scrollHeight;
+
+        input.value = '';
+        this.setButtonLoading(submitBtn, true);
+
+        try {
+            const response = await API.askLecture(lectureId, question);
+            pending.remove();
+
+            if (this.currentLecture?.id === lectureId) {
+                this.renderAskTurn(response.turn);
+            }
+        } catch (error) {
+            CONFIG.logError('Failed to ask question:', error);
+            pending.remove();
+            input.value = question;
+            UI.showToast('error', 'Question Failed', error.message);
+
+            if (!messages.children.length) {
+                this.showAskEmptyState();
+            }
+        } finally {
+            this.setButtonLoading(submitBtn, false);
+        }
+    }
+
+    // Append one question and answer, with [n] markers linked to their citations
+    renderAskTurn(turn) {
+        const messages = Utils.$('#ask-messages');
+        if (!messages) return;
+
+        const citations = turn.citations || [];
+        const citationLabel = (citation) => citation.source === 'slide'
+            ? `<i class="fas fa-file-powerpoint"></i> Slide ${citation.slideNumber}`
+            : `<i class="fas fa-play-circle"></i> ${Utils.formatDuration(citation.timestamp || 0)}`;
+
+        const answer = Utils.escapeHtml(turn.answer).replace(/\[(\d+)\]/g, (marker, number) =>
+            citations.some(citation => citation.index === parseInt(number))
+                ? `<button type="button" class="ask-citation-ref" data-citation="${number}">${number}</button>`
+                : marker
+        );
+
+        const element = document.createElement('div');
+        element.className = 'ask-turn';
+        element.innerHTML = `
+            <div class="ask-question">${Utils.escapeHtml(turn.question)}</div>
+            <div class="ask-answer">
+                <div class="ask-answer-text">${answer}</div>
+                ${citations.length > 0 ? `
+                    <div class="ask-citations">
+                        ${citations.map(citation => `
+                            <button type="button" class="ask-citation" data-citation="${citation.index}" title="${Utils.escapeHtml(citation.excerpt)}">
+                                <span class="ask-citation-index">${citation.index}</span> ${citationLabel(citation)}
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+
+        element.querySelectorAll('[data-citation]').forEach(button => {
+            const citation = citations.find(item => item.index === parseInt(button.getAttribute('data-citation')));
+            Utils.on(button, 'click', () => this.openCitation(citation));
+        });
+
+        messages.appendChild(element);
+        messages.scrollTop = messages.scrollHeight;
+    }
+
+    // Jump to the moment a citation comes from
+    openCitation(citation) {
+        if (!citation) return;
+
+        if (citation.source === 'transcript' && citation.timestamp !== null) {
+            this.seekVideo(citation.timestamp);
+            const videoElement = Utils.$('#lecture-video');
+            if (videoElement) {
+                videoElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        } else {
+            UI.showToast('info', `Slide ${citation.slideNumber}`, Utils.escapeHtml(citation.excerpt));
+        }
+    }
+
+    // Delete the conversation about the current lecture
+    async clearAskHistory() {
+        if (!this.currentLecture) return;
+
+        try {
+            await API.clearAskHistory(this.currentLecture.id);
+            this.showAskEmptyState();
+        } catch (error) {
+            CONFIG.logError('Failed to clear conversation:', error);
+            UI.showToast('error', 'Clear Failed', error.message);
+        }
+    }
+
+    // Fill the summary style picker from the server's style registry
+    async loadSummaryStyles() {
+        const select = Utils.$('#summary-style');
+        if (!select || this.summaryStyles) return;
+
+        try {
+            const response = await API.getSummaryStyles();
+            this.summaryStyles = response.styles;
+        } catch (error) {
+            CONFIG.logError('Failed to load summary styles:', error);
+            this.summaryStyles = CONFIG.SUMMARY.STYLES.map(id => ({ id, label: id, description: '' }));
+        }
+
+        select.innerHTML = this.summaryStyles.map(style => `
+            <option value="${Utils.escapeHtml(style.id)}" title="${Utils.escapeHtml(style.description)}">${Utils.escapeHtml(style.label)}</option>
+        `).join('');
+        select.value = CONFIG.DEFAULTS.SUMMARY_STYLE;
     }
 
     // Generate summary
@@ -341,9 +921,10 @@ class LecturesManager {
 
             CONFIG.log('Generating summary for lecture ID:', this.currentLecture.id);
 
+            const styleSelect = Utils.$('#summary-style');
             const response = await API.getLectureSummary(this.currentLecture.id, {
-                language: 'en',
-                style: 'detailed'
+                lang: 'en',
+                style: (styleSelect && styleSelect.value) || CONFIG.DEFAULTS.SUMMARY_STYLE
             });
 
             this.displaySummary(response.summary);
@@ -379,6 +960,11 @@ class LecturesManager {
 
         // Handle different response structures
         const summary = summaryData.summary || summaryData;
+
+        if (summary.content_json && (summary.content_json.renderer || summary.content_json.keyPoints)) {
+            this.displayStructuredSummary(summary.content_json, summaryData.cached);
+            return;
+        }
         
         let content = '';
         if (typeof summary === 'string') {
@@ -393,8 +979,10 @@ class LecturesManager {
             content = 'No summary content available';
         }
 
-        // Convert markdown to HTML if needed (basic conversion)
-        content = content
+        // Convert markdown to HTML if needed (basic conversion); time range
+        // links like [12:30–20:00](#t=750,1200) become seek buttons
+        content = Utils.escapeHtml(content)
+            .replace(/\[([^\]]+)\]\(#t=(\d+),(\d+)\)/g, '<button type="button" class="summary-time" data-seek="$2">$1</button>')
             .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
             .replace(/\*(.*?)\*/g, '<em>$1</em>')
             .replace(/\n\n/g, '</p><p>')
@@ -411,12 +999,180 @@ class LecturesManager {
                 ${summary.key_points ? `
                     <h4>Key Points</h4>
                     <ul>
-                        ${summary.key_points.map(point => `<li>${point}</li>`).join('')}
+                        ${summary.key_points.map(point => `<li>${Utils.escapeHtml(point)}</li>`).join('')}
                     </ul>
                 ` : ''}
                 ${summaryData.cached ? '<p class="summary-info"><em>This summary was cached</em></p>' : ''}
             </div>
         `;
+
+        this.bindSummaryLinks(summaryContainer);
+    }
+
+    // Render a summary stored as data, with the view its style names
+    displayStructuredSummary(structured, cached) {
+        const summaryContainer = Utils.$('#summary-container');
+
+        const renderers = {
+            summary: this.renderKeyPointsSummary,
+            cornell: this.renderCornellNotes,
+            glossary: this.renderGlossary,
+            'mind-map': this.renderMindMap,
+            outline: this.renderChapterOutline
+        };
+        const render = renderers[structured.renderer] || renderers.summary;
+
+        summaryContainer.innerHTML = `
+            <div class="summary-content">
+                ${render.call(this, structured)}
+                ${cached ? '<p class="summary-info"><em>This summary was cached</em></p>' : ''}
+            </div>
+        `;
+
+        this.bindSummaryLinks(summaryContainer);
+    }
+
+    // Time range buttons and slide chips for a summary item
+    renderSummaryRefs(item) {
+        const timeLinks = (item.sources || []).map(source => `
+            <button type="button" class="summary-time" data-seek="${source.startTs}" title="Play from ${Utils.formatDuration(source.startTs)}">
+                <i class="fas fa-play-circle"></i> ${Utils.formatDuration(source.startTs)}–${Utils.formatDuration(source.endTs)}
+            </button>
+        `).join('');
+
+        const slideRefs = (item.slides || []).map(slide => `
+            <span class="summary-slide" title="${Utils.escapeHtml(slide.title)}">
+                <i class="fas fa-file-powerpoint"></i> Slide ${slide.number}
+            </span>
+        `).join('');
+
+        return timeLinks || slideRefs ? `<span class="summary-refs">${timeLinks}${slideRefs}</span>` : '';
+    }
+
+    // Overview, key points and sections
+    renderKeyPointsSummary(structured) {
+        return `
+            <h4>Summary</h4>
+            <p class="summary-text">${Utils.escapeHtml(structured.overview)}</p>
+            ${structured.keyPoints.length > 0 ? `
+                <h4>Key Points</h4>
+                <ul class="summary-points">
+                    ${structured.keyPoints.map(point => `
+                        <li>
+                            <span>${Utils.escapeHtml(point.text)}</span>
+                            ${this.renderSummaryRefs(point)}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            ${structured.sections && structured.sections.length > 0 ? `
+                <h4>Sections</h4>
+                ${structured.sections.map(section => `
+                    <div class="summary-section">
+                        <div class="summary-section-header">
+                            <strong>${Utils.escapeHtml(section.title)}</strong>
+                            ${this.renderSummaryRefs({ sources: [section], slides: section.slides })}
+                        </div>
+                        <ul>
+                            ${section.points.map(point => `<li>${Utils.escapeHtml(point)}</li>`).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+            ` : ''}
+        `;
+    }
+
+    // Cue column beside the notes, summary underneath
+    renderCornellNotes(structured) {
+        return `
+            <h4>Cornell Notes</h4>
+            <div class="cornell-notes">
+                ${structured.cues.map(cue => `
+                    <div class="cornell-row">
+                        <div class="cornell-cue">
+                            <strong>${Utils.escapeHtml(cue.cue)}</strong>
+                            ${this.renderSummaryRefs(cue)}
+                        </div>
+                        <ul class="cornell-notes-list">
+                            ${cue.notes.map(note => `<li>${Utils.escapeHtml(note)}</li>`).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="cornell-summary">
+                <h4>Summary</h4>
+                <p>${Utils.escapeHtml(structured.summary)}</p>
+            </div>
+        `;
+    }
+
+    // Alphabetical term list
+    renderGlossary(structured) {
+        return `
+            <h4>Glossary</h4>
+            <dl class="glossary-list">
+                ${structured.terms.map(entry => `
+                    <dt>${Utils.escapeHtml(entry.term)} ${this.renderSummaryRefs(entry)}</dt>
+                    <dd>${Utils.escapeHtml(entry.definition)}</dd>
+                `).join('')}
+            </dl>
+        `;
+    }
+
+    // Nested tree from the lecture topic down
+    renderMindMap(structured) {
+        const renderNodes = (nodes) => nodes.length > 0 ? `
+            <ul>
+                ${nodes.map(node => `
+                    <li>
+                        <span class="mind-map-node">${Utils.escapeHtml(node.label)}</span>
+                        ${this.renderSummaryRefs(node)}
+                        ${renderNodes(node.children)}
+                    </li>
+                `).join('')}
+            </ul>
+        ` : '';
+
+        return `
+            <h4>Mind Map</h4>
+            <div class="mind-map">
+                <span class="mind-map-node mind-map-root">${Utils.escapeHtml(structured.root)}</span>
+                ${renderNodes(structured.branches)}
+            </div>
+        `;
+    }
+
+    // Numbered chapters with their time ranges
+    renderChapterOutline(structured) {
+        return `
+            <h4>Chapters</h4>
+            <ol class="chapter-outline">
+                ${structured.chapters.map(chapter => `
+                    <li>
+                        <div class="summary-section-header">
+                            <strong>${Utils.escapeHtml(chapter.title)}</strong>
+                            ${this.renderSummaryRefs(chapter)}
+                        </div>
+                        <ul>
+                            ${chapter.points.map(point => `<li>${Utils.escapeHtml(point)}</li>`).join('')}
+                        </ul>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    // Make summary time links seek the lecture video
+    bindSummaryLinks(container) {
+        container.querySelectorAll('[data-seek]').forEach(button => {
+            Utils.on(button, 'click', () => {
+                this.seekVideo(parseInt(button.getAttribute('data-seek')));
+                const videoElement = Utils.$('#lecture-video');
+                if (videoElement) {
+                    videoElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                }
+            });
+        });
     }
 
     // Generate quiz
@@ -444,7 +1200,8 @@ class LecturesManager {
 
             const response = await API.getLectureQuiz(this.currentLecture.id, {
                 difficulty: 'medium',
-                question_count: 5
+                question_count: 5,
+                question_types: CONFIG.QUIZ.QUESTION_TYPES
             });
 
             CONFIG.log('Quiz generation response:', response);
@@ -468,7 +1225,8 @@ class LecturesManager {
                 lecture_id: this.currentLecture.id,
                 questions: quiz.items_json?.questions || quiz.questions || [],
                 lang: quiz.lang || 'en',
-                difficulty: quiz.difficulty || 'medium'
+                difficulty: quiz.difficulty || 'medium',
+                version: quiz.version || null
             };
             this.quizStartTime = Date.now();
 
@@ -558,24 +1316,9 @@ class LecturesManager {
         }
 
         let quizHTML = '<div class="quiz-content">';
-        
+
         questions.forEach((question, index) => {
-            quizHTML += `
-                <div class="quiz-question" data-question-index="${index}">
-                    <div class="question-header">
-                        <span class="question-number">Question ${index + 1}</span>
-                    </div>
-                    <div class="question-text">${question.question}</div>
-                    <div class="question-options">
-                        ${(question.options || []).map((option, optionIndex) => `
-                            <div class="option-item" data-option-index="${optionIndex}">
-                                <span class="option-letter">${String.fromCharCode(65 + optionIndex)}</span>
-                                <span class="option-text">${option}</span>
-                            </div>
-                        `).join('')}
-                    </div>
-                </div>
-            `;
+            quizHTML += this.renderQuizQuestion(question, index);
         });
 
         quizHTML += `
@@ -586,19 +1329,132 @@ class LecturesManager {
         </div>`;
 
         quizContainer.innerHTML = quizHTML;
+        this.bindQuizInputs(quizContainer);
+    }
 
+    // One question of a quiz with its answer input
+    renderQuizQuestion(question, index) {
+        const type = question.type || 'mcq';
+        return `
+            <div class="quiz-question" data-question-index="${index}" data-question-type="${Utils.escapeHtml(type)}">
+                <div class="question-header">
+                    <span class="question-number">Question ${index + 1}</span>
+                    ${CONFIG.QUIZ.TYPE_HINTS[type] ? `<span class="question-type">${CONFIG.QUIZ.TYPE_HINTS[type]}</span>` : ''}
+                </div>
+                ${type === 'fill_blank' ? '' : `<div class="question-text">${Utils.escapeHtml(question.question)}</div>`}
+                ${this.renderQuestionInput(question, type)}
+            </div>
+        `;
+    }
+
+    // Answer handlers and per-question timing for rendered quiz questions
+    bindQuizInputs(container) {
         // Add click handlers for options
-        const options = quizContainer.querySelectorAll('.option-item');
+        const options = container.querySelectorAll('.option-item');
         options.forEach(option => {
             Utils.on(option, 'click', this.handleQuizOptionClick.bind(this));
         });
+
+        container.querySelectorAll('[data-move]').forEach(button => {
+            Utils.on(button, 'click', this.handleOrderingMove.bind(this));
+        });
+
+        // Time spent per question, for the teachers' item analysis
+        this.questionTimes = {};
+        this.lastQuizActivity = Date.now();
+        container.querySelectorAll('.quiz-question').forEach(questionDiv => {
+            ['click', 'input', 'change'].forEach(event => {
+                Utils.on(questionDiv, event, () => this.trackQuestionTime(questionDiv.dataset.questionIndex));
+            });
+        });
+    }
+
+    // Question times rounded to whole seconds for submission
+    getQuestionTimes() {
+        return Object.fromEntries(Object.entries(this.questionTimes)
+            .map(([index, seconds]) => [index, Math.round(seconds)]));
+    }
+
+    // Credit the time since the last answer activity to the question being answered
+    trackQuestionTime(index) {
+        const now = Date.now();
+        const seconds = Math.min((now - (this.lastQuizActivity || now)) / 1000, CONFIG.QUIZ.MAX_QUESTION_PAUSE_SECONDS);
+        this.questionTimes[index] = (this.questionTimes[index] || 0) + seconds;
+        this.lastQuizActivity = now;
+    }
+
+    // Render the answer input for a question's type
+    renderQuestionInput(question, type) {
+        const renderOptions = (options) => `
+            <div class="question-options">
+                ${options.map((option, optionIndex) => `
+                    <div class="option-item" data-option-index="${optionIndex}">
+                        <span class="option-letter">${String.fromCharCode(65 + optionIndex)}</span>
+                        <span class="option-text">${Utils.escapeHtml(option)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        switch (type) {
+            case 'fill_blank': {
+                const parts = String(question.question).split('___');
+                return `
+                    <div class="question-text">
+                        ${parts.map((part, blankIndex) => Utils.escapeHtml(part) + (blankIndex < parts.length - 1
+                            ? `<input type="text" class="form-input quiz-blank" data-blank-index="${blankIndex}" aria-label="Blank ${blankIndex + 1}">`
+                            : '')).join('')}
+                    </div>
+                `;
+            }
+            case 'ordering':
+                return `
+                    <ol class="ordering-list">
+                        ${(question.options || []).map((option, optionIndex) => `
+                            <li class="ordering-item" data-option-index="${optionIndex}">
+                                <span class="option-text">${Utils.escapeHtml(option)}</span>
+                                <span class="ordering-controls">
+                                    <button type="button" class="btn btn-secondary btn-sm" data-move="-1" title="Move up"><i class="fas fa-arrow-up"></i></button>
+                                    <button type="button" class="btn btn-secondary btn-sm" data-move="1" title="Move down"><i class="fas fa-arrow-down"></i></button>
+                                </span>
+                            </li>
+                        `).join('')}
+                    </ol>
+                `;
+            case 'matching':
+                return `
+                    <div class="matching-list">
+                        ${(question.prompts || []).map((prompt, promptIndex) => `
+                            <label class="matching-row">
+                                <span class="matching-prompt">${Utils.escapeHtml(prompt)}</span>
+                                <select class="form-select quiz-match" data-prompt-index="${promptIndex}">
+                                    <option value="">Choose...</option>
+                                    ${(question.options || []).map((option, optionIndex) => `
+                                        <option value="${optionIndex}">${Utils.escapeHtml(option)}</option>
+                                    `).join('')}
+                                </select>
+                            </label>
+                        `).join('')}
+                    </div>
+                `;
+            case 'short_answer':
+                return '<textarea class="form-textarea quiz-short-answer" rows="3" placeholder="Write your answer..."></textarea>';
+            default:
+                return renderOptions(question.options || []);
+        }
     }
 
     // Handle quiz option click
     handleQuizOptionClick(event) {
         const optionItem = event.currentTarget;
         const questionDiv = optionItem.closest('.quiz-question');
-        
+
+        // Select-all-that-apply questions toggle each option
+        if (questionDiv.getAttribute('data-question-type') === 'multi_select') {
+            optionItem.classList.toggle('selected');
+            return;
+        }
+
         // Remove selection from other options in the same question
         const otherOptions = questionDiv.querySelectorAll('.option-item');
         otherOptions.forEach(opt => Utils.removeClass(opt, 'selected'));
@@ -607,6 +1463,52 @@ class LecturesManager {
         Utils.addClass(optionItem, 'selected');
     }
 
+    // Move an item of an ordering question up or down
+    handleOrderingMove(event) {
+        const item = event.currentTarget.closest('.ordering-item');
+        const direction = parseInt(event.currentTarget.getAttribute('data-move'));
+        const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+        if (!sibling) return;
+
+        item.parentNode.insertBefore(item, direction < 0 ? sibling : sibling.nextElementSibling);
+        item.closest('.quiz-question').setAttribute('data-touched', 'true');
+    }
+
+    // Read a question's answer in the shape the server scores, or undefined
+    getQuestionAnswer(questionDiv) {
+        const type = questionDiv.getAttribute('data-question-type');
+        const optionIndex = (element) => parseInt(element.getAttribute('data-option-index'));
+
+        switch (type) {
+            case 'multi_select': {
+                const selected = Array.from(questionDiv.querySelectorAll('.option-item.selected')).map(optionIndex);
+                return selected.length > 0 ? selected : undefined;
+            }
+            case 'fill_blank': {
+                const blanks = Array.from(questionDiv.querySelectorAll('.quiz-blank')).map(input => input.value.trim());
+                return blanks.some(Boolean) ? blanks : undefined;
+            }
+            case 'ordering':
+                // The shuffled order is not an answer until the student moves something
+                return questionDiv.getAttribute('data-touched')
+                    ? Array.from(questionDiv.querySelectorAll('.ordering-item')).map(optionIndex)
+                    : undefined;
+            case 'matching': {
+                const matches = Array.from(questionDiv.querySelectorAll('.quiz-match'))
+                    .map(select => (select.value === '' ? null : parseInt(select.value)));
+                return matches.some(match => match !== null) ? matches : undefined;
+            }
+            case 'short_answer': {
+                const text = questionDiv.querySelector('.quiz-short-answer').value.trim();
+                return text || undefined;
+            }
+            default: {
+                const selectedOption = questionDiv.querySelector('.option-item.selected');
+                return selectedOption ? optionIndex(selectedOption) : undefined;
+            }
+        }
+    }
+
     // Submit quiz
     async submitQuiz() {
         try {
@@ -616,9 +1518,9 @@ class LecturesManager {
             let answeredQuestions = 0;
             
             questions.forEach((question, index) => {
-                const selectedOption = question.querySelector('.option-item.selected');
-                if (selectedOption) {
-                    selectedAnswers[index] = parseInt(selectedOption.getAttribute('data-option-index'));
+                const answer = this.getQuestionAnswer(question);
+                if (answer !== undefined) {
+                    selectedAnswers[index] = answer;
                     answeredQuestions++;
                 }
                 // Don't set null for unanswered questions - just leave them undefined
@@ -672,9 +1574,11 @@ class LecturesManager {
 
             const quizSubmission = {
                 quiz_id: this.currentQuiz.id,
+                quiz_version: this.currentQuiz.version,
                 lecture_id: this.currentLecture.id,
                 answers: selectedAnswers,
-                time_taken: Math.floor((Date.now() - (this.quizStartTime || Date.now())) / 1000)  // in seconds
+                time_taken: Math.floor((Date.now() - (this.quizStartTime || Date.now())) / 1000),  // in seconds
+                question_times: this.getQuestionTimes()
             };
 
             CONFIG.log('Current quiz object:', this.currentQuiz);
@@ -840,11 +1744,51 @@ class LecturesManager {
                 <div class="results-details">
                     <h4>Question Review</h4>
                     <div class="questions-review">
+                        ${this.renderQuestionReview(detailedResults)}
+                    </div>
+                </div>
+
+                ${recommendations.length > 0 ? `
+                    <div class="recommendations">
+                        <h4>Recommendations</h4>
+                        <div class="recommendations-list">
+                            ${recommendations.map(rec => `
+                                <div class="recommendation-item ${rec.priority}">
+                                    <i class="fas ${rec.type === 'study' ? 'fa-book' : rec.type === 'practice' ? 'fa-repeat' : 'fa-trophy'}"></i>
+                                    <div class="recommendation-content">
+                                        <div class="recommendation-message">${rec.message}</div>
+                                        <div class="recommendation-type">${rec.type.charAt(0).toUpperCase() + rec.type.slice(1)}</div>
+                                    </div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+
+                <div class="results-actions">
+                    <button class="btn btn-primary" onclick="Lectures.generateQuiz()">
+                        <i class="fas fa-redo"></i> Try Again
+                    </button>
+                    <button class="btn btn-secondary" onclick="Lectures.viewPerformanceReport()">
+                        <i class="fas fa-chart-line"></i> View Performance Report
+                    </button>
+                    <button class="btn btn-outline" onclick="Lectures.viewAllAttempts()">
+                        <i class="fas fa-history"></i> View All Attempts
+                    </button>
+                </div>
+            </div>
         `;
 
+        quizContainer.innerHTML = resultsHTML;
+    }
+
+    // Per-question review of a scored attempt
+    renderQuestionReview(detailedResults) {
+        let resultsHTML = '';
+
         detailedResults.forEach((result, index) => {
-            const statusClass = result.isCorrect ? 'correct' : (result.isAttempted ? 'incorrect' : 'unattempted');
-            const statusIcon = result.isCorrect ? 'fa-check-circle' : (result.isAttempted ? 'fa-times-circle' : 'fa-circle');
+            const statusClass = result.isCorrect ? 'correct' : (result.isPartial ? 'partial' : (result.isAttempted ? 'incorrect' : 'unattempted'));
+            const statusIcon = result.isCorrect ? 'fa-check-circle' : (result.isPartial ? 'fa-adjust' : (result.isAttempted ? 'fa-times-circle' : 'fa-circle'));
             
             resultsHTML += `
                 <div class="question-result ${statusClass}">
@@ -853,42 +1797,411 @@ class LecturesManager {
                             <i class="fas ${statusIcon}"></i>
                             Question ${index + 1}
                         </span>
+                        ${result.isPartial ? `<span class="time-spent">${Math.round(result.credit * 100)}% credit</span>` : ''}
                         ${result.timeSpent ? `<span class="time-spent">${Math.round(result.timeSpent)}s</span>` : ''}
                     </div>
-                    <div class="question-text">${result.question}</div>
+                    <div class="question-text">${Utils.escapeHtml(result.question)}</div>
                     <div class="answer-details">
                         <div class="user-answer ${result.isAttempted ? '' : 'not-attempted'}">
-                            <strong>Your answer:</strong> ${result.userAnswer || 'Not answered'}
+                            <strong>Your answer:</strong> ${Utils.escapeHtml(result.userAnswer || 'Not answered')}
                         </div>
                         <div class="correct-answer">
-                            <strong>Correct answer:</strong> ${result.correctAnswer}
+                            <strong>Correct answer:</strong> ${Utils.escapeHtml(result.correctAnswer)}
                         </div>
                     </div>
+                    ${this.renderGradingFeedback(result)}
                     ${result.explanation ? `
                         <div class="explanation">
                             <i class="fas fa-lightbulb"></i>
-                            <div class="explanation-text">${result.explanation}</div>
+                            <div class="explanation-text">${Utils.escapeHtml(result.explanation)}</div>
                         </div>
                     ` : ''}
                 </div>
             `;
         });
 
-        resultsHTML += `
+        return resultsHTML;
+    }
+
+    // List the lecture's exams with the student's attempts
+    async showExams() {
+        if (!this.currentLecture || !this.currentLecture.id) {
+            UI.showToast('error', 'No Lecture Selected', 'Please select a lecture first.');
+            return;
+        }
+
+        const quizContainer = Utils.$('#quiz-container');
+        if (!quizContainer) return;
+
+        this.stopExamTimer();
+        this.switchLectureTab('quiz');
+        quizContainer.innerHTML = '<div class="loading-state"><i class="fas fa-spinner fa-spin"></i> Loading exams...</div>';
+
+        try {
+            const response = await API.listExams(this.currentLecture.id);
+            const exams = response.exams || [];
+
+            if (exams.length === 0) {
+                quizContainer.innerHTML = `
+                    <div class="empty-state">
+                        <i class="fas fa-stopwatch"></i>
+                        <h4>No exams</h4>
+                        <p>This lecture has no exams.</p>
                     </div>
+                `;
+                return;
+            }
+
+            quizContainer.innerHTML = `
+                <div class="exam-list">
+                    ${exams.map(exam => this.renderExamCard(exam)).join('')}
+                </div>
+            `;
+        } catch (error) {
+            CONFIG.logError('Failed to load exams:', error);
+            UI.showToast('error', 'Exams Failed', error.message);
+            quizContainer.innerHTML = `
+                <div class="error-state">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <h4>Failed to load exams</h4>
+                    <p>${Utils.escapeHtml(error.message)}</p>
                 </div>
+            `;
+        }
+    }
 
-                ${recommendations.length > 0 ? `
-                    <div class="recommendations">
-                        <h4>Recommendations</h4>
-                        <div class="recommendations-list">
-                            ${recommendations.map(rec => `
-                                <div class="recommendation-item ${rec.priority}">
-                                    <i class="fas ${rec.type === 'study' ? 'fa-book' : rec.type === 'practice' ? 'fa-repeat' : 'fa-trophy'}"></i>
-                                    <div class="recommendation-content">
-                                        <div class="recommendation-message">${rec.message}</div>
-                                        <div class="recommendation-type">${rec.type.charAt(0).toUpperCase() + rec.type.slice(1)}</div>
-                                    </div>
+    // One exam with its window, limits and the student's counted score
+    renderExamCard(exam) {
+        const canStart = exam.activeSessionId || (exam.isOpen && exam.attemptsRemaining !== 0);
+        const details = [
+            exam.timeLimitMinutes ? `${exam.timeLimitMinutes} minutes` : 'No time limit',
+            exam.opensAt ? `Opens ${Utils.formatDate(exam.opensAt)}` : null,
+            exam.closesAt ? `Closes ${Utils.formatDate(exam.closesAt)}` : null,
+            exam.maxAttempts ? `${exam.attemptsUsed} of ${exam.maxAttempts} attempts used` : `${exam.attemptsUsed} attempts`,
+            `Score policy: ${Utils.escapeHtml(exam.scorePolicy)} attempt`
+        ].filter(Boolean);
+
+        return `
+            <div class="exam-card">
+                <div class="exam-card-header">
+                    <h4>${Utils.escapeHtml(exam.title || `Exam ${exam.quizId}`)}</h4>
+                    ${exam.finalScore !== null ? `<span class="exam-score">${Math.round(exam.finalScore)}%</span>` : ''}
+                </div>
+                <p class="exam-details">${details.join(' · ')}</p>
+                <button class="btn btn-primary btn-sm" ${canStart ? '' : 'disabled'} onclick="Lectures.startExam(${exam.quizId})">
+                    ${exam.activeSessionId ? 'Resume' : 'Start'}
+                </button>
+            </div>
+        `;
+    }
+
+    // Start or resume an exam attempt and show its questions with a countdown
+    async startExam(quizId) {
+        const quizContainer = Utils.$('#quiz-container');
+        if (!quizContainer) return;
+
+        try {
+            const response = await API.startExam(quizId);
+            const session = response.session;
+            this.examSession = session;
+
+            quizContainer.innerHTML = `
+                <div class="quiz-content exam-content">
+                    <div class="exam-timer" id="exam-timer"></div>
+                    ${session.questions.map((question, index) => this.renderQuizQuestion(question, index)).join('')}
+                    <div class="quiz-actions">
+                        <div class="quiz-progress">Attempt ${session.attemptNumber}</div>
+                        <button class="btn btn-primary" id="exam-submit-btn" onclick="Lectures.submitExam()">Submit Exam</button>
+                    </div>
+                </div>
+            `;
+            this.bindQuizInputs(quizContainer);
+            this.startExamTimer(session.secondsRemaining);
+        } catch (error) {
+            CONFIG.logError('Failed to start exam:', error);
+            UI.showToast('error', 'Exam Not Started', error.message);
+        }
+    }
+
+    // Count down to the deadline and submit when it is reached
+    startExamTimer(secondsRemaining) {
+        this.stopExamTimer();
+        const timer = Utils.$('#exam-timer');
+        if (!timer) return;
+
+        if (secondsRemaining === null || secondsRemaining === undefined) {
+            timer.textContent = 'No time limit';
+            return;
+        }
+
+        const deadline = Date.now() + secondsRemaining * 1000;
+        const tick = () => {
+            const left = Math.max(0, Math.round((deadline - Date.now()) / 1000));
+            timer.textContent = `Time left: ${Utils.formatDuration(left)}`;
+            timer.classList.toggle('ending', left <= 60);
+            if (left === 0) {
+                this.stopExamTimer();
+                this.submitExam(true);
+            }
+        };
+        tick();
+        this.examTimer = setInterval(tick, 1000);
+    }
+
+    stopExamTimer() {
+        if (this.examTimer) {
+            clearInterval(this.examTimer);
+            this.examTimer = null;
+        }
+    }
+
+    // Submit the exam; answers are keyed by the position the student saw
+    async submitExam(timeUp = false) {
+        if (!this.examSession) return;
+
+        const answers = {};
+        Utils.$$('#quiz-container .quiz-question').forEach((questionDiv, index) => {
+            const answer = this.getQuestionAnswer(questionDiv);
+            if (answer !== undefined) {
+                answers[index] = answer;
+            }
+        });
+
+        if (!timeUp && Object.keys(answers).length < this.examSession.questions.length
+            && !confirm('Some questions are unanswered. Submit the exam anyway?')) {
+            return;
+        }
+
+        const submitBtn = Utils.$('#exam-submit-btn');
+        try {
+            this.setButtonLoading(submitBtn, true);
+            this.stopExamTimer();
+            const response = await API.submitExam(this.examSession.id, {
+                token: this.examSession.token,
+                answers,
+                question_times: this.getQuestionTimes()
+            });
+            this.examSession = null;
+            this.displayExamResult(response);
+        } catch (error) {
+            CONFIG.logError('Failed to submit exam:', error);
+            UI.showToast('error', 'Submission Failed', error.message);
+            this.setButtonLoading(submitBtn, false);
+        }
+    }
+
+    // Score of a submitted exam attempt, the counted score and the question review
+    displayExamResult(response) {
+        const quizContainer = Utils.$('#quiz-container');
+        if (!quizContainer) return;
+
+        const performance = response.performance || {};
+        const exam = response.exam || {};
+
+        quizContainer.innerHTML = `
+            <div class="quiz-results enhanced">
+                <div class="results-header">
+                    <div class="score-circle">
+                        <div class="score-value">${Math.round(performance.percentage || 0)}%</div>
+                        <div class="score-label">Score</div>
+                    </div>
+                    <div class="performance-summary">
+                        <h3>Exam Submitted</h3>
+                        ${exam.finalScore !== null && exam.finalScore !== undefined ? `
+                            <p>Counted score (${Utils.escapeHtml(exam.scorePolicy)} attempt): <strong>${Math.round(exam.finalScore)}%</strong></p>
+                        ` : ''}
+                        ${exam.attemptsRemaining !== null && exam.attemptsRemaining !== undefined ? `
+                            <p>${exam.attemptsRemaining} attempt${exam.attemptsRemaining === 1 ? '' : 's'} left</p>
+                        ` : ''}
+                    </div>
+                </div>
+
+                <div class="results-details">
+                    <h4>Question Review</h4>
+                    <div class="questions-review">
+                        ${this.renderQuestionReview(performance.detailedResults || [])}
+                    </div>
+                </div>
+
+                <div class="results-actions">
+                    <button class="btn btn-primary" onclick="Lectures.showExams()">
+                        <i class="fas fa-stopwatch"></i> Back to Exams
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Start an adaptive quiz: one question at a time, difficulty following the answers
+    async startAdaptiveQuiz() {
+        if (!this.currentLecture || !this.currentLecture.id) {
+            UI.showToast('error', 'No Lecture Selected', 'Please select a lecture first.');
+            return;
+        }
+
+        const startBtn = Utils.$('#adaptive-quiz-btn');
+        const quizContainer = Utils.$('#quiz-container');
+
+        try {
+            this.setButtonLoading(startBtn, true);
+            if (quizContainer) {
+                quizContainer.innerHTML = '<div class="loading-state"><i class="fas fa-spinner fa-spin"></i> Preparing adaptive quiz...</div>';
+            }
+            this.switchLectureTab('quiz');
+
+            const response = await API.startAdaptiveQuiz({
+                lecture_id: this.currentLecture.id,
+                question_types: CONFIG.QUIZ.QUESTION_TYPES
+            });
+
+            this.adaptiveSession = response.session;
+            this.displayAdaptiveQuestion(response.session);
+        } catch (error) {
+            CONFIG.logError('Failed to start adaptive quiz:', error);
+            UI.showToast('error', 'Adaptive Quiz Failed', error.message);
+
+            if (quizContainer) {
+                quizContainer.innerHTML = `
+                    <div class="error-state">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        <h4>Failed to start adaptive quiz</h4>
+                        <p>${Utils.escapeHtml(error.message)}</p>
+                        <button class="btn btn-primary" onclick="Lectures.startAdaptiveQuiz()">Try Again</button>
+                    </div>
+                `;
+            }
+        } finally {
+            this.setButtonLoading(startBtn, false);
+        }
+    }
+
+    // Show the current adaptive question, after the feedback on the previous answer
+    displayAdaptiveQuestion(session, feedback = null) {
+        const quizContainer = Utils.$('#quiz-container');
+        if (!quizContainer || !session.question) return;
+
+        const question = session.question;
+        const type = question.type || 'mcq';
+        const estimate = session.estimate;
+
+        quizContainer.innerHTML = `
+            <div class="quiz-content adaptive-quiz">
+                ${feedback ? this.renderAdaptiveFeedback(feedback) : ''}
+                <div class="adaptive-estimate">
+                    <span>Mastery estimate: <strong>${Math.round(estimate.mastery * 100)}%</strong>
+                        (${Math.round(estimate.masteryRange[0] * 100)}–${Math.round(estimate.masteryRange[1] * 100)}%)</span>
+                    <span>Question ${question.number} of up to ${session.maxQuestions}</span>
+                </div>
+                <div class="quiz-question" data-question-index="0" data-question-type="${Utils.escapeHtml(type)}">
+                    <div class="question-header">
+                        <span class="question-number">Question ${question.number}</span>
+                        <span class="question-type">${Utils.escapeHtml(question.difficulty)}</span>
+                        ${CONFIG.QUIZ.TYPE_HINTS[type] ? `<span class="question-type">${CONFIG.QUIZ.TYPE_HINTS[type]}</span>` : ''}
+                    </div>
+                    ${type === 'fill_blank' ? '' : `<div class="question-text">${Utils.escapeHtml(question.question)}</div>`}
+                    ${this.renderQuestionInput(question, type)}
+                </div>
+                <div class="quiz-actions">
+                    <button class="btn btn-primary" id="adaptive-answer-btn" onclick="Lectures.submitAdaptiveAnswer()">Submit Answer</button>
+                </div>
+            </div>
+        `;
+
+        quizContainer.querySelectorAll('.option-item').forEach(option => {
+            Utils.on(option, 'click', this.handleQuizOptionClick.bind(this));
+        });
+        quizContainer.querySelectorAll('[data-move]').forEach(button => {
+            Utils.on(button, 'click', this.handleOrderingMove.bind(this));
+        });
+    }
+
+    // Answer the current adaptive question and show the next one or the result
+    async submitAdaptiveAnswer() {
+        if (!this.adaptiveSession) return;
+
+        const questionDiv = Utils.$('#quiz-container .quiz-question');
+        const answer = questionDiv ? this.getQuestionAnswer(questionDiv) : undefined;
+        if (answer === undefined) {
+            UI.showToast('info', 'No Answer', 'Answer the question to continue.');
+            return;
+        }
+
+        const answerBtn = Utils.$('#adaptive-answer-btn');
+        try {
+            this.setButtonLoading(answerBtn, true);
+            const response = await API.answerAdaptiveQuiz(this.adaptiveSession.id, answer);
+            this.adaptiveSession = response.session;
+
+            if (response.session.status === 'completed') {
+                this.displayAdaptiveResult(response.session, response.feedback);
+            } else {
+                this.displayAdaptiveQuestion(response.session, response.feedback);
+            }
+        } catch (error) {
+            CONFIG.logError('Failed to answer adaptive quiz:', error);
+            UI.showToast('error', 'Submission Failed', error.message);
+            this.setButtonLoading(answerBtn, false);
+        }
+    }
+
+    // Feedback on one adaptive answer
+    renderAdaptiveFeedback(feedback) {
+        const statusClass = feedback.isCorrect ? 'correct' : (feedback.credit > 0 ? 'partial' : 'incorrect');
+        const statusIcon = feedback.isCorrect ? 'fa-check-circle' : (feedback.credit > 0 ? 'fa-adjust' : 'fa-times-circle');
+        const label = feedback.isCorrect ? 'Correct' : (feedback.credit > 0 ? `${Math.round(feedback.credit * 100)}% credit` : 'Incorrect');
+
+        return `
+            <div class="question-result ${statusClass}">
+                <div class="question-header">
+                    <span class="question-number"><i class="fas ${statusIcon}"></i> ${label}</span>
+                </div>
+                <div class="answer-details">
+                    <div class="correct-answer">
+                        <strong>Correct answer:</strong> ${Utils.escapeHtml(feedback.correctAnswer)}
+                    </div>
+                </div>
+                ${this.renderGradingFeedback({ feedback: feedback.gradingFeedback, criteria: feedback.criteria })}
+                ${feedback.explanation ? `
+                    <div class="explanation">
+                        <i class="fas fa-lightbulb"></i>
+                        <div class="explanation-text">${Utils.escapeHtml(feedback.explanation)}</div>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Mastery estimate and per-topic results of a finished adaptive quiz
+    displayAdaptiveResult(session, feedback = null) {
+        const quizContainer = Utils.$('#quiz-container');
+        const result = session.result;
+        if (!quizContainer || !result) return;
+
+        const topics = Object.entries(result.topics || {});
+
+        quizContainer.innerHTML = `
+            <div class="quiz-results enhanced">
+                ${feedback ? this.renderAdaptiveFeedback(feedback) : ''}
+                <div class="results-header">
+                    <div class="score-circle">
+                        <div class="score-value">${Math.round(result.mastery * 100)}%</div>
+                        <div class="score-label">Mastery</div>
+                    </div>
+                    <div class="performance-summary">
+                        <h3>${result.status === 'mastered' ? 'Lecture mastered!' : 'Keep practicing'}</h3>
+                        <p>Likely between ${Math.round(result.masteryRange[0] * 100)}% and ${Math.round(result.masteryRange[1] * 100)}%
+                            after ${result.questionsAnswered} questions.</p>
+                    </div>
+                </div>
+
+                ${topics.length > 0 ? `
+                    <div class="results-details">
+                        <h4>Topics</h4>
+                        <div class="adaptive-topics">
+                            ${topics.map(([topic, stats]) => `
+                                <div class="adaptive-topic">
+                                    <span>${Utils.escapeHtml(topic)}</span>
+                                    <span>${Math.round(stats.mastery * 100)}% of ${stats.asked} question${stats.asked === 1 ? '' : 's'}</span>
                                 </div>
                             `).join('')}
                         </div>
@@ -896,20 +2209,38 @@ class LecturesManager {
                 ` : ''}
 
                 <div class="results-actions">
-                    <button class="btn btn-primary" onclick="Lectures.generateQuiz()">
-                        <i class="fas fa-redo"></i> Try Again
+                    <button class="btn btn-primary" onclick="Lectures.startAdaptiveQuiz()">
+                        <i class="fas fa-redo"></i> Start Again
                     </button>
                     <button class="btn btn-secondary" onclick="Lectures.viewPerformanceReport()">
                         <i class="fas fa-chart-line"></i> View Performance Report
                     </button>
-                    <button class="btn btn-outline" onclick="Lectures.viewAllAttempts()">
-                        <i class="fas fa-history"></i> View All Attempts
-                    </button>
                 </div>
             </div>
         `;
+    }
 
-        quizContainer.innerHTML = resultsHTML;
+    // Rubric feedback for a graded short answer
+    renderGradingFeedback(result) {
+        if (!result.feedback && !(result.criteria || []).length) return '';
+
+        return `
+            <div class="grading-feedback">
+                ${(result.criteria || []).length > 0 ? `
+                    <ul class="grading-criteria">
+                        ${result.criteria.map(criterion => `
+                            <li>
+                                <span class="grading-score">${criterion.score}/${criterion.points}</span>
+                                <span>${Utils.escapeHtml(criterion.criterion)}${criterion.feedback ? ` – ${Utils.escapeHtml(criterion.feedback)}` : ''}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                ${result.feedback ? `<p>${Utils.escapeHtml(result.feedback)}</p>` : ''}
+                ${result.overridden ? '<p class="grading-note"><i class="fas fa-user-check"></i> Graded by your teacher</p>' : ''}
+                ${result.needsReview ? '<p class="grading-note"><i class="fas fa-hourglass-half"></i> Your teacher will review this grade</p>' : ''}
+            </div>
+        `;
     }
 
     // Delete lecture
@@ -1206,15 +2537,17 @@ class LecturesManager {
         if (!button) return;
         
         if (isLoading) {
+            if (!button.disabled) {
+                button.dataset.originalHtml = button.innerHTML;
+            }
             button.disabled = true;
             button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading...';
         } else {
             button.disabled = false;
-            // Restore original content based on button ID
-            if (button.id === 'generate-summary-btn') {
-                button.innerHTML = '<i class="fas fa-file-alt"></i> Summary';
-            } else if (button.id === 'generate-quiz-btn') {
-                button.innerHTML = '<i class="fas fa-question-circle"></i> Quiz';
+            // Restore the content the button had before loading
+            if (button.dataset.originalHtml) {
+                button.innerHTML = button.dataset.originalHtml;
+                delete button.dataset.originalHtml;
             }
         }
     }
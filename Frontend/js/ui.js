@@ -131,7 +131,7 @@ class UIManager {
     // Show section
     showSection(sectionName, updateHistory = true) {
         // Check authentication for protected sections
-        const protectedSections = ['dashboard', 'upload', 'profile'];
+        const protectedSections = ['dashboard', 'flashcards', 'upload', 'profile'];
         if (protectedSections.includes(sectionName) && !Auth.isUserAuthenticated()) {
             this.openModal('login-modal');
             return;
@@ -184,6 +184,14 @@ class UIManager {
                 if (Lectures) {
                     Lectures.loadLectures(true);
                 }
+                if (window.Flashcards) {
+                    window.Flashcards.loadDueCount();
+                }
+                break;
+            case 'flashcards':
+                if (window.Flashcards) {
+                    window.Flashcards.loadDecks();
+                }
                 break;
             case 'upload':
                 if (window.Upload) {
@@ -294,6 +302,12 @@ class UIManager {
             document.body.style.overflow = '';
         }
 
+        // Stop the lecture video; pausing also reports how much was watched
+        if (modalId === 'lecture-modal') {
+            const video = modal.querySelector('video');
+            if (video) video.pause();
+        }
+
         // Clear form data if it's an auth modal
         if (modalId === 'login-modal' || modalId === 'signup-modal') {
             const form = modal.querySelector('form');
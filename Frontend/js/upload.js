@@ -5,6 +5,9 @@ class UploadManager {
         this.selectedPptFile = null;
         this.isUploading = false;
         this.uploadProgress = 0;
+        this.processingEvents = null;
+        this.stopProcessingTracking = null;
+        this.processingStages = Object.keys(CONFIG.PROCESSING_EVENTS.STAGE_LABELS);
         
         CONFIG.log('UploadManager initialized');
         this.init();
@@ -252,26 +255,38 @@ class UploadManager {
             this.setSubmitButtonState(true);
             this.showUploadProgress();
 
-            // Create form data for upload
-            const uploadFormData = API.createFormDataForUpload(
+            // Upload in resumable chunks with progress tracking
+            const response = await API.uploadLectureChunked(
                 {
                     title: formData.title,
-                    description: formData.description
+                    description: formData.description,
+                    courseId: formData.course_id
                 },
                 this.selectedVideoFile,
-                this.selectedPptFile
+                this.selectedPptFile,
+                (progress) => {
+                    this.updateUploadProgress(progress);
+                }
             );
 
-            // Upload with progress tracking
-            const response = await API.uploadLecture(uploadFormData, (progress) => {
-                this.updateUploadProgress(progress);
-            });
-
-            // Upload successful
-            this.hideUploadProgress();
+            // Upload successful, follow processing on the server
             this.resetForm();
             UI.showToast('success', 'Upload Successful', CONFIG.SUCCESS.UPLOAD);
 
+            const result = await this.trackProcessing(response.lectureId);
+            if (result.status === 'cancelled') {
+                return;
+            }
+            this.hideUploadProgress();
+
+            if (result.status === 'completed') {
+                UI.showToast('success', 'Processing Complete', 'Your lecture is ready to view.');
+            } else if (result.status === 'failed') {
+                UI.showToast('error', 'Processing Failed', result.error || 'The lecture could not be processed.');
+            } else {
+                UI.showToast('info', 'Still Processing', 'Lost connection to progress updates. Processing continues in the background.');
+            }
+
             // Refresh lectures if on dashboard
             if (Lectures) {
                 Lectures.refresh();
@@ -306,10 +321,24 @@ class UploadManager {
     updateUploadProgress(progress) {
         this.uploadProgress = progress;
 
+        const statusText = progress < 100
+            ? 'Uploading files...'
+            : 'Processing video... This may take a few minutes.';
+
+        this.renderProgress('Uploading...', progress, statusText);
+    }
+
+    // Render progress bar, percentage and status text
+    renderProgress(title, progress, statusText) {
+        const progressTitle = Utils.$('#upload-progress .progress-header h3');
         const progressFill = Utils.$('#progress-fill');
         const progressPercentage = Utils.$('.progress-percentage');
         const progressStatus = Utils.$('#progress-status');
 
+        if (progressTitle) {
+            progressTitle.textContent = title;
+        }
+
         if (progressFill) {
             progressFill.style.width = `${progress}%`;
         }
@@ -319,12 +348,125 @@ class UploadManager {
         }
 
         if (progressStatus) {
-            if (progress < 100) {
-                progressStatus.textContent = 'Uploading files...';
-            } else {
-                progressStatus.textContent = 'Processing video... This may take a few minutes.';
-            }
+            progressStatus.textContent = statusText;
+        }
+    }
+
+    // Follow server-side processing over Server-Sent Events
+    // Resolves with { status: 'completed' | 'failed' | 'disconnected' | 'cancelled', error }
+    trackProcessing(lectureId) {
+        const { RECONNECT_DELAY, MAX_RECONNECT_ATTEMPTS } = CONFIG.PROCESSING_EVENTS;
+
+        return new Promise((resolve) => {
+            let reconnectAttempts = 0;
+            let eventSource = null;
+            let finished = false;
+
+            const finish = (result) => {
+                finished = true;
+                if (eventSource) eventSource.close();
+                this.processingEvents = null;
+                this.stopProcessingTracking = null;
+                resolve(result);
+            };
+
+            // cancelUpload() stops following and settles the promise
+            this.stopProcessingTracking = () => finish({ status: 'cancelled' });
+
+            const connect = () => {
+                // A reconnect may have been scheduled before the tracking was stopped
+                if (finished) return;
+
+                eventSource = API.openProcessingEvents(lectureId);
+                this.processingEvents = eventSource;
+
+                Utils.on(eventSource, 'open', () => {
+                    reconnectAttempts = 0;
+                });
+
+                // Current state, sent on every (re)connect
+                Utils.on(eventSource, 'status', (e) => {
+                    const { status, details = {} } = JSON.parse(e.data);
+
+                    if (status === 'completed') {
+                        finish({ status: 'completed' });
+                        return;
+                    }
+                    if (status === 'failed') {
+                        finish({ status: 'failed', error: details.error });
+                        return;
+                    }
+
+                    if (details.stages) {
+                        this.processingStages = details.stages;
+                    }
+                    this.updateProcessingProgress(details.stage, 0);
+                });
+
+                Utils.on(eventSource, 'stage', (e) => {
+                    const { stage, status } = JSON.parse(e.data);
+                    this.updateProcessingProgress(stage, status === 'completed' ? 100 : 0);
+                });
+
+                Utils.on(eventSource, 'progress', (e) => {
+                    const data = JSON.parse(e.data);
+                    this.updateProcessingProgress(data.stage, data.percent, data);
+                });
+
+                Utils.on(eventSource, 'complete', () => {
+                    finish({ status: 'completed' });
+                });
+
+                Utils.on(eventSource, 'failed', (e) => {
+                    const data = JSON.parse(e.data);
+                    if (data.willRetry) {
+                        this.renderProgress('Processing...', 0, `Processing error, retrying (attempt ${data.attempts + 1})...`);
+                        return;
+                    }
+                    finish({ status: 'failed', error: data.error });
+                });
+
+                Utils.on(eventSource, 'error', () => {
+                    reconnectAttempts++;
+                    CONFIG.logError(`Processing event stream error (attempt ${reconnectAttempts})`);
+
+                    if (reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
+                        finish({ status: 'disconnected' });
+                        return;
+                    }
+
+                    // The browser retries on its own unless the server refused the stream
+                    if (eventSource.readyState === EventSource.CLOSED) {
+                        eventSource.close();
+                        setTimeout(connect, RECONNECT_DELAY);
+                    }
+                });
+            };
+
+            this.renderProgress('Processing...', 0, 'Waiting for processing to start...');
+            connect();
+        });
+    }
+
+    // Update processing progress from a stage and its own percentage
+    updateProcessingProgress(stage, stagePercent, details = {}) {
+        if (!stage) {
+            this.renderProgress('Processing...', 0, 'Queued for processing...');
+            return;
+        }
+
+        const stageIndex = Math.max(this.processingStages.indexOf(stage), 0);
+        const overall = ((stageIndex + stagePercent / 100) / this.processingStages.length) * 100;
+        const label = CONFIG.PROCESSING_EVENTS.STAGE_LABELS[stage] || stage;
+
+        let statusText = `${label}... ${Math.round(stagePercent)}%`;
+        if (details.totalChunks) {
+            statusText += ` (${details.chunksCompleted}/${details.totalChunks} segments)`;
+        } else if (details.service) {
+            statusText += ` (${details.service})`;
         }
+
+        this.renderProgress('Processing...', overall, statusText);
     }
 
     // Hide upload progress
@@ -466,6 +608,10 @@ class UploadManager {
 
     // Cancel upload (if supported)
     cancelUpload() {
+        if (this.stopProcessingTracking) {
+            this.stopProcessingTracking();
+        }
+
         if (this.isUploading) {
             // In a real implementation, you would cancel the XMLHttpRequest
             this.isUploading = false;